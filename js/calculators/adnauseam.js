@@ -0,0 +1,562 @@
+/**
+ * Ad Nauseam / Bolas's Citadel Simulator
+ * Reveals cards off the top, paying life equal to each card's mana value,
+ * until life reaches the stop threshold, the combo is assembled or the
+ * player dies.
+ *
+ * Ad Nauseam puts every revealed card into hand. Bolas's Citadel plays them
+ * instead: lands are free but use the land drop, and a second land on top
+ * ends the chain.
+ */
+
+import { formatNumber, formatPercentage, createCache } from '../utils/simulation.js';
+import { renderMultiColumnTable } from '../utils/tableUtils.js';
+import { createOrUpdateChart } from '../utils/chartHelpers.js';
+import * as DeckConfig from '../utils/deckConfig.js';
+import { registerCalculator, slotKey, createStableSamples } from '../utils/calculatorBase.js';
+import { renderStatCard, renderStatsGrid, renderInsightBox, renderInterval, generateSampleRevealsHTML } from '../utils/components.js';
+import { buildDeckFromCardData, getLibraryCards, hashCardCounts, removeOneCopy, shuffleDeck, renderCardBadge, renderSampleList } from '../utils/sampleSimulator.js';
+import { runSimulation, registerSimulationTask } from '../utils/workerPool.js';
+import { createRng, deriveSeed } from '../utils/random.js';
+import { Z_95, proportionError, sumsError, withinTolerance, simulateUntilPrecise } from '../utils/confidence.js';
+import { getPrecision, precisionKey, describeRun } from '../utils/precision.js';
+
+const CONFIG = {
+    DEFAULT_SIM_COUNT: 5000,
+    DEFAULT_SAMPLE_SIZE: 500,
+    STOP_THRESHOLDS: [0, 5, 10, 15, 20, 25, 30]
+};
+
+// The card being cast is not in the library
+export const ENGINE_CARDS = {
+    adnauseam: 'Ad Nauseam',
+    citadel: 'Bolas\'s Citadel'
+};
+
+// Why a chain ended
+const STOP_LABELS = {
+    threshold: 'Stop threshold',
+    combo: 'Combo found',
+    death: 'Died',
+    land: 'Land on top',
+    library: 'Library empty'
+};
+
+let simulationCache = createCache(50);
+let lastDeckHash = '';
+let cardsChart = null;
+let lifeChart = null;
+
+const samples = createStableSamples('adnauseam', { minCount: CONFIG.DEFAULT_SAMPLE_SIZE });
+
+/**
+ * Read combo piece names, one per line
+ * @param {string} text - Textarea contents
+ * @param {Array<string>} deckNames - Card names in the deck
+ * @returns {Object} - { pieces: names found in the deck, unknown: other lines }
+ */
+export function parseComboPieces(text, deckNames) {
+    const byLower = new Map(deckNames.map(name => [name.toLowerCase(), name]));
+    const pieces = [];
+    const unknown = [];
+    String(text || '').split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+        const name = byLower.get(line.toLowerCase());
+        if (!name) unknown.push(line);
+        else if (!pieces.includes(name)) pieces.push(name);
+    });
+    return { pieces, unknown };
+}
+
+/**
+ * Resolve one chain from a shuffled deck
+ * @param {Array} deck - Shuffled deck; the first `drawn` cards are already in hand
+ * @param {Object} options - { mode, life, stopAt, drawn, landDrop, comboPieces, comboLife }
+ * @returns {Object} - { revealed, cardsGained, lifeLeft, died, stoppedBy, comboFound }
+ */
+export function simulateChain(deck, options) {
+    const { mode = 'adnauseam', life: startLife, stopAt = 0, drawn = 0, landDrop = true, comboPieces = [], comboLife = 1 } = options;
+
+    const missing = new Set(comboPieces);
+    deck.slice(0, drawn).forEach(card => missing.delete(card.name));
+    const assembled = () => comboPieces.length > 0 && missing.size === 0;
+
+    let life = startLife;
+    let landPlayed = !landDrop;
+    let stoppedBy = assembled() ? 'combo' : 'library';
+    const revealed = [];
+
+    for (const card of stoppedBy === 'combo' ? [] : deck.slice(drawn)) {
+        if (life <= stopAt) { stoppedBy = 'threshold'; break; }
+
+        if (mode === 'citadel' && card.types.includes('land')) {
+            if (landPlayed) { stoppedBy = 'land'; break; }
+            landPlayed = true;
+        } else {
+            life -= card.cmc || 0;
+        }
+        revealed.push({ card, life });
+        if (life <= 0) { stoppedBy = 'death'; break; }
+
+        missing.delete(card.name);
+        if (assembled()) { stoppedBy = 'combo'; break; }
+    }
+
+    const died = life <= 0;
+    return {
+        revealed,
+        cardsGained: revealed.length,
+        lifeLeft: Math.max(0, life),
+        died,
+        stoppedBy,
+        // Life only goes down, so the life when the last piece arrives is the floor
+        comboFound: comboPieces.length > 0 ? !died && assembled() && life >= comboLife : null
+    };
+}
+
+/**
+ * Simulate many chains
+ * @param {Array} deck - Library from buildDeckFromCardData (engine card and commander removed)
+ * @param {Object} options - simulateChain options
+ * @param {number} numSims - Chains to simulate (adaptive precision runs until within tolerance instead)
+ * @param {Object} simOptions - { rng, onProgress, precision }
+ * @returns {Object|null} - Averages with 95% half-widths, distributions and a stop threshold comparison
+ */
+export function calculateChainStats(deck, options, numSims = CONFIG.DEFAULT_SIM_COUNT, simOptions = {}) {
+    const { rng, onProgress = null, precision = null } = simOptions;
+    if (!deck || deck.length === 0) return null;
+
+    const hasCombo = options.comboPieces?.length > 0;
+    const thresholds = [...new Set([...CONFIG.STOP_THRESHOLDS, options.stopAt])]
+        .filter(stopAt => stopAt < options.life)
+        .sort((a, b) => a - b);
+
+    let cardsTotal = 0;
+    let cardsSquares = 0;
+    let lifeTotal = 0;
+    let lifeSquares = 0;
+    let deaths = 0;
+    let combos = 0;
+    const cardsDist = [];
+    const lifeDist = new Array(options.life + 1).fill(0);
+    const stopReasons = {};
+    const byStop = thresholds.map(stopAt => ({ stopAt, cards: 0, life: 0, deaths: 0, combos: 0 }));
+
+    const runBatch = (batchSize) => {
+        for (let i = 0; i < batchSize; i++) {
+            const shuffled = shuffleDeck([...deck], rng);
+            for (const row of byStop) {
+                const chain = simulateChain(shuffled, { ...options, stopAt: row.stopAt });
+                row.cards += chain.cardsGained;
+                row.life += chain.lifeLeft;
+                if (chain.died) row.deaths++;
+                if (chain.comboFound) row.combos++;
+                if (row.stopAt !== options.stopAt) continue;
+
+                cardsTotal += chain.cardsGained;
+                cardsSquares += chain.cardsGained * chain.cardsGained;
+                lifeTotal += chain.lifeLeft;
+                lifeSquares += chain.lifeLeft * chain.lifeLeft;
+                if (chain.died) deaths++;
+                if (chain.comboFound) combos++;
+                cardsDist[chain.cardsGained] = (cardsDist[chain.cardsGained] || 0) + 1;
+                lifeDist[chain.lifeLeft]++;
+                stopReasons[chain.stoppedBy] = (stopReasons[chain.stoppedBy] || 0) + 1;
+            }
+        }
+    };
+
+    const halfWidths = (trials) => ({
+        avgCards: Z_95 * sumsError(cardsTotal, cardsSquares, trials),
+        avgLife: Z_95 * sumsError(lifeTotal, lifeSquares, trials),
+        deathProb: Z_95 * proportionError(deaths / trials, trials),
+        comboProb: hasCombo ? Z_95 * proportionError(combos / trials, trials) : 0
+    });
+
+    const isPrecise = (trials) => {
+        const hw = halfWidths(trials);
+        return withinTolerance(hw.avgCards, cardsTotal / trials, precision.tolerance, false) &&
+            withinTolerance(hw.avgLife, lifeTotal / trials, precision.tolerance, false) &&
+            withinTolerance(hw.deathProb, deaths / trials, precision.tolerance, true) &&
+            withinTolerance(hw.comboProb, combos / trials, precision.tolerance, true);
+    };
+
+    const run = simulateUntilPrecise(runBatch, isPrecise, { trials: numSims, precision, onProgress });
+    const trials = run.trials;
+
+    return {
+        avgCards: cardsTotal / trials,
+        avgLife: lifeTotal / trials,
+        deathProb: deaths / trials,
+        comboProb: hasCombo ? combos / trials : null,
+        halfWidths: halfWidths(trials),
+        cardsDist: Array.from(cardsDist, count => (count || 0) / trials),
+        lifeDist: lifeDist.map(count => count / trials),
+        stopReasons: Object.fromEntries(Object.entries(stopReasons).map(([reason, count]) => [reason, count / trials])),
+        byStop: byStop.map(row => ({
+            stopAt: row.stopAt,
+            avgCards: row.cards / trials,
+            avgLife: row.life / trials,
+            deathProb: row.deaths / trials,
+            comboProb: hasCombo ? row.combos / trials : null
+        })),
+        numSims: trials,
+        converged: run.converged
+    };
+}
+
+registerSimulationTask('adNauseamStats', ({ deck, options, numSims, precision, seed }, onProgress) =>
+    calculateChainStats(deck, options, numSims, { rng: createRng(seed), precision, onProgress })
+);
+
+/**
+ * Get current configuration
+ * @returns {Object} - { deck, options, deckHash, hasImportedData, unknownPieces, engineRemoved }
+ */
+export function getDeckConfig() {
+    const { cardsByName } = DeckConfig.getImportedCardData();
+    const libraryCards = getLibraryCards(cardsByName, DeckConfig.getCommanderName());
+
+    const mode = document.getElementById('adnauseam-mode')?.value === 'citadel' ? 'citadel' : 'adnauseam';
+    const readInt = (id, fallback, min, max) => {
+        const value = parseInt(document.getElementById(id)?.value);
+        return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback;
+    };
+
+    const deck = buildDeckFromCardData({ cardsByName: libraryCards });
+    // Ad Nauseam or the Citadel is being cast, so one copy is out of the library
+    const engineRemoved = removeOneCopy(deck, ENGINE_CARDS[mode]);
+
+    const { pieces, unknown } = parseComboPieces(document.getElementById('adnauseam-combo')?.value, Object.keys(libraryCards));
+    const life = readInt('adnauseam-lifeValue', 20, 1, 99);
+
+    const options = {
+        mode,
+        life,
+        stopAt: readInt('adnauseam-stopValue', 5, 0, life - 1),
+        drawn: Math.min(readInt('adnauseam-drawnValue', 7, 0, 99), deck.length),
+        landDrop: document.getElementById('adnauseam-landDrop')?.checked !== false,
+        comboPieces: pieces,
+        comboLife: readInt('adnauseam-comboLifeValue', 1, 1, 99)
+    };
+
+    const deckHash = hashCardCounts(libraryCards);
+
+    if (DeckConfig.isPrimaryDeck() && deckHash !== lastDeckHash) {
+        simulationCache.clear();
+        lastDeckHash = deckHash;
+    }
+    samples.trackDeck(deckHash);
+
+    return {
+        deck,
+        options,
+        deckHash,
+        unknownPieces: unknown,
+        engineRemoved,
+        hasImportedData: Object.keys(cardsByName || {}).length > 0
+    };
+}
+
+function statsCacheKey(config, seed, precision) {
+    return `${config.deckHash}-${JSON.stringify(config.options)}-${seed}-${precisionKey(precision)}`;
+}
+
+/**
+ * Calculate chain stats on the calling thread (cached)
+ * @returns {Object} - { config, stats }
+ */
+export function calculate() {
+    const config = getDeckConfig();
+    if (!config.hasImportedData || config.deck.length === 0) return { config, stats: null };
+
+    const precision = getPrecision();
+    const seed = deriveSeed('adnauseam-stats');
+    const cacheKey = statsCacheKey(config, seed, precision);
+    let stats = simulationCache.get(cacheKey);
+    if (!stats) {
+        stats = calculateChainStats(config.deck, config.options, CONFIG.DEFAULT_SIM_COUNT, { rng: createRng(seed), precision });
+        simulationCache.set(cacheKey, stats);
+    }
+    return { config, stats };
+}
+
+/**
+ * Calculate chain stats on the worker pool
+ * @param {Function} onComplete - Called with { config, stats }
+ */
+export function calculateAsync(onComplete) {
+    const config = getDeckConfig();
+    if (!config.hasImportedData || config.deck.length === 0) {
+        onComplete({ config, stats: null });
+        return;
+    }
+
+    const precision = getPrecision();
+    const seed = deriveSeed('adnauseam-stats');
+    const cacheKey = statsCacheKey(config, seed, precision);
+    const cached = simulationCache.get(cacheKey);
+    if (cached) {
+        onComplete({ config, stats: cached });
+        return;
+    }
+
+    runSimulation('adNauseamStats', { deck: config.deck, options: config.options, numSims: CONFIG.DEFAULT_SIM_COUNT, precision, seed }, {
+        key: slotKey('adnauseam-stats'),
+        onComplete: (stats) => {
+            simulationCache.set(cacheKey, stats);
+            onComplete({ config, stats });
+        }
+    });
+}
+
+/**
+ * Bar chart options shared by both distributions
+ */
+const getBarOptions = (xTitle) => ({
+    scales: {
+        y: {
+            beginAtZero: true,
+            title: { display: true, text: 'Probability %', color: '#c026d3' },
+            grid: { color: 'rgba(192, 38, 211, 0.15)' },
+            ticks: { color: '#c026d3' }
+        },
+        x: {
+            title: { display: true, text: xTitle, color: '#a09090' },
+            grid: { display: false },
+            ticks: { color: '#a09090' }
+        }
+    }
+});
+
+/**
+ * Update the cards gained and life remaining charts
+ */
+function updateCharts(stats) {
+    cardsChart = createOrUpdateChart(cardsChart, 'adnauseam-cards-chart', {
+        type: 'bar',
+        data: {
+            labels: stats.cardsDist.map((_, cards) => `${cards}`),
+            datasets: [{
+                label: 'Probability %',
+                data: stats.cardsDist.map(p => p * 100),
+                backgroundColor: 'rgba(192, 38, 211, 0.7)',
+                borderColor: '#c026d3',
+                borderWidth: 1
+            }]
+        },
+        options: getBarOptions('Cards gained')
+    });
+
+    lifeChart = createOrUpdateChart(lifeChart, 'adnauseam-life-chart', {
+        type: 'bar',
+        data: {
+            labels: stats.lifeDist.map((_, life) => life === 0 ? 'Dead' : `${life}`),
+            datasets: [{
+                label: 'Probability %',
+                data: stats.lifeDist.map(p => p * 100),
+                backgroundColor: stats.lifeDist.map((_, life) => life === 0 ? 'rgba(239, 68, 68, 0.7)' : 'rgba(192, 38, 211, 0.7)'),
+                borderColor: '#c026d3',
+                borderWidth: 1
+            }]
+        },
+        options: getBarOptions('Life remaining')
+    });
+}
+
+/**
+ * Update the stop threshold comparison table
+ */
+function updateTable(config, stats) {
+    const hasCombo = stats.comboProb !== null;
+    const headers = ['Stop At', 'Avg Cards', 'Avg Life Left', 'P(Death)'];
+    if (hasCombo) headers.push('P(Combo)');
+
+    const rows = stats.byStop.map(row => {
+        const cells = [
+            row.stopAt === 0 ? 'Never' : `${row.stopAt} life`,
+            formatNumber(row.avgCards, 2),
+            formatNumber(row.avgLife, 1),
+            formatPercentage(row.deathProb)
+        ];
+        if (hasCombo) cells.push(formatPercentage(row.comboProb));
+        return { cells };
+    });
+
+    renderMultiColumnTable('adnauseam-comparisonTable', headers, rows, {
+        highlightRowIndex: stats.byStop.findIndex(row => row.stopAt === config.options.stopAt)
+    });
+}
+
+/**
+ * Update the summary panel
+ */
+function updateStats(config, stats) {
+    const container = document.getElementById('adnauseam-stats');
+    if (!container) return;
+
+    const { options } = config;
+    const hw = stats.halfWidths;
+    const cardsHTML = [
+        renderStatCard('Cards Gained', `${formatNumber(stats.avgCards, 1)} ${renderInterval(hw.avgCards.toFixed(1))}`, 'on average', '#c026d3'),
+        renderStatCard('Life Left', `${formatNumber(stats.avgLife, 1)} ${renderInterval(hw.avgLife.toFixed(1))}`, `from ${options.life}`, 'var(--text-light)'),
+        renderStatCard('Death', `${formatPercentage(stats.deathProb)} ${renderInterval(`${(hw.deathProb * 100).toFixed(1)}%`)}`, 'chain kills you', stats.deathProb > 0.05 ? '#ef4444' : '#22c55e')
+    ];
+    if (stats.comboProb !== null) {
+        cardsHTML.push(renderStatCard('Combo', `${formatPercentage(stats.comboProb)} ${renderInterval(`${(hw.comboProb * 100).toFixed(1)}%`)}`, `all pieces at ${options.comboLife}+ life`, '#22c55e'));
+    }
+
+    const engine = ENGINE_CARDS[options.mode];
+    const reasons = Object.entries(stats.stopReasons)
+        .sort((a, b) => b[1] - a[1])
+        .map(([reason, p]) => `${STOP_LABELS[reason]} ${formatPercentage(p)}`)
+        .join(' · ');
+
+    const notes = [
+        `${describeRun(stats.numSims, stats.converged)}. ± is the 95% confidence interval.`,
+        `${options.drawn} card${options.drawn !== 1 ? 's are' : ' is'} already in hand${options.comboPieces.length > 0 ? ' (combo pieces there count as found)' : ''}.`,
+        config.engineRemoved ? `One ${engine} is out of the library.` : '',
+        config.unknownPieces.length > 0 ? `Not in the deck: ${config.unknownPieces.join(', ')}.` : ''
+    ].filter(Boolean);
+
+    const content = `${engine}: reveal from ${options.life} life until ${options.stopAt > 0 ? `${options.stopAt} life or less` : 'death'}` +
+        `${options.comboPieces.length > 0 ? ' or the combo is in hand' : ''}. Chains end: ${reasons}.`;
+
+    container.innerHTML = `
+        ${renderInsightBox(options.mode === 'citadel' ? '🏰 Citadel Chain' : '🩸 Ad Nauseam Chain', content, notes.join(' '))}
+        ${renderStatsGrid(cardsHTML)}
+    `;
+}
+
+/**
+ * Force refresh of stable samples
+ */
+function refreshSamples() {
+    const config = getDeckConfig();
+    if (!config.hasImportedData) return;
+
+    samples.refresh(config.deck, runSampleReveals);
+}
+
+/**
+ * Render one chain with the life total after each card
+ */
+function renderChain(chain, options, index) {
+    const statusClass = chain.comboFound || (chain.comboFound === null && !chain.died) ? 'free-spell' : 'whiff';
+    const comboNote = chain.comboFound === null ? '' : (chain.comboFound ? ' · combo found' : ' · no combo');
+
+    let html = `<div class="sample-reveal ${statusClass}">`;
+    html += `<div><strong>Chain ${index + 1}:</strong> ${chain.cardsGained} cards, ${chain.died ? 'dead' : `${chain.lifeLeft} life left`}` +
+        ` <span style="color: var(--text-dim);">(${STOP_LABELS[chain.stoppedBy]}${comboNote})</span></div>`;
+    html += '<div style="margin: 8px 0;">';
+    chain.revealed.forEach(({ card, life }) => {
+        const piece = options.comboPieces.includes(card.name);
+        html += `<span style="display: inline-flex; align-items: center; gap: 2px;${piece ? ' outline: 1px solid #22c55e; border-radius: 4px;' : ''}">` +
+            `${renderCardBadge(card)}<small style="color: var(--text-dim);">${life}</small></span> `;
+    });
+    html += '</div></div>';
+    return html;
+}
+
+/**
+ * Replay the stable samples card by card
+ */
+export function runSampleReveals() {
+    const config = getDeckConfig();
+    const display = document.getElementById('adnauseam-reveals-display');
+    if (!display) return;
+
+    if (!config.hasImportedData) {
+        display.innerHTML = '<p style="color: var(--text-dim);">Please import a decklist to run simulations.</p>';
+        return;
+    }
+
+    const numSims = samples.count();
+    const shuffles = samples.get(config.deck, runSampleReveals);
+    if (!shuffles) return;
+
+    // Stats over every sample
+    let totalCards = 0;
+    let deaths = 0;
+    let combos = 0;
+    for (let i = 0; i < numSims; i++) {
+        const chain = simulateChain(shuffles[i], config.options);
+        totalCards += chain.cardsGained;
+        if (chain.died) deaths++;
+        if (chain.comboFound) combos++;
+    }
+
+    renderSampleList(display, {
+        name: 'adnauseam',
+        heading: 'Sample chains:',
+        stats: [
+            `<span>Cards: ${(totalCards / numSims).toFixed(1)}</span>`,
+            config.options.comboPieces.length > 0 ? `<span style="color: #22c55e;">Combo: ${(combos / numSims * 100).toFixed(1)}%</span>` : '',
+            `<span style="color: #ef4444;">Died: ${(deaths / numSims * 100).toFixed(1)}%</span>`
+        ],
+        title: 'Chains',
+        count: numSims,
+        renderSample: (i) => renderChain(simulateChain(shuffles[i], config.options), config.options, i)
+    });
+}
+
+/**
+ * Update all UI elements
+ */
+export function updateUI() {
+    calculateAsync(renderResults);
+
+    if (document.getElementById('adnauseam-reveals-display') && getDeckConfig().hasImportedData) {
+        runSampleReveals();
+    }
+}
+
+/**
+ * Draw the charts and table for a calculate() result (used for the A/B compare overlay)
+ * @param {Object} data - Result of calculate()
+ */
+export function render({ config, stats }) {
+    if (!stats) return;
+    updateCharts(stats);
+    updateTable(config, stats);
+}
+
+/**
+ * Initialize Ad Nauseam calculator
+ */
+export function init() {
+    registerCalculator({
+        name: 'adnauseam',
+        calculate,
+        calculateAsync,
+        updateUI,
+        render,
+        inputs: ['mode', 'life', 'stop', 'drawn', 'comboLife', 'landDrop', 'combo'],
+        sensitivity: [
+            {
+                label: 'Cards Gained',
+                value: ({ stats }) => stats?.avgCards,
+                error: ({ stats }) => stats.halfWidths.avgCards / Z_95
+            },
+            {
+                label: 'Death',
+                percent: true,
+                value: ({ stats }) => stats?.deathProb,
+                error: ({ stats }) => proportionError(stats.deathProb, stats.numSims)
+            },
+            {
+                label: 'Combo',
+                percent: true,
+                value: ({ stats }) => stats?.comboProb,
+                error: ({ stats }) => proportionError(stats.comboProb, stats.numSims)
+            }
+        ],
+        init: () => {
+            const container = document.getElementById('adnauseam-sample-reveals');
+            if (container) {
+                container.innerHTML = generateSampleRevealsHTML('adnauseam', 'Sample Chains');
+            }
+            const btn = document.getElementById('adnauseam-draw-reveals-btn');
+            if (btn) btn.addEventListener('click', refreshSamples);
+        }
+    });
+}
@@ -0,0 +1,560 @@
+/**
+ * Cascade Calculator
+ * Exact odds for cascade triggers from an imported decklist
+ *
+ * Cascade: "When you cast this spell, exile cards from the top of your library
+ * until you exile a nonland card whose mana value is less than this spell's.
+ * You may cast it without paying its mana cost. Put the exiled cards on the
+ * bottom of your library in a random order."
+ *
+ * Every qualifying card is equally likely to be the first one in a shuffled
+ * library, so T triggers hit a uniformly random T of the qualifying cards.
+ * Cards put on the bottom are only reached again once every qualifying card
+ * is gone, so they never change what a later trigger hits.
+ */
+
+import { createCache, formatNumber, formatPercentage } from '../utils/simulation.js';
+import { renderMultiColumnTable } from '../utils/tableUtils.js';
+import { createOrUpdateChart } from '../utils/chartHelpers.js';
+import * as DeckConfig from '../utils/deckConfig.js';
+import { registerCalculator, createStableSamples } from '../utils/calculatorBase.js';
+import { renderStatCard, renderStatsGrid, renderInsightBox, generateSampleRevealsHTML } from '../utils/components.js';
+import { buildDeckFromCardData, hashCardCounts, renderCardBadge, renderSampleList } from '../utils/sampleSimulator.js';
+import { drawType, choose, distributionPercentile } from '../utils/hypergeometric.js';
+import { isXSpell } from './rashmi.js';
+
+const CONFIG = {
+    CMC_RANGE_BEFORE: 2,
+    CMC_RANGE_AFTER: 4,
+    MAX_CAST_CMC: 16,
+    MAX_TRIGGERS: 6,
+    DEFAULT_SAMPLE_SIZE: 500
+};
+
+let chart = null;
+let simulationCache = createCache(50);
+
+// A sample is a full shuffle: low mana values cascade deep into the deck
+const samples = createStableSamples('cascade', { minCount: CONFIG.DEFAULT_SAMPLE_SIZE });
+
+/**
+ * Whether a card stops a cascade from a spell of the given mana value
+ * @param {Object} card - Card from buildDeckFromCardData
+ * @param {number} castCmc - Mana value of the cascading spell
+ * @returns {boolean}
+ */
+export function stopsCascade(card, castCmc) {
+    return !card.types.includes('land') && Math.floor(card.cmc || 0) < castCmc;
+}
+
+/**
+ * Group the cards a cascade can hit
+ * @param {Array} deck - Deck from buildDeckFromCardData
+ * @param {number} castCmc - Mana value of the cascading spell
+ * @param {boolean} excludeXSpells - Treat X spells (cast with X=0) as whiffs
+ * @returns {Array<Object>} - { name, cmc, count, isX, castable }, one per card name
+ */
+export function groupCascadeHits(deck, castCmc, excludeXSpells = false) {
+    const byName = new Map();
+    deck.forEach(card => {
+        if (!stopsCascade(card, castCmc)) return;
+        const entry = byName.get(card.name);
+        if (entry) {
+            entry.count++;
+            return;
+        }
+        const isX = isXSpell(card.mana_cost);
+        byName.set(card.name, {
+            name: card.name,
+            cmc: Math.floor(card.cmc || 0),
+            count: 1,
+            isX,
+            castable: !(excludeXSpells && isX)
+        });
+    });
+    return [...byName.values()];
+}
+
+/**
+ * Distribution of the total mana value cast for each number of hits
+ * @param {Array<Object>} hits - From groupCascadeHits
+ * @param {number} maxHits - Largest number of hits
+ * @returns {Array<Array<number>>} - dist[j][v] = P(total free mana value = v | j hits)
+ */
+function freeManaByHits(hits, maxHits) {
+    // ways[k][v] = number of k-card subsets of the hits worth v mana in total
+    let ways = [[1]];
+    hits.forEach(hit => {
+        const value = hit.castable ? hit.cmc : 0;
+        const next = ways.map(row => row.slice());
+        ways.forEach((row, k) => {
+            row.forEach((count, v) => {
+                if (!count) return;
+                for (let i = 1; i <= hit.count && k + i <= maxHits; i++) {
+                    next[k + i] = next[k + i] || [];
+                    const total = v + i * value;
+                    next[k + i][total] = (next[k + i][total] || 0) + count * choose(hit.count, i);
+                }
+            });
+        });
+        ways = next;
+    });
+
+    const totalHits = hits.reduce((sum, hit) => sum + hit.count, 0);
+    return ways.map((row, k) => {
+        const subsets = choose(totalHits, k);
+        return Array.from(row, count => (count || 0) / subsets);
+    });
+}
+
+/**
+ * Exact cascade odds
+ * @param {Array} deck - Deck from buildDeckFromCardData (the cascading spell is not in it)
+ * @param {number} castCmc - Mana value of the cascading spell
+ * @param {Object} options - { triggers, drawn (cards not in the library), excludeXSpells }
+ * @returns {Object|null} - Odds, or null for an empty deck
+ */
+export function calculateCascade(deck, castCmc, options = {}) {
+    const { triggers = 1, drawn = 0, excludeXSpells = false } = options;
+    const deckSize = deck.length;
+    if (deckSize === 0) return null;
+
+    const hits = groupCascadeHits(deck, castCmc, excludeXSpells);
+    const qualifying = hits.reduce((sum, hit) => sum + hit.count, 0);
+    const castable = hits.reduce((sum, hit) => sum + (hit.castable ? hit.count : 0), 0);
+    const library = Math.max(0, deckSize - drawn);
+    const T = triggers;
+
+    // Which cards sit in the library is random, so picture a shuffled deck with
+    // the library on top. Either all T triggers hit (the T-th qualifying card is
+    // within the library) or one runs out and exiles the rest of the library.
+    const outcomes = [];
+    if (T <= qualifying) {
+        for (let depth = T; depth <= library; depth++) {
+            const prob = drawType(deckSize, qualifying, depth - 1, T - 1) * (qualifying - T + 1) / (deckSize - depth + 1);
+            if (prob > 0) outcomes.push({ hits: T, exiled: depth, prob });
+        }
+    }
+    for (let j = 0; j < T && j <= qualifying; j++) {
+        const prob = drawType(deckSize, qualifying, library, j);
+        if (prob > 0) outcomes.push({ hits: j, exiled: library, prob });
+    }
+
+    const hitsDist = new Array(T + 1).fill(0);
+    const bottomDist = new Array(library + 1).fill(0);
+    outcomes.forEach(({ hits: j, exiled, prob }) => {
+        hitsDist[j] += prob;
+        // Hits that are X spells (with the exclude option) are declined and go to the bottom too
+        for (let cast = 0; cast <= j; cast++) {
+            const pCast = drawType(qualifying, castable, j, cast);
+            if (pCast > 0) bottomDist[exiled - cast] += prob * pCast;
+        }
+    });
+
+    // Total free mana value, mixed over the number of hits
+    const byHits = freeManaByHits(hits, T);
+    const freeManaDist = [];
+    hitsDist.forEach((pHits, j) => {
+        (byHits[j] || []).forEach((p, value) => {
+            freeManaDist[value] = (freeManaDist[value] || 0) + pHits * p;
+        });
+    });
+    for (let v = 0; v < freeManaDist.length; v++) freeManaDist[v] = freeManaDist[v] || 0;
+
+    const castShare = qualifying > 0 ? castable / qualifying : 0;
+    const expectedHits = hitsDist.reduce((sum, p, j) => sum + p * j, 0);
+
+    const cardHits = hits.map(hit => ({
+        ...hit,
+        prob: hitsDist.reduce((sum, p, j) => sum + p * (1 - drawType(qualifying, hit.count, j, 0)), 0)
+    })).sort((a, b) => b.prob - a.prob || a.name.localeCompare(b.name));
+
+    return {
+        castCmc,
+        deckSize,
+        library,
+        qualifying,
+        castable,
+        hitsDist,
+        freeSpellProb: hitsDist.reduce((sum, p, j) => sum + p * (1 - drawType(qualifying, castable, j, 0)), 0),
+        expectedFreeSpells: expectedHits * castShare,
+        expectedFreeMana: freeManaDist.reduce((sum, p, v) => sum + p * v, 0),
+        freeManaDist,
+        whiffProb: 1 - hitsDist[T] * drawType(qualifying, castable, T, T),
+        landOnlyProb: 1 - hitsDist[T],
+        xWhiffProb: hitsDist.reduce((sum, p, j) => sum + p * (1 - drawType(qualifying, castable, j, j)), 0),
+        bottomDist,
+        expectedBottom: bottomDist.reduce((sum, p, b) => sum + p * b, 0),
+        cardHits
+    };
+}
+
+/**
+ * Resolve cascade triggers on a shuffled library
+ * @param {Array} library - Shuffled library, top first
+ * @param {number} castCmc - Mana value of the cascading spell
+ * @param {number} triggers - Cascade triggers
+ * @param {boolean} excludeXSpells - Decline X spells (X=0)
+ * @returns {Array<Object>} - Per trigger: { exiled: [cards before the hit], hit, declined }
+ */
+export function resolveCascade(library, castCmc, triggers = 1, excludeXSpells = false) {
+    const steps = [];
+    let index = 0;
+    for (let t = 0; t < triggers; t++) {
+        const exiled = [];
+        let hit = null;
+        for (; index < library.length; index++) {
+            const card = library[index];
+            if (stopsCascade(card, castCmc)) {
+                hit = card;
+                index++;
+                break;
+            }
+            exiled.push(card);
+        }
+        steps.push({ exiled, hit, declined: !!hit && excludeXSpells && isXSpell(hit.mana_cost) });
+        // Exiled cards go to the bottom; with no hit the whole library was exiled
+        if (!hit) break;
+    }
+    return steps;
+}
+
+/**
+ * Read the deck and inputs
+ */
+export function getDeckConfig() {
+    const cardData = DeckConfig.getImportedCardData();
+    const hasImportedData = cardData?.cardsByName && Object.keys(cardData.cardsByName).length > 0;
+    const deck = hasImportedData ? buildDeckFromCardData(cardData) : [];
+
+    const deckHash = hasImportedData ? hashCardCounts(cardData.cardsByName) : '';
+    if (hasImportedData) samples.trackDeck(deckHash);
+
+    const clampInt = (id, fallback, min, max) => {
+        const value = parseInt(document.getElementById(id)?.value);
+        return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback;
+    };
+
+    return {
+        deck,
+        deckHash,
+        hasImportedData,
+        castCmc: clampInt('cascade-cmcValue', 4, 1, CONFIG.MAX_CAST_CMC),
+        triggers: clampInt('cascade-triggersValue', 1, 1, CONFIG.MAX_TRIGGERS),
+        drawn: clampInt('cascade-drawnValue', 0, 0, Math.max(0, deck.length - 1)),
+        excludeXSpells: document.getElementById('cascade-exclude-x')?.checked || false
+    };
+}
+
+/**
+ * Calculate results for the cast mana values around the chosen one
+ */
+export function calculate() {
+    const config = getDeckConfig();
+    if (!config.hasImportedData || config.deck.length === 0) {
+        return { config, results: {} };
+    }
+
+    const results = {};
+    const minCmc = Math.max(1, config.castCmc - CONFIG.CMC_RANGE_BEFORE);
+    const maxCmc = Math.min(config.castCmc + CONFIG.CMC_RANGE_AFTER, CONFIG.MAX_CAST_CMC);
+    const { triggers, drawn, excludeXSpells } = config;
+
+    for (let cmc = minCmc; cmc <= maxCmc; cmc++) {
+        const cacheKey = `${config.deckHash}-${cmc}-${triggers}-${drawn}-${excludeXSpells}`;
+        let result = simulationCache.get(cacheKey);
+        if (!result) {
+            result = calculateCascade(config.deck, cmc, { triggers, drawn, excludeXSpells });
+            simulationCache.set(cacheKey, result);
+        }
+        results[cmc] = result;
+    }
+
+    return { config, results };
+}
+
+/**
+ * Update the free mana value chart
+ */
+function updateChart(config, results) {
+    const current = results[config.castCmc];
+    if (!current) return;
+
+    const values = current.freeManaDist.map((_, value) => value);
+
+    chart = createOrUpdateChart(chart, 'cascade-chart', {
+        type: 'bar',
+        data: {
+            labels: values.map(value => `${value}`),
+            datasets: [{
+                label: 'Probability %',
+                data: current.freeManaDist.map(p => p * 100),
+                backgroundColor: 'rgba(244, 63, 94, 0.6)',
+                borderColor: '#f43f5e',
+                borderWidth: 1
+            }]
+        },
+        options: {
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    title: { display: true, text: 'Probability %', color: '#f43f5e' },
+                    grid: { color: 'rgba(244, 63, 94, 0.15)' },
+                    ticks: { color: '#f43f5e' }
+                },
+                x: {
+                    title: { display: true, text: config.triggers > 1 ? 'Total free mana value' : 'Free spell mana value', color: '#a09090' },
+                    grid: { display: false },
+                    ticks: { color: '#a09090' }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Update the cast mana value comparison table
+ */
+function updateTable(config, results) {
+    const cmcValues = Object.keys(results).map(Number).sort((a, b) => a - b);
+    const headers = ['Cascade MV', 'Hits in Deck', 'P(Free Spell)', 'Free Spells', 'Avg Free MV', 'P(Whiff)', 'Cards to Bottom'];
+
+    const rows = cmcValues.map(cmc => {
+        const r = results[cmc];
+        return {
+            cells: [
+                cmc,
+                r.qualifying,
+                formatPercentage(r.freeSpellProb),
+                formatNumber(r.expectedFreeSpells, 2),
+                formatNumber(r.expectedFreeMana, 2),
+                { value: formatPercentage(r.whiffProb), class: r.whiffProb > 0.1 ? 'marginal-negative' : '' },
+                formatNumber(r.expectedBottom, 1)
+            ],
+            class: cmc === config.castCmc ? 'current' : ''
+        };
+    });
+
+    renderMultiColumnTable('cascade-comparisonTable', headers, rows, {
+        highlightRowIndex: cmcValues.indexOf(config.castCmc)
+    });
+}
+
+/**
+ * Update the per-card hit table
+ */
+function updateHitsTable(config, results) {
+    const current = results[config.castCmc];
+    if (!current) return;
+
+    const headers = ['Card', 'MV', 'Copies', config.triggers > 1 ? 'P(Hit at Least Once)' : 'P(Hit)'];
+    const rows = current.cardHits.map(hit => ({
+        cells: [
+            hit.castable ? hit.name : `${hit.name} (X=0, declined)`,
+            hit.cmc,
+            hit.count,
+            formatPercentage(hit.prob, 2)
+        ],
+        class: hit.castable ? '' : 'marginal-negative'
+    }));
+
+    if (rows.length === 0) {
+        rows.push({ cells: ['No nonland cards below this mana value', '', '', ''] });
+    }
+
+    renderMultiColumnTable('cascade-hitsTable', headers, rows);
+}
+
+/**
+ * Update the stats panel
+ */
+function updateStats(config, results) {
+    const statsPanel = document.getElementById('cascade-stats');
+    const current = results[config.castCmc];
+    if (!statsPanel || !current) return;
+
+    const bottomLow = distributionPercentile(current.bottomDist, 0.1);
+    const bottomHigh = distributionPercentile(current.bottomDist, 0.9);
+    const triggerText = config.triggers > 1 ? `${config.triggers} triggers` : '1 trigger';
+
+    const cardsHTML = [
+        renderStatCard('Free Spells', formatNumber(current.expectedFreeSpells, 2), `of ${triggerText}`, '#f43f5e'),
+        renderStatCard('Free Mana', formatNumber(current.expectedFreeMana, 1), 'mana value cast', 'var(--text-light)'),
+        renderStatCard('Whiff', formatPercentage(current.whiffProb), config.triggers > 1 ? 'a trigger gets nothing' : 'no free spell', current.whiffProb > 0.1 ? '#ef4444' : '#22c55e'),
+        renderStatCard('To Bottom', formatNumber(current.expectedBottom, 1), `cards (${bottomLow}-${bottomHigh}, 10th-90th)`, '#a78bfa')
+    ];
+
+    let content = `${current.qualifying} of ${current.deckSize} cards are nonland with mana value below ${config.castCmc}.`;
+    if (current.landOnlyProb > 0) {
+        content += ` <strong style="color: #ef4444;">${formatPercentage(current.landOnlyProb)}</strong> chance a trigger exiles the rest of the library without finding one.`;
+    } else {
+        content += ' A land-only exile is impossible: every trigger finds a card.';
+    }
+    if (current.xWhiffProb > 0) {
+        content += ` X spells are cast with X=0: ${formatPercentage(current.xWhiffProb)} chance of hitting one.`;
+    }
+
+    const footer = config.drawn > 0
+        ? `• ${config.drawn} cards are out of the library (hand, battlefield, graveyard), unknown which`
+        : '• Cascade spells you hit cascade again in play; that chain is not followed here';
+
+    statsPanel.innerHTML = `
+        ${renderStatsGrid(cardsHTML)}
+        ${renderInsightBox(`🌋 Cascade ${config.castCmc} Analysis`, content, footer)}
+    `;
+}
+
+/**
+ * Force refresh of stable samples (e.g., when user clicks Redraw)
+ */
+function refreshSamples() {
+    const config = getDeckConfig();
+    if (config.hasImportedData && config.deck.length > 0) {
+        samples.refresh(config.deck, runSampleReveals);
+    }
+}
+
+/**
+ * Run sample cascades using stable samples
+ */
+export function runSampleReveals() {
+    const config = getDeckConfig();
+    const display = document.getElementById('cascade-reveals-display');
+    if (!display) return;
+
+    if (!config.hasImportedData) {
+        display.innerHTML = '<p style="color: var(--text-dim);">Please import a decklist to run simulations.</p>';
+        return;
+    }
+
+    const numSims = samples.count();
+    const shuffles = samples.get(config.deck, runSampleReveals);
+    if (!shuffles) return;
+
+    // The top `drawn` cards of each shuffle stand in for the cards out of the library
+    const resolveSample = (i) => resolveCascade(shuffles[i].slice(config.drawn), config.castCmc, config.triggers, config.excludeXSpells);
+
+    // Stats over every sample
+    let totalFreeSpells = 0;
+    let totalFreeMana = 0;
+    let totalBottom = 0;
+    let whiffs = 0;
+
+    for (let i = 0; i < numSims; i++) {
+        const steps = resolveSample(i);
+        let cast = 0;
+        steps.forEach(step => {
+            totalBottom += step.exiled.length + (step.declined ? 1 : 0);
+            if (step.hit && !step.declined) {
+                cast++;
+                totalFreeMana += Math.floor(step.hit.cmc || 0);
+            }
+        });
+        totalFreeSpells += cast;
+        if (cast < config.triggers) whiffs++;
+    }
+
+    renderSampleList(display, {
+        name: 'cascade',
+        heading: `Cascade ${config.castCmc} (${config.triggers} trigger${config.triggers !== 1 ? 's' : ''}):`,
+        stats: [
+            `<span style="color: #22c55e;">Free spells: ${(totalFreeSpells / numSims).toFixed(2)}</span>`,
+            `<span>Free mana: ${(totalFreeMana / numSims).toFixed(1)}</span>`,
+            `<span style="color: #ef4444;">Whiffs: ${(whiffs / numSims * 100).toFixed(1)}%</span>`,
+            `<span style="color: var(--text-secondary);">To bottom: ${(totalBottom / numSims).toFixed(1)}</span>`
+        ],
+        title: 'Cascades',
+        count: numSims,
+        renderSample: (i) => {
+            const steps = resolveSample(i);
+            const cast = steps.filter(step => step.hit && !step.declined).length;
+
+            let html = `<div class="sample-reveal ${cast === config.triggers ? 'free-spell' : 'whiff'}">`;
+            html += `<div><strong>Cascade ${i + 1}:</strong> ${cast} free spell${cast !== 1 ? 's' : ''}</div>`;
+
+            steps.forEach((step, t) => {
+                html += '<div style="margin: 8px 0;">';
+                if (config.triggers > 1) html += `<span style="font-size: 0.85em; color: var(--text-dim);">Trigger ${t + 1}: </span>`;
+                step.exiled.forEach(card => {
+                    html += `<span class="reveal-card dimmed" style="opacity: 0.5;" title="${card.name} (to the bottom)">${card.name}</span>`;
+                });
+                if (!step.hit) {
+                    html += '<span style="margin-left: 8px; color: #ef4444;">Exiled the rest of the library (Whiff)</span>';
+                } else {
+                    html += renderCardBadge(step.hit);
+                    html += step.declined
+                        ? '<span style="margin-left: 8px; color: #ef4444;">X=0, declined</span>'
+                        : '<span style="margin-left: 8px; color: #22c55e; font-weight: bold;">CAST FREE!</span>';
+                }
+                html += '</div>';
+            });
+            return html + '</div>';
+        }
+    });
+}
+
+/**
+ * Update all UI elements
+ */
+export function updateUI() {
+    const { config, results } = calculate();
+    const importWarning = document.getElementById('cascade-import-warning');
+    const resultsSection = document.getElementById('cascade-results');
+
+    if (!config.hasImportedData || Object.keys(results).length === 0) {
+        if (importWarning) importWarning.style.display = 'block';
+        if (resultsSection) resultsSection.style.display = 'none';
+        if (chart) { chart.destroy(); chart = null; }
+        return;
+    }
+
+    if (importWarning) importWarning.style.display = 'none';
+    if (resultsSection) resultsSection.style.display = 'block';
+
+    updateChart(config, results);
+    updateTable(config, results);
+    updateHitsTable(config, results);
+    updateStats(config, results);
+
+    if (document.getElementById('cascade-reveals-display')) {
+        runSampleReveals();
+    }
+}
+
+/**
+ * Draw the chart and tables for a calculate() result (used for the A/B compare overlay)
+ * @param {Object} data - Result of calculate()
+ */
+export function render({ config, results }) {
+    if (!config.hasImportedData || Object.keys(results).length === 0) return;
+    updateChart(config, results);
+    updateTable(config, results);
+}
+
+/**
+ * Initialize Cascade calculator
+ */
+export function init() {
+    registerCalculator({
+        name: 'cascade',
+        calculate,
+        updateUI,
+        render,
+        inputs: ['cmc', 'triggers', 'drawn'],
+        sensitivity: [
+            { label: 'Free Spells', value: ({ config, results }) => results[config.castCmc]?.expectedFreeSpells },
+            { label: 'Free Mana Value', value: ({ config, results }) => results[config.castCmc]?.expectedFreeMana }
+        ],
+        init: (debouncedUpdate) => {
+            const container = document.getElementById('cascade-sample-reveals');
+            if (container) {
+                container.innerHTML = generateSampleRevealsHTML('cascade', 'Sample Cascades');
+            }
+            const excludeCheckbox = document.getElementById('cascade-exclude-x');
+            if (excludeCheckbox) excludeCheckbox.addEventListener('change', () => debouncedUpdate());
+
+            const revealBtn = document.getElementById('cascade-draw-reveals-btn');
+            if (revealBtn) revealBtn.addEventListener('click', () => refreshSamples());
+        }
+    });
+}
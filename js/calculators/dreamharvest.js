@@ -10,9 +10,14 @@
 
 import { createCache } from '../utils/simulation.js';
 import { registerCalculator } from '../utils/calculatorBase.js';
-import { generateSampleRevealsHTML } from '../utils/components.js';
+import { renderInterval, generateSampleRevealsHTML } from '../utils/components.js';
 import { shuffleDeck, renderCardBadge, createCollapsibleSection, buildDeckFromCardData } from '../utils/sampleSimulator.js';
 import * as OpponentState from '../utils/opponentState.js';
+import { runSimulation, registerSimulationTask } from '../utils/workerPool.js';
+import { showSimulationProgress } from '../utils/ui.js';
+import { createRng, deriveSeed, getSeed, rerollSeed } from '../utils/random.js';
+import { Z_95, sumsError, withinTolerance, simulateUntilPrecise } from '../utils/confidence.js';
+import { getPrecision, precisionKey, describeRun } from '../utils/precision.js';
 
 const CONFIG = {
     DEFAULT_SAMPLE_SIZE: 500,
@@ -29,6 +34,13 @@ const stableSamples = {
     opponent3: []
 };
 
+// Seed each opponent's stable samples were shuffled with
+const sampleSeeds = {
+    opponent1: null,
+    opponent2: null,
+    opponent3: null
+};
+
 // Track rendered count for batch rendering per opponent
 const renderedCounts = {
     opponent1: 0,
@@ -92,10 +104,13 @@ export function simulateDreamHarvest(deck) {
 /**
  * Calculate Dream Harvest statistics for an opponent deck
  * @param {Object} opponentData - Opponent deck data with cardsByName
- * @param {number} numSims - Number of simulations
- * @returns {Object} - Statistics
+ * @param {number} numSims - Number of simulations (adaptive precision runs until within tolerance instead)
+ * @param {Object} options - { rng, onProgress, precision }
+ * @returns {Object} - Statistics, with 95% half-widths of each average
  */
-export function calculateDreamHarvestStats(opponentData, numSims = CONFIG.DEFAULT_SIM_COUNT) {
+export function calculateDreamHarvestStats(opponentData, numSims = CONFIG.DEFAULT_SIM_COUNT, options = {}) {
+    const { rng, onProgress = null, precision = null } = options;
+
     if (!opponentData?.cardsByName || Object.keys(opponentData.cardsByName).length === 0) {
         return null;
     }
@@ -105,51 +120,105 @@ export function calculateDreamHarvestStats(opponentData, numSims = CONFIG.DEFAUL
 
     if (!deck || deck.length === 0) return null;
 
-    let totalCardsExiled = 0;
-    let totalMV = 0;
-    let totalCastable = 0;
-    let totalCastableMV = 0;
+    // Running sums and sums of squares, keyed by result field
+    const FIELDS = { avgCardsExiled: 'cardsExiled', avgTotalMV: 'totalMV', avgCastable: 'numCastable', avgCastableMV: 'totalCastableMV' };
+    const totals = {};
+    const squares = {};
+    for (const stat of Object.keys(FIELDS)) {
+        totals[stat] = 0;
+        squares[stat] = 0;
+    }
     const cardsExiledDist = {};
     const totalMVDist = {};
 
-    for (let i = 0; i < numSims; i++) {
-        const shuffled = shuffleDeck([...deck]);
-        const result = simulateDreamHarvest(shuffled);
+    const runBatch = (batchSize) => {
+        for (let i = 0; i < batchSize; i++) {
+            const shuffled = shuffleDeck([...deck], rng);
+            const result = simulateDreamHarvest(shuffled);
+
+            for (const [stat, field] of Object.entries(FIELDS)) {
+                totals[stat] += result[field];
+                squares[stat] += result[field] * result[field];
+            }
 
-        totalCardsExiled += result.cardsExiled;
-        totalMV += result.totalMV;
-        totalCastable += result.numCastable;
-        totalCastableMV += result.totalCastableMV;
+            cardsExiledDist[result.cardsExiled] = (cardsExiledDist[result.cardsExiled] || 0) + 1;
+            totalMVDist[result.totalMV] = (totalMVDist[result.totalMV] || 0) + 1;
+        }
+    };
 
-        cardsExiledDist[result.cardsExiled] = (cardsExiledDist[result.cardsExiled] || 0) + 1;
-        totalMVDist[result.totalMV] = (totalMVDist[result.totalMV] || 0) + 1;
-    }
+    const halfWidths = (trials) => Object.fromEntries(Object.keys(FIELDS).map(stat =>
+        [stat, Z_95 * sumsError(totals[stat], squares[stat], trials)]
+    ));
+
+    const isPrecise = (trials) => {
+        const hw = halfWidths(trials);
+        return Object.keys(FIELDS).every(stat =>
+            withinTolerance(hw[stat], totals[stat] / trials, precision.tolerance, false)
+        );
+    };
+
+    const run = simulateUntilPrecise(runBatch, isPrecise, { trials: numSims, precision, onProgress });
+    const trials = run.trials;
 
     return {
-        avgCardsExiled: totalCardsExiled / numSims,
-        avgTotalMV: totalMV / numSims,
-        avgCastable: totalCastable / numSims,
-        avgCastableMV: totalCastableMV / numSims,
+        avgCardsExiled: totals.avgCardsExiled / trials,
+        avgTotalMV: totals.avgTotalMV / trials,
+        avgCastable: totals.avgCastable / trials,
+        avgCastableMV: totals.avgCastableMV / trials,
+        halfWidths: halfWidths(trials),
         cardsExiledDist,
         totalMVDist,
-        numSims,
+        numSims: trials,
+        converged: run.converged,
         deckSize: deck.length
     };
 }
 
+registerSimulationTask('dreamHarvestStats', ({ opponentData, numSims, precision, seed }, onProgress) =>
+    calculateDreamHarvestStats(opponentData, numSims, { rng: createRng(seed), precision, onProgress })
+);
+
 /**
- * Generate stable samples for an opponent
+ * Generate stable samples for an opponent on the worker pool
+ * @param {string} opponentKey - Opponent key
+ * @param {number} count - Number of samples
+ * @param {Function} onReady - Called once the samples are in place
  */
-function generateStableSamples(opponentKey, count) {
+function generateStableSamples(opponentKey, count, onReady = null) {
     const deck = OpponentState.buildOpponentDeck(opponentKey);
     if (!deck) {
         stableSamples[opponentKey] = [];
         return;
     }
 
-    stableSamples[opponentKey] = [];
-    for (let i = 0; i < count; i++) {
-        stableSamples[opponentKey].push(shuffleDeck([...deck]));
+    const seed = getSeed();
+    runSimulation('shuffleSamples', { deck, count, seed: deriveSeed(`dreamharvest-samples-${opponentKey}`) }, {
+        key: `dreamharvest-samples-${opponentKey}`,
+        onProgress: (fraction) => showSimulationProgress('dreamharvest', fraction),
+        onComplete: (samples) => {
+            showSimulationProgress('dreamharvest', null);
+            stableSamples[opponentKey] = samples;
+            sampleSeeds[opponentKey] = seed;
+            if (onReady) onReady();
+        },
+        onError: (err) => {
+            console.error(`Dream Harvest sample shuffle failed for ${opponentKey}:`, err);
+            showSimulationProgress('dreamharvest', null);
+        },
+        onCancel: () => showSimulationProgress('dreamharvest', null)
+    });
+}
+
+/**
+ * Generate samples for several opponents, calling onReady once all are done
+ */
+function generateAllSamples(opponents, count, onReady) {
+    let remaining = opponents.length;
+    for (const opp of opponents) {
+        generateStableSamples(opp, count, () => {
+            remaining--;
+            if (remaining === 0) onReady();
+        });
     }
 }
 
@@ -160,20 +229,25 @@ function refreshSamples() {
     const countInput = document.getElementById('dreamharvest-sample-count');
     const numSims = Math.max(1, parseInt(countInput?.value) || CONFIG.DEFAULT_SAMPLE_SIZE);
 
-    for (const opp of OpponentState.getActiveOpponents()) {
-        if (OpponentState.getOpponentData(opp)?.cardsByName &&
-            Object.keys(OpponentState.getOpponentData(opp).cardsByName).length > 0) {
-            generateStableSamples(opp, numSims);
-        }
+    const opponents = OpponentState.getActiveOpponents().filter(opp =>
+        OpponentState.getOpponentData(opp)?.cardsByName &&
+        Object.keys(OpponentState.getOpponentData(opp).cardsByName).length > 0
+    );
+
+    if (opponents.length === 0) {
+        runSampleReveals();
+        return;
     }
 
-    runSampleReveals();
+    rerollSeed();
+    generateAllSamples(opponents, numSims, runSampleReveals);
 }
 
 /**
  * Render results for all active opponents
+ * @param {Object} results - Stats keyed by opponent (from calculateAsync)
  */
-function renderResults() {
+function renderResults(results) {
     const resultsContainer = document.getElementById('dreamharvest-results');
     if (!resultsContainer) return;
 
@@ -192,15 +266,20 @@ function renderResults() {
     // Calculate totals for summary
     let totalFreeSpells = 0;
     let totalValueGained = 0;
+    // Opponents are simulated independently, so their variances add
+    let freeSpellsVariance = 0;
+    let valueGainedVariance = 0;
     const allStats = [];
 
     for (const opp of opponentsWithData) {
         const data = OpponentState.getOpponentData(opp);
-        const stats = calculateDreamHarvestStats(data);
+        const stats = results[opp];
         if (stats) {
             allStats.push({ opp, data, stats });
             totalFreeSpells += stats.avgCastable;
             totalValueGained += stats.avgCastableMV;
+            freeSpellsVariance += stats.halfWidths.avgCastable ** 2;
+            valueGainedVariance += stats.halfWidths.avgCastableMV ** 2;
         }
     }
 
@@ -214,15 +293,16 @@ function renderResults() {
                 <div class="summary-stats-grid">
                     <div class="summary-stat blue">
                         <div class="stat-label">Total Free Spells</div>
-                        <div class="stat-value">${totalFreeSpells.toFixed(1)}</div>
+                        <div class="stat-value">${totalFreeSpells.toFixed(1)} ${renderInterval(Math.sqrt(freeSpellsVariance).toFixed(1))}</div>
                         <div class="stat-unit">spells cast free</div>
                     </div>
                     <div class="summary-stat dark-blue">
                         <div class="stat-label">Total Value Gained</div>
-                        <div class="stat-value">${totalValueGained.toFixed(1)}</div>
+                        <div class="stat-value">${totalValueGained.toFixed(1)} ${renderInterval(Math.sqrt(valueGainedVariance).toFixed(1))}</div>
                         <div class="stat-unit">mana value</div>
                     </div>
                 </div>
+                <p style="color: var(--text-dim); font-size: 0.8em; margin: var(--spacing-sm) 0 0;">± is the 95% confidence interval.</p>
             </div>
         `;
     }
@@ -233,25 +313,29 @@ function renderResults() {
             <div class="opponent-results">
                 <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: var(--spacing-sm);">
                     <h3 style="color: var(--dreamharvest-primary, #3b82f6);">${data.name}</h3>
-                    <span style="color: var(--text-dim); font-size: 0.85em;">${stats.deckSize} cards</span>
+                    <span style="color: var(--text-dim); font-size: 0.85em;">${stats.deckSize} cards · ${describeRun(stats.numSims, stats.converged)}</span>
                 </div>
 
                 <div style="display: grid; grid-template-columns: repeat(4, 1fr); gap: var(--spacing-sm); margin-bottom: var(--spacing-md);">
                     <div class="choice-card choice-blue" style="text-align: center;">
                         <div style="font-size: 0.75em; color: var(--text-dim);">Cards Exiled</div>
                         <div style="font-size: 1.3em; font-weight: bold; color: #3b82f6;">${stats.avgCardsExiled.toFixed(1)}</div>
+                        <div>${renderInterval(stats.halfWidths.avgCardsExiled.toFixed(1))}</div>
                     </div>
                     <div class="choice-card choice-blue" style="text-align: center;">
                         <div style="font-size: 0.75em; color: var(--text-dim);">Total MV</div>
                         <div style="font-size: 1.3em; font-weight: bold; color: #3b82f6;">${stats.avgTotalMV.toFixed(1)}</div>
+                        <div>${renderInterval(stats.halfWidths.avgTotalMV.toFixed(1))}</div>
                     </div>
                     <div class="choice-card choice-blue" style="text-align: center;">
                         <div style="font-size: 0.75em; color: var(--text-dim);">Free Spells</div>
                         <div style="font-size: 1.3em; font-weight: bold; color: #3b82f6;">${stats.avgCastable.toFixed(1)}</div>
+                        <div>${renderInterval(stats.halfWidths.avgCastable.toFixed(1))}</div>
                     </div>
                     <div class="choice-card choice-blue" style="text-align: center;">
                         <div style="font-size: 0.75em; color: var(--text-dim);">Value Gained</div>
                         <div style="font-size: 1.3em; font-weight: bold; color: #3b82f6;">${stats.avgCastableMV.toFixed(1)}</div>
+                        <div>${renderInterval(stats.halfWidths.avgCastableMV.toFixed(1))}</div>
                     </div>
                 </div>
             </div>
@@ -278,10 +362,12 @@ export function runSampleReveals() {
     const countInput = document.getElementById('dreamharvest-sample-count');
     const numSims = Math.max(1, parseInt(countInput?.value) || CONFIG.DEFAULT_SAMPLE_SIZE);
 
-    for (const opp of opponentsWithData) {
-        if (!stableSamples[opp] || stableSamples[opp].length < numSims) {
-            generateStableSamples(opp, numSims);
-        }
+    const missing = opponentsWithData.filter(opp =>
+        !stableSamples[opp] || stableSamples[opp].length < numSims || sampleSeeds[opp] !== getSeed()
+    );
+    if (missing.length > 0) {
+        generateAllSamples(missing, numSims, runSampleReveals);
+        return;
     }
 
     let fullHTML = '';
@@ -417,16 +503,18 @@ export function runSampleReveals() {
  */
 export function calculate() {
     const results = {};
+    const precision = getPrecision();
 
     for (const opp of OpponentState.getActiveOpponents()) {
         const data = OpponentState.getOpponentData(opp);
         if (data?.cardsByName && Object.keys(data.cardsByName).length > 0) {
-            const cacheKey = `dreamharvest-${opp}-${data.deckSize}-${Object.keys(data.cardsByName).length}`;
+            const seed = deriveSeed(`dreamharvest-stats-${opp}`);
+            const cacheKey = `dreamharvest-${opp}-${data.deckSize}-${Object.keys(data.cardsByName).length}-${seed}-${precisionKey(precision)}`;
             const cached = simulationCache.get(cacheKey);
             if (cached) {
                 results[opp] = cached;
             } else {
-                const stats = calculateDreamHarvestStats(data);
+                const stats = calculateDreamHarvestStats(data, CONFIG.DEFAULT_SIM_COUNT, { rng: createRng(seed), precision });
                 if (stats) {
                     simulationCache.set(cacheKey, stats);
                     results[opp] = stats;
@@ -438,11 +526,64 @@ export function calculate() {
     return results;
 }
 
+/**
+ * Calculate stats for all opponents on the worker pool
+ * @param {Function} onComplete - Called with stats keyed by opponent
+ */
+export function calculateAsync(onComplete) {
+    const results = {};
+    const precision = getPrecision();
+    const pending = [];
+
+    for (const opp of OpponentState.getActiveOpponents()) {
+        const data = OpponentState.getOpponentData(opp);
+        if (data?.cardsByName && Object.keys(data.cardsByName).length > 0) {
+            const seed = deriveSeed(`dreamharvest-stats-${opp}`);
+            const cacheKey = `dreamharvest-${opp}-${data.deckSize}-${Object.keys(data.cardsByName).length}-${seed}-${precisionKey(precision)}`;
+            const cached = simulationCache.get(cacheKey);
+            if (cached) {
+                results[opp] = cached;
+            } else {
+                pending.push({ opp, data, cacheKey, seed });
+            }
+        }
+    }
+
+    if (pending.length === 0) {
+        onComplete(results);
+        return;
+    }
+
+    // Failed or superseded jobs still count, so the results always render
+    let remaining = pending.length;
+    const settle = () => {
+        remaining--;
+        if (remaining === 0) onComplete(results);
+    };
+    for (const { opp, data, cacheKey, seed } of pending) {
+        runSimulation('dreamHarvestStats', { opponentData: { cardsByName: data.cardsByName }, precision, seed }, {
+            key: `dreamharvest-stats-${opp}`,
+            onComplete: (stats) => {
+                if (stats) {
+                    simulationCache.set(cacheKey, stats);
+                    results[opp] = stats;
+                }
+                settle();
+            },
+            onError: (err) => {
+                console.error(`Dream Harvest simulation failed for ${opp}:`, err);
+                settle();
+            },
+            onCancel: settle
+        });
+    }
+}
+
 /**
  * Update UI
  */
 export function updateUI() {
-    renderResults();
+    calculateAsync(renderResults);
 
     const hasAnyDeckData = OpponentState.hasAnyDeckData();
 
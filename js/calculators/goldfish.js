@@ -0,0 +1,659 @@
+/**
+ * Goldfish Simulator
+ * Plays the deck alone, turn by turn: one land a turn, tagged ramp first,
+ * then the commander, then greedily on curve. Reports how much mana is
+ * actually spent, not just how many lands are in play.
+ */
+
+import { formatNumber, formatPercentage, createCache } from '../utils/simulation.js';
+import { renderMultiColumnTable } from '../utils/tableUtils.js';
+import { createOrUpdateChart } from '../utils/chartHelpers.js';
+import * as DeckConfig from '../utils/deckConfig.js';
+import { registerCalculator, slotKey } from '../utils/calculatorBase.js';
+import { proportionError } from '../utils/confidence.js';
+import { renderStatCard, renderStatsGrid, renderInsightBox, generateSampleRevealsHTML } from '../utils/components.js';
+import { buildDeckFromCardData, shuffleDeck, renderCardBadge, createCollapsibleSection } from '../utils/sampleSimulator.js';
+import { runSimulation, cancelSimulation, registerSimulationTask } from '../utils/workerPool.js';
+import { showSimulationProgress } from '../utils/ui.js';
+import { createRng, deriveSeed, getSeed, rerollSeed } from '../utils/random.js';
+import { isXSpell } from './rashmi.js';
+
+const CONFIG = {
+    HAND_SIZE: 7,
+    DEFAULT_TURNS: 8,
+    DEFAULT_SIM_COUNT: 2000,
+    SAMPLE_COUNT_DEFAULT: 10
+};
+
+// Card tags that mark mana rocks, dorks and ramp spells
+export const RAMP_TAGS = ['ramp', 'rock', 'mana rock', 'dork', 'mana dork'];
+
+// Mana added by ramp cards that make more than one
+const RAMP_AMOUNTS = {
+    'Sol Ring': 2,
+    'Mana Crypt': 2,
+    'Mana Vault': 3,
+    'Grim Monolith': 3,
+    'Basalt Monolith': 3
+};
+
+let simulationCache = createCache(50);
+let lastDeckHash = '';
+let manaChart = null;
+let commanderChart = null;
+
+// Stable samples state
+let stableSamples = [];
+let sampleSeed = null;
+let renderedCount = 0;
+
+// Color constants
+const COLORS = {
+    available: '#94a3b8',
+    spent: '#14b8a6',
+    cumulative: '#f59e0b',
+    commander: '#a855f7',
+    commanderFaint: 'rgba(168, 85, 247, 0.15)',
+    grid: 'rgba(20, 184, 166, 0.2)',
+    text: '#a09090'
+};
+
+/**
+ * Whether a card is a tagged mana rock, dork or ramp spell
+ * @param {Object} card - Card from buildDeckFromCardData
+ * @returns {boolean}
+ */
+export function isRampCard(card) {
+    return (card.tags || []).some(tag => RAMP_TAGS.includes(tag));
+}
+
+/**
+ * Play one goldfish game
+ * @param {Array} library - Shuffled deck (top card first)
+ * @param {Object} options
+ * @param {number} options.turns - Turns to play
+ * @param {boolean} options.onDraw - Draw a card on turn 1
+ * @param {number} options.commanderCmc - Commander mana value (0 = no commander)
+ * @returns {Object} - { turns: [{ turn, land, cast, lands, manaAvailable, manaSpent }], commanderTurn }
+ */
+export function simulateGoldfishGame(library, { turns = CONFIG.DEFAULT_TURNS, onDraw = false, commanderCmc = 0 } = {}) {
+    const hand = library.slice(0, CONFIG.HAND_SIZE);
+    let nextCard = CONFIG.HAND_SIZE;
+    let lands = 0;
+    let rampMana = 0;
+    let pendingRamp = 0;
+    let commanderTurn = null;
+    const log = [];
+
+    const castFromHand = (index) => hand.splice(index, 1)[0];
+
+    for (let turn = 1; turn <= turns; turn++) {
+        if ((turn > 1 || onDraw) && nextCard < library.length) {
+            hand.push(library[nextCard++]);
+        }
+
+        // Ramp cast last turn (dorks, land-fetching spells) comes online
+        rampMana += pendingRamp;
+        pendingRamp = 0;
+
+        let land = null;
+        const landIndex = hand.findIndex(card => card.types.includes('land'));
+        if (landIndex !== -1) {
+            land = castFromHand(landIndex);
+            lands++;
+        }
+
+        let mana = lands + rampMana;
+        let manaAvailable = mana;
+        const cast = [];
+        const spend = (card, cost) => {
+            mana -= cost;
+            cast.push({ ...card, spent: cost });
+        };
+
+        // 1. Ramp, cheapest first. Rocks tap right away; other ramp pays off next turn.
+        for (;;) {
+            const rampIndex = hand
+                .map((card, i) => ({ card, i }))
+                .filter(({ card }) => isRampCard(card) && !card.types.includes('land') && card.cmc <= mana)
+                .sort((a, b) => a.card.cmc - b.card.cmc)[0]?.i;
+            if (rampIndex === undefined) break;
+
+            const card = castFromHand(rampIndex);
+            spend(card, card.cmc);
+            const amount = RAMP_AMOUNTS[card.name] || 1;
+            if (card.types.includes('artifact') && !card.types.includes('creature')) {
+                rampMana += amount;
+                mana += amount;
+                manaAvailable += amount;
+            } else {
+                pendingRamp += amount;
+            }
+        }
+
+        // 2. Commander
+        if (commanderCmc > 0 && commanderTurn === null && commanderCmc <= mana) {
+            mana -= commanderCmc;
+            commanderTurn = turn;
+            cast.push({ name: 'Commander', types: ['commander'], type_line: 'Commander', cmc: commanderCmc, spent: commanderCmc, isCommander: true });
+        }
+
+        // 3. Biggest spell that fits, repeatedly; X spells take whatever is left
+        for (;;) {
+            let best = -1;
+            hand.forEach((card, i) => {
+                if (card.types.includes('land') || isXSpell(card.mana_cost) || card.cmc > mana) return;
+                if (best === -1 || card.cmc > hand[best].cmc) best = i;
+            });
+            if (best === -1) break;
+            const card = castFromHand(best);
+            spend(card, card.cmc);
+        }
+        const xIndex = hand.findIndex(card => isXSpell(card.mana_cost) && card.cmc <= mana && mana > 0);
+        if (xIndex !== -1) {
+            const card = castFromHand(xIndex);
+            spend(card, mana);
+        }
+
+        log.push({ turn, land, cast, lands, manaAvailable, manaSpent: manaAvailable - mana });
+    }
+
+    return { turns: log, commanderTurn };
+}
+
+/**
+ * Average many goldfish games
+ * @param {Array} deck - Deck from buildDeckFromCardData
+ * @param {Object} options - simulateGoldfishGame options
+ * @param {number} numSims - Games to play
+ * @param {Object} simOptions - { rng, onProgress }
+ * @returns {Object|null} - { byTurn, totalSpent, totalSpentSd, hasCommander, numSims }
+ */
+export function calculateGoldfishStats(deck, options, numSims = CONFIG.DEFAULT_SIM_COUNT, simOptions = {}) {
+    const { rng, onProgress = null } = simOptions;
+    if (!deck || deck.length === 0) return null;
+
+    const turns = options.turns || CONFIG.DEFAULT_TURNS;
+    const totals = Array.from({ length: turns }, () => ({ lands: 0, manaAvailable: 0, manaSpent: 0, commanderCast: 0 }));
+    const progressStep = Math.max(1, Math.floor(numSims / 20));
+    // Spread of the per-game total, for the confidence of the average
+    let spentSquares = 0;
+
+    for (let i = 0; i < numSims; i++) {
+        const game = simulateGoldfishGame(shuffleDeck([...deck], rng), options);
+        const gameSpent = game.turns.reduce((sum, t) => sum + t.manaSpent, 0);
+        spentSquares += gameSpent * gameSpent;
+        game.turns.forEach((t, index) => {
+            totals[index].lands += t.lands;
+            totals[index].manaAvailable += t.manaAvailable;
+            totals[index].manaSpent += t.manaSpent;
+            if (game.commanderTurn !== null && game.commanderTurn <= t.turn) totals[index].commanderCast++;
+        });
+        if (onProgress && (i + 1) % progressStep === 0) onProgress((i + 1) / numSims);
+    }
+
+    let cumulative = 0;
+    const byTurn = totals.map((t, index) => {
+        const manaSpent = t.manaSpent / numSims;
+        cumulative += manaSpent;
+        return {
+            turn: index + 1,
+            lands: t.lands / numSims,
+            manaAvailable: t.manaAvailable / numSims,
+            manaSpent,
+            cumulativeSpent: cumulative,
+            commanderCast: t.commanderCast / numSims
+        };
+    });
+
+    const totalSpentSd = Math.sqrt(Math.max(0, spentSquares / numSims - cumulative * cumulative));
+
+    return { byTurn, totalSpent: cumulative, totalSpentSd, hasCommander: options.commanderCmc > 0, numSims };
+}
+
+registerSimulationTask('goldfishStats', ({ deck, options, numSims, seed }, onProgress) =>
+    calculateGoldfishStats(deck, options, numSims, { rng: createRng(seed), onProgress })
+);
+
+/**
+ * Get current configuration
+ * @returns {Object} - { deck, options, hasImportedData, rampCount, commanderName, deckHash }
+ */
+export function getDeckConfig() {
+    const { cardsByName } = DeckConfig.getImportedCardData();
+    const commanderName = DeckConfig.getCommanderName();
+    // Imports keep the commander out of cardsByName; older decks list it there
+    const commanderCard = commanderName ? (cardsByName?.[commanderName] ?? DeckConfig.getCommanderCard()) : null;
+
+    // The commander starts in the command zone, not the library
+    const libraryCards = { ...cardsByName };
+    if (commanderName) delete libraryCards[commanderName];
+
+    const cmcInput = document.getElementById('goldfish-commanderCmc')?.value;
+    const commanderCmc = cmcInput !== undefined && cmcInput !== ''
+        ? Math.max(0, parseInt(cmcInput) || 0)
+        : Math.floor(commanderCard?.cmc || 0);
+
+    const options = {
+        turns: Math.min(15, Math.max(1, parseInt(document.getElementById('goldfish-turnsValue')?.value) || CONFIG.DEFAULT_TURNS)),
+        onDraw: document.getElementById('goldfish-onDraw')?.checked === true,
+        commanderCmc
+    };
+
+    const deck = buildDeckFromCardData({ cardsByName: libraryCards });
+    const deckHash = Object.values(libraryCards)
+        .map(card => `${card.count}x${card.name}:${(card.tags || []).join('|')}`)
+        .join(',');
+
+    if (DeckConfig.isPrimaryDeck() && deckHash !== lastDeckHash) {
+        simulationCache.clear();
+        // Samples are reshuffled lazily by runSampleReveals for the new deck
+        cancelSimulation('goldfish-samples');
+        stableSamples = [];
+        lastDeckHash = deckHash;
+    }
+
+    return {
+        deck,
+        options,
+        deckHash,
+        commanderName: commanderCard ? commanderName : null,
+        rampCount: deck.filter(isRampCard).length,
+        hasImportedData: Object.keys(cardsByName || {}).length > 0
+    };
+}
+
+function statsCacheKey(config, seed) {
+    return `${config.deckHash}-${JSON.stringify(config.options)}-${seed}`;
+}
+
+/**
+ * Calculate goldfish stats on the calling thread (cached)
+ * @returns {Object} - { config, stats }
+ */
+export function calculate() {
+    const config = getDeckConfig();
+    if (!config.hasImportedData || config.deck.length === 0) return { config, stats: null };
+
+    const seed = deriveSeed('goldfish-stats');
+    const cacheKey = statsCacheKey(config, seed);
+    let stats = simulationCache.get(cacheKey);
+    if (!stats) {
+        stats = calculateGoldfishStats(config.deck, config.options, CONFIG.DEFAULT_SIM_COUNT, { rng: createRng(seed) });
+        simulationCache.set(cacheKey, stats);
+    }
+    return { config, stats };
+}
+
+/**
+ * Calculate goldfish stats on the worker pool
+ * @param {Function} onComplete - Called with { config, stats }
+ */
+export function calculateAsync(onComplete) {
+    const config = getDeckConfig();
+    if (!config.hasImportedData || config.deck.length === 0) {
+        onComplete({ config, stats: null });
+        return;
+    }
+
+    const seed = deriveSeed('goldfish-stats');
+    const cacheKey = statsCacheKey(config, seed);
+    const cached = simulationCache.get(cacheKey);
+    if (cached) {
+        onComplete({ config, stats: cached });
+        return;
+    }
+
+    runSimulation('goldfishStats', { deck: config.deck, options: config.options, numSims: CONFIG.DEFAULT_SIM_COUNT, seed }, {
+        key: slotKey('goldfish-stats'),
+        onComplete: (stats) => {
+            simulationCache.set(cacheKey, stats);
+            onComplete({ config, stats });
+        }
+    });
+}
+
+/**
+ * Common chart scale options
+ */
+const getScaleOptions = (yTitle, max = undefined) => ({
+    y: { beginAtZero: true, max, title: { display: true, text: yTitle, color: COLORS.text }, grid: { color: COLORS.grid }, ticks: { color: COLORS.text } },
+    x: { grid: { color: COLORS.grid }, ticks: { color: COLORS.text } }
+});
+
+/**
+ * Update the mana by turn chart
+ */
+function updateManaChart(stats) {
+    manaChart = createOrUpdateChart(manaChart, 'goldfish-mana-chart', {
+        type: 'line',
+        data: {
+            labels: stats.byTurn.map(t => `Turn ${t.turn}`),
+            datasets: [
+                {
+                    label: 'Mana Available',
+                    data: stats.byTurn.map(t => t.manaAvailable),
+                    borderColor: COLORS.available,
+                    backgroundColor: COLORS.available,
+                    borderDash: [4, 4],
+                    fill: false,
+                    tension: 0.3
+                },
+                {
+                    label: 'Mana Spent',
+                    data: stats.byTurn.map(t => t.manaSpent),
+                    borderColor: COLORS.spent,
+                    backgroundColor: COLORS.spent,
+                    fill: false,
+                    tension: 0.3
+                },
+                {
+                    label: 'Total Mana Spent',
+                    data: stats.byTurn.map(t => t.cumulativeSpent),
+                    borderColor: COLORS.cumulative,
+                    backgroundColor: COLORS.cumulative,
+                    fill: false,
+                    tension: 0.3
+                }
+            ]
+        },
+        options: {
+            scales: getScaleOptions('Mana'),
+            plugins: {
+                tooltip: {
+                    callbacks: {
+                        label: ctx => `${ctx.dataset.label}: ${ctx.parsed.y.toFixed(2)}`
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Update the commander cast chart
+ */
+function updateCommanderChart(stats) {
+    commanderChart = createOrUpdateChart(commanderChart, 'goldfish-commander-chart', {
+        type: 'line',
+        data: {
+            labels: stats.byTurn.map(t => `Turn ${t.turn}`),
+            datasets: [{
+                label: 'P(Commander Cast) %',
+                data: stats.byTurn.map(t => t.commanderCast * 100),
+                borderColor: COLORS.commander,
+                backgroundColor: COLORS.commanderFaint,
+                fill: true,
+                tension: 0.3
+            }]
+        },
+        options: {
+            scales: getScaleOptions('Probability (%)', 100),
+            plugins: {
+                tooltip: {
+                    callbacks: {
+                        label: ctx => `Commander cast: ${ctx.parsed.y.toFixed(1)}%`
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Update the turn-by-turn table
+ */
+function updateTable(stats) {
+    const headers = ['Turn', 'Lands', 'Mana Available', 'Mana Spent', 'Total Spent'];
+    if (stats.hasCommander) headers.push('P(Commander)');
+
+    renderMultiColumnTable('goldfish-turnTable', headers, stats.byTurn.map(t => {
+        const row = [
+            t.turn,
+            formatNumber(t.lands, 2),
+            formatNumber(t.manaAvailable, 2),
+            formatNumber(t.manaSpent, 2),
+            formatNumber(t.cumulativeSpent, 2)
+        ];
+        if (stats.hasCommander) row.push(formatPercentage(t.commanderCast));
+        return row;
+    }));
+}
+
+/**
+ * Update the summary panel
+ */
+function updateStats(config, stats) {
+    const last = stats.byTurn[stats.byTurn.length - 1];
+    const efficiency = stats.byTurn.reduce((sum, t) => sum + t.manaAvailable, 0);
+    const commanderBy = (turn) => stats.byTurn[Math.min(turn, stats.byTurn.length) - 1]?.commanderCast || 0;
+    const commanderTurn = config.options.commanderCmc;
+
+    const cardsHTML = [
+        renderStatCard('Mana Spent', formatNumber(stats.totalSpent, 1), `by turn ${last.turn}`, COLORS.cumulative),
+        renderStatCard('Mana Used', formatPercentage(efficiency > 0 ? stats.totalSpent / efficiency : 0), 'of mana available', COLORS.spent),
+        renderStatCard('Lands', formatNumber(last.lands, 1), `in play on turn ${last.turn}`, COLORS.available)
+    ];
+    if (stats.hasCommander) {
+        cardsHTML.push(renderStatCard('Commander On Curve', formatPercentage(commanderBy(commanderTurn)), `cast by turn ${commanderTurn}`, COLORS.commander));
+    }
+
+    const notes = [
+        `${formatNumber(stats.numSims, 0)} games ${config.options.onDraw ? 'on the draw' : 'on the play'}, no mulligans or interaction.`,
+        config.rampCount > 0
+            ? `${config.rampCount} tagged ramp card${config.rampCount !== 1 ? 's' : ''} (${RAMP_TAGS.join(', ')}) are cast first.`
+            : `No ramp cards are tagged: tag rocks, dorks and ramp spells (${RAMP_TAGS.join(', ')}) in the Card List to include them.`,
+        'Colors are ignored.'
+    ];
+
+    const container = document.getElementById('goldfish-stats');
+    if (container) {
+        container.innerHTML = `
+            ${renderInsightBox('🐟 Goldfish Summary', `On average you spend <strong>${formatNumber(stats.totalSpent, 1)}</strong> mana over the first ${last.turn} turns.`, notes.join(' '))}
+            ${renderStatsGrid(cardsHTML)}
+        `;
+    }
+}
+
+/**
+ * Generate stable samples from the deck on the worker pool
+ */
+function generateStableSamples(deck, count, onReady = null) {
+    const seed = getSeed();
+    runSimulation('shuffleSamples', { deck, count: Math.max(count, CONFIG.SAMPLE_COUNT_DEFAULT), seed: deriveSeed('goldfish-samples') }, {
+        key: 'goldfish-samples',
+        onProgress: (fraction) => showSimulationProgress('goldfish', fraction),
+        onComplete: (samples) => {
+            showSimulationProgress('goldfish', null);
+            stableSamples = samples;
+            sampleSeed = seed;
+            if (onReady) onReady();
+        }
+    });
+}
+
+/**
+ * Force refresh of stable samples
+ */
+function refreshSamples() {
+    const config = getDeckConfig();
+    if (!config.hasImportedData) return;
+
+    const countInput = document.getElementById('goldfish-sample-count');
+    const numSims = Math.max(1, parseInt(countInput?.value) || CONFIG.SAMPLE_COUNT_DEFAULT);
+    rerollSeed();
+    generateStableSamples(config.deck, numSims, runSampleReveals);
+}
+
+/**
+ * Render one game as a turn-by-turn board replay
+ */
+function renderGameReplay(game, index) {
+    const commanderNote = game.commanderTurn !== null ? ` · commander turn ${game.commanderTurn}` : '';
+    const totalSpent = game.turns.reduce((sum, t) => sum + t.manaSpent, 0);
+    const statusClass = game.commanderTurn !== null || totalSpent >= game.turns.length * 2 ? 'free-spell' : 'whiff';
+
+    let html = `<div class="sample-reveal ${statusClass}">`;
+    html += `<div><strong>Sample ${index + 1}:</strong> ${totalSpent} mana spent${commanderNote}</div>`;
+    html += '<div class="goldfish-replay">';
+    game.turns.forEach(t => {
+        const land = t.land ? renderCardBadge(t.land) : '<span class="goldfish-miss">no land</span>';
+        const cast = t.cast.map(card => card.isCommander
+            ? '<span class="reveal-card commander">Commander</span>'
+            : renderCardBadge(card)).join('');
+        html += `
+            <div class="goldfish-turn">
+                <span class="goldfish-turn-label">T${t.turn}</span>
+                <span class="goldfish-turn-mana">${t.manaSpent}/${t.manaAvailable}</span>
+                <span class="goldfish-turn-cards">${land}${cast}</span>
+            </div>
+        `;
+    });
+    html += '</div></div>';
+    return html;
+}
+
+/**
+ * Replay the stable samples turn by turn
+ */
+export function runSampleReveals() {
+    const config = getDeckConfig();
+    const display = document.getElementById('goldfish-reveals-display');
+    if (!display) return;
+
+    if (!config.hasImportedData) {
+        display.innerHTML = '<p style="color: var(--text-dim);">Please import a decklist to run simulations.</p>';
+        return;
+    }
+
+    const countInput = document.getElementById('goldfish-sample-count');
+    const numSims = Math.max(1, parseInt(countInput?.value) || CONFIG.SAMPLE_COUNT_DEFAULT);
+
+    if (stableSamples.length < numSims || sampleSeed !== getSeed()) {
+        generateStableSamples(config.deck, numSims, runSampleReveals);
+        return;
+    }
+
+    renderedCount = 0;
+    const listId = 'goldfish-samples-list';
+    const loadMoreId = 'goldfish-load-more';
+    display.innerHTML = createCollapsibleSection(
+        `Show/Hide Game Replays (${numSims} samples)`,
+        `<div id="${listId}"></div>
+        <button id="${loadMoreId}" class="import-btn" style="width: 100%; margin-top: 12px; display: none;">Load More</button>`,
+        true
+    );
+
+    const listContainer = document.getElementById(listId);
+    const loadMoreBtn = document.getElementById(loadMoreId);
+
+    const renderBatch = (batchSize) => {
+        const end = Math.min(renderedCount + batchSize, numSims);
+        let html = '';
+        for (let i = renderedCount; i < end; i++) {
+            html += renderGameReplay(simulateGoldfishGame(stableSamples[i], config.options), i);
+        }
+        if (listContainer) listContainer.insertAdjacentHTML('beforeend', html);
+        renderedCount = end;
+
+        if (loadMoreBtn) {
+            if (renderedCount < numSims) {
+                loadMoreBtn.style.display = 'block';
+                loadMoreBtn.textContent = `Load More (Showing ${renderedCount}/${numSims})`;
+            } else {
+                loadMoreBtn.style.display = 'none';
+            }
+        }
+    };
+
+    renderBatch(20);
+    if (loadMoreBtn) loadMoreBtn.addEventListener('click', () => renderBatch(50));
+}
+
+/**
+ * Render a calculate() result
+ */
+function renderResults({ config, stats }) {
+    const importWarning = document.getElementById('goldfish-import-warning');
+    const results = document.getElementById('goldfish-results');
+
+    if (!stats) {
+        if (importWarning) importWarning.style.display = 'block';
+        if (results) results.style.display = 'none';
+        return;
+    }
+
+    if (importWarning) importWarning.style.display = 'none';
+    if (results) results.style.display = 'block';
+
+    const commanderPanel = document.getElementById('goldfish-commander-panel');
+    if (commanderPanel) commanderPanel.style.display = stats.hasCommander ? 'block' : 'none';
+
+    render({ config, stats });
+    updateStats(config, stats);
+}
+
+/**
+ * Update all UI elements
+ */
+export function updateUI() {
+    calculateAsync(renderResults);
+
+    const hint = document.getElementById('goldfish-commander-hint');
+    if (hint) {
+        const name = DeckConfig.getCommanderName();
+        hint.textContent = name ? `Blank = ${name}'s mana value` : 'Blank = no commander';
+    }
+
+    if (document.getElementById('goldfish-reveals-display') && getDeckConfig().hasImportedData) {
+        runSampleReveals();
+    }
+}
+
+/**
+ * Draw the charts and table for a calculate() result (used for the A/B compare overlay)
+ * @param {Object} data - Result of calculate()
+ */
+export function render({ stats }) {
+    if (!stats) return;
+    updateManaChart(stats);
+    if (stats.hasCommander) updateCommanderChart(stats);
+    updateTable(stats);
+}
+
+/**
+ * Initialize Goldfish calculator
+ */
+export function init() {
+    registerCalculator({
+        name: 'goldfish',
+        calculate,
+        calculateAsync,
+        updateUI,
+        render,
+        inputs: ['turns', 'onDraw', 'commanderCmc'],
+        sensitivity: [
+            {
+                label: 'Mana Spent',
+                value: ({ stats }) => stats?.totalSpent,
+                error: ({ stats }) => stats ? stats.totalSpentSd / Math.sqrt(stats.numSims) : 0
+            },
+            {
+                label: 'Commander Cast',
+                percent: true,
+                value: ({ stats }) => stats?.hasCommander ? stats.byTurn[stats.byTurn.length - 1].commanderCast : null,
+                error: ({ stats }) => proportionError(stats.byTurn[stats.byTurn.length - 1].commanderCast, stats.numSims)
+            }
+        ],
+        init: () => {
+            const container = document.getElementById('goldfish-sample-reveals');
+            if (container) {
+                container.innerHTML = generateSampleRevealsHTML('goldfish', 'Sample Games');
+            }
+            const countInput = document.getElementById('goldfish-sample-count');
+            if (countInput) countInput.value = CONFIG.SAMPLE_COUNT_DEFAULT;
+            const btn = document.getElementById('goldfish-draw-reveals-btn');
+            if (btn) btn.addEventListener('click', refreshSamples);
+        }
+    });
+}
@@ -0,0 +1,539 @@
+/**
+ * Hermit Druid / Mulch Calculator
+ * Simulates "reveal until" library dumps: cards are revealed until enough
+ * stop cards (basic lands, or any lands) turn up. Stop cards go to hand and
+ * everything else is milled.
+ *
+ * Hermit Druid stops at the first basic land, so a deck without basics mills
+ * its whole library. Mulch is the same with any land and a cap of four cards.
+ * Lumra's graveyard settings show the lands it would return afterwards.
+ */
+
+import { formatNumber, formatPercentage, createCache } from '../utils/simulation.js';
+import { renderMultiColumnTable } from '../utils/tableUtils.js';
+import { createOrUpdateChart } from '../utils/chartHelpers.js';
+import * as DeckConfig from '../utils/deckConfig.js';
+import { registerCalculator, slotKey, createStableSamples } from '../utils/calculatorBase.js';
+import { renderStatCard, renderStatsGrid, renderInsightBox, renderInterval, generateSampleRevealsHTML } from '../utils/components.js';
+import { buildDeckFromCardData, getLibraryCards, hashCardCounts, removeOneCopy, shuffleDeck, renderCardBadge, renderSampleList } from '../utils/sampleSimulator.js';
+import { runSimulation, registerSimulationTask } from '../utils/workerPool.js';
+import { createRng, deriveSeed } from '../utils/random.js';
+import { Z_95, proportionError, sumsError, withinTolerance, simulateUntilPrecise } from '../utils/confidence.js';
+import { getPrecision, precisionKey, describeRun } from '../utils/precision.js';
+import { getGraveyardSettings, MILL_PER_TRIGGER } from './lumra.js';
+
+const CONFIG = {
+    DEFAULT_SIM_COUNT: 5000,
+    DEFAULT_SAMPLE_SIZE: 500
+};
+
+/**
+ * Presets for well-known cards
+ * stopType: which cards stop the reveal and go to hand; stopCount: how many;
+ * cap: most cards revealed (0 = no cap); engine: the card itself, not in the library
+ */
+export const PRESETS = {
+    hermit: { name: 'Hermit Druid', stopType: 'basic', stopCount: 1, cap: 0, engine: 'Hermit Druid' },
+    mulch: { name: 'Mulch', stopType: 'land', stopCount: 4, cap: 4, engine: 'Mulch' }
+};
+
+// Why a dump ended
+const STOP_LABELS = {
+    stop: 'Stop card found',
+    cap: 'Reveal cap',
+    library: 'Whole library'
+};
+
+let simulationCache = createCache(50);
+let lastDeckHash = '';
+let chart = null;
+
+const samples = createStableSamples('hermit', { minCount: CONFIG.DEFAULT_SAMPLE_SIZE });
+
+/**
+ * Whether a revealed card stops the dump (and goes to hand)
+ * @param {Object} card - Card from buildDeckFromCardData
+ * @param {string} stopType - 'basic' or 'land'
+ * @returns {boolean}
+ */
+export function isStopCard(card, stopType) {
+    if (!card.types.includes('land')) return false;
+    return stopType === 'land' || /\bbasic\b/i.test(card.type_line || '');
+}
+
+/**
+ * Resolve one dump from a shuffled library
+ * @param {Array} library - Shuffled library, top card first
+ * @param {Object} options - { stopType, stopCount, cap, tagNames, gyLands, lumraMill }
+ * @returns {Object} - { milled, toHand, stoppedBy, landsMilled, tagsFound, lumraMilled, lumraReturned }
+ */
+export function simulateDump(library, options) {
+    const { stopType = 'basic', stopCount = 1, cap = 0, tagNames = [], gyLands = 0, lumraMill = 0 } = options;
+
+    const milled = [];
+    const toHand = [];
+    let stoppedBy = 'library';
+    let revealed = 0;
+
+    for (const card of library) {
+        if (cap > 0 && revealed >= cap) { stoppedBy = 'cap'; break; }
+        revealed++;
+        if (isStopCard(card, stopType)) {
+            toHand.push(card);
+            if (toHand.length >= stopCount) { stoppedBy = 'stop'; break; }
+        } else {
+            milled.push(card);
+        }
+    }
+
+    const landsMilled = milled.filter(card => card.types.includes('land')).length;
+    const milledNames = new Set(milled.map(card => card.name));
+    // Lumra mills the next cards, then returns every land in the graveyard
+    const lumraMilled = library.slice(revealed, revealed + lumraMill);
+
+    return {
+        milled,
+        toHand,
+        stoppedBy,
+        landsMilled,
+        tagsFound: tagNames.length > 0 ? tagNames.every(name => milledNames.has(name)) : null,
+        lumraMilled,
+        lumraReturned: gyLands + landsMilled + lumraMilled.filter(card => card.types.includes('land')).length
+    };
+}
+
+/**
+ * Simulate many dumps
+ * @param {Array} deck - Library from buildDeckFromCardData (engine card and commander removed)
+ * @param {Object} options - simulateDump options
+ * @param {number} numSims - Dumps to simulate (adaptive precision runs until within tolerance instead)
+ * @param {Object} simOptions - { rng, onProgress, precision }
+ * @returns {Object|null} - Averages with 95% half-widths, the milled distribution and per-card graveyard odds
+ */
+export function calculateDumpStats(deck, options, numSims = CONFIG.DEFAULT_SIM_COUNT, simOptions = {}) {
+    const { rng, onProgress = null, precision = null } = simOptions;
+    if (!deck || deck.length === 0) return null;
+
+    const tagNames = options.tagNames || [];
+    const hasTags = tagNames.length > 0;
+
+    let milledTotal = 0;
+    let milledSquares = 0;
+    let landsTotal = 0;
+    let lumraTotal = 0;
+    let lumraSquares = 0;
+    let tagHits = 0;
+    let fullDumps = 0;
+    const milledDist = new Array(deck.length + 1).fill(0);
+    const stopReasons = {};
+    const tagCounts = Object.fromEntries(tagNames.map(name => [name, 0]));
+
+    const runBatch = (batchSize) => {
+        for (let i = 0; i < batchSize; i++) {
+            const dump = simulateDump(shuffleDeck([...deck], rng), options);
+            const count = dump.milled.length;
+            milledTotal += count;
+            milledSquares += count * count;
+            landsTotal += dump.landsMilled;
+            lumraTotal += dump.lumraReturned;
+            lumraSquares += dump.lumraReturned * dump.lumraReturned;
+            if (dump.tagsFound) tagHits++;
+            if (dump.stoppedBy === 'library') fullDumps++;
+            milledDist[count]++;
+            stopReasons[dump.stoppedBy] = (stopReasons[dump.stoppedBy] || 0) + 1;
+            if (hasTags) {
+                const names = new Set(dump.milled.map(card => card.name));
+                tagNames.forEach(name => { if (names.has(name)) tagCounts[name]++; });
+            }
+        }
+    };
+
+    const halfWidths = (trials) => ({
+        avgMilled: Z_95 * sumsError(milledTotal, milledSquares, trials),
+        avgLumra: Z_95 * sumsError(lumraTotal, lumraSquares, trials),
+        tagProb: hasTags ? Z_95 * proportionError(tagHits / trials, trials) : 0,
+        fullDumpProb: Z_95 * proportionError(fullDumps / trials, trials)
+    });
+
+    const isPrecise = (trials) => {
+        const hw = halfWidths(trials);
+        return withinTolerance(hw.avgMilled, milledTotal / trials, precision.tolerance, false) &&
+            withinTolerance(hw.avgLumra, lumraTotal / trials, precision.tolerance, false) &&
+            withinTolerance(hw.tagProb, tagHits / trials, precision.tolerance, true) &&
+            withinTolerance(hw.fullDumpProb, fullDumps / trials, precision.tolerance, true);
+    };
+
+    const run = simulateUntilPrecise(runBatch, isPrecise, { trials: numSims, precision, onProgress });
+    const trials = run.trials;
+
+    // Drop the empty tail so the chart ends at the deepest dump seen
+    let last = milledDist.length - 1;
+    while (last > 0 && milledDist[last] === 0) last--;
+
+    return {
+        avgMilled: milledTotal / trials,
+        avgLandsMilled: landsTotal / trials,
+        avgLumra: lumraTotal / trials,
+        tagProb: hasTags ? tagHits / trials : null,
+        fullDumpProb: fullDumps / trials,
+        halfWidths: halfWidths(trials),
+        milledDist: milledDist.slice(0, last + 1).map(count => count / trials),
+        stopReasons: Object.fromEntries(Object.entries(stopReasons).map(([reason, count]) => [reason, count / trials])),
+        tagOdds: tagNames.map(name => ({ name, prob: tagCounts[name] / trials })),
+        numSims: trials,
+        converged: run.converged
+    };
+}
+
+registerSimulationTask('hermitDumpStats', ({ deck, options, numSims, precision, seed }, onProgress) =>
+    calculateDumpStats(deck, options, numSims, { rng: createRng(seed), precision, onProgress })
+);
+
+/**
+ * Get current configuration
+ * @returns {Object} - { deck, options, deckHash, hasImportedData, tag, engineRemoved, basics }
+ */
+export function getDeckConfig() {
+    const { cardsByName } = DeckConfig.getImportedCardData();
+    const libraryCards = getLibraryCards(cardsByName, DeckConfig.getCommanderName());
+
+    const readInt = (id, fallback, min, max) => {
+        const value = parseInt(document.getElementById(id)?.value);
+        return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback;
+    };
+
+    const deck = buildDeckFromCardData({ cardsByName: libraryCards });
+    // Hermit Druid is on the battlefield and Mulch on the stack, so one copy is out of the library
+    const engine = PRESETS[document.getElementById('hermit-preset')?.value]?.engine;
+    const engineRemoved = removeOneCopy(deck, engine);
+
+    const tag = document.getElementById('hermit-tag')?.value || '';
+    const tagNames = tag
+        ? Object.values(libraryCards).filter(card => (card.tags || []).includes(tag)).map(card => card.name)
+        : [];
+    const { gyLands, multiplier } = getGraveyardSettings();
+    const stopType = document.getElementById('hermit-stopType')?.value === 'land' ? 'land' : 'basic';
+
+    const options = {
+        stopType,
+        stopCount: readInt('hermit-stopCountValue', 1, 1, 20),
+        cap: readInt('hermit-capValue', 0, 0, 99),
+        tagNames,
+        gyLands,
+        lumraMill: MILL_PER_TRIGGER * multiplier
+    };
+
+    const deckHash = hashCardCounts(libraryCards, true);
+
+    if (DeckConfig.isPrimaryDeck() && deckHash !== lastDeckHash) {
+        simulationCache.clear();
+        lastDeckHash = deckHash;
+    }
+    samples.trackDeck(deckHash);
+
+    return {
+        deck,
+        options,
+        deckHash,
+        tag,
+        engine: engineRemoved ? engine : null,
+        stopCards: deck.filter(card => isStopCard(card, stopType)).length,
+        hasImportedData: Object.keys(cardsByName || {}).length > 0
+    };
+}
+
+function statsCacheKey(config, seed, precision) {
+    return `${config.deckHash}-${config.engine}-${JSON.stringify(config.options)}-${seed}-${precisionKey(precision)}`;
+}
+
+/**
+ * Calculate dump stats on the calling thread (cached)
+ * @returns {Object} - { config, stats }
+ */
+export function calculate() {
+    const config = getDeckConfig();
+    if (!config.hasImportedData || config.deck.length === 0) return { config, stats: null };
+
+    const precision = getPrecision();
+    const seed = deriveSeed('hermit-stats');
+    const cacheKey = statsCacheKey(config, seed, precision);
+    let stats = simulationCache.get(cacheKey);
+    if (!stats) {
+        stats = calculateDumpStats(config.deck, config.options, CONFIG.DEFAULT_SIM_COUNT, { rng: createRng(seed), precision });
+        simulationCache.set(cacheKey, stats);
+    }
+    return { config, stats };
+}
+
+/**
+ * Calculate dump stats on the worker pool
+ * @param {Function} onComplete - Called with { config, stats }
+ */
+export function calculateAsync(onComplete) {
+    const config = getDeckConfig();
+    if (!config.hasImportedData || config.deck.length === 0) {
+        onComplete({ config, stats: null });
+        return;
+    }
+
+    const precision = getPrecision();
+    const seed = deriveSeed('hermit-stats');
+    const cacheKey = statsCacheKey(config, seed, precision);
+    const cached = simulationCache.get(cacheKey);
+    if (cached) {
+        onComplete({ config, stats: cached });
+        return;
+    }
+
+    runSimulation('hermitDumpStats', { deck: config.deck, options: config.options, numSims: CONFIG.DEFAULT_SIM_COUNT, precision, seed }, {
+        key: slotKey('hermit-stats'),
+        onComplete: (stats) => {
+            simulationCache.set(cacheKey, stats);
+            onComplete({ config, stats });
+        }
+    });
+}
+
+/**
+ * Update the cards milled chart
+ */
+function updateChart(stats) {
+    chart = createOrUpdateChart(chart, 'hermit-chart', {
+        type: 'bar',
+        data: {
+            labels: stats.milledDist.map((_, count) => `${count}`),
+            datasets: [{
+                label: 'Probability %',
+                data: stats.milledDist.map(p => p * 100),
+                backgroundColor: 'rgba(190, 24, 93, 0.7)',
+                borderColor: '#be185d',
+                borderWidth: 1
+            }]
+        },
+        options: {
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    title: { display: true, text: 'Probability %', color: '#be185d' },
+                    grid: { color: 'rgba(190, 24, 93, 0.15)' },
+                    ticks: { color: '#be185d' }
+                },
+                x: {
+                    title: { display: true, text: 'Cards milled', color: '#a09090' },
+                    grid: { display: false },
+                    ticks: { color: '#a09090' }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Update the tagged cards table
+ */
+function updateTable(config, stats) {
+    const headers = ['Tagged Card', 'P(In Graveyard)'];
+    const rows = stats.tagOdds.map(t => [t.name, formatPercentage(t.prob)]);
+    if (stats.tagProb !== null) {
+        rows.push({ cells: [`All ${stats.tagOdds.length} (${config.tag})`, formatPercentage(stats.tagProb)], class: 'current' });
+    } else {
+        rows.push(['Choose a tag above to track a set of cards', '']);
+    }
+    renderMultiColumnTable('hermit-tagTable', headers, rows);
+}
+
+/**
+ * Update the summary panel
+ */
+function updateStats(config, stats) {
+    const container = document.getElementById('hermit-stats');
+    if (!container) return;
+
+    const { options } = config;
+    const hw = stats.halfWidths;
+    const stopName = options.stopType === 'basic' ? 'basic land' : 'land';
+
+    const cardsHTML = [
+        renderStatCard('Cards Milled', `${formatNumber(stats.avgMilled, 1)} ${renderInterval(hw.avgMilled.toFixed(1))}`, `of ${config.deck.length} in the library`, '#be185d'),
+        renderStatCard('Whole Library', `${formatPercentage(stats.fullDumpProb)} ${renderInterval(`${(hw.fullDumpProb * 100).toFixed(1)}%`)}`, 'milled without stopping', 'var(--text-light)'),
+        renderStatCard('Lumra Afterwards', `${formatNumber(stats.avgLumra, 1)} ${renderInterval(hw.avgLumra.toFixed(1))}`, 'lands returned', '#65a30d')
+    ];
+    if (stats.tagProb !== null) {
+        cardsHTML.push(renderStatCard('Tagged Set', `${formatPercentage(stats.tagProb)} ${renderInterval(`${(hw.tagProb * 100).toFixed(1)}%`)}`, `all ${config.tag} cards milled`, '#22c55e'));
+    }
+
+    const reasons = Object.entries(stats.stopReasons)
+        .sort((a, b) => b[1] - a[1])
+        .map(([reason, p]) => `${STOP_LABELS[reason]} ${formatPercentage(p)}`)
+        .join(' · ');
+
+    const content = `Reveal until ${options.stopCount} ${stopName}${options.stopCount !== 1 ? 's' : ''}` +
+        `${options.cap > 0 ? ` or ${options.cap} cards` : ''} (${config.stopCards} in the library). Dumps end: ${reasons}.`;
+
+    const notes = [
+        `${describeRun(stats.numSims, stats.converged)}. ± is the 95% confidence interval.`,
+        config.engine ? `One ${config.engine} is out of the library.` : '',
+        `Lumra afterwards: ${options.gyLands} land${options.gyLands !== 1 ? 's' : ''} already in the graveyard, ${formatNumber(stats.avgLandsMilled, 1)} milled by the dump and Lumra's own mill ${options.lumraMill} (set on the Lumra tab).`
+    ].filter(Boolean);
+
+    container.innerHTML = `
+        ${renderInsightBox('🧙 Library Dump Analysis', content, notes.join(' '))}
+        ${renderStatsGrid(cardsHTML)}
+    `;
+}
+
+/**
+ * Force refresh of stable samples
+ */
+function refreshSamples() {
+    const config = getDeckConfig();
+    if (!config.hasImportedData) return;
+
+    samples.refresh(config.deck, runSampleReveals);
+}
+
+/**
+ * Render one dump: milled cards (tagged ones outlined), then the cards kept
+ */
+function renderDump(dump, options, index) {
+    const statusClass = dump.tagsFound || (dump.tagsFound === null && dump.stoppedBy === 'library') ? 'free-spell' : 'whiff';
+    const tagNote = dump.tagsFound === null ? '' : (dump.tagsFound ? ' · tagged set milled' : ' · tagged set incomplete');
+
+    let html = `<div class="sample-reveal ${statusClass}">`;
+    html += `<div><strong>Dump ${index + 1}:</strong> ${dump.milled.length} milled, ${dump.landsMilled} land${dump.landsMilled !== 1 ? 's' : ''}` +
+        ` <span style="color: var(--text-dim);">(${STOP_LABELS[dump.stoppedBy]}${tagNote})</span></div>`;
+    html += '<div style="margin: 8px 0;">';
+    // Full dumps mill the whole library, so only the first cards are listed
+    dump.milled.slice(0, 30).forEach(card => {
+        html += options.tagNames.includes(card.name)
+            ? `<span style="outline: 1px solid #22c55e; border-radius: 4px;">${renderCardBadge(card)}</span>`
+            : renderCardBadge(card);
+    });
+    if (dump.milled.length > 30) html += `<span style="color: var(--text-dim);"> +${dump.milled.length - 30} more</span>`;
+    html += '</div>';
+    if (dump.toHand.length > 0) {
+        html += `<div style="font-size: 0.85em; color: var(--text-dim);">To hand: ${dump.toHand.map(card => renderCardBadge(card)).join('')}</div>`;
+    }
+    html += '</div>';
+    return html;
+}
+
+/**
+ * Replay the stable samples
+ */
+export function runSampleReveals() {
+    const config = getDeckConfig();
+    const display = document.getElementById('hermit-reveals-display');
+    if (!display) return;
+
+    if (!config.hasImportedData) {
+        display.innerHTML = '<p style="color: var(--text-dim);">Please import a decklist to run simulations.</p>';
+        return;
+    }
+
+    const numSims = samples.count();
+    const shuffles = samples.get(config.deck, runSampleReveals);
+    if (!shuffles) return;
+
+    // Stats over every sample
+    let totalMilled = 0;
+    let tagHits = 0;
+    let fullDumps = 0;
+    for (let i = 0; i < numSims; i++) {
+        const dump = simulateDump(shuffles[i], config.options);
+        totalMilled += dump.milled.length;
+        if (dump.tagsFound) tagHits++;
+        if (dump.stoppedBy === 'library') fullDumps++;
+    }
+
+    renderSampleList(display, {
+        name: 'hermit',
+        heading: 'Sample dumps:',
+        stats: [
+            `<span>Milled: ${(totalMilled / numSims).toFixed(1)}</span>`,
+            config.options.tagNames.length > 0 ? `<span style="color: #22c55e;">Tagged set: ${(tagHits / numSims * 100).toFixed(1)}%</span>` : '',
+            `<span>Whole library: ${(fullDumps / numSims * 100).toFixed(1)}%</span>`
+        ],
+        title: 'Dumps',
+        count: numSims,
+        renderSample: (i) => renderDump(simulateDump(shuffles[i], config.options), config.options, i)
+    });
+}
+
+/**
+ * Update all UI elements
+ */
+export function updateUI() {
+    updateTagOptions();
+    calculateAsync(renderResults);
+
+    if (document.getElementById('hermit-reveals-display') && getDeckConfig().hasImportedData) {
+        runSampleReveals();
+    }
+}
+
+/**
+ * Draw the chart and table for a calculate() result (used for the A/B compare overlay)
+ * @param {Object} data - Result of calculate()
+ */
+export function render({ config, stats }) {
+    if (!stats) return;
+    updateChart(stats);
+    updateTable(config, stats);
+}
+
+/**
+ * Initialize Hermit Druid calculator
+ */
+export function init() {
+    registerCalculator({
+        name: 'hermit',
+        calculate,
+        calculateAsync,
+        updateUI,
+        render,
+        inputs: ['stopCount', 'cap', 'tag'],
+        sensitivity: [
+            {
+                label: 'Cards Milled',
+                value: ({ stats }) => stats?.avgMilled,
+                error: ({ stats }) => stats.halfWidths.avgMilled / Z_95
+            },
+            {
+                label: 'Tagged Set',
+                percent: true,
+                value: ({ stats }) => stats?.tagProb,
+                error: ({ stats }) => proportionError(stats.tagProb, stats.numSims)
+            }
+        ],
+        init: (debouncedUpdate) => {
+            const container = document.getElementById('hermit-sample-reveals');
+            if (container) {
+                container.innerHTML = generateSampleRevealsHTML('hermit', 'Sample Dumps');
+            }
+            const btn = document.getElementById('hermit-draw-reveals-btn');
+            if (btn) btn.addEventListener('click', refreshSamples);
+
+            const presetSelect = document.getElementById('hermit-preset');
+            if (presetSelect) {
+                presetSelect.addEventListener('change', () => {
+                    applyPreset(presetSelect.value);
+                    debouncedUpdate();
+                });
+            }
+
+            // Editing the stop rule by hand leaves the preset
+            document.getElementById('hermit-stopType')?.addEventListener('change', () => {
+                if (presetSelect) presetSelect.value = 'custom';
+                debouncedUpdate();
+            });
+            ['hermit-stopCountSlider', 'hermit-stopCountValue', 'hermit-capSlider', 'hermit-capValue'].forEach(id => {
+                document.getElementById(id)?.addEventListener('input', () => {
+                    if (presetSelect) presetSelect.value = 'custom';
+                });
+            });
+
+            applyPreset(presetSelect?.value || 'hermit');
+        }
+    });
+}
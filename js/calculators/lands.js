@@ -11,21 +11,43 @@ import * as DeckConfig from '../utils/deckConfig.js';
 import { registerCalculator } from '../utils/calculatorBase.js';
 import { renderStatCard, renderStatsGrid, renderInsightBox, generateSampleRevealsHTML } from '../utils/components.js';
 import {
-    buildDeckFromCardData, shuffleDeck, renderCardBadge, 
+    buildDeckFromCardData, renderCardBadge, 
     createCollapsibleSection, extractCardTypes
 } from '../utils/sampleSimulator.js';
+import { runSimulation, cancelSimulation } from '../utils/workerPool.js';
+import { showSimulationProgress } from '../utils/ui.js';
+import { deriveSeed, getSeed, rerollSeed } from '../utils/random.js';
+import { getDrawProfile, cardsSeenByTurn, drawProfileKey, describeDrawProfile } from '../utils/drawProfile.js';
+import * as Mulligan from './mulligan.js';
 
 let simulationCache = createCache(100);
 let lastDeckHash = '';
 let openingHandChart = null;
 let landDropChart = null;
+let optimizerChart = null;
 
 // Stable samples state
 let stableSamples = [];
+let sampleSeed = null;
 let lastSampleDeckHash = '';
 const SAMPLE_COUNT_DEFAULT = 10;
 let renderedCount = 0; // Track displayed samples for pagination
 
+// Land count optimizer
+const OPTIMIZER = {
+    DROP_TURN: 5,    // Objective: make every land drop through this turn
+    FLOOD_TURN: 5,   // Flood: FLOOD_LANDS or more lands among the cards seen by this turn
+    FLOOD_LANDS: 7,
+    RANGE: 6         // Default sweep: current land count ± RANGE
+};
+
+const OBJECTIVE_LABELS = {
+    drops: `Land drops through turn ${OPTIMIZER.DROP_TURN}`,
+    mulligan: 'Mulligan strategy success',
+    flood: 'Avoid flood',
+    weighted: 'Weighted combination'
+};
+
 // Color constants
 const COLORS = {
     primary: '#4ade80',
@@ -44,11 +66,12 @@ const COLORS = {
  * @param {number} deckSize - Total deck size
  * @param {number} landCount - Number of lands in deck
  * @param {number} turn - Turn number
+ * @param {Object} drawProfile - Play/draw and extra cards seen (see drawProfile.js)
  * @returns {number} - Probability of having enough lands
  */
-function newLands(deckSize, landCount, turn) {
-    // By turn N, you've drawn turn + 7 cards (7 opening hand + turn draws)
-    const cardsDrawn = turn + 7;
+function newLands(deckSize, landCount, turn, drawProfile) {
+    // Opening hand + draw steps (none on turn 1 on the play) + extra looks
+    const cardsDrawn = cardsSeenByTurn(turn, drawProfile);
     // Need at least turn lands to make every drop
     return 1 - drawTypeMin(deckSize, landCount, cardsDrawn, turn);
 }
@@ -57,10 +80,11 @@ function newLands(deckSize, landCount, turn) {
  * Calculate the median turn for missing a land drop
  * @param {number} deckSize - Total deck size
  * @param {number} landCount - Number of lands in deck
+ * @param {Object} drawProfile - Play/draw and extra cards seen, defaults to the current profile
  * @returns {number} - Expected turn for missing land drop
  */
-export function calculateLandDropMiss(deckSize, landCount) {
-    const cacheKey = `miss-${deckSize}-${landCount}`;
+export function calculateLandDropMiss(deckSize, landCount, drawProfile = getDrawProfile()) {
+    const cacheKey = `miss-${deckSize}-${landCount}-${drawProfileKey(drawProfile)}`;
     const cached = simulationCache.get(cacheKey);
     if (cached) return cached;
 
@@ -69,7 +93,7 @@ export function calculateLandDropMiss(deckSize, landCount) {
 
     // Find the turn where probability of missing crosses 50%
     for (let turn = 1; turn <= 10; turn++) {
-        const missProbability = newLands(deckSize, landCount, turn);
+        const missProbability = newLands(deckSize, landCount, turn, drawProfile);
         if (missProbability > 0.5) {
             simulationCache.set(cacheKey, turn);
             return turn;
@@ -84,12 +108,15 @@ export function calculateLandDropMiss(deckSize, landCount) {
 
 /**
  * Calculate distribution of lands in opening hand
+ * firstDrop is the same for the cards seen by the turn 1 land drop, which is
+ * more than the opener on the draw or with extra looks
  * @param {number} deckSize - Total deck size
  * @param {number} landCount - Number of lands in deck
- * @returns {Object} - Distribution and median
+ * @param {Object} drawProfile - Play/draw and extra cards seen, defaults to the current profile
+ * @returns {Object} - Distribution, median and firstDrop { cardsSeen, distribution }
  */
-export function calculateOpeningHands(deckSize, landCount) {
-    const cacheKey = `opening-${deckSize}-${landCount}`;
+export function calculateOpeningHands(deckSize, landCount, drawProfile = getDrawProfile()) {
+    const cacheKey = `opening-${deckSize}-${landCount}-${drawProfileKey(drawProfile)}`;
     const cached = simulationCache.get(cacheKey);
     if (cached) return cached;
 
@@ -108,7 +135,16 @@ export function calculateOpeningHands(deckSize, landCount) {
         }
     }
 
-    const result = { distribution, median };
+    const firstDropCards = Math.min(cardsSeenByTurn(1, drawProfile), deckSize);
+    const firstDrop = {
+        cardsSeen: firstDropCards,
+        distribution: Array.from({ length: firstDropCards + 1 }, (_, numLands) => ({
+            lands: numLands,
+            probability: drawType(deckSize, landCount, firstDropCards, numLands)
+        }))
+    };
+
+    const result = { distribution, median, firstDrop };
     simulationCache.set(cacheKey, result);
     return result;
 }
@@ -117,20 +153,22 @@ export function calculateOpeningHands(deckSize, landCount) {
  * Calculate land drop probabilities by turn
  * @param {number} deckSize - Total deck size
  * @param {number} landCount - Number of lands in deck
- * @returns {Array} - Array of {turn, probability} objects
+ * @param {Object} drawProfile - Play/draw and extra cards seen, defaults to the current profile
+ * @returns {Array} - Array of {turn, cardsSeen, makeProbability, missProbability} objects
  */
-export function calculateLandDropByTurn(deckSize, landCount) {
-    const cacheKey = `landdrops-${deckSize}-${landCount}`;
+export function calculateLandDropByTurn(deckSize, landCount, drawProfile = getDrawProfile()) {
+    const cacheKey = `landdrops-${deckSize}-${landCount}-${drawProfileKey(drawProfile)}`;
     const cached = simulationCache.get(cacheKey);
     if (cached) return cached;
 
     const results = [];
 
     for (let turn = 1; turn <= 10; turn++) {
-        const missProbability = newLands(deckSize, landCount, turn);
+        const missProbability = newLands(deckSize, landCount, turn, drawProfile);
         const makeProbability = 1 - missProbability;
         results.push({
             turn,
+            cardsSeen: cardsSeenByTurn(turn, drawProfile),
             makeProbability,
             missProbability
         });
@@ -141,15 +179,128 @@ export function calculateLandDropByTurn(deckSize, landCount) {
 }
 
 /**
- * Generate stable samples from the deck
+ * Calculate the probability of flooding: OPTIMIZER.FLOOD_LANDS or more lands
+ * among the cards seen by OPTIMIZER.FLOOD_TURN
+ * @param {number} deckSize - Total deck size
+ * @param {number} landCount - Number of lands in deck
+ * @param {Object} drawProfile - Play/draw and extra cards seen, defaults to the current profile
+ * @returns {number} - Flood probability
+ */
+export function calculateFloodProbability(deckSize, landCount, drawProfile = getDrawProfile()) {
+    const cacheKey = `flood-${deckSize}-${landCount}-${drawProfileKey(drawProfile)}`;
+    const cached = simulationCache.get(cacheKey);
+    if (cached !== undefined) return cached;
+
+    const cardsSeen = Math.min(cardsSeenByTurn(OPTIMIZER.FLOOD_TURN, drawProfile), deckSize);
+    const result = drawTypeMin(deckSize, landCount, cardsSeen, OPTIMIZER.FLOOD_LANDS);
+    simulationCache.set(cacheKey, result);
+    return result;
+}
+
+/**
+ * Flag the points that no other point beats on every metric
+ * @param {Array<Object>} points - Sweep points
+ * @param {Array<Object>} metrics - { key, higherIsBetter }
+ */
+function markParetoFront(points, metrics) {
+    const atLeast = (a, b) => metrics.every(m => m.higherIsBetter ? a[m.key] >= b[m.key] : a[m.key] <= b[m.key]);
+    const differs = (a, b) => metrics.some(m => a[m.key] !== b[m.key]);
+
+    points.forEach(point => {
+        point.pareto = !points.some(other => other !== point && atLeast(other, point) && differs(other, point));
+    });
+}
+
+/**
+ * Sweep the land count, swapping lands against a filler category, and score
+ * each count on the chosen objective
+ * @param {Object} options
+ * @param {number} options.deckSize - Total deck size
+ * @param {number} options.minLands - Lowest land count to try
+ * @param {number} options.maxLands - Highest land count to try
+ * @param {string} options.objective - 'drops', 'mulligan', 'flood' or 'weighted'
+ * @param {Object} options.weights - { drops, mulligan, flood } for the weighted objective
+ * @param {Object} options.mulligan - Mulligan setup { types, landIndex, fillerIndex, penalty, freeMulligan, confidenceThreshold };
+ *                                    fillerIndex -1 swaps against cards outside every type
+ * @param {Object} options.drawProfile - Play/draw and extra cards seen
+ * @returns {Object} - { points: [{ lands, filler, drops, flood, mulligan, score, pareto }], best }
+ */
+export function optimizeLandCount({
+    deckSize, minLands, maxLands, objective = 'drops',
+    weights = { drops: 1, mulligan: 1, flood: 1 }, mulligan = null, drawProfile = getDrawProfile()
+}) {
+    const useMulligan = objective === 'mulligan' || (objective === 'weighted' && weights.mulligan > 0);
+    if (useMulligan && (!mulligan || mulligan.landIndex < 0)) {
+        throw new Error('The mulligan objective needs a Lands card type in the Mulligan calculator');
+    }
+
+    const points = [];
+    for (let lands = Math.max(0, minLands); lands <= Math.min(deckSize, maxLands); lands++) {
+        const point = {
+            lands,
+            filler: null,
+            drops: calculateLandDropByTurn(deckSize, lands, drawProfile)[OPTIMIZER.DROP_TURN - 1].makeProbability,
+            flood: calculateFloodProbability(deckSize, lands, drawProfile),
+            mulligan: null
+        };
+
+        if (useMulligan) {
+            // Swap against the filler: the lands type takes the new count, the filler gives up the difference
+            const delta = lands - mulligan.types[mulligan.landIndex].count;
+            const types = mulligan.types.map((t, i) => {
+                if (i === mulligan.landIndex) return { ...t, count: lands };
+                if (i === mulligan.fillerIndex) return { ...t, count: t.count - delta };
+                return t;
+            });
+            const tracked = types.reduce((sum, t) => sum + t.count, 0);
+            if (types.some(t => t.count < 0) || tracked > deckSize) continue;
+
+            if (mulligan.fillerIndex >= 0) point.filler = types[mulligan.fillerIndex].count;
+            point.mulligan = Mulligan.calculateStrategySuccess(deckSize, types, { ...mulligan, drawProfile });
+        }
+
+        const totalWeight = weights.drops + (useMulligan ? weights.mulligan : 0) + weights.flood;
+        point.score = {
+            drops: point.drops,
+            mulligan: point.mulligan,
+            flood: 1 - point.flood,
+            weighted: totalWeight > 0
+                ? (weights.drops * point.drops + (useMulligan ? weights.mulligan * point.mulligan : 0) + weights.flood * (1 - point.flood)) / totalWeight
+                : 0
+        }[objective];
+
+        points.push(point);
+    }
+
+    markParetoFront(points, [
+        { key: 'drops', higherIsBetter: true },
+        { key: 'flood', higherIsBetter: false },
+        ...(useMulligan ? [{ key: 'mulligan', higherIsBetter: true }] : [])
+    ]);
+
+    // Fewest lands wins a tie
+    const best = points.reduce((top, point) => !top || point.score > top.score + 1e-12 ? point : top, null);
+    return { points, best };
+}
+
+/**
+ * Generate stable samples from the deck on the worker pool
  * @param {Array} deck - The source deck
  * @param {number} count - Number of samples to generate
+ * @param {Function} onReady - Called once the samples are in place
  */
-function generateStableSamples(deck, count) {
-    stableSamples = [];
-    for (let i = 0; i < Math.max(count, SAMPLE_COUNT_DEFAULT); i++) {
-        stableSamples.push(shuffleDeck([...deck]));
-    }
+function generateStableSamples(deck, count, onReady = null) {
+    const seed = getSeed();
+    runSimulation('shuffleSamples', { deck, count: Math.max(count, SAMPLE_COUNT_DEFAULT), seed: deriveSeed('lands-samples') }, {
+        key: 'lands-samples',
+        onProgress: (fraction) => showSimulationProgress('lands', fraction),
+        onComplete: (samples) => {
+            showSimulationProgress('lands', null);
+            stableSamples = samples;
+            sampleSeed = seed;
+            if (onReady) onReady();
+        }
+    });
 }
 
 /**
@@ -163,8 +314,8 @@ function refreshSamples() {
         const countInput = document.getElementById('lands-sample-count');
         const numSims = Math.max(1, parseInt(countInput?.value) || SAMPLE_COUNT_DEFAULT);
         const deck = buildDeckFromCardData(cardData);
-        generateStableSamples(deck, numSims);
-        runSampleReveals(); // Re-render
+        rerollSeed();
+        generateStableSamples(deck, numSims, runSampleReveals);
     }
 }
 
@@ -188,8 +339,9 @@ export function runSampleReveals() {
     const deck = buildDeckFromCardData(cardData);
 
     // Ensure we have stable samples
-    if (stableSamples.length < numSims) {
-        generateStableSamples(deck, numSims);
+    if (stableSamples.length < numSims || sampleSeed !== getSeed()) {
+        generateStableSamples(deck, numSims, runSampleReveals);
+        return;
     }
 
     // Reset render count
@@ -302,18 +454,19 @@ export function getDeckConfig() {
     // Ideally we check if the imported data actually changed
     const sampleHash = JSON.stringify(cardData?.cardsByName || {});
     
-    if (sampleHash !== lastSampleDeckHash && cardData && cardData.cardsByName && Object.keys(cardData.cardsByName).length > 0) {
-        const deck = buildDeckFromCardData(cardData);
-        generateStableSamples(deck, SAMPLE_COUNT_DEFAULT);
+    if (DeckConfig.isPrimaryDeck() && sampleHash !== lastSampleDeckHash && cardData && cardData.cardsByName && Object.keys(cardData.cardsByName).length > 0) {
+        // Samples are reshuffled lazily by runSampleReveals for the new deck
+        cancelSimulation('lands-samples');
+        stableSamples = [];
         lastSampleDeckHash = sampleHash;
     }
 
-    if (newHash !== lastDeckHash) {
+    if (DeckConfig.isPrimaryDeck() && newHash !== lastDeckHash) {
         simulationCache.clear();
         lastDeckHash = newHash;
     }
 
-    return { deckSize, landCount };
+    return { deckSize, landCount, drawProfile: getDrawProfile() };
 }
 
 /**
@@ -327,9 +480,9 @@ export function calculate() {
         return { config, openingHands: null, landDropMiss: null, landDropByTurn: null };
     }
 
-    const openingHands = calculateOpeningHands(config.deckSize, config.landCount);
-    const landDropMiss = calculateLandDropMiss(config.deckSize, config.landCount);
-    const landDropByTurn = calculateLandDropByTurn(config.deckSize, config.landCount);
+    const openingHands = calculateOpeningHands(config.deckSize, config.landCount, config.drawProfile);
+    const landDropMiss = calculateLandDropMiss(config.deckSize, config.landCount, config.drawProfile);
+    const landDropByTurn = calculateLandDropByTurn(config.deckSize, config.landCount, config.drawProfile);
 
     return { config, openingHands, landDropMiss, landDropByTurn };
 }
@@ -346,28 +499,39 @@ const getScaleOptions = () => ({
  * Update opening hand chart
  */
 function updateOpeningHandChart(config, openingHands) {
-    const labels = openingHands.distribution.map(d => `${d.lands} land${d.lands !== 1 ? 's' : ''}`);
-    const data = openingHands.distribution.map(d => d.probability * 100);
-    const backgroundColors = openingHands.distribution.map(d => d.lands === openingHands.median ? COLORS.primaryBright : COLORS.primaryDim);
+    // On the play without extra looks the turn 1 land drop sees just the opener
+    const { firstDrop } = openingHands;
+    const showFirstDrop = firstDrop.cardsSeen > 7;
+    const buckets = showFirstDrop ? firstDrop.distribution : openingHands.distribution;
+
+    const labels = buckets.map(d => `${d.lands} land${d.lands !== 1 ? 's' : ''}`);
+    const data = buckets.map(d => (openingHands.distribution[d.lands]?.probability || 0) * 100);
+    const backgroundColors = buckets.map(d => d.lands === openingHands.median ? COLORS.primaryBright : COLORS.primaryDim);
 
     openingHandChart = createOrUpdateChart(openingHandChart, 'lands-opening-chart', {
         type: 'bar',
         data: {
             labels,
             datasets: [{
-                label: 'Probability (%)',
+                label: showFirstDrop ? 'Opening hand (7 cards)' : 'Probability (%)',
                 data,
                 backgroundColor: backgroundColors,
                 borderColor: COLORS.primary,
                 borderWidth: 2
-            }]
+            }, ...(showFirstDrop ? [{
+                label: `By turn 1 land drop (${firstDrop.cardsSeen} cards)`,
+                data: firstDrop.distribution.map(d => d.probability * 100),
+                backgroundColor: 'rgba(56, 189, 248, 0.4)',
+                borderColor: '#38bdf8',
+                borderWidth: 2
+            }] : [])]
         },
         options: {
             scales: getScaleOptions(),
             plugins: {
                 tooltip: {
                     callbacks: {
-                        label: ctx => `Probability: ${ctx.parsed.y.toFixed(2)}%`
+                        label: ctx => `${showFirstDrop ? `${ctx.dataset.label}: ` : 'Probability: '}${ctx.parsed.y.toFixed(2)}%`
                     }
                 }
             }
@@ -449,7 +613,7 @@ function updateStatsPanel(config, openingHands, landDropMiss, landDropByTurn) {
         renderStatCard('Miss Land Drop', expectedTurn, 'expected fail point', color),
         renderStatCard('Median Hand', `${medianLands} lands`, 'in opening 7', '#38bdf8'),
         renderStatCard('Keepable Hand', formatPercentage(prob2to4), '2-4 lands in opener', '#c084fc'),
-        renderStatCard('Turn 3 Ready', formatPercentage(probTurn3), 'chance to have 3 lands', probTurn3 > 0.8 ? '#4ade80' : '#f59e0b')
+        renderStatCard('Turn 3 Ready', formatPercentage(probTurn3), `chance to have 3 lands (${landDropByTurn[2].cardsSeen} cards seen)`, probTurn3 > 0.8 ? '#4ade80' : '#f59e0b')
     ];
 
     const container = document.getElementById('lands-stats-container');
@@ -458,7 +622,7 @@ function updateStatsPanel(config, openingHands, landDropMiss, landDropByTurn) {
             ${renderInsightBox('🏔️ Land Consistency Analysis', interpretation, '')}
             ${renderStatsGrid(cardsHTML)}
             <div style="margin-top: 12px; font-size: 0.9em; text-align: center; color: var(--text-dim);">
-                Based on ${config.landCount} lands in a ${config.deckSize}-card deck (${((config.landCount / config.deckSize) * 100).toFixed(1)}%)
+                Based on ${config.landCount} lands in a ${config.deckSize}-card deck (${((config.landCount / config.deckSize) * 100).toFixed(1)}%), ${describeDrawProfile(config.drawProfile)}
             </div>
         `;
     }
@@ -489,6 +653,139 @@ export function updateUI() {
     }
 }
 
+/**
+ * Fill the optimizer's filler choices from the Mulligan card types
+ */
+function updateOptimizerFillers() {
+    const select = document.getElementById('lands-opt-filler');
+    if (!select) return;
+
+    const { types } = Mulligan.getState();
+    const previous = select.value;
+    const landIndex = types.findIndex(t => /land/i.test(t.name));
+    const options = types
+        .map((t, i) => ({ value: String(i), label: `${t.name} (Mulligan type)` }))
+        .filter((o, i) => i !== landIndex);
+
+    select.innerHTML = [{ value: '-1', label: 'Other spells' }, ...options]
+        .map(o => `<option value="${o.value}">${o.label}</option>`)
+        .join('');
+    if ([...select.options].some(o => o.value === previous)) select.value = previous;
+}
+
+/**
+ * Read the optimizer settings from the page
+ */
+function getOptimizerSettings(config) {
+    const readInt = (id, fallback) => {
+        const value = parseInt(document.getElementById(id)?.value);
+        return isNaN(value) ? fallback : value;
+    };
+    const readWeight = (id) => Math.max(0, parseFloat(document.getElementById(id)?.value) || 0);
+
+    const mull = Mulligan.getState();
+    return {
+        deckSize: config.deckSize,
+        minLands: readInt('lands-opt-min', config.landCount - OPTIMIZER.RANGE),
+        maxLands: readInt('lands-opt-max', config.landCount + OPTIMIZER.RANGE),
+        objective: document.getElementById('lands-opt-objective')?.value || 'drops',
+        weights: {
+            drops: readWeight('lands-opt-w-drops'),
+            mulligan: readWeight('lands-opt-w-mulligan'),
+            flood: readWeight('lands-opt-w-flood')
+        },
+        mulligan: {
+            types: mull.types,
+            landIndex: mull.types.findIndex(t => /land/i.test(t.name)),
+            fillerIndex: parseInt(document.getElementById('lands-opt-filler')?.value ?? '-1'),
+            penalty: mull.penalty,
+            freeMulligan: mull.freeMulligan,
+            confidenceThreshold: mull.confidenceThreshold
+        },
+        drawProfile: config.drawProfile
+    };
+}
+
+/**
+ * Run the land count optimizer and show the recommendation and Pareto chart
+ */
+export function runOptimizer() {
+    const resultEl = document.getElementById('lands-opt-result');
+    const config = getDeckConfig();
+    if (config.deckSize === 0) return;
+
+    const settings = getOptimizerSettings(config);
+    let sweep;
+    try {
+        sweep = optimizeLandCount(settings);
+    } catch (error) {
+        if (resultEl) resultEl.innerHTML = `<p style="color: ${COLORS.danger};">${error.message}</p>`;
+        return;
+    }
+    if (!sweep.best) {
+        if (resultEl) resultEl.innerHTML = '<p style="color: var(--text-dim);">No land count in that range fits the deck and filler.</p>';
+        return;
+    }
+
+    const { points, best } = sweep;
+    const current = points.find(p => p.lands === config.landCount);
+    const change = best.lands - config.landCount;
+    const changeText = change === 0 ? 'keep your current count' : `${change > 0 ? '+' : ''}${change} vs your ${config.landCount}`;
+    const showMulligan = best.mulligan !== null;
+
+    if (resultEl) {
+        resultEl.innerHTML = renderStatsGrid([
+            renderStatCard('Recommended', `${best.lands} lands`, changeText, COLORS.primary),
+            renderStatCard(OBJECTIVE_LABELS[settings.objective], formatPercentage(best.score), current ? `${formatPercentage(current.score)} at ${config.landCount} lands` : 'score at the recommended count', '#38bdf8'),
+            renderStatCard(`Drops by Turn ${OPTIMIZER.DROP_TURN}`, formatPercentage(best.drops), 'at the recommended count', '#c084fc'),
+            renderStatCard('Flood Risk', formatPercentage(best.flood), `${OPTIMIZER.FLOOD_LANDS}+ lands by turn ${OPTIMIZER.FLOOD_TURN}`, '#f59e0b'),
+            ...(showMulligan ? [renderStatCard('Mulligan Success', formatPercentage(best.mulligan), best.filler !== null ? `with ${best.filler} filler` : 'with the Mulligan settings', '#4ade80')] : [])
+        ]);
+    }
+
+    // Pareto chart: flood risk against the main "good" metric
+    const yKey = settings.objective === 'mulligan' ? 'mulligan' : 'drops';
+    const yLabel = yKey === 'mulligan' ? 'Mulligan success (%)' : `Land drops through turn ${OPTIMIZER.DROP_TURN} (%)`;
+    const toPoint = p => ({ x: p.flood * 100, y: p[yKey] * 100, lands: p.lands });
+    const front = points.filter(p => p.pareto).sort((a, b) => a.flood - b.flood);
+
+    optimizerChart = createOrUpdateChart(optimizerChart, 'lands-opt-chart', {
+        type: 'scatter',
+        data: {
+            datasets: [
+                { label: 'Pareto front', data: front.map(toPoint), showLine: true, borderColor: COLORS.primary, backgroundColor: COLORS.primaryBright, pointRadius: 5 },
+                { label: 'Dominated', data: points.filter(p => !p.pareto).map(toPoint), borderColor: COLORS.primaryDim, backgroundColor: COLORS.primaryFaint, pointRadius: 4 },
+                { label: 'Recommended', data: [toPoint(best)], borderColor: COLORS.white, backgroundColor: COLORS.white, pointRadius: 8 }
+            ]
+        },
+        options: {
+            interaction: { mode: 'nearest', intersect: true },
+            scales: {
+                x: { title: { display: true, text: `Flood risk (%): ${OPTIMIZER.FLOOD_LANDS}+ lands by turn ${OPTIMIZER.FLOOD_TURN}`, color: COLORS.text }, grid: { color: COLORS.primaryGrid }, ticks: { color: COLORS.text } },
+                y: { title: { display: true, text: yLabel, color: COLORS.primary }, grid: { color: COLORS.primaryGrid }, ticks: { color: COLORS.primary } }
+            },
+            plugins: {
+                legend: { display: true, labels: { color: COLORS.text } },
+                tooltip: {
+                    callbacks: {
+                        label: ctx => `${ctx.raw.lands} lands: ${ctx.parsed.y.toFixed(1)}%, flood ${ctx.parsed.x.toFixed(1)}%`
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Draw the charts for a calculate() result (used for the A/B compare overlay)
+ * @param {Object} data - Result of calculate()
+ */
+export function render({ config, openingHands, landDropMiss, landDropByTurn }) {
+    if (!openingHands || !landDropByTurn) return;
+    updateOpeningHandChart(config, openingHands);
+    updateLandDropChart(config, landDropByTurn, landDropMiss);
+}
+
 /**
  * Initialize Lands calculator
  */
@@ -497,6 +794,19 @@ export function init() {
         name: 'lands',
         calculate,
         updateUI,
+        render,
+        sensitivity: [
+            {
+                label: OBJECTIVE_LABELS.drops,
+                percent: true,
+                value: ({ landDropByTurn }) => landDropByTurn?.[OPTIMIZER.DROP_TURN - 1]?.makeProbability
+            },
+            {
+                label: `Flood Risk (${OPTIMIZER.FLOOD_LANDS}+ lands by turn ${OPTIMIZER.FLOOD_TURN})`,
+                percent: true,
+                value: ({ config }) => config.deckSize > 0 ? calculateFloodProbability(config.deckSize, config.landCount, config.drawProfile) : null
+            }
+        ],
         init: () => {
             const container = document.getElementById('lands-sample-reveals');
             if (container) {
@@ -504,6 +814,10 @@ export function init() {
             }
             const btn = document.getElementById('lands-draw-reveals-btn');
             if (btn) btn.addEventListener('click', refreshSamples);
+
+            updateOptimizerFillers();
+            document.getElementById('lands-opt-filler')?.addEventListener('focus', updateOptimizerFillers);
+            document.getElementById('lands-opt-run')?.addEventListener('click', runOptimizer);
         }
     });
 }
\ No newline at end of file
@@ -0,0 +1,498 @@
+/**
+ * Look-and-Pick Calculator
+ * "Look at the top N cards, put up to K matching cards into play or hand"
+ *
+ * One configurable filter (card type, mana value, legendary, tag) covers
+ * Collected Company, Lead the Stampede, Commune with Nature, Dig Through Time
+ * and the like. Hits among the top N are hypergeometric; the best picks are
+ * the K matching cards with the highest mana value.
+ */
+
+import { createCache, formatNumber, formatPercentage } from '../utils/simulation.js';
+import { renderMultiColumnTable } from '../utils/tableUtils.js';
+import { createOrUpdateChart } from '../utils/chartHelpers.js';
+import * as DeckConfig from '../utils/deckConfig.js';
+import { registerCalculator, createStableSamples } from '../utils/calculatorBase.js';
+import { renderStatCard, renderStatsGrid, renderInsightBox, generateSampleRevealsHTML } from '../utils/components.js';
+import { buildDeckFromCardData, extractCardTypes, hashCardCounts, renderCardBadge, renderSampleList } from '../utils/sampleSimulator.js';
+import { drawType, drawTypeDistribution } from '../utils/hypergeometric.js';
+
+const CONFIG = {
+    MAX_SEEN: 20,
+    SEEN_RANGE_BEFORE: 2,
+    SEEN_RANGE_AFTER: 3,
+    DEFAULT_SAMPLE_SIZE: 500
+};
+
+/**
+ * Presets for well-known cards
+ * keep: how many matching cards can be taken (Lead the Stampede takes them all)
+ */
+export const PRESETS = {
+    coco: { name: 'Collected Company', seen: 6, keep: 2, filter: { type: 'creature', maxMv: 3, legendary: false, tag: '' } },
+    stampede: { name: 'Lead the Stampede', seen: 5, keep: 5, filter: { type: 'creature', maxMv: null, legendary: false, tag: '' } },
+    commune: { name: 'Commune with Nature', seen: 5, keep: 1, filter: { type: 'creature', maxMv: null, legendary: false, tag: '' } },
+    dig: { name: 'Dig Through Time', seen: 7, keep: 2, filter: { type: 'any', maxMv: null, legendary: false, tag: '' } }
+};
+
+const TYPE_LABELS = {
+    any: 'Any card',
+    nonland: 'Nonland',
+    permanent: 'Permanent',
+    creature: 'Creature',
+    artifact: 'Artifact',
+    enchantment: 'Enchantment',
+    planeswalker: 'Planeswalker',
+    instant: 'Instant',
+    sorcery: 'Sorcery',
+    land: 'Land',
+    battle: 'Battle'
+};
+
+let chart = null;
+let simulationCache = createCache(50);
+
+// Only the top cards are ever looked at
+const samples = createStableSamples('lookpick', { minCount: CONFIG.DEFAULT_SAMPLE_SIZE, keep: CONFIG.MAX_SEEN });
+
+/**
+ * Whether a card passes the filter
+ * @param {Object} card - Card from buildDeckFromCardData
+ * @param {Object} filter - { type, maxMv (null = any), legendary, tag ('' = any) }
+ * @returns {boolean}
+ */
+export function matchesFilter(card, filter) {
+    const types = card.types || extractCardTypes(card);
+    const { type = 'any', maxMv = null, legendary = false, tag = '' } = filter;
+
+    if (type === 'nonland' && types.includes('land')) return false;
+    if (type === 'permanent' && (types.includes('instant') || types.includes('sorcery'))) return false;
+    if (!['any', 'nonland', 'permanent'].includes(type) && !types.includes(type)) return false;
+    if (maxMv !== null && (card.cmc || 0) > maxMv) return false;
+    if (legendary && !/legendary/i.test(card.type_line || '')) return false;
+    if (tag && !(card.tags || []).includes(tag)) return false;
+    return true;
+}
+
+/**
+ * Describe a filter, e.g. "creature with mana value ≤ 3"
+ */
+export function describeFilter(filter) {
+    let text = filter.type === 'any' ? 'card' : TYPE_LABELS[filter.type].toLowerCase();
+    if (filter.legendary) text = `legendary ${text}`;
+    if (filter.maxMv !== null) text += ` with mana value ≤ ${filter.maxMv}`;
+    if (filter.tag) text += ` tagged ${filter.tag}`;
+    return text;
+}
+
+/**
+ * Exact look-and-pick odds
+ * @param {Array} deck - Deck from buildDeckFromCardData
+ * @param {Object} options - { seen (N), keep (K), filter }
+ * @returns {Object|null} - Odds, or null for an empty deck
+ */
+export function calculateLookAndPick(deck, options) {
+    const deckSize = deck.length;
+    if (deckSize === 0) return null;
+
+    const seen = Math.min(options.seen, deckSize);
+    const keep = Math.min(options.keep, seen);
+
+    // Matching cards grouped by mana value, best (highest) first
+    const byName = new Map();
+    deck.forEach(card => {
+        if (!matchesFilter(card, options.filter)) return;
+        const entry = byName.get(card.name);
+        if (entry) entry.count++;
+        else byName.set(card.name, { name: card.name, cmc: card.cmc || 0, count: 1 });
+    });
+    const cards = [...byName.values()];
+    const matching = cards.reduce((sum, card) => sum + card.count, 0);
+
+    const values = [...new Set(cards.map(card => card.cmc))].sort((a, b) => b - a);
+    const groups = values.map(value => ({
+        value,
+        count: cards.filter(card => card.cmc === value).reduce((sum, card) => sum + card.count, 0)
+    }));
+
+    // Expected picks from each group: the `above` better cards seen come first
+    let above = 0;
+    groups.forEach(group => {
+        let expected = 0;
+        for (let a = 0; a < keep && a <= above; a++) {
+            const pAbove = drawType(deckSize, above, seen, a);
+            if (pAbove === 0) continue;
+            for (let s = 1; s <= group.count; s++) {
+                expected += pAbove * drawType(deckSize - above, group.count, seen - a, s) * Math.min(s, keep - a);
+            }
+        }
+        group.expectedPicked = expected;
+        above += group.count;
+    });
+
+    const hitsDist = drawTypeDistribution(deckSize, matching, seen);
+    const pickedDist = new Array(keep + 1).fill(0);
+    hitsDist.forEach((p, hits) => { pickedDist[Math.min(hits, keep)] += p; });
+
+    const groupByValue = new Map(groups.map(group => [group.value, group]));
+    const cardOdds = cards.map(card => {
+        const group = groupByValue.get(card.cmc);
+        return {
+            ...card,
+            seenProb: 1 - drawType(deckSize, card.count, seen, 0),
+            // Ties in mana value share their group's picks evenly
+            expectedPicked: group.expectedPicked * card.count / group.count
+        };
+    }).sort((a, b) => b.cmc - a.cmc || b.expectedPicked - a.expectedPicked || a.name.localeCompare(b.name));
+
+    return {
+        deckSize,
+        seen,
+        keep,
+        matching,
+        hitsDist,
+        pickedDist,
+        expectedHits: seen * matching / deckSize,
+        expectedPicked: pickedDist.reduce((sum, p, k) => sum + p * k, 0),
+        anyProb: 1 - hitsDist[0],
+        fullProb: keep > 0 ? pickedDist[keep] : 1,
+        expectedValue: groups.reduce((sum, group) => sum + group.value * group.expectedPicked, 0),
+        cards: cardOdds
+    };
+}
+
+/**
+ * Pick the best matching cards from the top of a shuffled deck
+ * @param {Array} top - The cards seen, top first
+ * @param {number} keep - How many can be picked
+ * @param {Object} filter - Card filter
+ * @returns {Array<Object>} - The picked cards (highest mana value first)
+ */
+export function pickBest(top, keep, filter) {
+    return top.filter(card => matchesFilter(card, filter))
+        .sort((a, b) => (b.cmc || 0) - (a.cmc || 0))
+        .slice(0, keep);
+}
+
+/**
+ * Read the deck and inputs
+ */
+export function getDeckConfig() {
+    const cardData = DeckConfig.getImportedCardData();
+    const hasImportedData = cardData?.cardsByName && Object.keys(cardData.cardsByName).length > 0;
+    const deck = hasImportedData ? buildDeckFromCardData(cardData) : [];
+
+    const deckHash = hasImportedData ? hashCardCounts(cardData.cardsByName, true) : '';
+    if (hasImportedData) samples.trackDeck(deckHash);
+
+    const readInt = (id, fallback, min, max) => {
+        const value = parseInt(document.getElementById(id)?.value);
+        return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback;
+    };
+    const maxMvText = document.getElementById('lookpick-maxMv')?.value ?? '';
+    const maxMv = String(maxMvText).trim() === '' ? null : Math.max(0, parseInt(maxMvText) || 0);
+
+    const seen = readInt('lookpick-seenValue', 6, 1, CONFIG.MAX_SEEN);
+
+    return {
+        deck,
+        deckHash,
+        hasImportedData,
+        seen,
+        keep: readInt('lookpick-keepValue', 2, 0, seen),
+        filter: {
+            type: document.getElementById('lookpick-type')?.value || 'any',
+            maxMv,
+            legendary: document.getElementById('lookpick-legendary')?.checked || false,
+            tag: document.getElementById('lookpick-tag')?.value || ''
+        }
+    };
+}
+
+/**
+ * Calculate results for the cards-seen values around the chosen one
+ */
+export function calculate() {
+    const config = getDeckConfig();
+    if (!config.hasImportedData || config.deck.length === 0) {
+        return { config, results: {} };
+    }
+
+    const results = {};
+    const minSeen = Math.max(1, config.seen - CONFIG.SEEN_RANGE_BEFORE);
+    const maxSeen = Math.min(config.seen + CONFIG.SEEN_RANGE_AFTER, CONFIG.MAX_SEEN, config.deck.length);
+
+    for (let seen = minSeen; seen <= maxSeen; seen++) {
+        const cacheKey = `${config.deckHash}-${seen}-${config.keep}-${JSON.stringify(config.filter)}`;
+        let result = simulationCache.get(cacheKey);
+        if (!result) {
+            result = calculateLookAndPick(config.deck, { seen, keep: config.keep, filter: config.filter });
+            simulationCache.set(cacheKey, result);
+        }
+        results[seen] = result;
+    }
+
+    return { config, results };
+}
+
+/**
+ * Update the hits distribution chart
+ */
+function updateChart(config, results) {
+    const current = results[config.seen];
+    if (!current) return;
+
+    chart = createOrUpdateChart(chart, 'lookpick-chart', {
+        type: 'bar',
+        data: {
+            labels: current.hitsDist.map((_, hits) => `${hits}`),
+            datasets: [{
+                label: 'Probability %',
+                data: current.hitsDist.map(p => p * 100),
+                // Hits beyond what can be picked are faded
+                backgroundColor: current.hitsDist.map((_, hits) => hits <= current.keep ? 'rgba(99, 102, 241, 0.7)' : 'rgba(99, 102, 241, 0.25)'),
+                borderColor: '#6366f1',
+                borderWidth: 1
+            }]
+        },
+        options: {
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    title: { display: true, text: 'Probability %', color: '#6366f1' },
+                    grid: { color: 'rgba(99, 102, 241, 0.15)' },
+                    ticks: { color: '#6366f1' }
+                },
+                x: {
+                    title: { display: true, text: `Matching cards in the top ${current.seen}`, color: '#a09090' },
+                    grid: { display: false },
+                    ticks: { color: '#a09090' }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Update the cards-seen comparison table
+ */
+function updateTable(config, results) {
+    const seenValues = Object.keys(results).map(Number).sort((a, b) => a - b);
+    const headers = ['Cards Seen', 'P(≥1 Hit)', 'P(All Picks)', 'Avg Hits', 'Avg Picked', 'Best-Pick MV'];
+
+    const rows = seenValues.map(seen => {
+        const r = results[seen];
+        return {
+            cells: [
+                seen,
+                formatPercentage(r.anyProb),
+                formatPercentage(r.fullProb),
+                formatNumber(r.expectedHits, 2),
+                formatNumber(r.expectedPicked, 2),
+                formatNumber(r.expectedValue, 2)
+            ],
+            class: seen === config.seen ? 'current' : ''
+        };
+    });
+
+    renderMultiColumnTable('lookpick-comparisonTable', headers, rows, {
+        highlightRowIndex: seenValues.indexOf(config.seen)
+    });
+}
+
+/**
+ * Update the per-card table
+ */
+function updateCardsTable(config, results) {
+    const current = results[config.seen];
+    if (!current) return;
+
+    const headers = ['Card', 'MV', 'Copies', 'P(Seen)', 'Avg Picked'];
+    const rows = current.cards.map(card => ({
+        cells: [card.name, card.cmc, card.count, formatPercentage(card.seenProb), formatNumber(card.expectedPicked, 2)]
+    }));
+    if (rows.length === 0) {
+        rows.push({ cells: ['No cards match the filter', '', '', '', ''] });
+    }
+
+    renderMultiColumnTable('lookpick-cardsTable', headers, rows);
+}
+
+/**
+ * Update the stats panel
+ */
+function updateStats(config, results) {
+    const statsPanel = document.getElementById('lookpick-stats');
+    const current = results[config.seen];
+    if (!statsPanel || !current) return;
+
+    const cardsHTML = [
+        renderStatCard('Any Hit', formatPercentage(current.anyProb), `at least one in ${current.seen}`, current.anyProb >= 0.9 ? '#22c55e' : '#f59e0b'),
+        renderStatCard('All Picks', formatPercentage(current.fullProb), `${current.keep} matching card${current.keep !== 1 ? 's' : ''} or more`, '#6366f1'),
+        renderStatCard('Picked', formatNumber(current.expectedPicked, 2), 'cards on average', 'var(--text-light)'),
+        renderStatCard('Best-Pick MV', formatNumber(current.expectedValue, 1), 'mana value picked', '#a78bfa')
+    ];
+
+    const content = `${current.matching} of ${current.deckSize} cards match: ${describeFilter(config.filter)}. ` +
+        `Look at ${current.seen}, pick up to ${current.keep}, highest mana value first.`;
+
+    statsPanel.innerHTML = `
+        ${renderStatsGrid(cardsHTML)}
+        ${renderInsightBox('👁️ Look & Pick Analysis', content, `• On average ${formatNumber(current.expectedHits, 2)} matching cards are seen`)}
+    `;
+}
+
+/**
+ * Force refresh of stable samples (e.g., when user clicks Redraw)
+ */
+function refreshSamples() {
+    const config = getDeckConfig();
+    if (config.hasImportedData && config.deck.length > 0) {
+        samples.refresh(config.deck, runSampleReveals);
+    }
+}
+
+/**
+ * Run sample looks using stable samples
+ */
+export function runSampleReveals() {
+    const config = getDeckConfig();
+    const display = document.getElementById('lookpick-reveals-display');
+    if (!display) return;
+
+    if (!config.hasImportedData) {
+        display.innerHTML = '<p style="color: var(--text-dim);">Please import a decklist to run simulations.</p>';
+        return;
+    }
+
+    const numSims = samples.count();
+    const shuffles = samples.get(config.deck, runSampleReveals);
+    if (!shuffles) return;
+
+    // Stats over every sample
+    let totalPicked = 0;
+    let totalValue = 0;
+    let whiffs = 0;
+    for (let i = 0; i < numSims; i++) {
+        const picks = pickBest(shuffles[i].slice(0, config.seen), config.keep, config.filter);
+        totalPicked += picks.length;
+        totalValue += picks.reduce((sum, card) => sum + (card.cmc || 0), 0);
+        if (picks.length === 0) whiffs++;
+    }
+
+    renderSampleList(display, {
+        name: 'lookpick',
+        heading: `Top ${config.seen}, pick ${config.keep}:`,
+        stats: [
+            `<span style="color: #22c55e;">Picked: ${(totalPicked / numSims).toFixed(2)}</span>`,
+            `<span>Mana value: ${(totalValue / numSims).toFixed(1)}</span>`,
+            `<span style="color: #ef4444;">Nothing: ${(whiffs / numSims * 100).toFixed(1)}%</span>`
+        ],
+        title: 'Looks',
+        count: numSims,
+        renderSample: (i) => {
+            const top = shuffles[i].slice(0, config.seen);
+            const picks = pickBest(top, config.keep, config.filter);
+
+            let html = `<div class="sample-reveal ${picks.length > 0 ? 'free-spell' : 'whiff'}">`;
+            html += `<div><strong>Look ${i + 1}:</strong> picked ${picks.length}</div>`;
+            html += '<div style="margin: 8px 0;">';
+            top.forEach(card => {
+                html += picks.includes(card)
+                    ? renderCardBadge(card)
+                    : `<span class="reveal-card dimmed" style="opacity: 0.5;" title="${card.name}">${card.name}</span>`;
+            });
+            return html + '</div></div>';
+        }
+    });
+}
+
+/**
+ * Update all UI elements
+ */
+export function updateUI() {
+    updateTagOptions();
+
+    const { config, results } = calculate();
+    const importWarning = document.getElementById('lookpick-import-warning');
+    const resultsSection = document.getElementById('lookpick-results');
+
+    if (!config.hasImportedData || Object.keys(results).length === 0) {
+        if (importWarning) importWarning.style.display = 'block';
+        if (resultsSection) resultsSection.style.display = 'none';
+        if (chart) { chart.destroy(); chart = null; }
+        return;
+    }
+
+    if (importWarning) importWarning.style.display = 'none';
+    if (resultsSection) resultsSection.style.display = 'block';
+
+    updateChart(config, results);
+    updateTable(config, results);
+    updateCardsTable(config, results);
+    updateStats(config, results);
+
+    if (document.getElementById('lookpick-reveals-display')) {
+        runSampleReveals();
+    }
+}
+
+/**
+ * Draw the chart and tables for a calculate() result (used for the A/B compare overlay)
+ * @param {Object} data - Result of calculate()
+ */
+export function render({ config, results }) {
+    if (!config.hasImportedData || Object.keys(results).length === 0) return;
+    updateChart(config, results);
+    updateTable(config, results);
+}
+
+/**
+ * Initialize Look-and-Pick calculator
+ */
+export function init() {
+    registerCalculator({
+        name: 'lookpick',
+        calculate,
+        updateUI,
+        render,
+        inputs: ['seen', 'keep'],
+        sensitivity: [
+            { label: 'Any Hit', percent: true, value: ({ config, results }) => results[config.seen]?.anyProb },
+            { label: 'Best-Pick MV', value: ({ config, results }) => results[config.seen]?.expectedValue }
+        ],
+        init: (debouncedUpdate) => {
+            const container = document.getElementById('lookpick-sample-reveals');
+            if (container) {
+                container.innerHTML = generateSampleRevealsHTML('lookpick', 'Sample Looks');
+            }
+
+            const presetSelect = document.getElementById('lookpick-preset');
+            if (presetSelect) {
+                presetSelect.addEventListener('change', () => {
+                    applyPreset(presetSelect.value);
+                    debouncedUpdate();
+                });
+            }
+
+            // Editing any setting by hand leaves the preset
+            const toCustom = () => {
+                if (presetSelect) presetSelect.value = 'custom';
+                debouncedUpdate();
+            };
+            ['lookpick-seenSlider', 'lookpick-seenValue', 'lookpick-keepSlider', 'lookpick-keepValue'].forEach(id => {
+                document.getElementById(id)?.addEventListener('input', () => {
+                    if (presetSelect) presetSelect.value = 'custom';
+                });
+            });
+            ['lookpick-type', 'lookpick-maxMv', 'lookpick-legendary', 'lookpick-tag'].forEach(id => {
+                document.getElementById(id)?.addEventListener('change', toCustom);
+            });
+
+            const revealBtn = document.getElementById('lookpick-draw-reveals-btn');
+            if (revealBtn) revealBtn.addEventListener('click', () => refreshSamples());
+
+            applyPreset(presetSelect?.value || 'coco');
+        }
+    });
+}
@@ -10,33 +10,49 @@ import * as DeckConfig from '../utils/deckConfig.js';
 import { registerCalculator } from '../utils/calculatorBase.js';
 import { renderStatCard, renderStatsGrid, renderInsightBox, generateSampleRevealsHTML } from '../utils/components.js';
 import {
-    buildDeckFromCardData, shuffleDeck, renderCardBadge, renderDistributionChart,
-    createCollapsibleSection
+    buildDeckFromCardData, renderCardBadge, renderDistributionChart,
+    createCollapsibleSection, extractCardTypes
 } from '../utils/sampleSimulator.js';
+import { runSimulation, cancelSimulation } from '../utils/workerPool.js';
+import { showSimulationProgress } from '../utils/ui.js';
+import { deriveSeed, getSeed, rerollSeed } from '../utils/random.js';
 
 const CONFIG = {
     DEFAULT_SAMPLE_SIZE: 500
 };
 
+// Lumra mills four cards per trigger
+export const MILL_PER_TRIGGER = 4;
+
 let simulationCache = createCache(50);
 let lastDeckHash = '';
 let chart = null;
 
 // Stable samples state
 let stableSamples = [];
+let sampleSeed = null;
 let lastSampleDeckHash = '';
 let renderedCount = 0;
 
 /**
- * Generate stable samples from the deck
+ * Generate stable samples from the deck on the worker pool
  * @param {Array} deck - The source deck
  * @param {number} count - Number of samples to generate
+ * @param {Function} onReady - Called once the samples are in place
  */
-function generateStableSamples(deck, count) {
-    stableSamples = [];
-    for (let i = 0; i < Math.max(count, CONFIG.DEFAULT_SAMPLE_SIZE); i++) {
-        stableSamples.push(shuffleDeck([...deck]));
-    }
+function generateStableSamples(deck, count, onReady = null) {
+    const seed = getSeed();
+    const top = DeckConfig.getKnownTopCards().map(card => card.name);
+    runSimulation('shuffleSamples', { deck, count: Math.max(count, CONFIG.DEFAULT_SAMPLE_SIZE), seed: deriveSeed('lumra-samples'), top }, {
+        key: 'lumra-samples',
+        onProgress: (fraction) => showSimulationProgress('lumra', fraction),
+        onComplete: (samples) => {
+            showSimulationProgress('lumra', null);
+            stableSamples = samples;
+            sampleSeed = seed;
+            if (onReady) onReady();
+        }
+    });
 }
 
 /**
@@ -50,11 +66,28 @@ function refreshSamples() {
         const countInput = document.getElementById('lumra-sample-count');
         const numSims = Math.max(1, parseInt(countInput?.value) || CONFIG.DEFAULT_SAMPLE_SIZE);
         const deck = buildDeckFromCardData(cardData);
-        generateStableSamples(deck, numSims);
-        runSampleReveals(); // Re-render
+        rerollSeed();
+        generateStableSamples(deck, numSims, runSampleReveals);
     }
 }
 
+/**
+ * Lumra's graveyard inputs, also used by calculators that fill the graveyard
+ * before Lumra returns the lands
+ * @returns {Object} - { gyLands, multiplier }
+ */
+export function getGraveyardSettings() {
+    // Get user input for GY lands
+    const gyLandsInput = document.getElementById('lumra-gyLands');
+    const gyLands = parseInt(gyLandsInput?.value) || 0;
+
+    // Get trigger multiplier
+    const multInput = document.getElementById('lumra-multiplier');
+    const multiplier = Math.max(1, parseInt(multInput?.value) || 1);
+
+    return { gyLands, multiplier };
+}
+
 /**
  * Get current deck configuration
  * @returns {Object} - Deck configuration
@@ -81,18 +114,16 @@ export function getDeckConfig() {
         if (calculatedLands > 0) landCount = calculatedLands;
     }
 
-    // Get user input for GY lands
-    const gyLandsInput = document.getElementById('lumra-gyLands');
-    const gyLands = parseInt(gyLandsInput?.value) || 0;
+    const { gyLands, multiplier } = getGraveyardSettings();
 
-    // Get trigger multiplier
-    const multInput = document.getElementById('lumra-multiplier');
-    const multiplier = Math.max(1, parseInt(multInput?.value) || 1);
+    // Known top cards (game tracker): true for each land, top card first
+    const knownTopLands = DeckConfig.getKnownTopCards().map(card => extractCardTypes(card).includes('land'));
 
     // Check for sample refresh need (using object reference check for speed)
-    if (cardData && cardData.cardsByName && cardData.cardsByName !== lastSampleDeckHash) {
-        const deck = buildDeckFromCardData(cardData);
-        generateStableSamples(deck, CONFIG.DEFAULT_SAMPLE_SIZE);
+    if (DeckConfig.isPrimaryDeck() && cardData && cardData.cardsByName && cardData.cardsByName !== lastSampleDeckHash) {
+        // Samples are reshuffled lazily by runSampleReveals for the new deck
+        cancelSimulation('lumra-samples');
+        stableSamples = [];
         lastSampleDeckHash = cardData.cardsByName;
     }
 
@@ -101,6 +132,7 @@ export function getDeckConfig() {
         landCount,
         gyLands,
         multiplier,
+        knownTopLands,
         cardData
     };
 }
@@ -111,10 +143,11 @@ export function getDeckConfig() {
  * @param {number} landCount - Total lands in library
  * @param {number} gyLands - Lands already in graveyard
  * @param {number} multiplier - Number of times the ability triggers
+ * @param {Array<boolean>} knownTopLands - Known top cards of the library, top first (true = land)
  * @returns {Object} - Calculation results
  */
-export function calculateLumraStats(deckSize, landCount, gyLands, multiplier = 1) {
-    const cacheKey = `${deckSize}-${landCount}-${gyLands}-${multiplier}`;
+export function calculateLumraStats(deckSize, landCount, gyLands, multiplier = 1, knownTopLands = []) {
+    const cacheKey = `${deckSize}-${landCount}-${gyLands}-${multiplier}-${knownTopLands.map(Number).join('')}`;
     const cached = simulationCache.get(cacheKey);
     if (cached) return cached;
 
@@ -122,11 +155,17 @@ export function calculateLumraStats(deckSize, landCount, gyLands, multiplier = 1
     let expectedMilled = 0;
 
     // Mill 4 cards * multiplier
-    const MILL_AMOUNT = 4 * multiplier;
+    const MILL_AMOUNT = MILL_PER_TRIGGER * multiplier;
+
+    // Known top cards are milled first; the rest come from the cards below them
+    const knownMilled = knownTopLands.slice(0, MILL_AMOUNT);
+    const knownHits = knownMilled.filter(Boolean).length;
+    const unknownDeck = deckSize - knownTopLands.length;
+    const unknownLands = landCount - knownTopLands.filter(Boolean).length;
     
     for (let k = 0; k <= MILL_AMOUNT; k++) {
         // Probability of hitting exactly k lands in N cards
-        const prob = drawType(deckSize, landCount, MILL_AMOUNT, k);
+        const prob = drawType(unknownDeck, unknownLands, MILL_AMOUNT - knownMilled.length, k - knownHits);
         distribution.push({ count: k, probability: prob });
         expectedMilled += k * prob;
     }
@@ -149,13 +188,13 @@ export function calculateLumraStats(deckSize, landCount, gyLands, multiplier = 1
  */
 export function calculate() {
     const config = getDeckConfig();
-    const { deckSize, landCount, gyLands, multiplier } = config;
+    const { deckSize, landCount, gyLands, multiplier, knownTopLands } = config;
 
     if (deckSize === 0) {
         return { config, results: null };
     }
 
-    const results = calculateLumraStats(deckSize, landCount, gyLands, multiplier);
+    const results = calculateLumraStats(deckSize, landCount, gyLands, multiplier, knownTopLands);
 
     return {
         config,
@@ -234,7 +273,7 @@ function updateStats(config, expectedMilled, totalReturned) {
         }
 
         const cardsHTML = [
-            renderStatCard('Expected Milled', formatNumber(expectedMilled, 2), `lands from top ${4 * config.multiplier}`, '#84cc16'),
+            renderStatCard('Expected Milled', formatNumber(expectedMilled, 2), `lands from top ${MILL_PER_TRIGGER * config.multiplier}`, '#84cc16'),
             renderStatCard('Total Returned', formatNumber(totalReturned, 1), 'lands to battlefield', '#65a30d'),
             renderStatCard('Lands in Deck', config.landCount, `${((config.landCount/config.deckSize)*100).toFixed(0)}% density`, '#a09090'),
             renderStatCard('Graveyard', config.gyLands, 'lands before cast', '#a09090')
@@ -265,12 +304,13 @@ export function runSampleReveals(passedConfig) {
     const numSims = Math.max(1, parseInt(countInput?.value) || 20);
     
     // Ensure we have stable samples
-    if (stableSamples.length < numSims) {
+    if (stableSamples.length < numSims || sampleSeed !== getSeed()) {
         const deck = buildDeckFromCardData(cardData);
-        generateStableSamples(deck, numSims);
+        generateStableSamples(deck, numSims, runSampleReveals);
+        return;
     }
 
-    const millAmount = 4 * config.multiplier;
+    const millAmount = MILL_PER_TRIGGER * config.multiplier;
 
     // 1. STATS LOOP (Full Simulation)
     let totalLandsMilled = 0;
@@ -425,7 +465,7 @@ export function updateUI() {
     }
     
     // Update dynamic headers
-    const millAmount = 4 * config.multiplier;
+    const millAmount = MILL_PER_TRIGGER * config.multiplier;
     const chartHeader = document.getElementById('lumra-chart-header');
     if (chartHeader) {
         chartHeader.textContent = `📈 Lands Milled Distribution (Mill ${millAmount})`;
@@ -446,6 +486,15 @@ export function updateUI() {
     }
 }
 
+/**
+ * Draw the chart for a calculate() result (used for the A/B compare overlay)
+ * @param {Object} data - Result of calculate()
+ */
+export function render({ config, distribution }) {
+    if (!distribution) return;
+    updateChart(config, distribution);
+}
+
 /**
  * Initialize Lumra calculator
  */
@@ -454,7 +503,11 @@ export function init() {
         name: 'lumra',
         calculate,
         updateUI,
-        init: () => {
+        render,
+        sensitivity: [
+            { label: 'Total Returned', value: ({ totalReturned }) => totalReturned }
+        ],
+        init: (update) => {
             const container = document.getElementById('lumra-sample-reveals');
             if (container) {
                 // Initial render with default text, will be updated by updateUI/runSampleReveals
@@ -470,11 +523,11 @@ export function init() {
             if (slider && number) {
                 slider.addEventListener('input', () => {
                     number.value = slider.value;
-                    updateUI();
+                    update();
                 });
                 number.addEventListener('input', () => {
                     slider.value = number.value;
-                    updateUI();
+                    update();
                 });
             }
 
@@ -485,11 +538,11 @@ export function init() {
             if (multSlider && multNumber) {
                 multSlider.addEventListener('input', () => {
                     multNumber.value = multSlider.value;
-                    updateUI();
+                    update();
                 });
                 multNumber.addEventListener('input', () => {
                     multSlider.value = multNumber.value;
-                    updateUI();
+                    update();
                 });
             }
         }
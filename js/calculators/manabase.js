@@ -0,0 +1,535 @@
+/**
+ * Mana Base Calculator
+ * Karsten-style castability: for every spell, the chance of having the
+ * colored sources to cast it on curve, from the lands' produced colors
+ */
+
+import { choose } from '../utils/hypergeometric.js';
+import { formatPercentage, createCache } from '../utils/simulation.js';
+import { renderMultiColumnTable } from '../utils/tableUtils.js';
+import { createOrUpdateChart } from '../utils/chartHelpers.js';
+import * as DeckConfig from '../utils/deckConfig.js';
+import { registerCalculator } from '../utils/calculatorBase.js';
+import { renderStatCard, renderStatsGrid, renderInsightBox } from '../utils/components.js';
+
+let simulationCache = createCache(500);
+let lastDeckHash = '';
+let chart = null;
+
+// Colored mana symbols, in WUBRG order (C is colorless-specific mana, e.g. Wastes)
+const MANA_COLORS = ['W', 'U', 'B', 'R', 'G', 'C'];
+
+// Colors basic land types tap for, used when a land has no produced_mana
+const BASIC_LAND_TYPES = { Plains: 'W', Island: 'U', Swamp: 'B', Mountain: 'R', Forest: 'G' };
+
+const CONFIG = {
+    MAX_TURN: 8,
+    DEFAULT_THRESHOLD: 90
+};
+
+// Color constants
+const COLORS = {
+    W: '#f8e7b9',
+    U: '#3b82f6',
+    B: '#a78bfa',
+    R: '#ef4444',
+    G: '#22c55e',
+    C: '#9ca3af',
+    multicolor: ['#f59e0b', '#06b6d4', '#ec4899', '#a3e635', '#f97316', '#14b8a6', '#e879f9', '#facc15'],
+    grid: 'rgba(234, 179, 8, 0.2)',
+    text: '#a09090'
+};
+
+/**
+ * Parse a mana cost into colored pips and generic mana.
+ * Only the front face of split/adventure cards is read. Hybrid, Phyrexian
+ * and snow symbols count as generic (payable with any land or with life);
+ * X costs are ignored.
+ * @param {string} manaCost - Scryfall mana cost, e.g. "{2}{G}{G}"
+ * @returns {Object} - { pips: { G: 2 }, generic: 2, manaValue: 4 }
+ */
+export function parseManaCost(manaCost) {
+    const pips = {};
+    let generic = 0;
+
+    const frontFace = String(manaCost || '').split('//')[0];
+    for (const [, symbol] of frontFace.matchAll(/\{([^}]+)\}/g)) {
+        if (/^\d+$/.test(symbol)) {
+            generic += parseInt(symbol, 10);
+        } else if (MANA_COLORS.includes(symbol)) {
+            pips[symbol] = (pips[symbol] || 0) + 1;
+        } else if (!['X', 'Y', 'Z'].includes(symbol)) {
+            generic += 1;
+        }
+    }
+
+    const colored = Object.values(pips).reduce((sum, n) => sum + n, 0);
+    return { pips, generic, manaValue: generic + colored };
+}
+
+/**
+ * Colors a land can produce: Scryfall's produced_mana, or its basic land types
+ * @param {Object} card - Card from cardsByName
+ * @returns {Array<string>|null} - Colors in WUBRG order, or null if unknown
+ */
+export function landColors(card) {
+    if (Array.isArray(card.produced_mana)) {
+        return MANA_COLORS.filter(color => card.produced_mana.includes(color));
+    }
+
+    const typeLine = card.type_line || '';
+    const basicColors = Object.entries(BASIC_LAND_TYPES)
+        .filter(([type]) => new RegExp(`\\b${type}\\b`).test(typeLine))
+        .map(([, color]) => color);
+    if (basicColors.length > 0) {
+        return MANA_COLORS.filter(color => basicColors.includes(color));
+    }
+    return card.name === 'Wastes' ? ['C'] : null;
+}
+
+/**
+ * Sort colors in WUBRG order and join them into a group key (e.g. "UG")
+ */
+function colorKey(colors) {
+    return MANA_COLORS.filter(color => colors.includes(color)).join('');
+}
+
+/**
+ * Split a card list into lands (with their colors) and colored spells
+ * @param {Object} cardsByName - Cards keyed by name
+ * @returns {Object} - { deckSize, landCount, lands, spells, sources, unknownLands }
+ */
+export function buildManaBase(cardsByName) {
+    const lands = [];
+    const spells = [];
+    const sources = {};
+    let deckSize = 0;
+    let landCount = 0;
+    let unknownLands = 0;
+
+    Object.values(cardsByName || {}).forEach(card => {
+        const count = card.count || 0;
+        if (count <= 0) return;
+        deckSize += count;
+
+        const isLand = card.allCategories
+            ? card.allCategories.includes('lands')
+            : /\bLand\b/.test(card.type_line || '');
+        if (isLand) {
+            const colors = landColors(card);
+            if (colors === null) unknownLands += count;
+            lands.push({ name: card.name, count, colors: colors || [] });
+            (colors || []).forEach(color => { sources[color] = (sources[color] || 0) + count; });
+            landCount += count;
+            return;
+        }
+
+        const cost = parseManaCost(card.mana_cost);
+        const colors = Object.keys(cost.pips);
+        if (colors.length === 0) return;
+
+        // On curve = the turn matching its mana value (X counts as 0)
+        const manaValue = Number.isFinite(card.cmc) ? Math.floor(card.cmc) : cost.manaValue;
+        spells.push({
+            name: card.name,
+            count,
+            manaCost: card.mana_cost,
+            pips: cost.pips,
+            colors: colorKey(colors),
+            turn: Math.max(1, manaValue)
+        });
+    });
+
+    return { deckSize, landCount, lands, spells, sources, unknownLands };
+}
+
+/**
+ * Probability that the lands among the cards seen can pay a set of colored pips.
+ *
+ * Lands are grouped by which of the cost's colors they produce. A land set can
+ * pay the pips when, for every subset of the colors, the lands producing at
+ * least one of them cover those colors' pips (Hall's condition). The search
+ * runs over land groups, keeping the exact land count (the nonland draws depend
+ * on it) and per-subset coverage capped at what the cost needs.
+ *
+ * @param {Object} params
+ * @param {Array<Object>} params.lands - Lands as { count, colors }
+ * @param {number} params.deckSize - Cards in the deck
+ * @param {Object} params.pips - Colored pips, e.g. { W: 1, U: 2 }
+ * @param {number} params.cardsSeen - Cards drawn so far (opening hand included)
+ * @param {number} params.landsNeeded - Minimum lands for the "hit your land drops" condition
+ * @returns {Object} - { castable: P(colors and land drops), landDrops: P(land drops) }
+ */
+export function castingProbability({ lands, deckSize, pips, cardsSeen, landsNeeded = 0 }) {
+    const colors = Object.keys(pips);
+    cardsSeen = Math.min(cardsSeen, deckSize);
+
+    // Land groups by the cost colors they produce (bit i = colors[i])
+    const groups = new Map();
+    let landCount = 0;
+    lands.forEach(land => {
+        const mask = colors.reduce((m, color, i) => land.colors.includes(color) ? m | (1 << i) : m, 0);
+        groups.set(mask, (groups.get(mask) || 0) + land.count);
+        landCount += land.count;
+    });
+    const nonlands = deckSize - landCount;
+
+    // Pips each nonempty color subset needs
+    const subsets = [];
+    for (let subset = 1; subset < (1 << colors.length); subset++) {
+        const need = colors.reduce((sum, color, i) => subset & (1 << i) ? sum + pips[color] : sum, 0);
+        subsets.push({ subset, need });
+    }
+
+    // Lands producing none of the cost's colors only add to the land count,
+    // so they are folded in at the end with the nonlands
+    const generic = groups.get(0) || 0;
+    groups.delete(0);
+
+    // Multicolor groups first: they saturate the coverage early and keep the state count down
+    const popcount = (mask) => mask.toString(2).replace(/0/g, '').length;
+    const colored = [...groups.entries()].sort(([a], [b]) => popcount(b) - popcount(a));
+
+    const encode = (drawn, cover) => String.fromCharCode(drawn, ...cover);
+    let states = new Map([[encode(0, subsets.map(() => 0)), { drawn: 0, cover: subsets.map(() => 0), weight: 1 }]]);
+    for (const [mask, count] of colored) {
+        const touched = subsets.map(({ subset }) => (subset & mask) !== 0);
+        const next = new Map();
+        for (const state of states.values()) {
+            for (let k = 0; k <= Math.min(count, cardsSeen - state.drawn); k++) {
+                const drawn = state.drawn + k;
+                const cover = state.cover.map((c, s) => touched[s] ? Math.min(subsets[s].need, c + k) : c);
+                const key = encode(drawn, cover);
+                const weight = state.weight * choose(count, k);
+                const existing = next.get(key);
+                if (existing) {
+                    existing.weight += weight;
+                } else {
+                    next.set(key, { drawn, cover, weight });
+                }
+            }
+        }
+        states = next;
+    }
+
+    const total = choose(deckSize, cardsSeen);
+    let castable = 0;
+    let landDrops = 0;
+    for (const { drawn, cover, weight } of states.values()) {
+        const paid = cover.every((c, s) => c >= subsets[s].need);
+        for (let k = 0; k <= Math.min(generic, cardsSeen - drawn); k++) {
+            if (drawn + k < landsNeeded) continue;
+            const p = weight * choose(generic, k) * choose(nonlands, cardsSeen - drawn - k) / total;
+            landDrops += p;
+            if (paid) castable += p;
+        }
+    }
+
+    return { castable, landDrops };
+}
+
+/**
+ * P(castable) for a cost on a turn, on the play or on the draw
+ * @param {Object} manaBase - Result of buildManaBase
+ * @param {Object} pips - Colored pips
+ * @param {number} turn - Turn number
+ * @param {boolean} onDraw - True on the draw (one extra card seen)
+ * @param {boolean} conditional - Only count games where every land drop was made
+ * @returns {number} - Probability
+ */
+function castOnTurn(manaBase, pips, turn, onDraw, conditional) {
+    const cacheKey = `${hashManaBase(manaBase)}-${JSON.stringify(pips)}-${turn}-${onDraw}-${conditional}`;
+    const cached = simulationCache.get(cacheKey);
+    if (cached !== undefined) return cached;
+
+    const cardsSeen = 7 + turn - (onDraw ? 0 : 1);
+    const { castable, landDrops } = castingProbability({
+        lands: manaBase.lands,
+        deckSize: manaBase.deckSize,
+        pips,
+        cardsSeen,
+        landsNeeded: conditional ? turn : 0
+    });
+    const result = conditional ? (landDrops > 0 ? castable / landDrops : 0) : castable;
+
+    simulationCache.set(cacheKey, result);
+    return result;
+}
+
+/**
+ * Hash the deck size and lands of a mana base (cache key)
+ * @param {Object} manaBase - Result of buildManaBase
+ * @returns {string}
+ */
+function hashManaBase(manaBase) {
+    return `${manaBase.deckSize}-${manaBase.lands.map(l => `${l.count}${l.colors.join('')}`).join(',')}`;
+}
+
+/**
+ * Get current configuration
+ * @returns {Object} - Mana base and settings
+ */
+export function getDeckConfig() {
+    const { cardsByName } = DeckConfig.getImportedCardData();
+    const threshold = (parseFloat(document.getElementById('manabase-thresholdValue')?.value) || CONFIG.DEFAULT_THRESHOLD) / 100;
+    const conditional = document.getElementById('manabase-conditional')?.checked !== false;
+
+    const manaBase = buildManaBase(cardsByName);
+
+    // Clear cache if the lands or deck size changed
+    const newHash = hashManaBase(manaBase);
+    if (DeckConfig.isPrimaryDeck() && newHash !== lastDeckHash) {
+        simulationCache.clear();
+        lastDeckHash = newHash;
+    }
+
+    return { manaBase, threshold, conditional, hasImportedData: Object.keys(cardsByName || {}).length > 0 };
+}
+
+/**
+ * Calculate castability for every colored spell, by color group and by turn
+ * @returns {Object} - { config, spells, groups }
+ */
+export function calculate() {
+    const config = getDeckConfig();
+    const { manaBase, threshold, conditional } = config;
+
+    if (manaBase.deckSize === 0 || manaBase.spells.length === 0) {
+        return { config, spells: [], groups: [] };
+    }
+
+    const spells = manaBase.spells.map(spell => {
+        const onPlay = castOnTurn(manaBase, spell.pips, spell.turn, false, conditional);
+        const onDraw = castOnTurn(manaBase, spell.pips, spell.turn, true, conditional);
+        return { ...spell, onPlay, onDraw, flagged: onPlay < threshold };
+    });
+
+    // One group per color combination; its curve uses the group's heaviest pips
+    const byColors = new Map();
+    spells.forEach(spell => {
+        if (!byColors.has(spell.colors)) byColors.set(spell.colors, []);
+        byColors.get(spell.colors).push(spell);
+    });
+
+    const groups = [...byColors.entries()]
+        .sort(([a], [b]) => a.length - b.length || colorRank(a) - colorRank(b))
+        .map(([colors, groupSpells]) => {
+            const pips = {};
+            groupSpells.forEach(spell => Object.entries(spell.pips).forEach(([color, n]) => {
+                pips[color] = Math.max(pips[color] || 0, n);
+            }));
+            const byTurn = [];
+            for (let turn = 1; turn <= CONFIG.MAX_TURN; turn++) {
+                byTurn.push(castOnTurn(manaBase, pips, turn, false, conditional));
+            }
+            return {
+                colors,
+                pips,
+                spells: groupSpells,
+                cardCount: groupSpells.reduce((sum, s) => sum + s.count, 0),
+                worstOnPlay: Math.min(...groupSpells.map(s => s.onPlay)),
+                flaggedCount: groupSpells.filter(s => s.flagged).length,
+                byTurn
+            };
+        });
+
+    return { config, spells, groups };
+}
+
+function colorRank(key) {
+    return key.split('').reduce((rank, color) => rank * 10 + MANA_COLORS.indexOf(color), 0);
+}
+
+/**
+ * Format pips as mana symbols, e.g. { U: 1, G: 2 } -> "{U}{G}{G}"
+ */
+function formatPips(pips) {
+    return MANA_COLORS.map(color => `{${color}}`.repeat(pips[color] || 0)).join('');
+}
+
+/**
+ * Update the castability-by-turn chart (one line per color group, on the play)
+ */
+function updateChart(config, groups) {
+    const labels = Array.from({ length: CONFIG.MAX_TURN }, (_, i) => `Turn ${i + 1}`);
+    let multicolorIndex = 0;
+
+    chart = createOrUpdateChart(chart, 'manabase-chart', {
+        type: 'line',
+        data: {
+            labels,
+            datasets: groups.map(group => {
+                const color = group.colors.length === 1
+                    ? COLORS[group.colors]
+                    : COLORS.multicolor[multicolorIndex++ % COLORS.multicolor.length];
+                return {
+                    label: `${group.colors} ${formatPips(group.pips)}`,
+                    data: group.byTurn.map(p => p * 100),
+                    borderColor: color,
+                    backgroundColor: color,
+                    fill: false,
+                    tension: 0.3,
+                    pointRadius: 4
+                };
+            })
+        },
+        options: {
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    max: 100,
+                    title: { display: true, text: 'P(Colors Available) %', color: COLORS.text },
+                    grid: { color: COLORS.grid },
+                    ticks: { color: COLORS.text }
+                },
+                x: { grid: { color: COLORS.grid }, ticks: { color: COLORS.text } }
+            },
+            plugins: {
+                legend: { display: true, labels: { color: COLORS.text } },
+                tooltip: {
+                    callbacks: {
+                        label: ctx => `${ctx.dataset.label}: ${ctx.parsed.y.toFixed(1)}%`
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Update the color group and per-spell tables
+ */
+function updateTables(config, spells, groups) {
+    const percentCell = (p) => ({
+        value: formatPercentage(p),
+        class: p < config.threshold ? 'manabase-flag' : ''
+    });
+
+    renderMultiColumnTable(
+        'manabase-groupTable',
+        ['Colors', 'Cards', 'Heaviest Cost', 'Worst On Curve (Play)', 'Below Target'],
+        groups.map(group => [
+            group.colors,
+            group.cardCount,
+            formatPips(group.pips),
+            percentCell(group.worstOnPlay),
+            group.flaggedCount
+        ])
+    );
+
+    const rows = groups.flatMap(group => group.spells
+        .slice()
+        .sort((a, b) => a.turn - b.turn || a.name.localeCompare(b.name))
+        .map(spell => ({
+            cells: [
+                spell.name,
+                spell.colors,
+                spell.manaCost,
+                spell.turn,
+                percentCell(spell.onPlay),
+                percentCell(spell.onDraw),
+                spell.flagged ? '⚠️' : '✓'
+            ],
+            class: spell.flagged ? 'manabase-flagged-row' : ''
+        })));
+
+    renderMultiColumnTable(
+        'manabase-spellTable',
+        ['Card', 'Colors', 'Cost', 'Turn', 'On the Play', 'On the Draw', 'OK'],
+        rows
+    );
+}
+
+/**
+ * Update the sources and flagged-cards summary
+ */
+function updateStats(config, spells) {
+    const { manaBase, threshold, conditional } = config;
+    const flagged = spells.filter(s => s.flagged);
+
+    const usedColors = MANA_COLORS.filter(color => spells.some(s => s.pips[color]));
+    const cardsHTML = usedColors.map(color =>
+        renderStatCard(`{${color}} Sources`, manaBase.sources[color] || 0, `of ${manaBase.landCount} lands`, COLORS[color])
+    );
+
+    const interpretation = flagged.length === 0
+        ? `<strong style="color: #4ade80;">Well supported.</strong> Every colored spell can be cast on curve on the play at least ${formatPercentage(threshold, 0)} of the time.`
+        : `<strong style="color: #f59e0b;">${flagged.length} spell${flagged.length !== 1 ? 's' : ''} below ${formatPercentage(threshold, 0)} on curve:</strong> ${flagged.slice(0, 8).map(s => s.name).join(', ')}${flagged.length > 8 ? ', ...' : ''}. Add sources of their colors or cut the heaviest pips.`;
+
+    const notes = [
+        conditional ? 'Probabilities assume you made every land drop up to that turn.' : 'Probabilities include games where you missed land drops.',
+        'Only lands count as sources; hybrid and Phyrexian symbols count as generic.'
+    ];
+    if (manaBase.unknownLands > 0) {
+        notes.push(`${manaBase.unknownLands} land${manaBase.unknownLands !== 1 ? 's have' : ' has'} no color data and count as colorless (re-import the deck to fill it in).`);
+    }
+
+    const container = document.getElementById('manabase-stats');
+    if (container) {
+        container.innerHTML = `
+            ${renderInsightBox('🎨 Mana Base Analysis', interpretation, notes.join(' '))}
+            ${renderStatsGrid(cardsHTML)}
+        `;
+    }
+}
+
+/**
+ * Update all UI elements
+ */
+export function updateUI() {
+    const { config, spells, groups } = calculate();
+    const importWarning = document.getElementById('manabase-import-warning');
+    const results = document.getElementById('manabase-results');
+
+    if (!config.hasImportedData || spells.length === 0) {
+        if (importWarning) importWarning.style.display = 'block';
+        if (results) results.style.display = 'none';
+        if (chart) { chart.destroy(); chart = null; }
+        return;
+    }
+
+    if (importWarning) importWarning.style.display = 'none';
+    if (results) results.style.display = 'block';
+
+    updateChart(config, groups);
+    updateTables(config, spells, groups);
+    updateStats(config, spells);
+}
+
+/**
+ * Draw the chart and tables for a calculate() result (used for the A/B compare overlay)
+ * @param {Object} data - Result of calculate()
+ */
+export function render({ config, spells, groups }) {
+    if (spells.length === 0) return;
+    updateChart(config, groups);
+    updateTables(config, spells, groups);
+}
+
+/**
+ * Initialize Mana Base calculator
+ */
+export function init() {
+    registerCalculator({
+        name: 'manabase',
+        calculate,
+        updateUI,
+        render,
+        inputs: ['threshold', 'conditional'],
+        sensitivity: [
+            {
+                label: 'Castable on Curve',
+                percent: true,
+                value: ({ spells }) => {
+                    const copies = spells.reduce((sum, spell) => sum + spell.count, 0);
+                    return copies > 0 ? spells.reduce((sum, spell) => sum + spell.onPlay * spell.count, 0) / copies : null;
+                }
+            },
+            {
+                label: 'Worst Color Group',
+                percent: true,
+                value: ({ groups }) => groups.length > 0 ? Math.min(...groups.map(group => group.worstOnPlay)) : null
+            }
+        ]
+    });
+}
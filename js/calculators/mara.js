@@ -10,9 +10,14 @@
 
 import { createCache } from '../utils/simulation.js';
 import { registerCalculator } from '../utils/calculatorBase.js';
-import { renderStatCard, renderStatsGrid, generateSampleRevealsHTML } from '../utils/components.js';
+import { renderStatCard, renderStatsGrid, renderInterval, generateSampleRevealsHTML } from '../utils/components.js';
 import { shuffleDeck, renderCardBadge, createCollapsibleSection, TYPE_COLORS, buildDeckFromCardData } from '../utils/sampleSimulator.js';
 import * as OpponentState from '../utils/opponentState.js';
+import { runSimulation, registerSimulationTask } from '../utils/workerPool.js';
+import { showSimulationProgress } from '../utils/ui.js';
+import { createRng, deriveSeed, getSeed, rerollSeed } from '../utils/random.js';
+import { Z_95, proportionError, sumsError, withinTolerance, simulateUntilPrecise } from '../utils/confidence.js';
+import { getPrecision, precisionKey, describeRun } from '../utils/precision.js';
 
 const CONFIG = {
     DEFAULT_SAMPLE_SIZE: 500,
@@ -28,6 +33,13 @@ const stableSamples = {
     opponent3: []
 };
 
+// Seed each opponent's stable samples were shuffled with
+const sampleSeeds = {
+    opponent1: null,
+    opponent2: null,
+    opponent3: null
+};
+
 // Track rendered count for batch rendering per opponent
 const renderedCounts = {
     opponent1: 0,
@@ -98,10 +110,13 @@ export function simulateChoice2(deck) {
 /**
  * Calculate Mara statistics for an opponent deck
  * @param {Object} opponentData - Opponent deck data with cardsByName
- * @param {number} numSims - Number of simulations
- * @returns {Object} - Statistics for both choices
+ * @param {number} numSims - Number of simulations (adaptive precision runs until within tolerance instead)
+ * @param {Object} options - { rng, onProgress, precision }
+ * @returns {Object} - Statistics for both choices, each with 95% half-widths
  */
-export function calculateMaraStats(opponentData, numSims = CONFIG.DEFAULT_SIM_COUNT) {
+export function calculateMaraStats(opponentData, numSims = CONFIG.DEFAULT_SIM_COUNT, options = {}) {
+    const { rng, onProgress = null, precision = null } = options;
+
     if (!opponentData?.cardsByName || Object.keys(opponentData.cardsByName).length === 0) {
         return null;
     }
@@ -111,67 +126,130 @@ export function calculateMaraStats(opponentData, numSims = CONFIG.DEFAULT_SIM_CO
 
     if (!deck || deck.length === 0) return null;
 
-    // Choice 1 accumulators
+    // Choice 1 accumulators (sums of squares for the confidence intervals)
     let totalChoice1CMC = 0;
+    let squaresChoice1CMC = 0;
     let totalChoice1Exiled = 0;
+    let squaresChoice1Exiled = 0;
     const choice1CMCDistribution = {};
     let choice1Hits5Plus = 0;
 
     // Choice 2 accumulators
     let totalChoice2Damage = 0;
+    let squaresChoice2Damage = 0;
     let minDamage = Infinity;
     let maxDamage = 0;
     const choice2DamageDistribution = {};
 
-    for (let i = 0; i < numSims; i++) {
-        const shuffled = shuffleDeck([...deck]);
-
-        // Choice 1
-        const c1 = simulateChoice1(shuffled);
-        totalChoice1CMC += c1.spellCMC;
-        totalChoice1Exiled += c1.cardsExiled;
-        choice1CMCDistribution[c1.spellCMC] = (choice1CMCDistribution[c1.spellCMC] || 0) + 1;
-        if (c1.spellCMC >= 5) choice1Hits5Plus++;
-
-        // Choice 2
-        const c2 = simulateChoice2(shuffled);
-        totalChoice2Damage += c2.damage;
-        minDamage = Math.min(minDamage, c2.damage);
-        maxDamage = Math.max(maxDamage, c2.damage);
-        choice2DamageDistribution[c2.damage] = (choice2DamageDistribution[c2.damage] || 0) + 1;
-    }
+    const runBatch = (batchSize) => {
+        for (let i = 0; i < batchSize; i++) {
+            const shuffled = shuffleDeck([...deck], rng);
+
+            // Choice 1
+            const c1 = simulateChoice1(shuffled);
+            totalChoice1CMC += c1.spellCMC;
+            squaresChoice1CMC += c1.spellCMC * c1.spellCMC;
+            totalChoice1Exiled += c1.cardsExiled;
+            squaresChoice1Exiled += c1.cardsExiled * c1.cardsExiled;
+            choice1CMCDistribution[c1.spellCMC] = (choice1CMCDistribution[c1.spellCMC] || 0) + 1;
+            if (c1.spellCMC >= 5) choice1Hits5Plus++;
+
+            // Choice 2
+            const c2 = simulateChoice2(shuffled);
+            totalChoice2Damage += c2.damage;
+            squaresChoice2Damage += c2.damage * c2.damage;
+            minDamage = Math.min(minDamage, c2.damage);
+            maxDamage = Math.max(maxDamage, c2.damage);
+            choice2DamageDistribution[c2.damage] = (choice2DamageDistribution[c2.damage] || 0) + 1;
+        }
+    };
+
+    const halfWidths = (trials) => ({
+        avgCMC: Z_95 * sumsError(totalChoice1CMC, squaresChoice1CMC, trials),
+        avgExiled: Z_95 * sumsError(totalChoice1Exiled, squaresChoice1Exiled, trials),
+        pct5Plus: Z_95 * proportionError(choice1Hits5Plus / trials, trials) * 100,
+        avgDamage: Z_95 * sumsError(totalChoice2Damage, squaresChoice2Damage, trials)
+    });
+
+    const isPrecise = (trials) => {
+        const hw = halfWidths(trials);
+        const { tolerance } = precision;
+        return withinTolerance(hw.avgCMC, totalChoice1CMC / trials, tolerance, false) &&
+            withinTolerance(hw.avgExiled, totalChoice1Exiled / trials, tolerance, false) &&
+            withinTolerance(hw.pct5Plus / 100, choice1Hits5Plus / trials, tolerance, true) &&
+            withinTolerance(hw.avgDamage, totalChoice2Damage / trials, tolerance, false);
+    };
+
+    const run = simulateUntilPrecise(runBatch, isPrecise, { trials: numSims, precision, onProgress });
+    const trials = run.trials;
+    const hw = halfWidths(trials);
 
     return {
         choice1: {
-            avgCMC: totalChoice1CMC / numSims,
-            avgExiled: totalChoice1Exiled / numSims,
-            pct5Plus: (choice1Hits5Plus / numSims) * 100,
-            cmcDistribution: choice1CMCDistribution
+            avgCMC: totalChoice1CMC / trials,
+            avgExiled: totalChoice1Exiled / trials,
+            pct5Plus: (choice1Hits5Plus / trials) * 100,
+            cmcDistribution: choice1CMCDistribution,
+            halfWidths: { avgCMC: hw.avgCMC, avgExiled: hw.avgExiled, pct5Plus: hw.pct5Plus }
         },
         choice2: {
-            avgDamage: totalChoice2Damage / numSims,
+            avgDamage: totalChoice2Damage / trials,
             minDamage: minDamage === Infinity ? 0 : minDamage,
             maxDamage,
-            damageDistribution: choice2DamageDistribution
+            damageDistribution: choice2DamageDistribution,
+            halfWidths: { avgDamage: hw.avgDamage }
         },
-        numSims,
+        numSims: trials,
+        converged: run.converged,
         deckSize: deck.length
     };
 }
 
+registerSimulationTask('maraStats', ({ opponentData, numSims, precision, seed }, onProgress) =>
+    calculateMaraStats(opponentData, numSims, { rng: createRng(seed), precision, onProgress })
+);
+
 /**
- * Generate stable samples for an opponent
+ * Generate stable samples for an opponent on the worker pool
+ * @param {string} opponentKey - Opponent key
+ * @param {number} count - Number of samples
+ * @param {Function} onReady - Called once the samples are in place
  */
-function generateStableSamples(opponentKey, count) {
+function generateStableSamples(opponentKey, count, onReady = null) {
     const deck = OpponentState.buildOpponentDeck(opponentKey);
     if (!deck) {
         stableSamples[opponentKey] = [];
         return;
     }
 
-    stableSamples[opponentKey] = [];
-    for (let i = 0; i < count; i++) {
-        stableSamples[opponentKey].push(shuffleDeck([...deck]));
+    const seed = getSeed();
+    runSimulation('shuffleSamples', { deck, count, seed: deriveSeed(`mara-samples-${opponentKey}`) }, {
+        key: `mara-samples-${opponentKey}`,
+        onProgress: (fraction) => showSimulationProgress('mara', fraction),
+        onComplete: (samples) => {
+            showSimulationProgress('mara', null);
+            stableSamples[opponentKey] = samples;
+            sampleSeeds[opponentKey] = seed;
+            if (onReady) onReady();
+        },
+        onError: (err) => {
+            console.error(`Mara sample shuffle failed for ${opponentKey}:`, err);
+            showSimulationProgress('mara', null);
+        },
+        onCancel: () => showSimulationProgress('mara', null)
+    });
+}
+
+/**
+ * Generate samples for several opponents, calling onReady once all are done
+ */
+function generateAllSamples(opponents, count, onReady) {
+    let remaining = opponents.length;
+    for (const opp of opponents) {
+        generateStableSamples(opp, count, () => {
+            remaining--;
+            if (remaining === 0) onReady();
+        });
     }
 }
 
@@ -182,20 +260,25 @@ function refreshSamples() {
     const countInput = document.getElementById('mara-sample-count');
     const numSims = Math.max(1, parseInt(countInput?.value) || CONFIG.DEFAULT_SAMPLE_SIZE);
 
-    for (const opp of OpponentState.getActiveOpponents()) {
-        if (OpponentState.getOpponentData(opp)?.cardsByName &&
-            Object.keys(OpponentState.getOpponentData(opp).cardsByName).length > 0) {
-            generateStableSamples(opp, numSims);
-        }
+    const opponents = OpponentState.getActiveOpponents().filter(opp =>
+        OpponentState.getOpponentData(opp)?.cardsByName &&
+        Object.keys(OpponentState.getOpponentData(opp).cardsByName).length > 0
+    );
+
+    if (opponents.length === 0) {
+        runSampleReveals();
+        return;
     }
 
-    runSampleReveals();
+    rerollSeed();
+    generateAllSamples(opponents, numSims, runSampleReveals);
 }
 
 /**
  * Render results for all active opponents
+ * @param {Object} results - Stats keyed by opponent (from calculateAsync)
  */
-function renderResults() {
+function renderResults(results) {
     const resultsContainer = document.getElementById('mara-results');
     if (!resultsContainer) return;
 
@@ -214,15 +297,20 @@ function renderResults() {
     // Calculate totals for summary
     let totalFreeCastCMC = 0;
     let totalDamage = 0;
+    // Opponents are simulated independently, so their variances add
+    let freeCastVariance = 0;
+    let damageVariance = 0;
     const allStats = [];
 
     for (const opp of opponentsWithData) {
         const data = OpponentState.getOpponentData(opp);
-        const stats = calculateMaraStats(data);
+        const stats = results[opp];
         if (stats) {
             allStats.push({ opp, data, stats });
             totalFreeCastCMC += stats.choice1.avgCMC;
             totalDamage += stats.choice2.avgDamage;
+            freeCastVariance += stats.choice1.halfWidths.avgCMC ** 2;
+            damageVariance += stats.choice2.halfWidths.avgDamage ** 2;
         }
     }
 
@@ -236,15 +324,16 @@ function renderResults() {
                 <div class="summary-stats-grid">
                     <div class="summary-stat purple">
                         <div class="stat-label">If All Choose Free Cast</div>
-                        <div class="stat-value">${totalFreeCastCMC.toFixed(1)}</div>
+                        <div class="stat-value">${totalFreeCastCMC.toFixed(1)} ${renderInterval(Math.sqrt(freeCastVariance).toFixed(1))}</div>
                         <div class="stat-unit">total CMC value</div>
                     </div>
                     <div class="summary-stat red">
                         <div class="stat-label">If All Choose Damage</div>
-                        <div class="stat-value">${totalDamage.toFixed(1)}</div>
+                        <div class="stat-value">${totalDamage.toFixed(1)} ${renderInterval(Math.sqrt(damageVariance).toFixed(1))}</div>
                         <div class="stat-unit">damage total</div>
                     </div>
                 </div>
+                <p style="color: var(--text-dim); font-size: 0.8em; margin: var(--spacing-sm) 0 0;">± is the 95% confidence interval.</p>
             </div>
         `;
     }
@@ -255,23 +344,23 @@ function renderResults() {
             <div class="opponent-results">
                 <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: var(--spacing-sm);">
                     <h3 style="color: var(--mara-primary, #dc2626);">${data.name}</h3>
-                    <span style="color: var(--text-dim); font-size: 0.85em;">${stats.deckSize} cards</span>
+                    <span style="color: var(--text-dim); font-size: 0.85em;">${stats.deckSize} cards · ${describeRun(stats.numSims, stats.converged)}</span>
                 </div>
 
                 <div class="choice-grid">
                     <div class="choice-card choice-purple">
                         <div class="choice-label">Choice 1: Free Cast</div>
                         <div style="display: flex; gap: var(--spacing-md); flex-wrap: wrap;">
-                            <div><span style="font-size: 1.3em; font-weight: bold; color: #a855f7;">${stats.choice1.avgCMC.toFixed(1)}</span> <span style="font-size: 0.75em; color: var(--text-dim);">avg CMC</span></div>
-                            <div><span style="font-size: 1.3em; font-weight: bold;">${stats.choice1.avgExiled.toFixed(1)}</span> <span style="font-size: 0.75em; color: var(--text-dim);">cards exiled</span></div>
-                            <div><span style="font-size: 1.3em; font-weight: bold;">${stats.choice1.pct5Plus.toFixed(0)}%</span> <span style="font-size: 0.75em; color: var(--text-dim);">CMC 5+</span></div>
+                            <div><span style="font-size: 1.3em; font-weight: bold; color: #a855f7;">${stats.choice1.avgCMC.toFixed(1)}</span> ${renderInterval(stats.choice1.halfWidths.avgCMC.toFixed(1))} <span style="font-size: 0.75em; color: var(--text-dim);">avg CMC</span></div>
+                            <div><span style="font-size: 1.3em; font-weight: bold;">${stats.choice1.avgExiled.toFixed(1)}</span> ${renderInterval(stats.choice1.halfWidths.avgExiled.toFixed(1))} <span style="font-size: 0.75em; color: var(--text-dim);">cards exiled</span></div>
+                            <div><span style="font-size: 1.3em; font-weight: bold;">${stats.choice1.pct5Plus.toFixed(0)}%</span> ${renderInterval(`${stats.choice1.halfWidths.pct5Plus.toFixed(1)}%`)} <span style="font-size: 0.75em; color: var(--text-dim);">CMC 5+</span></div>
                         </div>
                     </div>
 
                     <div class="choice-card choice-red">
                         <div class="choice-label">Choice 2: Damage</div>
                         <div style="display: flex; gap: var(--spacing-md); flex-wrap: wrap;">
-                            <div><span style="font-size: 1.3em; font-weight: bold; color: #ef4444;">${stats.choice2.avgDamage.toFixed(1)}</span> <span style="font-size: 0.75em; color: var(--text-dim);">avg dmg</span></div>
+                            <div><span style="font-size: 1.3em; font-weight: bold; color: #ef4444;">${stats.choice2.avgDamage.toFixed(1)}</span> ${renderInterval(stats.choice2.halfWidths.avgDamage.toFixed(1))} <span style="font-size: 0.75em; color: var(--text-dim);">avg dmg</span></div>
                             <div><span style="font-size: 1.3em; font-weight: bold;">${stats.choice2.minDamage}-${stats.choice2.maxDamage}</span> <span style="font-size: 0.75em; color: var(--text-dim);">range</span></div>
                         </div>
                     </div>
@@ -301,10 +390,12 @@ export function runSampleReveals() {
     const numSims = Math.max(1, parseInt(countInput?.value) || CONFIG.DEFAULT_SAMPLE_SIZE);
 
     // Ensure we have stable samples for all opponents
-    for (const opp of opponentsWithData) {
-        if (!stableSamples[opp] || stableSamples[opp].length < numSims) {
-            generateStableSamples(opp, numSims);
-        }
+    const missing = opponentsWithData.filter(opp =>
+        !stableSamples[opp] || stableSamples[opp].length < numSims || sampleSeeds[opp] !== getSeed()
+    );
+    if (missing.length > 0) {
+        generateAllSamples(missing, numSims, runSampleReveals);
+        return;
     }
 
     let fullHTML = '';
@@ -471,16 +562,18 @@ export function runSampleReveals() {
  */
 export function calculate() {
     const results = {};
+    const precision = getPrecision();
 
     for (const opp of OpponentState.getActiveOpponents()) {
         const data = OpponentState.getOpponentData(opp);
         if (data?.cardsByName && Object.keys(data.cardsByName).length > 0) {
-            const cacheKey = `mara-${opp}-${data.deckSize}-${Object.keys(data.cardsByName).length}`;
+            const seed = deriveSeed(`mara-stats-${opp}`);
+            const cacheKey = `mara-${opp}-${data.deckSize}-${Object.keys(data.cardsByName).length}-${seed}-${precisionKey(precision)}`;
             const cached = simulationCache.get(cacheKey);
             if (cached) {
                 results[opp] = cached;
             } else {
-                const stats = calculateMaraStats(data);
+                const stats = calculateMaraStats(data, CONFIG.DEFAULT_SIM_COUNT, { rng: createRng(seed), precision });
                 if (stats) {
                     simulationCache.set(cacheKey, stats);
                     results[opp] = stats;
@@ -492,11 +585,64 @@ export function calculate() {
     return results;
 }
 
+/**
+ * Calculate stats for all opponents on the worker pool
+ * @param {Function} onComplete - Called with stats keyed by opponent
+ */
+export function calculateAsync(onComplete) {
+    const results = {};
+    const precision = getPrecision();
+    const pending = [];
+
+    for (const opp of OpponentState.getActiveOpponents()) {
+        const data = OpponentState.getOpponentData(opp);
+        if (data?.cardsByName && Object.keys(data.cardsByName).length > 0) {
+            const seed = deriveSeed(`mara-stats-${opp}`);
+            const cacheKey = `mara-${opp}-${data.deckSize}-${Object.keys(data.cardsByName).length}-${seed}-${precisionKey(precision)}`;
+            const cached = simulationCache.get(cacheKey);
+            if (cached) {
+                results[opp] = cached;
+            } else {
+                pending.push({ opp, data, cacheKey, seed });
+            }
+        }
+    }
+
+    if (pending.length === 0) {
+        onComplete(results);
+        return;
+    }
+
+    // Failed or superseded jobs still count, so the results always render
+    let remaining = pending.length;
+    const settle = () => {
+        remaining--;
+        if (remaining === 0) onComplete(results);
+    };
+    for (const { opp, data, cacheKey, seed } of pending) {
+        runSimulation('maraStats', { opponentData: { cardsByName: data.cardsByName }, precision, seed }, {
+            key: `mara-stats-${opp}`,
+            onComplete: (stats) => {
+                if (stats) {
+                    simulationCache.set(cacheKey, stats);
+                    results[opp] = stats;
+                }
+                settle();
+            },
+            onError: (err) => {
+                console.error(`Mara simulation failed for ${opp}:`, err);
+                settle();
+            },
+            onCancel: settle
+        });
+    }
+}
+
 /**
  * Update UI
  */
 export function updateUI() {
-    renderResults();
+    calculateAsync(renderResults);
 
     const hasAnyDeckData = OpponentState.hasAnyDeckData();
 
@@ -3,8 +3,8 @@
  * Determines optimal mulligan decisions for any number of card types
  */
 
-import { choose, drawTwoTypeMin, drawThreeTypeMin } from '../utils/hypergeometric.js';
-import { formatNumber, formatPercentage, createCache } from '../utils/simulation.js';
+import { drawTypeMin, drawTypesMin, forEachDraw } from '../utils/hypergeometric.js';
+import { formatNumber, formatPercentage, createCache, debounce } from '../utils/simulation.js';
 import { createOrUpdateChart } from '../utils/chartHelpers.js';
 import * as DeckConfig from '../utils/deckConfig.js';
 import { registerCalculator } from '../utils/calculatorBase.js';
@@ -13,14 +13,22 @@ import {
     buildDeckFromCardData, shuffleDeck, renderCardBadge, renderDistributionChart,
     createCollapsibleSection, extractCardTypes
 } from '../utils/sampleSimulator.js';
+import { runSimulation, cancelSimulation } from '../utils/workerPool.js';
+import { showSimulationProgress, escapeHtml } from '../utils/ui.js';
+import { createRng, deriveSeed, getSeed, rerollSeed } from '../utils/random.js';
+import { evaluateQuery, buildQueryDeck, normalizeCategory, QueryError } from '../utils/probabilityQuery.js';
+import { getDrawProfile, cardsSeenByTurn, drawProfileKey, describeDrawProfile } from '../utils/drawProfile.js';
 
 let simulationCache = createCache(100);
+// Strategy results for other tools (Land Drop optimizer); keyed by their inputs, so never stale
+const strategyCache = createCache(200);
 let lastConfigHash = '';
 let chart = null;
 let turnChart = null;
 
 // Stable samples state
 let stableSamples = [];
+let sampleSeed = null;
 let lastSampleDeckHash = '';
 const SAMPLE_COUNT_DEFAULT = 10;
 let renderedCount = 0;
@@ -28,74 +36,23 @@ let renderedCount = 0;
 const DEFAULT_COLORS = ['#22c55e', '#3b82f6', '#ef4444', '#eab308', '#a855f7', '#ec4899', '#06b6d4', '#f97316'];
 
 // Card type management
+// A type with a `tag` takes its count from the deck's tagged cards instead of the manual input
 let cardTypes = [
     { id: 1, name: 'Lands', count: 39, required: 3, byTurn: 3, color: DEFAULT_COLORS[0] },
     { id: 2, name: 'Ramp', count: 14, required: 1, byTurn: 3, color: DEFAULT_COLORS[1] }
 ];
 let nextTypeId = 3;
 
-// ... (Hypergeometric functions remain the same) ...
-/**
- * Calculate probability of drawing specific combination of multiple types
- */
-function multiTypeProb(deckSize, typeCounts, drawn, typeDrawn) {
-    const numTypes = typeCounts.length;
-    const totalDrawn = typeDrawn.reduce((sum, n) => sum + n, 0);
-
-    if (totalDrawn > drawn) return 0;
-
-    const othersTotal = deckSize - typeCounts.reduce((sum, n) => sum + n, 0);
-    const othersDrawn = drawn - totalDrawn;
-
-    if (othersDrawn < 0 || othersDrawn > othersTotal) return 0;
-
-    let numerator = choose(othersTotal, othersDrawn);
-    for (let i = 0; i < numTypes; i++) {
-        numerator *= choose(typeCounts[i], typeDrawn[i]);
-    }
-
-    const denominator = choose(deckSize, drawn);
-    return numerator / denominator;
-}
-
-/**
- * Calculate cumulative probability: P(at least typeDrawn[i] of each type)
- * Optimized to use built-in hypergeometric functions for common cases
- */
-function multiTypeProbCumulative(deckSize, typeCounts, drawn, typeDrawnMin) {
-    // Fast path for common cases
-    if (typeCounts.length === 2) {
-        return drawTwoTypeMin(deckSize, typeCounts[0], typeCounts[1], drawn, typeDrawnMin[0], typeDrawnMin[1]);
-    }
-    if (typeCounts.length === 3) {
-        return drawThreeTypeMin(deckSize, typeCounts[0], typeCounts[1], typeCounts[2], drawn, typeDrawnMin[0], typeDrawnMin[1], typeDrawnMin[2]);
-    }
-
-    // General case: enumerate all valid combinations
-    let totalProb = 0;
-    function enumerate(typeIndex, currentDrawn, remainingSlots) {
-        if (typeIndex === typeCounts.length) {
-            totalProb += multiTypeProb(deckSize, typeCounts, drawn, currentDrawn);
-            return;
-        }
-        const minForType = typeDrawnMin[typeIndex];
-        const maxForType = Math.min(typeCounts[typeIndex], remainingSlots);
-        for (let count = minForType; count <= maxForType; count++) {
-            enumerate(typeIndex + 1, [...currentDrawn, count], remainingSlots - count);
-        }
-    }
-    enumerate(0, [], drawn);
-    return totalProb;
-}
-
 /**
  * Calculate success probability for a multi-type hand
  */
 /**
  * Calculate success probability for a multi-type hand with multiple deadlines.
  * Uses memoization and sequential deadlines for correctness.
+ * seenCounts covers all 7 cards looked at; under the London mulligan the
+ * difference from handCounts is on the bottom, out of reach of the draws.
  */
-export function calcMultiTypeSuccess(deckSize, types, handCounts) {
+export function calcMultiTypeSuccess(deckSize, types, handCounts, seenCounts = handCounts) {
     const activeTypes = types.map((t, i) => ({ ...t, index: i }));
     const unsatisfied = activeTypes.filter(t => handCounts[t.index] < t.required);
 
@@ -107,7 +64,8 @@ export function calcMultiTypeSuccess(deckSize, types, handCounts) {
     // Check for impossible Turn 0 requirements
     if (uniqueDeadlines[0] <= 0) return 0;
     
-    const initialDeckCounts = types.map((t, i) => t.count - handCounts[i]);
+    // Only the missing types are tracked; satisfied ones draw like any other card
+    const libraryCounts = unsatisfied.map(t => t.count - seenCounts[t.index]);
     const initialCardsInDeck = deckSize - 7;
     
     // Memoization cache
@@ -126,109 +84,91 @@ export function calcMultiTypeSuccess(deckSize, types, handCounts) {
         const cacheKey = `${deadlineStep}:${currentCounts.join(',')}`;
         if (cache.has(cacheKey)) return cache.get(cacheKey);
 
-        const currentDeckCounts = types.map((t, i) => t.count - currentCounts[i]);
+        const currentDeckCounts = unsatisfied.map((t, j) => libraryCounts[j] - (currentCounts[j] - handCounts[t.index]));
         // Total cards in deck at this stage
         const currentCardsInDeck = initialCardsInDeck - prevTurn;
 
         let totalProb = 0;
 
-        // Generate all possible draw combinations for this step
-        function generateDraws(typeIdx, currentDraw, remainingSlots) {
-            if (typeIdx === types.length) {
-                const prob = multiTypeProb(
-                    currentCardsInDeck,
-                    currentDeckCounts,
-                    cardsToDraw,
-                    currentDraw
-                );
+        // Every possible draw for this step
+        forEachDraw(currentCardsInDeck, currentDeckCounts, cardsToDraw, (currentDraw, prob) => {
+            const nextCounts = currentCounts.map((c, j) => c + currentDraw[j]);
 
-                if (prob > 0) {
-                    const nextCounts = currentCounts.map((c, i) => c + currentDraw[i]);
-                    
-                    // Check requirements for CURRENT deadline
-                    const metRequirements = unsatisfied
-                        .filter(t => t.byTurn === targetTurn)
-                        .every(t => nextCounts[t.index] >= t.required);
+            // Check requirements for CURRENT deadline
+            const metRequirements = unsatisfied
+                .every((t, j) => t.byTurn !== targetTurn || nextCounts[j] >= t.required);
 
-                    if (metRequirements) {
-                        totalProb += prob * solve(deadlineStep + 1, nextCounts);
-                    }
-                }
-                return;
+            if (metRequirements) {
+                totalProb += prob * solve(deadlineStep + 1, nextCounts);
             }
-
-            const maxDraw = Math.min(currentDeckCounts[typeIdx], remainingSlots);
-            for (let c = 0; c <= maxDraw; c++) {
-                generateDraws(typeIdx + 1, [...currentDraw, c], remainingSlots - c);
-            }
-        }
-
-        generateDraws(0, [], cardsToDraw);
+        });
 
         cache.set(cacheKey, totalProb);
         return totalProb;
     }
 
-    return solve(0, handCounts);
+    return solve(0, unsatisfied.map(t => handCounts[t.index]));
 }
 
 /**
- * Calculate mulligan strategy for multiple card types
+ * Turn each type's "by turn" deadline into the cards seen after the opening
+ * hand by then, which is what calcMultiTypeSuccess counts
  */
-function mullStratMultiType(deckSize, types, penalty, freeMulligan, confidenceThreshold) {
-    const strategy = [];
-    let bestKeepProb = 0;
-    const threshold = confidenceThreshold;
-
-    // Generate all possible hand combinations
-    function generateHandCombinations(typeIndex, currentCombination, remainingCards) {
-        if (typeIndex === types.length) {
-            if (currentCombination.reduce((sum, n) => sum + n, 0) <= 7) {
-                // Calculate hand probability
-                const handProb = multiTypeProb(
-                    deckSize,
-                    types.map(t => t.count),
-                    7,
-                    currentCombination
-                );
-
-                if (handProb > 0) {
-                    const successProb = calcMultiTypeSuccess(deckSize, types, currentCombination);
-
-                    strategy.push({
-                        counts: [...currentCombination],
-                        handProb,
-                        successProb,
-                        keep: false
-                    });
+function withDrawDeadlines(types, drawProfile) {
+    return types.map(t => ({ ...t, byTurn: cardsSeenByTurn(t.byTurn, drawProfile) - 7 }));
+}
 
-                    if (successProb > bestKeepProb) {
-                        bestKeepProb = successProb;
-                    }
-                }
-            }
-            return;
-        }
+/**
+ * Cards put on the bottom after the given number of mulligans
+ */
+function bottomCount(mulligans, freeMulligan) {
+    return mulligans === 0 ? 0 : (freeMulligan ? mulligans - 1 : mulligans);
+}
 
-        const maxForType = Math.min(types[typeIndex].count, remainingCards);
-        for (let count = 0; count <= maxForType; count++) {
-            generateHandCombinations(
-                typeIndex + 1,
-                [...currentCombination, count],
-                remainingCards - count
-            );
+/**
+ * London mulligan: choose which of the 7 seen cards to put on the bottom
+ * Every way to bottom the cards is weighed; cards outside every type go first
+ * on ties. The naive policy bottoms cards at random.
+ * @param {number} deckSize - Cards in deck
+ * @param {Array<Object>} types - Card types with count, required, byTurn
+ * @param {Array<number>} seenCounts - Cards of each type among the 7 seen
+ * @param {number} toBottom - Cards to put on the bottom
+ * @param {Function} successOf - (keptCounts) => success probability, defaults to calcMultiTypeSuccess
+ * @returns {Object} - { bottom: cards of each type to bottom, successProb, naiveSuccess }
+ */
+export function chooseBottom(deckSize, types, seenCounts, toBottom, successOf = null) {
+    const success = successOf || (kept => calcMultiTypeSuccess(deckSize, types, kept, seenCounts));
+    let best = null;
+    let naiveSuccess = 0;
+
+    forEachDraw(7, seenCounts, toBottom, (bottom, prob) => {
+        const successProb = success(seenCounts.map((c, i) => c - bottom[i]));
+        naiveSuccess += prob * successProb;
+
+        const typed = bottom.reduce((sum, n) => sum + n, 0);
+        if (!best || successProb > best.successProb + 1e-12 ||
+            (Math.abs(successProb - best.successProb) <= 1e-12 && typed < best.typed)) {
+            best = { bottom: [...bottom], successProb, typed };
         }
-    }
+    });
 
-    generateHandCombinations(0, [], 7);
+    return { bottom: best.bottom, successProb: best.successProb, naiveSuccess };
+}
 
+/**
+ * Work back from the last mulligan to find each step's keep decisions and expected success
+ * @param {Array<Object>} strategy - Hands with handProb
+ * @param {Function} successAt - (hand, mulligans) => success if that hand is kept at that step
+ */
+function solveMulliganSteps(strategy, successAt, penalty, freeMulligan, threshold) {
     // We calculate the Expected Value (EV) for each mulligan step (0 to 6)
     // London Mulligan: You always see 7 cards, penalty applies to success rate.
     const evs = new Array(8).fill(0);
     const stepStats = new Array(7).fill(null);
-    
+    const keepAt = strategy.map(() => new Array(7).fill(false));
+
     for (let i = 6; i >= 0; i--) {
-        const penaltyFactor = i === 0 ? 0 : (freeMulligan ? (i - 1) : i);
+        const penaltyFactor = bottomCount(i, freeMulligan);
         const k = Math.pow(1 - penalty, penaltyFactor);
         const nextEV = evs[i+1];
         
@@ -242,12 +182,13 @@ function mullStratMultiType(deckSize, types, penalty, freeMulligan, confidenceTh
         let keepProbAtStep = 0;
         let successIfKeptAtStep = 0;
         
-        strategy.forEach(hand => {
-            const handSuccess = hand.successProb * k;
+        strategy.forEach((hand, h) => {
+            const handSuccess = successAt(hand, i) * k;
             if (handSuccess >= decisionThreshold) {
                 stepEV += hand.handProb * handSuccess;
                 keepProbAtStep += hand.handProb;
                 successIfKeptAtStep += hand.handProb * handSuccess;
+                keepAt[h][i] = true;
             } else {
                 stepEV += hand.handProb * nextEV;
             }
@@ -259,15 +200,66 @@ function mullStratMultiType(deckSize, types, penalty, freeMulligan, confidenceTh
             successIfKept: keepProbAtStep > 0 ? successIfKeptAtStep / keepProbAtStep : 0,
             ev: stepEV
         };
-        
-        // Update the 'keep' flag for the sampler (using opening hand decision by default)
-        if (i === 0) {
-            strategy.forEach(hand => {
-                hand.keep = (hand.successProb * k) >= decisionThreshold;
-            });
-        }
     }
 
+    return { evs, stepStats, keepAt };
+}
+
+/**
+ * Every possible opening hand, with its best and random bottoms for each
+ * number of cards bottomed (see chooseBottom). These don't depend on the
+ * mulligan penalty, so strategies with different penalties can share them.
+ */
+function buildOpeningHands(deckSize, types) {
+    const hands = [];
+
+    // Success of each kept hand, shared by hands that bottom down to it
+    const successCache = new Map();
+    // (satisfied types don't affect it, so their exact counts are left out of the key)
+    const successOf = (kept, seen) => {
+        const key = types.map((t, i) => kept[i] >= t.required ? '+' : `${kept[i]}/${seen[i]}`).join(',');
+        if (!successCache.has(key)) successCache.set(key, calcMultiTypeSuccess(deckSize, types, kept, seen));
+        return successCache.get(key);
+    };
+
+    forEachDraw(deckSize, types.map(t => t.count), 7, (counts, handProb) => {
+        const seen = [...counts];
+        const successProb = successOf(seen, seen);
+
+        const bottoms = [];
+        for (let b = 0; b <= 6; b++) {
+            bottoms.push(b === 0
+                ? { bottom: seen.map(() => 0), successProb, naiveSuccess: successProb }
+                : chooseBottom(deckSize, types, seen, b, kept => successOf(kept, seen)));
+        }
+
+        hands.push({ counts: seen, handProb, successProb, bottoms });
+    });
+
+    return hands;
+}
+
+/**
+ * Calculate mulligan strategy for multiple card types
+ * After a mulligan the best cards are bottomed; the result also reports the
+ * success of a player who bottoms at random.
+ * @param {Array<Object>} hands - Opening hands from buildOpeningHands, built when omitted
+ */
+function mullStratMultiType(deckSize, types, penalty, freeMulligan, confidenceThreshold, hands = null) {
+    const strategy = (hands || buildOpeningHands(deckSize, types)).map(hand => ({ ...hand, keep: false }));
+    const bestKeepProb = strategy.reduce((best, hand) => Math.max(best, hand.successProb), 0);
+    const threshold = confidenceThreshold;
+
+    const optimal = solveMulliganSteps(strategy, (hand, i) => hand.bottoms[bottomCount(i, freeMulligan)].successProb, penalty, freeMulligan, threshold);
+    const naive = solveMulliganSteps(strategy, (hand, i) => hand.bottoms[bottomCount(i, freeMulligan)].naiveSuccess, penalty, freeMulligan, threshold);
+
+    // Keep flags per mulligan step; 'keep' is the opening hand decision used by the sampler
+    strategy.forEach((hand, h) => {
+        hand.keepAt = optimal.keepAt[h];
+        hand.keep = hand.keepAt[0];
+    });
+
+    const { evs, stepStats } = optimal;
     const expectedSuccess = evs[0];
     const keepProb = stepStats[0].keepProb;
     const expectedSuccessOnKeep = stepStats[0].successIfKept;
@@ -275,6 +267,8 @@ function mullStratMultiType(deckSize, types, penalty, freeMulligan, confidenceTh
     return { 
         strategy, 
         expectedSuccess, 
+        naiveExpectedSuccess: naive.evs[0],
+        bottomingValue: expectedSuccess - naive.evs[0],
         threshold, 
         bestKeepProb, 
         keepProb, 
@@ -283,12 +277,30 @@ function mullStratMultiType(deckSize, types, penalty, freeMulligan, confidenceTh
     };
 }
 
+/**
+ * Expected success of the optimal mulligan strategy for a set of types,
+ * without reading the page (used by the Land Drop optimizer)
+ * @param {number} deckSize - Cards in deck
+ * @param {Array<Object>} types - Card types with count, required, byTurn (in turns)
+ * @param {Object} options - { penalty, freeMulligan, confidenceThreshold, drawProfile }
+ * @returns {number} - Success probability
+ */
+export function calculateStrategySuccess(deckSize, types, { penalty, freeMulligan, confidenceThreshold, drawProfile = getDrawProfile() }) {
+    const cacheKey = `${deckSize}-${JSON.stringify(types.map(t => [t.count, t.required, t.byTurn]))}-${penalty}-${freeMulligan}-${confidenceThreshold}-${drawProfileKey(drawProfile)}`;
+    const cached = strategyCache.get(cacheKey);
+    if (cached !== undefined) return cached;
+
+    const success = mullStratMultiType(deckSize, withDrawDeadlines(types, drawProfile), penalty, freeMulligan, confidenceThreshold).expectedSuccess;
+    strategyCache.set(cacheKey, success);
+    return success;
+}
+
 /**
  * Calculate marginal benefit of replacing one "other" card with each type
  * This simulates real deck tuning: swapping a card rather than increasing deck size
  */
-function calculateMarginalBenefits(deckSize, types, penalty, freeMulligan, confidenceThreshold) {
-    const baseResult = mullStratMultiType(deckSize, types, penalty, freeMulligan, confidenceThreshold);
+function calculateMarginalBenefits(deckSize, types, penalty, freeMulligan, confidenceThreshold, baseResult = null) {
+    baseResult = baseResult || mullStratMultiType(deckSize, types, penalty, freeMulligan, confidenceThreshold);
     // Baseline = No Mulligan, just natural draw
     const baseBaseline = calculateNoMulliganSuccess(deckSize, types);
     const benefits = [];
@@ -368,48 +380,29 @@ function calculateAvgMulligans(strategy, penalty, freeMulligan) {
 function calculateNoMulliganSuccess(deckSize, types) {
     const allHands = [];
 
-    function generateHandCombinations(typeIndex, currentCombination, remainingCards) {
-        if (typeIndex === types.length) {
-            if (currentCombination.reduce((sum, n) => sum + n, 0) <= 7) {
-                const handProb = multiTypeProb(
-                    deckSize,
-                    types.map(t => t.count),
-                    7,
-                    currentCombination
-                );
-
-                if (handProb > 0) {
-                    const successProb = calcMultiTypeSuccess(deckSize, types, currentCombination);
-                    allHands.push({ handProb, successProb });
-                }
-            }
-            return;
-        }
-
-        const maxForType = Math.min(types[typeIndex].count, remainingCards);
-        for (let count = 0; count <= maxForType; count++) {
-            generateHandCombinations(
-                typeIndex + 1,
-                [...currentCombination, count],
-                remainingCards - count
-            );
-        }
-    }
-
-    generateHandCombinations(0, [], 7);
+    forEachDraw(deckSize, types.map(t => t.count), 7, (counts, handProb) => {
+        allHands.push({ handProb, successProb: calcMultiTypeSuccess(deckSize, types, counts) });
+    });
 
     // Weighted average of success probability across all possible hands
     return allHands.reduce((sum, hand) => sum + hand.handProb * hand.successProb, 0);
 }
 
 /**
- * Generate stable samples from the deck
+ * Generate stable samples from the deck on the worker pool
  */
-function generateStableSamples(deck, count) {
-    stableSamples = [];
-    for (let i = 0; i < Math.max(count, SAMPLE_COUNT_DEFAULT); i++) {
-        stableSamples.push(shuffleDeck([...deck]));
-    }
+function generateStableSamples(deck, count, onReady = null) {
+    const seed = getSeed();
+    runSimulation('shuffleSamples', { deck, count: Math.max(count, SAMPLE_COUNT_DEFAULT), seed: deriveSeed('mulligan-samples') }, {
+        key: 'mulligan-samples',
+        onProgress: (fraction) => showSimulationProgress('mulligan', fraction),
+        onComplete: (samples) => {
+            showSimulationProgress('mulligan', null);
+            stableSamples = samples;
+            sampleSeed = seed;
+            if (onReady) onReady();
+        }
+    });
 }
 
 /**
@@ -425,8 +418,8 @@ function refreshSamples() {
     const countInput = document.getElementById('mulligan-sample-count');
     const numSims = Math.max(1, parseInt(countInput?.value) || SAMPLE_COUNT_DEFAULT);
     
-    generateStableSamples(deck, numSims);
-    runSampleReveals();
+    rerollSeed();
+    generateStableSamples(deck, numSims, runSampleReveals);
 }
 
 /**
@@ -441,8 +434,9 @@ export function runSampleReveals() {
     const numSims = Math.max(1, parseInt(countInput?.value) || SAMPLE_COUNT_DEFAULT);
 
     // Ensure we have stable samples
-    if (stableSamples.length < numSims) {
-        generateStableSamples(deck, numSims);
+    if (stableSamples.length < numSims || sampleSeed !== getSeed()) {
+        generateStableSamples(deck, numSims, runSampleReveals);
+        return;
     }
 
     // Get strategy result
@@ -508,8 +502,13 @@ export function runSampleReveals() {
     const HAND_SIZE = 7;
     // Determine max turns to simulate based on requirements
     const maxTurn = Math.max(...config.types.map(t => t.byTurn));
-    // Simulate draws up to maxTurn
-    const DRAW_COUNT = maxTurn;
+    // Simulate the cards seen after the opener up to maxTurn
+    const DRAW_COUNT = cardsSeenByTurn(maxTurn, config.drawProfile) - HAND_SIZE;
+    const turnOfDraw = (draw) => {
+        let turn = 1;
+        while (cardsSeenByTurn(turn, config.drawProfile) - HAND_SIZE < draw) turn++;
+        return turn;
+    };
 
     // Outcome tracking
     let instantSuccessCount = 0;
@@ -829,10 +828,10 @@ export function runSampleReveals() {
                     fixText = 'Started with requirements met';
                     fixColor = '#4ade80';
                 } else if (fixedByTurn) {
-                    fixText = `Found missing pieces by Turn ${fixedByTurn}`;
+                    fixText = `Found missing pieces by Turn ${turnOfDraw(fixedByTurn)}`;
                     fixColor = '#4ade80';
                 } else {
-                    fixText = `Failed to find pieces (Checked ${maxTurn} draws)`;
+                    fixText = `Failed to find pieces (Checked ${DRAW_COUNT} draws)`;
                     fixColor = '#ef4444';
                 }
 
@@ -849,6 +848,28 @@ export function runSampleReveals() {
                     });
                     html += '</div>';
                 }
+
+                // London mulligan: the hand finally kept, with the bottomed cards marked
+                if (!keep) {
+                    const london = playLondonMulligans(i, deck, config, result, DRAW_COUNT);
+                    const keptCounts = countHandTypes(london.hand.filter((card, idx) => !london.bottomed[idx]), config.types);
+                    const runningCounts = [...keptCounts];
+                    let londonFixed = config.types.every((t, idx) => runningCounts[idx] >= t.required);
+                    for (let d = 0; d < london.draws.length && !londonFixed; d++) {
+                        countCard(london.draws[d], runningCounts);
+                        londonFixed = config.types.every((t, idx) => runningCounts[idx] >= t.required);
+                    }
+
+                    html += `<div style="margin-top: 10px; padding-top: 8px; border-top: 1px dashed ${borderColor}; font-size: 0.85em; color: var(--text-secondary); display:flex; justify-content:space-between; align-items:center;">
+                        <span>Kept after ${london.mulligans} mulligan${london.mulligans > 1 ? 's' : ''}${london.toBottom > 0 ? `, bottomed ${london.toBottom}` : ''} <span style="color:var(--text-dim)">(${formatPercentage(london.successProb)} win chance)</span></span>
+                        <span style="color:${londonFixed ? '#4ade80' : '#ef4444'}; font-weight:600;">${londonFixed ? 'Got there' : 'Missed'}</span>
+                    </div>`;
+                    html += '<div style="margin: 4px 0; display: flex; flex-wrap: wrap; gap: 4px;">';
+                    london.hand.forEach((card, idx) => {
+                        html += renderVirtualCard(card, london.bottomed[idx]);
+                    });
+                    html += '</div>';
+                }
                 
                 html += '</div>';
             }
@@ -878,6 +899,64 @@ export function runSampleReveals() {
     }
 }
 
+/**
+ * Count the cards of each configured type in a hand of virtual cards
+ */
+function countHandTypes(hand, types) {
+    return types.map(t => hand.filter(card => card.typeIds && card.typeIds.includes(t.id)).length);
+}
+
+/**
+ * Mark the cards to put on the bottom: cards outside every type first, then
+ * the typed cards the solver chose
+ * @returns {Array<boolean>} - Whether each card in the hand is bottomed
+ */
+function pickBottomCards(hand, types, bottom, toBottom) {
+    const typedLeft = [...bottom];
+    let othersLeft = toBottom - bottom.reduce((sum, n) => sum + n, 0);
+
+    return hand.map(card => {
+        const idx = types.findIndex(t => card.typeIds && card.typeIds.includes(t.id));
+        if (idx === -1) {
+            if (othersLeft <= 0) return false;
+            othersLeft--;
+            return true;
+        }
+        if (typedLeft[idx] <= 0) return false;
+        typedLeft[idx]--;
+        return true;
+    });
+}
+
+/**
+ * Play out the London mulligans after a sample's opening hand is sent back:
+ * reshuffle until the strategy keeps (or only one card would be left), then
+ * bottom the cards the solver picks
+ */
+function playLondonMulligans(sampleIndex, deck, config, result, drawCount) {
+    const rng = createRng(deriveSeed(`mulligan-sample-${sampleIndex}`));
+
+    for (let mulligans = 1; ; mulligans++) {
+        const shuffled = shuffleDeck([...deck], rng);
+        const hand = shuffled.slice(0, 7);
+        const counts = countHandTypes(hand, config.types);
+        const decision = result.strategy.find(s => s.counts.every((c, idx) => c === counts[idx]));
+
+        if (mulligans === 6 || decision?.keepAt[mulligans]) {
+            const toBottom = bottomCount(mulligans, config.freeMulligan);
+            const choice = decision?.bottoms[toBottom];
+            return {
+                mulligans,
+                hand,
+                toBottom,
+                bottomed: pickBottomCards(hand, config.types, choice ? choice.bottom : counts.map(() => 0), toBottom),
+                successProb: choice ? choice.successProb : 0,
+                draws: shuffled.slice(7, 7 + drawCount)
+            };
+        }
+    }
+}
+
 /**
  * Create a virtual deck based on configured types
  */
@@ -924,9 +1003,9 @@ function createVirtualDeck(deckSize, types) {
 }
 
 /**
- * Render a virtual card badge
+ * Render a virtual card badge (faded and struck through when put on the bottom)
  */
-function renderVirtualCard(card) {
+function renderVirtualCard(card, bottomed = false) {
     const color = card.isKnown ? (card.color || 'var(--theme-secondary)') : '#4b5563';
     const bg = card.isKnown 
         ? (card.color ? card.color + '33' : 'rgba(192, 132, 252, 0.2)') 
@@ -938,8 +1017,20 @@ function renderVirtualCard(card) {
         border: 1px solid ${color}; 
         color: var(--text-light); 
         font-size: 0.85em;
-        display: inline-block;
-    ">${card.name}</span>`;
+        display: inline-block;${bottomed ? `
+        opacity: 0.45;
+        text-decoration: line-through;` : ''}
+    "${bottomed ? ' title="Put on the bottom"' : ''}>${bottomed ? '⬇ ' : ''}${card.name}</span>`;
+}
+
+/**
+ * Update the counts of tag-linked types from the deck's card tags
+ */
+function syncTaggedCounts() {
+    const tagCounts = DeckConfig.getTagCounts();
+    cardTypes.forEach(type => {
+        if (type.tag) type.count = tagCounts[type.tag] || 0;
+    });
 }
 
 /**
@@ -957,18 +1048,21 @@ export function getDeckConfig() {
     const freeMulligan = document.getElementById('mull-free')?.checked === true;
     const confidenceThreshold = parseFloat(document.getElementById('mull-threshold')?.value || 75) / 100;
 
+    syncTaggedCounts();
+
     // Cache key now includes confidenceThreshold to ensure preset changes trigger recalc if logic uses it
     // Or at least to track state changes.
     const newHash = `${deckSize}-${JSON.stringify(cardTypes)}-${penalty}-${freeMulligan}-${confidenceThreshold}`;
     
-    if (newHash !== lastConfigHash) {
+    if (DeckConfig.isPrimaryDeck() && newHash !== lastConfigHash) {
         simulationCache.clear();
         lastConfigHash = newHash;
         
         // Regenerate samples if config changed significantly
         // For virtual deck, we regenerate if counts changed.
-        const deck = createVirtualDeck(deckSize, cardTypes);
-        generateStableSamples(deck, SAMPLE_COUNT_DEFAULT);
+        // Samples are reshuffled lazily by runSampleReveals for the new deck
+        cancelSimulation('mulligan-samples');
+        stableSamples = [];
     }
 
     return {
@@ -976,6 +1070,7 @@ export function getDeckConfig() {
         penalty,
         freeMulligan,
         confidenceThreshold,
+        drawProfile: getDrawProfile(),
         types: cardTypes
     };
 }
@@ -991,22 +1086,24 @@ export function calculate() {
     }
 
     // Include confidenceThreshold in cache key
-    const cacheKey = `${config.deckSize}-${JSON.stringify(config.types)}-${config.penalty}-${config.freeMulligan}-${config.confidenceThreshold}`;
+    const cacheKey = `${config.deckSize}-${JSON.stringify(config.types)}-${config.penalty}-${config.freeMulligan}-${config.confidenceThreshold}-${drawProfileKey(config.drawProfile)}`;
     const cached = simulationCache.get(cacheKey);
     let result = cached;
 
     if (!result) {
-        result = mullStratMultiType(config.deckSize, config.types, config.penalty, config.freeMulligan, config.confidenceThreshold);
+        const types = withDrawDeadlines(config.types, config.drawProfile);
+        const hands = buildOpeningHands(config.deckSize, types);
+        result = mullStratMultiType(config.deckSize, types, config.penalty, config.freeMulligan, config.confidenceThreshold, hands);
         
         // Calculate unpenalized result (Theoretical ceiling)
-        const unpenalizedResult = mullStratMultiType(config.deckSize, config.types, 0, config.freeMulligan, config.confidenceThreshold);
+        const unpenalizedResult = mullStratMultiType(config.deckSize, types, 0, config.freeMulligan, config.confidenceThreshold, hands);
         result.unpenalizedSuccess = unpenalizedResult.expectedSuccess;
 
         const mulliganStats = calculateAvgMulligans(result.strategy, config.penalty, config.freeMulligan);
         result.avgMulligans = mulliganStats.avgMulligans;
         result.expectedCards = mulliganStats.expectedCards;
-        result.baselineSuccess = calculateNoMulliganSuccess(config.deckSize, config.types);
-        result.marginalBenefits = calculateMarginalBenefits(config.deckSize, config.types, config.penalty, config.freeMulligan, config.confidenceThreshold);
+        result.baselineSuccess = calculateNoMulliganSuccess(config.deckSize, types);
+        result.marginalBenefits = calculateMarginalBenefits(config.deckSize, types, config.penalty, config.freeMulligan, config.confidenceThreshold, result);
         simulationCache.set(cacheKey, result);
     }
 
@@ -1020,14 +1117,25 @@ function renderCardTypes() {
     const container = document.getElementById('mull-types-container');
     if (!container) return;
 
+    syncTaggedCounts();
+    const tagCounts = DeckConfig.getTagCounts();
+    const renderSourceOptions = (t) => {
+        const tags = Object.keys(tagCounts);
+        if (t.tag && !tags.includes(t.tag)) tags.push(t.tag);
+        return `<option value="">Manual</option>` + tags.map(tag =>
+            `<option value="${escapeHtml(tag)}" ${t.tag === tag ? 'selected' : ''}>Tag: ${escapeHtml(tag)} (${tagCounts[tag] || 0})</option>`
+        ).join('');
+    };
+
     container.innerHTML = cardTypes.map(t => `<div class="card-type-row" data-type-id="${t.id}">
         <div class="type-header">
-            <input type="color" class="type-color-input" value="${t.color || '#ffffff'}" data-type-id="${t.id}" style="height: 38px; width: 40px; padding: 2px; background: var(--input-bg); border: 1px solid var(--theme-border); border-radius: var(--radius-md); cursor: pointer;">
-            <input type="text" class="type-name-input" value="${t.name}" placeholder="Type name" data-type-id="${t.id}">
+            <input type="color" class="type-color-input" value="${escapeHtml(t.color || '#ffffff')}" data-type-id="${t.id}" style="height: 38px; width: 40px; padding: 2px; background: var(--input-bg); border: 1px solid var(--theme-border); border-radius: var(--radius-md); cursor: pointer;">
+            <input type="text" class="type-name-input" value="${escapeHtml(t.name)}" placeholder="Type name" data-type-id="${t.id}">
             ${cardTypes.length > 1 ? `<button class="remove-type-btn" data-type-id="${t.id}" aria-label="Remove type">✕</button>` : ''}
         </div>
         <div class="type-grid">
-            <div class="type-input"><label>Cards in Deck</label><input type="number" class="type-count" value="${t.count}" min="0" data-type-id="${t.id}"></div>
+            <div class="type-input"><label>Count From</label><select class="type-source" data-type-id="${t.id}" title="Use the number of deck cards with a tag">${renderSourceOptions(t)}</select></div>
+            <div class="type-input"><label>Cards in Deck</label><input type="number" class="type-count" value="${t.count}" min="0" data-type-id="${t.id}" ${t.tag ? 'disabled' : ''}></div>
             <div class="type-input"><label>Need in Hand</label><input type="number" class="type-required" value="${t.required}" min="0" max="7" data-type-id="${t.id}"></div>
             <div class="type-input"><label>By Turn</label><input type="number" class="type-turn" value="${t.byTurn}" min="1" max="10" data-type-id="${t.id}"></div>
         </div>
@@ -1052,6 +1160,20 @@ function renderCardTypes() {
     updateType('.type-required', 'required', v => parseInt(v) || 0);
     updateType('.type-turn', 'byTurn', v => parseInt(v) || 1);
 
+    container.querySelectorAll('.type-source').forEach(select => {
+        select.addEventListener('change', e => {
+            const type = cardTypes.find(t => t.id === parseInt(e.target.dataset.typeId));
+            if (!type) return;
+            if (e.target.value) {
+                type.tag = e.target.value;
+            } else {
+                delete type.tag;
+            }
+            renderCardTypes();
+            updateUI();
+        });
+    });
+
     container.querySelectorAll('.remove-type-btn').forEach(btn => {
         btn.addEventListener('click', e => {
             cardTypes = cardTypes.filter(t => t.id !== parseInt(e.target.dataset.typeId));
@@ -1234,7 +1356,13 @@ function updateSummary(config, result, sharedData) {
                 <div style="${s.sub}">Average cards kept (Avg Mulls: ${formatNumber(result.avgMulligans, 2)})</div>
             </div>
         </div>
-        
+
+        <div style="background:rgba(56,189,248,0.05);border:1px solid rgba(56,189,248,0.2);border-radius:8px;padding:12px 16px;margin-bottom:20px;font-size:0.9em;color:var(--text-secondary)">
+            ⬇️ <strong style="color:var(--text-light)">London Mulligan Bottoming:</strong>
+            choosing which cards to bottom adds <strong style="color:#38bdf8">+${formatPercentage(Math.max(0, result.bottomingValue), 2)}</strong>
+            <span style="color:var(--text-dim)">(${formatPercentage(result.expectedSuccess)} vs ${formatPercentage(result.naiveExpectedSuccess)} bottoming at random)</span>
+        </div>
+
         <div style="background:var(--panel-bg-alt);border-radius:8px;padding:16px;margin-bottom:20px">
             <h3 style="margin:0 0 12px 0;font-size:0.95em;color:var(--text-light);text-transform:uppercase;letter-spacing:0.5px">Strategy Breakdown</h3>
             <details><summary style="cursor:pointer;color:var(--text-dim);font-size:0.85em">View Step-by-Step Stats</summary><div style="margin-top:12px;padding-top:12px;border-top:1px solid var(--border-color)">${breakdownHTML}</div></details>
@@ -1271,20 +1399,14 @@ function calculateTurnProbabilities(config) {
     const turnData = [];
 
     for (let turn = 0; turn <= maxTurn; turn++) {
-        // Standard draw: Turn 0 = 7 cards. Turn N = 7 + N.
-        const cardsSeen = 7 + turn;
+        // Turn 0 = the opening 7; later turns follow the draw profile
+        const cardsSeen = cardsSeenByTurn(turn, config.drawProfile);
 
         // Individual type probabilities
-        const typeProbabilities = config.types.map(type => {
-            let prob = 0;
-            for (let drawn = type.required; drawn <= Math.min(type.count, cardsSeen); drawn++) {
-                prob += multiTypeProb(config.deckSize, [type.count], cardsSeen, [drawn]);
-            }
-            return prob;
-        });
+        const typeProbabilities = config.types.map(type => drawTypeMin(config.deckSize, type.count, cardsSeen, type.required));
 
         // Combined probability using cumulative function
-        const combinedProb = multiTypeProbCumulative(
+        const combinedProb = drawTypesMin(
             config.deckSize,
             config.types.map(t => t.count),
             cardsSeen,
@@ -1328,7 +1450,7 @@ function updateChart(config, sharedData) {
         turnChart = createOrUpdateChart(turnChart, 'mull-turn-chart', {
             type: 'line',
             data: { labels: sharedData.turnData.map(d => d.turn), datasets },
-            options: getChartOptions('Turn', 'Probability', 'Natural Draw Probability (No Mulligan)')
+            options: getChartOptions('Turn', 'Probability', `Natural Draw Probability (No Mulligan, ${describeDrawProfile(config.drawProfile)})`)
         });
     }
 }
@@ -1338,6 +1460,7 @@ function updateChart(config, sharedData) {
  */
 export function updateUI() {
     const { config, result } = calculate();
+    updateQuery();
 
     if (!result) {
         document.getElementById('mull-strategyTable').innerHTML = '<tr><td>Configure card types to see strategy</td></tr>';
@@ -1410,6 +1533,70 @@ export function updateUI() {
     }
 }
 
+/**
+ * Deck for probability queries: the imported card list, or the card types above
+ */
+function getQueryDeck() {
+    const { cardsByName } = DeckConfig.getImportedCardData();
+    if (cardsByName && Object.keys(cardsByName).length > 0) {
+        return buildQueryDeck(cardsByName);
+    }
+
+    syncTaggedCounts();
+    return {
+        deckSize: parseInt(document.getElementById('mull-deck-size')?.value) || 99,
+        groups: cardTypes.map(type => ({
+            count: type.count,
+            categories: [type.name, type.tag].filter(Boolean).map(normalizeCategory)
+        }))
+    };
+}
+
+/**
+ * Describe how far a query looks, e.g. "by turn 3 on the draw"
+ */
+function describeQueryWindow(drawWindow) {
+    if (drawWindow.turn) return `by turn ${drawWindow.turn} on the ${drawWindow.onDraw ? 'draw' : 'play'}`;
+    return drawWindow.cards === 7 ? 'opening hand' : `top ${drawWindow.cards} cards`;
+}
+
+/**
+ * Evaluate the probability query and show the answer, or where it fails to parse
+ */
+function updateQuery() {
+    const input = document.getElementById('mull-query');
+    const output = document.getElementById('mull-query-result');
+    if (!input || !output) return;
+
+    const text = input.value;
+    if (!text.trim()) {
+        input.classList.remove('invalid');
+        output.innerHTML = '';
+        return;
+    }
+
+    try {
+        const result = evaluateQuery(text, getQueryDeck());
+        input.classList.remove('invalid');
+
+        const counts = result.categories.map(c => `${escapeHtml(c.name)}: ${c.count}`).join(' · ');
+        output.innerHTML = renderStatsGrid([
+            renderStatCard('Probability', formatPercentage(result.probability), escapeHtml(describeQueryWindow(result.window)), 'var(--accent)'),
+            renderStatCard('Cards Seen', result.cardsSeen, counts),
+            renderStatCard('Method', result.method === 'exact' ? 'Exact' : 'Simulated', result.method === 'exact' ? 'Multivariate hypergeometric' : 'Too many hand combinations; 20,000 random hands')
+        ]);
+    } catch (err) {
+        if (!(err instanceof QueryError)) throw err;
+        input.classList.add('invalid');
+        output.innerHTML = `
+            <div class="query-error" role="alert">
+                ⚠️ ${escapeHtml(err.message)} (character ${err.position + 1})
+                <pre>${escapeHtml(text)}\n${' '.repeat(err.position)}^</pre>
+            </div>
+        `;
+    }
+}
+
 /**
  * Handle Preset Change
  */
@@ -1553,8 +1740,21 @@ export function init() {
         sampleBtn.addEventListener('click', refreshSamples);
     }
 
-    // Listen for deck configuration changes
+    // Probability query
+    const queryInput = document.getElementById('mull-query');
+    if (queryInput) {
+        queryInput.addEventListener('input', debounce(updateQuery, 250));
+        document.querySelectorAll('[data-query]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                queryInput.value = btn.dataset.query;
+                updateQuery();
+            });
+        });
+    }
+
+    // Listen for deck configuration changes (tag-linked counts follow the deck)
     DeckConfig.onDeckUpdate(() => {
+        renderCardTypes();
         updateUI();
     });
 
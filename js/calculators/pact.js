@@ -0,0 +1,534 @@
+/**
+ * Tainted Pact / Demonic Consultation Calculator
+ * Exact odds for the two "exile until" tutors from an imported decklist
+ *
+ * Tainted Pact: "Exile the top card of your library. You may put that card
+ * into your hand unless it has the same name as another card exiled this way.
+ * Repeat this process until you put a card into your hand or you exile two
+ * cards with the same name, whichever comes first."
+ *
+ * Demonic Consultation: "Choose a card name. Exile the top six cards of your
+ * library, then reveal cards from the top of your library until you reveal a
+ * card with the chosen name. Put that card into your hand and exile all other
+ * cards revealed this way."
+ *
+ * Copies per name come from cardsByName, so duplicate basics are what make
+ * Tainted Pact stop early.
+ */
+
+import { createCache, formatNumber, formatPercentage } from '../utils/simulation.js';
+import { renderMultiColumnTable } from '../utils/tableUtils.js';
+import { createOrUpdateChart } from '../utils/chartHelpers.js';
+import * as DeckConfig from '../utils/deckConfig.js';
+import { registerCalculator, createStableSamples } from '../utils/calculatorBase.js';
+import { renderStatCard, renderStatsGrid, renderInsightBox, generateSampleRevealsHTML } from '../utils/components.js';
+import { buildDeckFromCardData, getLibraryCards, hashCardCounts, removeOneCopy, renderCardBadge, renderSampleList } from '../utils/sampleSimulator.js';
+import { drawType } from '../utils/hypergeometric.js';
+import { parseComboPieces } from './adnauseam.js';
+
+const CONFIG = {
+    CONSULTATION_EXILE: 6,
+    DEFAULT_SAMPLE_SIZE: 500
+};
+
+// The tutor being cast is not in the library
+export const TUTOR_CARDS = {
+    pact: 'Tainted Pact',
+    consultation: 'Demonic Consultation'
+};
+
+let chart = null;
+let simulationCache = createCache(50);
+
+const samples = createStableSamples('pact', { minCount: CONFIG.DEFAULT_SAMPLE_SIZE });
+
+/**
+ * Exact Tainted Pact odds
+ *
+ * The first k cards exiled are k different non-target names (one copy each)
+ * and card k+1 is either a target (found) or a second copy of one of those
+ * names (fail). Summing over which names come first is an elementary
+ * symmetric polynomial of the copies per name.
+ *
+ * @param {Array} deck - Library from buildDeckFromCardData
+ * @param {Array<string>} targets - Acceptable card names
+ * @returns {Object|null} - { librarySize, targetCopies, successProb, duplicateProb, emptyProb, exiledDist, expectedExiled, targetOdds, duplicateNames }
+ */
+export function calculateTaintedPact(deck, targets) {
+    const librarySize = deck.length;
+    if (librarySize === 0) return null;
+
+    const copies = new Map();
+    deck.forEach(card => copies.set(card.name, (copies.get(card.name) || 0) + 1));
+    const targetCopies = targets.reduce((sum, name) => sum + (copies.get(name) || 0), 0);
+    const others = [...copies.entries()].filter(([name]) => !targets.includes(name)).map(([, count]) => count);
+
+    // sets[k] = Σ over k-name sets of Π copies; repeats[k] adds Σ (copies - 1) over the set
+    const sets = [1];
+    const repeats = [0];
+    others.forEach(count => {
+        sets.push(0);
+        repeats.push(0);
+        for (let k = sets.length - 1; k >= 1; k--) {
+            repeats[k] += count * (repeats[k - 1] + (count - 1) * sets[k - 1]);
+            sets[k] += count * sets[k - 1];
+        }
+    });
+
+    // successDist[k] / failDist[k]: found after k misses / stopped with k cards exiled
+    const successDist = new Array(librarySize + 1).fill(0);
+    const failDist = new Array(librarySize + 1).fill(0);
+    let emptyProb = 0;
+    // P(a given ordered run of k cards) = 1 / (N (N-1) ... (N-k+1)); times k! orderings of the names
+    let orderings = 1;
+    for (let k = 0; k < sets.length && k <= librarySize; k++) {
+        if (k > 0) orderings *= k / (librarySize - k + 1);
+        const runProb = sets[k] * orderings;
+        if (k === librarySize) {
+            emptyProb = runProb;
+            break;
+        }
+        successDist[k] = runProb * targetCopies / (librarySize - k);
+        failDist[k + 1] = repeats[k] * orderings / (librarySize - k);
+    }
+
+    const successProb = successDist.reduce((sum, p) => sum + p, 0);
+    const duplicateProb = failDist.reduce((sum, p) => sum + p, 0);
+    const exiledDist = successDist.map((p, k) => p + failDist[k]);
+    exiledDist[librarySize] += emptyProb;
+
+    return {
+        librarySize,
+        targetCopies,
+        successProb,
+        duplicateProb,
+        emptyProb,
+        successDist,
+        failDist,
+        exiledDist,
+        expectedExiled: exiledDist.reduce((sum, p, k) => sum + p * k, 0),
+        // Every target copy is equally likely to be the one found
+        targetOdds: targets.map(name => ({
+            name,
+            count: copies.get(name) || 0,
+            prob: targetCopies > 0 ? successProb * (copies.get(name) || 0) / targetCopies : 0
+        })),
+        duplicateNames: [...copies.entries()]
+            .filter(([name, count]) => count > 1 && !targets.includes(name))
+            .map(([name, count]) => ({ name, count }))
+            .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+    };
+}
+
+/**
+ * Exact Demonic Consultation odds for one named card
+ * @param {Array} deck - Library from buildDeckFromCardData
+ * @param {string} name - The chosen name (may be a card not in the library)
+ * @returns {Object|null} - { name, count, librarySize, topSixProb, successProb, successDist, exiledDist, expectedExiled }
+ */
+export function calculateConsultation(deck, name) {
+    const librarySize = deck.length;
+    if (librarySize === 0) return null;
+
+    const count = deck.filter(card => card.name === name).length;
+    const top = Math.min(CONFIG.CONSULTATION_EXILE, librarySize);
+    const rest = librarySize - top;
+
+    // successDist[r]: a copy is found after the top six and r more exiled cards
+    const successDist = new Array(librarySize + 1).fill(0);
+    for (let a = 0; a < count; a++) {
+        const pTop = drawType(librarySize, count, top, a);
+        if (pTop === 0) continue;
+        const left = count - a;
+        for (let r = 0; r < rest; r++) {
+            successDist[top + r] += pTop * drawType(rest, left, r, 0) * left / (rest - r);
+        }
+    }
+
+    const successProb = successDist.reduce((sum, p) => sum + p, 0);
+    const exiledDist = [...successDist];
+    // No copy after the top six: the whole library is exiled
+    exiledDist[librarySize] += 1 - successProb;
+
+    return {
+        name,
+        count,
+        librarySize,
+        topSixProb: 1 - drawType(librarySize, count, top, 0),
+        successProb,
+        successDist,
+        exiledDist,
+        expectedExiled: exiledDist.reduce((sum, p, k) => sum + p * k, 0)
+    };
+}
+
+/**
+ * Resolve Tainted Pact on a shuffled library
+ * @param {Array} library - Shuffled library, top card first
+ * @param {Array<string>} targets - Acceptable card names
+ * @returns {Object} - { exiled, found, stoppedBy: 'target' | 'duplicate' | 'library' }
+ */
+export function resolveTaintedPact(library, targets) {
+    const seen = new Set();
+    const exiled = [];
+    for (const card of library) {
+        if (targets.includes(card.name)) return { exiled, found: card, stoppedBy: 'target' };
+        exiled.push(card);
+        if (seen.has(card.name)) return { exiled, found: null, stoppedBy: 'duplicate' };
+        seen.add(card.name);
+    }
+    return { exiled, found: null, stoppedBy: 'library' };
+}
+
+/**
+ * Resolve Demonic Consultation on a shuffled library
+ * @param {Array} library - Shuffled library, top card first
+ * @param {string} name - The chosen name
+ * @returns {Object} - { exiled, found }
+ */
+export function resolveConsultation(library, name) {
+    const top = Math.min(CONFIG.CONSULTATION_EXILE, library.length);
+    const exiled = library.slice(0, top);
+    for (const card of library.slice(top)) {
+        if (card.name === name) return { exiled, found: card };
+        exiled.push(card);
+    }
+    return { exiled, found: null };
+}
+
+/**
+ * Read the library and inputs
+ * @returns {Object} - { deck, deckHash, hasImportedData, mode, targets, unknownTargets, tutorRemoved }
+ */
+export function getDeckConfig() {
+    const { cardsByName } = DeckConfig.getImportedCardData();
+    const hasImportedData = Object.keys(cardsByName || {}).length > 0;
+    const libraryCards = getLibraryCards(cardsByName, DeckConfig.getCommanderName());
+
+    const mode = document.getElementById('pact-mode')?.value === 'consultation' ? 'consultation' : 'pact';
+    const deck = hasImportedData ? buildDeckFromCardData({ cardsByName: libraryCards }) : [];
+    const tutorRemoved = removeOneCopy(deck, TUTOR_CARDS[mode]);
+
+    const { pieces, unknown } = parseComboPieces(document.getElementById('pact-targets')?.value, Object.keys(libraryCards));
+
+    const deckHash = hashCardCounts(libraryCards);
+    if (hasImportedData) samples.trackDeck(deckHash);
+
+    return {
+        deck,
+        deckHash,
+        hasImportedData,
+        mode,
+        targets: pieces,
+        unknownTargets: unknown,
+        tutorRemoved
+    };
+}
+
+/**
+ * Calculate the odds for the current mode
+ * Consultation names each target in turn (names not in the library exile it all);
+ * `best` is the name with the highest chance to find it
+ */
+export function calculate() {
+    const config = getDeckConfig();
+    if (!config.hasImportedData || config.deck.length === 0) {
+        return { config, result: null };
+    }
+
+    const cacheKey = `${config.deckHash}-${config.tutorRemoved}-${config.mode}-${config.targets.join('|')}-${config.unknownTargets.join('|')}`;
+    let result = simulationCache.get(cacheKey);
+    if (!result) {
+        if (config.mode === 'pact') {
+            result = calculateTaintedPact(config.deck, config.targets);
+        } else {
+            const names = [...config.targets, ...config.unknownTargets];
+            const byName = names.map(name => calculateConsultation(config.deck, name));
+            const best = byName.reduce((top, r) => (!top || r.successProb > top.successProb ? r : top), null);
+            result = { byName, best };
+        }
+        simulationCache.set(cacheKey, result);
+    }
+
+    return { config, result };
+}
+
+/**
+ * Success and fail probability for each number of cards exiled
+ */
+function chartSeries(config, result) {
+    if (config.mode === 'pact') {
+        return { found: result.successDist, failed: result.exiledDist.map((p, k) => p - result.successDist[k]) };
+    }
+    const named = result.best;
+    if (!named) return { found: [], failed: [] };
+    return { found: named.successDist, failed: named.exiledDist.map((p, k) => p - named.successDist[k]) };
+}
+
+/**
+ * Update the exiled-card distribution chart
+ */
+function updateChart(config, result) {
+    const { found, failed } = chartSeries(config, result);
+    // Trim the long tail of near-zero bars, but keep "whole library exiled"
+    let last = found.length - 1;
+    while (last > 0 && found[last] < 0.0005 && failed[last] < 0.0005) last--;
+    const shown = found.map((_, k) => k).filter(k => k <= last || failed[k] >= 0.0005);
+
+    chart = createOrUpdateChart(chart, 'pact-chart', {
+        type: 'bar',
+        data: {
+            labels: shown.map(k => `${k}`),
+            datasets: [
+                {
+                    label: 'Found a target %',
+                    data: shown.map(k => found[k] * 100),
+                    backgroundColor: 'rgba(180, 83, 9, 0.75)',
+                    borderColor: '#b45309',
+                    borderWidth: 1,
+                    stack: 'outcome'
+                },
+                {
+                    label: 'Missed %',
+                    data: shown.map(k => failed[k] * 100),
+                    backgroundColor: 'rgba(239, 68, 68, 0.6)',
+                    borderColor: '#ef4444',
+                    borderWidth: 1,
+                    stack: 'outcome'
+                }
+            ]
+        },
+        options: {
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    stacked: true,
+                    title: { display: true, text: 'Probability %', color: '#b45309' },
+                    grid: { color: 'rgba(180, 83, 9, 0.15)' },
+                    ticks: { color: '#b45309' }
+                },
+                x: {
+                    stacked: true,
+                    title: { display: true, text: 'Cards exiled', color: '#a09090' },
+                    grid: { display: false },
+                    ticks: { color: '#a09090' }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Update the per-target table
+ */
+function updateTable(config, result) {
+    if (config.mode === 'pact') {
+        const headers = ['Target', 'Copies', 'P(Found)'];
+        const rows = result.targetOdds.map(t => ({ cells: [t.name, t.count, formatPercentage(t.prob)] }));
+        result.duplicateNames.slice(0, 10).forEach(d => {
+            rows.push({ cells: [`${d.name} (duplicate)`, d.count, '—'], class: 'dimmed' });
+        });
+        if (rows.length === 0) rows.push({ cells: ['Enter target names above', '', ''] });
+        renderMultiColumnTable('pact-comparisonTable', headers, rows);
+        return;
+    }
+
+    const headers = ['Named Card', 'Copies', 'P(In Top 6)', 'P(Found)', 'Avg Exiled'];
+    const rows = result.byName.map(r => ({
+        cells: [r.name, r.count, formatPercentage(r.topSixProb), formatPercentage(r.successProb), formatNumber(r.expectedExiled, 1)]
+    }));
+    if (rows.length === 0) rows.push({ cells: ['Enter card names above', '', '', '', ''] });
+    renderMultiColumnTable('pact-comparisonTable', headers, rows, {
+        highlightRowIndex: result.byName.indexOf(result.best)
+    });
+}
+
+/**
+ * Update the stats panel
+ */
+function updateStats(config, result) {
+    const statsPanel = document.getElementById('pact-stats');
+    if (!statsPanel) return;
+
+    const notes = [
+        config.tutorRemoved ? `One ${TUTOR_CARDS[config.mode]} is out of the library.` : '',
+        'Cards entered in the game tracker (hand, graveyard, exile) are out of the library.'
+    ];
+
+    if (config.mode === 'pact') {
+        const cardsHTML = [
+            renderStatCard('Target Found', formatPercentage(result.successProb), `${result.targetCopies} target card${result.targetCopies !== 1 ? 's' : ''} in ${result.librarySize}`, result.successProb >= 0.9 ? '#22c55e' : '#f59e0b'),
+            renderStatCard('Duplicate', formatPercentage(result.duplicateProb), 'two cards with one name', '#ef4444'),
+            renderStatCard('Library Exiled', formatPercentage(result.emptyProb), 'no target, no duplicate', 'var(--text-light)'),
+            renderStatCard('Cards Exiled', formatNumber(result.expectedExiled, 1), 'on average', '#b45309')
+        ];
+        const duplicates = result.duplicateNames.reduce((sum, d) => sum + d.count, 0);
+        const content = `${result.duplicateNames.length} name${result.duplicateNames.length !== 1 ? 's have' : ' has'} more than one copy (${duplicates} cards).` +
+            (config.unknownTargets.length > 0 ? ` Not in the library: ${config.unknownTargets.join(', ')}.` : '');
+        statsPanel.innerHTML = `
+            ${renderStatsGrid(cardsHTML)}
+            ${renderInsightBox('🗝️ Tainted Pact Analysis', content, notes.filter(Boolean).join(' '))}
+        `;
+        return;
+    }
+
+    const best = result.best;
+    if (!best) {
+        statsPanel.innerHTML = renderInsightBox('🗝️ Demonic Consultation', 'Enter the card name to choose. A name not in the library exiles the whole library.', notes.filter(Boolean).join(' '));
+        return;
+    }
+
+    const cardsHTML = [
+        renderStatCard('Found', formatPercentage(best.successProb), `naming ${best.name}`, best.successProb >= 0.9 ? '#22c55e' : '#f59e0b'),
+        renderStatCard('Exiled in Top 6', formatPercentage(best.topSixProb), `${best.count} cop${best.count !== 1 ? 'ies' : 'y'} in ${best.librarySize}`, '#ef4444'),
+        renderStatCard('Cards Exiled', formatNumber(best.expectedExiled, 1), 'on average', '#b45309')
+    ];
+    const content = best.count === 0
+        ? `${best.name} is not in the library, so all ${best.librarySize} cards are exiled.`
+        : `Naming ${best.name} gives the best chance of the ${result.byName.length} name${result.byName.length !== 1 ? 's' : ''} listed.`;
+    statsPanel.innerHTML = `
+        ${renderStatsGrid(cardsHTML)}
+        ${renderInsightBox('🗝️ Demonic Consultation Analysis', content, notes.filter(Boolean).join(' '))}
+    `;
+}
+
+/**
+ * Force refresh of stable samples (e.g., when user clicks Redraw)
+ */
+function refreshSamples() {
+    const config = getDeckConfig();
+    if (config.hasImportedData && config.deck.length > 0) {
+        samples.refresh(config.deck, runSampleReveals);
+    }
+}
+
+/**
+ * Run sample tutors using stable samples
+ */
+export function runSampleReveals() {
+    const config = getDeckConfig();
+    const display = document.getElementById('pact-reveals-display');
+    if (!display) return;
+
+    if (!config.hasImportedData) {
+        display.innerHTML = '<p style="color: var(--text-dim);">Please import a decklist to run simulations.</p>';
+        return;
+    }
+
+    const numSims = samples.count();
+    const shuffles = samples.get(config.deck, runSampleReveals);
+    if (!shuffles) return;
+
+    const { result } = calculate();
+    const named = config.mode === 'consultation' ? result?.best?.name : null;
+    const resolve = (library) => config.mode === 'pact'
+        ? resolveTaintedPact(library, config.targets)
+        : resolveConsultation(library, named);
+
+    if (config.mode === 'consultation' && !named) {
+        display.innerHTML = '<p style="color: var(--text-dim);">Enter a card name to choose.</p>';
+        return;
+    }
+
+    // Stats over every sample
+    let found = 0;
+    let totalExiled = 0;
+    for (let i = 0; i < numSims; i++) {
+        const outcome = resolve(shuffles[i]);
+        if (outcome.found) found++;
+        totalExiled += outcome.exiled.length;
+    }
+
+    renderSampleList(display, {
+        name: 'pact',
+        heading: `${config.mode === 'pact' ? 'Tainted Pact' : `Demonic Consultation naming ${named}`}:`,
+        stats: [
+            `<span style="color: #22c55e;">Found: ${(found / numSims * 100).toFixed(1)}%</span>`,
+            `<span>Exiled: ${(totalExiled / numSims).toFixed(1)} cards</span>`,
+            `<span style="color: #ef4444;">Missed: ${((numSims - found) / numSims * 100).toFixed(1)}%</span>`
+        ],
+        title: 'Runs',
+        count: numSims,
+        renderSample: (i) => {
+            const outcome = resolve(shuffles[i]);
+            const ending = outcome.found
+                ? `found <strong>${outcome.found.name}</strong>`
+                : (outcome.stoppedBy === 'duplicate' ? `exiled a second ${outcome.exiled[outcome.exiled.length - 1].name}` : 'exiled the whole library');
+
+            let html = `<div class="sample-reveal ${outcome.found ? 'free-spell' : 'whiff'}">`;
+            html += `<div><strong>Run ${i + 1}:</strong> ${outcome.exiled.length} exiled, ${ending}</div>`;
+            html += '<div style="margin: 8px 0;">';
+            // Long misses exile the whole library, so only the first cards are listed
+            outcome.exiled.slice(0, 20).forEach(card => { html += renderCardBadge(card); });
+            if (outcome.exiled.length > 20) html += `<span style="color: var(--text-dim);"> +${outcome.exiled.length - 20} more</span>`;
+            if (outcome.found) html += ` → ${renderCardBadge(outcome.found)}`;
+            return html + '</div></div>';
+        }
+    });
+}
+
+/**
+ * Update all UI elements
+ */
+export function updateUI() {
+    const { config, result } = calculate();
+    const importWarning = document.getElementById('pact-import-warning');
+    const resultsSection = document.getElementById('pact-results');
+
+    if (!config.hasImportedData || !result) {
+        if (importWarning) importWarning.style.display = 'block';
+        if (resultsSection) resultsSection.style.display = 'none';
+        if (chart) { chart.destroy(); chart = null; }
+        return;
+    }
+
+    if (importWarning) importWarning.style.display = 'none';
+    if (resultsSection) resultsSection.style.display = 'block';
+
+    updateChart(config, result);
+    updateTable(config, result);
+    updateStats(config, result);
+
+    if (document.getElementById('pact-reveals-display')) {
+        runSampleReveals();
+    }
+}
+
+/**
+ * Draw the chart and table for a calculate() result (used for the A/B compare overlay)
+ * @param {Object} data - Result of calculate()
+ */
+export function render({ config, result }) {
+    if (!config.hasImportedData || !result) return;
+    updateChart(config, result);
+    updateTable(config, result);
+}
+
+/**
+ * Initialize Tainted Pact / Demonic Consultation calculator
+ */
+export function init() {
+    registerCalculator({
+        name: 'pact',
+        calculate,
+        updateUI,
+        render,
+        inputs: ['mode', 'targets'],
+        sensitivity: [
+            {
+                label: 'Target Found',
+                percent: true,
+                value: ({ config, result }) => config.mode === 'pact' ? result?.successProb : result?.best?.successProb
+            }
+        ],
+        init: () => {
+            const container = document.getElementById('pact-sample-reveals');
+            if (container) {
+                container.innerHTML = generateSampleRevealsHTML('pact', 'Sample Runs');
+            }
+
+            const revealBtn = document.getElementById('pact-draw-reveals-btn');
+            if (revealBtn) revealBtn.addEventListener('click', () => refreshSamples());
+        }
+    });
+}
@@ -7,10 +7,15 @@ import { createCache, partialShuffle, formatNumber, formatPercentage, debounce }
 import { renderMultiColumnTable } from '../utils/tableUtils.js';
 import { createOrUpdateChart } from '../utils/chartHelpers.js';
 import * as DeckConfig from '../utils/deckConfig.js';
-import { renderDistributionChart, buildDeckFromCardData, shuffleDeck, createCollapsibleSection, extractCardTypes } from '../utils/sampleSimulator.js';
-import { registerCalculator } from '../utils/calculatorBase.js';
-import { renderStatCard, renderStatsGrid, renderInsightBox, generateSampleRevealsHTML } from '../utils/components.js';
+import { renderDistributionChart, buildDeckFromCardData, createCollapsibleSection, extractCardTypes } from '../utils/sampleSimulator.js';
+import { registerCalculator, slotKey } from '../utils/calculatorBase.js';
+import { Z_95, proportionError, meanError, withinTolerance, simulateUntilPrecise } from '../utils/confidence.js';
+import { getPrecision, precisionKey, describeRun } from '../utils/precision.js';
+import { renderStatCard, renderStatsGrid, renderInsightBox, renderInterval, generateSampleRevealsHTML } from '../utils/components.js';
 import { compareBigSpells, renderComparison } from '../utils/bigSpellComparison.js';
+import { runSimulation, cancelSimulation, registerSimulationTask } from '../utils/workerPool.js';
+import { showSimulationProgress } from '../utils/ui.js';
+import { random, createRng, deriveSeed, getSeed, rerollSeed } from '../utils/random.js';
 
 const CONFIG = {
     ITERATIONS: 25000,
@@ -46,19 +51,28 @@ let chart = null;
 
 // Stable samples state
 let stableSamples = [];
+let sampleSeed = null;
 let lastSampleDeckHash = '';
 let renderedCount = 0;
 
 /**
- * Generate stable samples from the deck
+ * Generate stable samples from the deck on the worker pool
  * @param {Array} deck - The source deck
  * @param {number} count - Number of samples to generate
+ * @param {Function} onReady - Called once the samples are in place
  */
-function generateStableSamples(deck, count) {
-    stableSamples = [];
-    for (let i = 0; i < Math.max(count, CONFIG.DEFAULT_SAMPLE_SIZE); i++) {
-        stableSamples.push(shuffleDeck([...deck]));
-    }
+function generateStableSamples(deck, count, onReady = null) {
+    const seed = getSeed();
+    runSimulation('shuffleSamples', { deck, count: Math.max(count, CONFIG.DEFAULT_SAMPLE_SIZE), seed: deriveSeed('portent-samples') }, {
+        key: 'portent-samples',
+        onProgress: (fraction) => showSimulationProgress('portent', fraction),
+        onComplete: (samples) => {
+            showSimulationProgress('portent', null);
+            stableSamples = samples;
+            sampleSeed = seed;
+            if (onReady) onReady();
+        }
+    });
 }
 
 /**
@@ -81,8 +95,9 @@ function refreshSamples() {
             }
         });
         
-        generateStableSamples(deck, numSims);
-        runSampleReveals();
+        rerollSeed();
+        
+        generateStableSamples(deck, numSims, runSampleReveals);
     }
 }
 
@@ -126,64 +141,130 @@ function buildDeckIntArray(typeCounts, cardData) {
 }
 
 /**
- * Run Batch Monte Carlo simulation for all X up to maxX
- * Optimized to calculate cumulative stats in a single pass per iteration
+ * Summarize one X value's tallies, with 95% half-widths
  */
-function simulatePortentBatch(deckIntArray, numTypes, deckSize, maxX) {
-    const cacheKey = `batch-${deckSize}-${maxX}-${deckIntArray.length}`;
-    const cached = simulationCache.get(cacheKey);
-    if (cached) return cached;
+function summarizeX(tally, trials) {
+    const typeDist = Array.from(tally.typeDist).map(c => c / trials);
+    const prob4Plus = typeDist.slice(CONFIG.FREE_SPELL_THRESHOLD).reduce((a, b) => a + b, 0);
+    return {
+        typeDist,
+        expectedTypes: tally.totalUniqueTypes / trials,
+        prob4Plus,
+        prob4PlusHalfWidth: Z_95 * proportionError(prob4Plus, trials),
+        expectedTypesHalfWidth: Z_95 * meanError(typeDist, trials),
+        expectedCardsToHand: 0
+    };
+}
 
+/**
+ * Run Batch Monte Carlo simulation for all X up to maxX
+ * Optimized to calculate cumulative stats in a single pass per iteration.
+ * Pure (no cache, no DOM) so it can run inside the simulation worker.
+ * @param {Uint32Array} deckIntArray - Deck of type bitmasks
+ * @param {number} numTypes - Number of distinct types in the deck
+ * @param {number} deckSize - Cards in the deck
+ * @param {number} maxX - Largest X to simulate
+ * @param {Object} options - { iterations, rng, onProgress, precision }; adaptive precision keeps
+ *                           simulating until every X is within the tolerance (see getPrecision)
+ * @returns {Object} - Results keyed by X, with 95% half-widths, iterations and converged
+ */
+export function simulatePortentDistribution(deckIntArray, numTypes, deckSize, maxX, options = {}) {
+    const { iterations = CONFIG.ITERATIONS, rng = random, onProgress = null, precision = null } = options;
     const deck = deckIntArray.slice();
-    const iterations = CONFIG.ITERATIONS;
     
     const results = new Array(maxX + 1).fill(null).map(() => ({
         totalUniqueTypes: 0,
         typeDist: new Uint32Array(numTypes + 1)
     }));
 
-    for (let iter = 0; iter < iterations; iter++) {
-        let seenTypesMask = 0;
-        let currentUniqueTypes = 0;
-
-        for (let i = 0; i < maxX; i++) {
-            const pick = i + Math.floor(Math.random() * (deckSize - i));
-            const card = deck[pick];
-            deck[pick] = deck[i];
-            deck[i] = card;
-
-            const oldMask = seenTypesMask;
-            seenTypesMask |= card;
-            
-            if (seenTypesMask !== oldMask) {
-                currentUniqueTypes = 0;
-                let n = seenTypesMask;
-                while (n > 0) {
-                    n &= (n - 1);
-                    currentUniqueTypes++;
+    const runBatch = (batchSize) => {
+        for (let iter = 0; iter < batchSize; iter++) {
+            let seenTypesMask = 0;
+            let currentUniqueTypes = 0;
+
+            for (let i = 0; i < maxX; i++) {
+                const pick = i + Math.floor(rng() * (deckSize - i));
+                const card = deck[pick];
+                deck[pick] = deck[i];
+                deck[i] = card;
+
+                const oldMask = seenTypesMask;
+                seenTypesMask |= card;
+                
+                if (seenTypesMask !== oldMask) {
+                    currentUniqueTypes = 0;
+                    let n = seenTypesMask;
+                    while (n > 0) {
+                        n &= (n - 1);
+                        currentUniqueTypes++;
+                    }
                 }
+
+                const res = results[i + 1];
+                res.totalUniqueTypes += currentUniqueTypes;
+                res.typeDist[currentUniqueTypes]++;
             }
+        }
+    };
 
-            const res = results[i + 1];
-            res.totalUniqueTypes += currentUniqueTypes;
-            res.typeDist[currentUniqueTypes]++;
+    // Adaptive runs stop once every X is within the tolerance
+    const isPrecise = (trials) => {
+        for (let x = 1; x <= maxX; x++) {
+            const r = summarizeX(results[x], trials);
+            if (!withinTolerance(r.prob4PlusHalfWidth, r.prob4Plus, precision.tolerance, true) ||
+                !withinTolerance(r.expectedTypesHalfWidth, r.expectedTypes, precision.tolerance, false)) {
+                return false;
+            }
         }
-    }
+        return true;
+    };
+
+    const run = simulateUntilPrecise(runBatch, isPrecise, { trials: iterations, precision, onProgress });
 
     const processedResults = {};
     for (let x = 1; x <= maxX; x++) {
-        const r = results[x];
-        const typeDist = Array.from(r.typeDist).map(c => c / iterations);
-        
-        processedResults[x] = {
-            typeDist,
-            expectedTypes: r.totalUniqueTypes / iterations,
-            prob4Plus: typeDist.slice(CONFIG.FREE_SPELL_THRESHOLD).reduce((a, b) => a + b, 0),
-            expectedCardsToHand: 0 
-        };
+        processedResults[x] = { ...summarizeX(results[x], run.trials), iterations: run.trials, converged: run.converged };
     }
 
-    simulationCache.set(cacheKey, processedResults);
+    return processedResults;
+}
+
+registerSimulationTask('portentBatch', ({ deck, numTypes, deckSize, maxX, iterations, precision, seed }, onProgress) =>
+    simulatePortentDistribution(deck, numTypes, deckSize, maxX, { iterations, precision, rng: createRng(seed), onProgress })
+);
+
+/**
+ * Build the batch simulation input for a config
+ */
+function buildBatchJob(config) {
+    const { deck, numTypes } = buildDeckIntArray(config.types, config.cardData);
+    const deckSize = deck.length;
+    const maxX = Math.min(config.x + CONFIG.X_RANGE_AFTER, deckSize);
+    const seed = deriveSeed('portent-batch');
+    const precision = getPrecision();
+
+    // Key on the type make-up too, so decks of the same size don't collide (A/B compare)
+    const maskCounts = {};
+    deck.forEach(mask => { maskCounts[mask] = (maskCounts[mask] || 0) + 1; });
+    const composition = Object.entries(maskCounts).map(([mask, count]) => `${mask}:${count}`).join(',');
+
+    return {
+        cacheKey: `batch-${deckSize}-${maxX}-${numTypes}-${composition}-${seed}-${precisionKey(precision)}`,
+        payload: { deck, numTypes, deckSize, maxX, iterations: CONFIG.ITERATIONS, precision, seed }
+    };
+}
+
+/**
+ * Run the batch simulation synchronously, using the cache
+ */
+function simulatePortentBatch(job) {
+    const cached = simulationCache.get(job.cacheKey);
+    if (cached) return cached;
+
+    const { deck, numTypes, deckSize, maxX, iterations, precision, seed } = job.payload;
+    const processedResults = simulatePortentDistribution(deck, numTypes, deckSize, maxX, { iterations, precision, rng: createRng(seed) });
+
+    simulationCache.set(job.cacheKey, processedResults);
     return processedResults;
 }
 
@@ -209,19 +290,14 @@ export function getDeckConfig() {
 
     const newHash = JSON.stringify(types);
     
-    if (newHash !== lastSampleDeckHash && cardData && cardData.cardsByName && Object.keys(cardData.cardsByName).length > 0) {
-        const deck = [];
-        Object.values(cardData.cardsByName).forEach(card => {
-            const t = extractCardTypes(card);
-            for (let i = 0; i < card.count; i++) {
-                deck.push({ name: card.name, types: t, type_line: card.type_line });
-            }
-        });
-        generateStableSamples(deck, 20);
+    if (DeckConfig.isPrimaryDeck() && newHash !== lastSampleDeckHash && cardData && cardData.cardsByName && Object.keys(cardData.cardsByName).length > 0) {
+        // Samples are reshuffled lazily by runSampleReveals for the new deck
+        cancelSimulation('portent-samples');
+        stableSamples = [];
         lastSampleDeckHash = newHash;
     }
 
-    if (newHash !== lastDeckHash) {
+    if (DeckConfig.isPrimaryDeck() && newHash !== lastDeckHash) {
         simulationCache.clear();
         lastDeckHash = newHash;
     }
@@ -249,15 +325,43 @@ export function calculate() {
         return { config, results: {} };
     }
 
-    const { deck, numTypes } = buildDeckIntArray(config.types, config.cardData);
-    const effectiveDeckSize = deck.length;
-
-    const maxX = Math.min(config.x + CONFIG.X_RANGE_AFTER, effectiveDeckSize);
-    const batchResults = simulatePortentBatch(deck, numTypes, effectiveDeckSize, maxX);
+    const batchResults = simulatePortentBatch(buildBatchJob(config));
 
     return { config, results: batchResults };
 }
 
+/**
+ * Calculate probabilities on the worker pool.
+ * Superseded runs (e.g. while dragging the X slider) are cancelled.
+ * @param {Function} onComplete - Called with { config, results }
+ */
+export function calculateAsync(onComplete) {
+    const config = getDeckConfig();
+
+    if (config.deckSize === 0) {
+        onComplete({ config, results: {} });
+        return;
+    }
+
+    const job = buildBatchJob(config);
+    const cached = simulationCache.get(job.cacheKey);
+    if (cached) {
+        cancelSimulation(slotKey('portent-batch'));
+        onComplete({ config, results: cached });
+        return;
+    }
+
+    runSimulation('portentBatch', job.payload, {
+        key: slotKey('portent-batch'),
+        onProgress: (fraction) => showSimulationProgress('portent', fraction),
+        onComplete: (results) => {
+            showSimulationProgress('portent', null);
+            simulationCache.set(job.cacheKey, results);
+            onComplete({ config, results });
+        }
+    });
+}
+
 function updateChart(config, results) {
     const minX = Math.max(1, config.x - CONFIG.X_RANGE_BEFORE);
     const maxX = Math.min(config.x + CONFIG.X_RANGE_AFTER, Object.keys(results).length);
@@ -343,9 +447,9 @@ function updateTable(config, results) {
         return {
             cells: [
                 x,
-                formatPercentage(r.prob4Plus),
+                `${formatPercentage(r.prob4Plus)} ${renderInterval(formatPercentage(r.prob4PlusHalfWidth))}`,
                 { value: isBaseline ? '-' : (deltaProb >= 0 ? '+' : '') + deltaProb.toFixed(1) + '%', class: `${probClass} mobile-hide` },
-                formatNumber(r.expectedTypes, 2),
+                `${formatNumber(r.expectedTypes, 2)} ${renderInterval(formatNumber(r.expectedTypesHalfWidth, 2))}`,
                 { value: isBaseline ? '-' : (deltaTypes >= 0 ? '+' : '') + formatNumber(deltaTypes, 2), class: `${typesClass} mobile-hide` }
             ],
             class: isBaseline ? 'current' : ''
@@ -386,11 +490,12 @@ function updateStats(config, results) {
         else { message = 'Poor.'; color = COLORS.danger; advice = ' Unlikely to hit free spell. Diversify types!'; }
 
         const cardsHTML = [
-            renderStatCard('Free Spell Chance', formatPercentage(currentResult.prob4Plus), '4+ types revealed', COLORS.primary),
-            renderStatCard('Types Exiled', formatNumber(expectedTypes, 1), 'avg per cast (1 per type)', COLORS.danger)
+            renderStatCard('Free Spell Chance', `${formatPercentage(currentResult.prob4Plus)} ${renderInterval(formatPercentage(currentResult.prob4PlusHalfWidth))}`, '4+ types revealed', COLORS.primary),
+            renderStatCard('Types Exiled', `${formatNumber(expectedTypes, 1)} ${renderInterval(formatNumber(currentResult.expectedTypesHalfWidth, 2))}`, 'avg per cast (1 per type)', COLORS.danger)
         ];
 
-        const footer = `<strong>Marginal Value:</strong><br>• X=${config.x + 1}: ${marginalUp}<br>• X=${config.x - 1}: ${marginalDown}`;
+        const footer = `<strong>Marginal Value:</strong><br>• X=${config.x + 1}: ${marginalUp}<br>• X=${config.x - 1}: ${marginalDown}` +
+            `<br><small>${describeRun(currentResult.iterations, currentResult.converged)}; ± is the 95% confidence interval.</small>`;
 
         statsPanel.innerHTML = `
             ${renderInsightBox(`⚡ Portent of Calamity X=${config.x} Analysis`, '', '')}
@@ -416,7 +521,7 @@ export function runSampleReveals() {
     const numSims = Math.max(1, parseInt(countInput?.value) || 10);
 
     // Ensure stable samples exist
-    if (stableSamples.length < numSims) {
+    if (stableSamples.length < numSims || sampleSeed !== getSeed()) {
         // Build deck array
         const deck = [];
         Object.values(cardData.cardsByName).forEach(card => {
@@ -425,7 +530,8 @@ export function runSampleReveals() {
                 deck.push({ name: card.name, types, type_line: card.type_line });
             }
         });
-        generateStableSamples(deck, numSims);
+        generateStableSamples(deck, numSims, runSampleReveals);
+        return;
     }
 
     let freeSpellCount = 0;
@@ -553,8 +659,13 @@ export function runSampleReveals() {
  * Update all UI elements
  */
 export function updateUI() {
-    const { config, results } = calculate();
+    calculateAsync(renderResults);
+}
 
+/**
+ * Render simulation results
+ */
+function renderResults({ config, results }) {
     if (config.deckSize === 0 || Object.keys(results).length === 0) {
         if (chart) chart.destroy();
         document.getElementById('portent-comparisonTable').innerHTML = '';
@@ -577,6 +688,16 @@ export function updateUI() {
     }
 }
 
+/**
+ * Draw the chart and table for a calculate() result (used for the A/B compare overlay)
+ * @param {Object} data - Result of calculate()
+ */
+export function render({ config, results }) {
+    if (config.deckSize === 0 || Object.keys(results).length === 0) return;
+    updateChart(config, results);
+    updateTable(config, results);
+}
+
 /**
  * Initialize Portent calculator
  */
@@ -584,8 +705,23 @@ export function init() {
     registerCalculator({
         name: 'portent',
         calculate,
+        calculateAsync,
         updateUI,
+        render,
         inputs: ['x'],
+        sensitivity: [
+            {
+                label: 'Free Spell Chance',
+                percent: true,
+                value: ({ config, results }) => results[config.x]?.prob4Plus,
+                error: ({ config, results }) => (results[config.x]?.prob4PlusHalfWidth || 0) / Z_95
+            },
+            {
+                label: 'Types Exiled',
+                value: ({ config, results }) => results[config.x]?.expectedTypes,
+                error: ({ config, results }) => (results[config.x]?.expectedTypesHalfWidth || 0) / Z_95
+            }
+        ],
         init: () => {
             const container = document.getElementById('portent-sample-reveals');
             if (container) {
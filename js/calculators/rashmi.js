@@ -10,9 +10,12 @@ import * as DeckConfig from '../utils/deckConfig.js';
 import { registerCalculator } from '../utils/calculatorBase.js';
 import { generateSampleRevealsHTML } from '../utils/components.js';
 import {
-    buildDeckFromCardData, shuffleDeck, renderCardBadge, 
+    buildDeckFromCardData, renderCardBadge, 
     createCollapsibleSection, extractCardTypes
 } from '../utils/sampleSimulator.js';
+import { runSimulation, cancelSimulation } from '../utils/workerPool.js';
+import { showSimulationProgress } from '../utils/ui.js';
+import { deriveSeed, getSeed, rerollSeed } from '../utils/random.js';
 
 const CONFIG = {
     CMC_RANGE_BEFORE: 2,
@@ -28,37 +31,39 @@ let simulationCache = createCache(50);
 
 // Stable samples state
 let stableSamples = [];
+let sampleSeed = null;
 let lastSampleDeckHash = '';
 let renderedCount = 0;
 
 /**
  * Check if a card is an X spell
+ * @param {string} manaCost - Scryfall mana cost
+ * @returns {boolean}
  */
-function isXSpell(manaCost) {
+export function isXSpell(manaCost) {
     return manaCost ? /\{X\}/i.test(manaCost) : false;
 }
 
 /**
- * Generate stable samples from the deck
+ * Generate stable samples from the deck on the worker pool
  * @param {Array} deck - The source deck
  * @param {number} count - Number of samples to generate
+ * @param {Function} onReady - Called once the samples are in place
  */
-function generateStableSamples(deck, count) {
-    stableSamples = [];
-    // We generate enough independent samples
-    // For each sample, we shuffle a copy of the deck (simulation of independent draws)
-    // Optimization: For single card draws, we can just pick a random card, but 
-    // full shuffle preserves the "draw from deck" semantics if we ever expand to "draw 2".
-    // For single card reveal, simple random pick is O(1).
-    
-    // To match previous behavior (shuffleDeck), we'll do full shuffles or robust sampling.
-    // Given the deck size is small (100), full shuffle is fine.
-    
-    for (let i = 0; i < Math.max(count, CONFIG.DEFAULT_SAMPLE_SIZE); i++) {
-        // We use a light copy and shuffle
-        const shuffled = shuffleDeck([...deck]);
-        stableSamples.push(shuffled[0]);
-    }
+function generateStableSamples(deck, count, onReady = null) {
+    const seed = getSeed();
+    // A Rashmi reveal only needs the top card of each shuffle
+    const top = DeckConfig.getKnownTopCards().map(card => card.name);
+    runSimulation('shuffleSamples', { deck, count: Math.max(count, CONFIG.DEFAULT_SAMPLE_SIZE), keep: 1, seed: deriveSeed('rashmi-samples'), top }, {
+        key: 'rashmi-samples',
+        onProgress: (fraction) => showSimulationProgress('rashmi', fraction),
+        onComplete: (samples) => {
+            showSimulationProgress('rashmi', null);
+            stableSamples = samples.map(sample => sample[0]);
+            sampleSeed = seed;
+            if (onReady) onReady();
+        }
+    });
 }
 
 /**
@@ -72,20 +77,22 @@ function prepareSimulationState() {
     const excludeCheckbox = document.getElementById('rashmi-exclude-x');
     const excludeXSpells = excludeCheckbox ? excludeCheckbox.checked : false;
 
+    // A known top card (game tracker) is the card Rashmi reveals
+    const knownTop = hasImportedData ? DeckConfig.getKnownTopCards()[0] || null : null;
+
     // Check if we can reuse the cached calculation state
     // We need to construct a hash that captures all inputs that affect the distribution
     const rawDeckHash = JSON.stringify({ 
-        cards: hasImportedData ? Object.keys(cardData.cardsByName).length : 0, // Quick check
+        cards: hasImportedData
+            ? Object.values(cardData.cardsByName).map(card => `${card.count}x${card.name}`).join('|')
+            : '',
         configLands: config.lands,
-        exclude: excludeXSpells
+        exclude: excludeXSpells,
+        top: knownTop?.name || null
     });
 
-    // We also need to check if the specific card counts/details changed if we want to be 100% robust,
-    // but usually checking the imported data reference or a simplified hash is enough.
-    // For now, we'll rebuild the distribution if the simple hash changes, 
-    // but strictly speaking, we should verify the content if the user edits counts.
-    // Since DeckConfig.getImportedCardData returns the same object unless changed,
-    // and we built a hash, we are relatively safe.
+    // Card names and counts are part of the hash, so card-level edits (and the
+    // A/B challenger deck) never reuse another deck's distribution.
     
     // However, to optimize properly, we want to AVOID the loop below if possible.
     // Let's check our module-level cache.
@@ -153,6 +160,7 @@ function prepareSimulationState() {
             prefixSumCmc,
             xSpells,
             excludeXSpells,
+            knownTop,
             hasImportedData,
             preparedDeck,
             lands: config.lands,
@@ -163,8 +171,10 @@ function prepareSimulationState() {
     }
     
     // Check if we need to regenerate samples (only if deck content changed)
-    if (state.hasImportedData && state.rawDeckHash !== lastSampleDeckHash) {
-        generateStableSamples(state.preparedDeck, 20); // Default count
+    if (DeckConfig.isPrimaryDeck() && state.hasImportedData && state.rawDeckHash !== lastSampleDeckHash) {
+        // Samples are reshuffled lazily by runSampleReveals for the new deck
+        cancelSimulation('rashmi-samples');
+        stableSamples = [];
         lastSampleDeckHash = state.rawDeckHash;
     }
 
@@ -179,12 +189,24 @@ function prepareSimulationState() {
  * Calculate probabilities for a given cast CMC using O(1) lookups
  */
 function calculateRashmiProbability(state, castCmc) {
-    const { deckSize, cdf, prefixSumCmc } = state;
+    const { deckSize, cdf, prefixSumCmc, knownTop } = state;
     
     if (deckSize === 0 || castCmc === 0) {
         return { probFreeSpell: 0, probWhiff: 0, expectedCmc: 0 };
     }
 
+    // The top card is known: the reveal is certain
+    if (knownTop) {
+        const cmc = knownTop.cmc !== undefined ? Math.floor(knownTop.cmc) : 0;
+        const isFree = !extractCardTypes(knownTop).includes('land') && cmc < castCmc &&
+            !(state.excludeXSpells && isXSpell(knownTop.mana_cost));
+        return {
+            probFreeSpell: isFree ? 1 : 0,
+            probWhiff: isFree ? 0 : 1,
+            expectedCmc: isFree ? cmc : 0
+        };
+    }
+
     // Rashmi triggers for a spell with CMC < castCmc.
     // So we want the cumulative count for (castCmc - 1).
     const targetIndex = Math.min(Math.max(0, castCmc - 1), CONFIG.MAX_TRACKED_CMC);
@@ -365,8 +387,8 @@ function refreshSamples() {
     if (config.hasImportedData && config.preparedDeck.length > 0) {
         const countInput = document.getElementById('rashmi-sample-count');
         const numSims = Math.max(1, parseInt(countInput?.value) || CONFIG.DEFAULT_SAMPLE_SIZE);
-        generateStableSamples(config.preparedDeck, numSims);
-        runSampleReveals(); // Re-render
+        rerollSeed();
+        generateStableSamples(config.preparedDeck, numSims, runSampleReveals);
     }
 }
 
@@ -386,8 +408,9 @@ export function runSampleReveals() {
     const numSims = Math.max(1, parseInt(countInput?.value) || CONFIG.DEFAULT_SAMPLE_SIZE);
     
     // Ensure we have enough samples if the user increased the count
-    if (stableSamples.length < numSims) {
-        generateStableSamples(config.preparedDeck, numSims);
+    if (stableSamples.length < numSims || sampleSeed !== getSeed()) {
+        generateStableSamples(config.preparedDeck, numSims, runSampleReveals);
+        return;
     }
 
     let revealsHTML = '';
@@ -541,6 +564,16 @@ export function updateUI() {
     }
 }
 
+/**
+ * Draw the chart and table for a calculate() result (used for the A/B compare overlay)
+ * @param {Object} data - Result of calculate()
+ */
+export function render({ config, results }) {
+    if (!config.hasImportedData || config.deckSize === 0 || Object.keys(results).length === 0) return;
+    updateChart(config, results);
+    updateTable(config, results);
+}
+
 /**
  * Initialize Rashmi calculator
  */
@@ -549,7 +582,12 @@ export function init() {
         name: 'rashmi',
         calculate,
         updateUI,
+        render,
         inputs: ['cmc'],
+        sensitivity: [
+            { label: 'Free Spell Chance', percent: true, value: ({ config, results }) => results[config.castCmc]?.probFreeSpell },
+            { label: 'Expected Free CMC', value: ({ config, results }) => results[config.castCmc]?.expectedCmc }
+        ],
         init: (debouncedUpdate) => {
             const container = document.getElementById('rashmi-sample-reveals');
             if (container) {
@@ -11,9 +11,12 @@ import { registerCalculator } from '../utils/calculatorBase.js';
 import { renderStatCard, renderStatsGrid, renderInsightBox, generateSampleRevealsHTML } from '../utils/components.js';
 import { compareBigSpells, renderComparison } from '../utils/bigSpellComparison.js';
 import {
-    buildDeckFromCardData, shuffleDeck, renderCardBadge,
+    buildDeckFromCardData, renderCardBadge,
     createCollapsibleSection
 } from '../utils/sampleSimulator.js';
+import { runSimulation } from '../utils/workerPool.js';
+import { showSimulationProgress } from '../utils/ui.js';
+import { deriveSeed, getSeed, rerollSeed } from '../utils/random.js';
 
 const CONFIG = {
     // Legacy iterations removed, using formula now
@@ -26,6 +29,7 @@ let chart = null;
 
 // Stable samples state
 let stableSamples = [];
+let sampleSeed = null;
 let lastSampleDeckHash = '';
 let renderedCount = 0;
 
@@ -50,19 +54,25 @@ function buildDeckExcludingSurge(cardData) {
 }
 
 /**
- * Generate stable samples from the deck
+ * Generate stable samples from the deck on the worker pool
  * @param {Array} deck - The source deck (should already exclude Surge)
  * @param {number} count - Number of samples to generate
+ * @param {Function} onReady - Called once the samples are in place
  */
-function generateStableSamples(deck, count) {
-    stableSamples = [];
+function generateStableSamples(deck, count, onReady = null) {
+    const seed = getSeed();
     // For Primal Surge, a "sample" is a full run through the deck until we hit a non-permanent.
     // So we need full shuffles.
-
-    for (let i = 0; i < Math.max(count, CONFIG.DEFAULT_SAMPLE_SIZE); i++) {
-        const shuffled = shuffleDeck([...deck]);
-        stableSamples.push(shuffled);
-    }
+    runSimulation('shuffleSamples', { deck, count: Math.max(count, CONFIG.DEFAULT_SAMPLE_SIZE), seed: deriveSeed('surge-samples') }, {
+        key: 'surge-samples',
+        onProgress: (fraction) => showSimulationProgress('surge', fraction),
+        onComplete: (samples) => {
+            showSimulationProgress('surge', null);
+            stableSamples = samples;
+            sampleSeed = seed;
+            if (onReady) onReady();
+        }
+    });
 }
 
 /**
@@ -77,7 +87,7 @@ function generateStableSamples(deck, count) {
  */
 export function simulatePrimalSurge(deckSize, nonPermanents, permanents) {
     // Check cache first
-    const cacheKey = `${deckSize}-${nonPermanents}`;
+    const cacheKey = `${deckSize}-${nonPermanents}-${permanents}`;
     const cached = simulationCache.get(cacheKey);
     if (cached) return cached;
 
@@ -158,7 +168,7 @@ export function getDeckConfig() {
     const deckHash = `${deckSize}-${nonPermanents}-${permanents}-${lands}-${totalPermCMC}`;
 
     // Clear formula cache if deck changed (sample cache is managed in runSampleReveals)
-    if (deckHash !== lastDeckHash) {
+    if (DeckConfig.isPrimaryDeck() && deckHash !== lastDeckHash) {
         simulationCache.clear();
         lastDeckHash = deckHash;
     }
@@ -438,8 +448,8 @@ function refreshSamples() {
         const numSims = Math.max(1, parseInt(countInput?.value) || CONFIG.DEFAULT_SAMPLE_SIZE);
         // Exclude Surge from samples (it's on the stack when resolving)
         const deck = buildDeckExcludingSurge(cardData);
-        generateStableSamples(deck, numSims);
-        runSampleReveals(); // Re-render
+        rerollSeed();
+        generateStableSamples(deck, numSims, runSampleReveals);
     }
 }
 
@@ -465,11 +475,12 @@ export function runSampleReveals() {
 
     // Ensure we have enough samples - always generate at least DEFAULT_SAMPLE_SIZE for accurate stats
     const minSamplesForStats = Math.max(displayCount, CONFIG.DEFAULT_SAMPLE_SIZE);
-    if (deckChanged || stableSamples.length < minSamplesForStats) {
+    if (deckChanged || stableSamples.length < minSamplesForStats || sampleSeed !== getSeed()) {
         // Exclude Surge from samples (it's on the stack when resolving)
         const deck = buildDeckExcludingSurge(cardData);
-        generateStableSamples(deck, minSamplesForStats);
         lastSampleDeckHash = currentDeckHash;
+        generateStableSamples(deck, minSamplesForStats, runSampleReveals);
+        return;
     }
 
     // Use all available samples for statistics (more accurate)
@@ -666,6 +677,15 @@ export function updateUI() {
     }
 }
 
+/**
+ * Draw the charts for a calculate() result (used for the A/B compare overlay)
+ * @param {Object} data - Result of calculate()
+ */
+export function render({ config, result }) {
+    if (config.deckSize === 0 || !result) return;
+    updateChart(config, result);
+}
+
 /**
  * Initialize Surge calculator
  */
@@ -674,6 +694,10 @@ export function init() {
         name: 'surge',
         calculate,
         updateUI,
+        render,
+        sensitivity: [
+            { label: 'Expected Permanents', value: ({ result }) => result?.expectedPermanents }
+        ],
         init: () => {
             const container = document.getElementById('surge-sample-reveals');
             if (container) {
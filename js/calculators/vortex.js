@@ -13,9 +13,12 @@ import * as DeckConfig from '../utils/deckConfig.js';
 import { registerCalculator } from '../utils/calculatorBase.js';
 import { renderStatCard, renderStatsGrid, renderInsightBox, generateSampleRevealsHTML } from '../utils/components.js';
 import {
-    buildDeckFromCardData, shuffleDeck, renderCardBadge, renderDistributionChart,
-    createCollapsibleSection
+    buildDeckFromCardData, renderCardBadge, renderDistributionChart,
+    createCollapsibleSection, extractCardTypes
 } from '../utils/sampleSimulator.js';
+import { runSimulation, cancelSimulation } from '../utils/workerPool.js';
+import { showSimulationProgress } from '../utils/ui.js';
+import { deriveSeed, getSeed, rerollSeed } from '../utils/random.js';
 
 /**
  * Check if power is 5 or greater, optionally treating * or X as 5+
@@ -45,20 +48,30 @@ let chart = null;
 
 // Stable samples state
 let stableSamples = [];
+let sampleSeed = null;
 let lastSampleDeckHash = '';
 let renderedCount = 0;
 
 /**
- * Generate stable samples from the deck
+ * Generate stable samples from the deck on the worker pool
  * @param {Array} deck - The source deck
  * @param {number} count - Number of samples to generate
+ * @param {Function} onReady - Called once the samples are in place
  */
-function generateStableSamples(deck, count) {
-    stableSamples = [];
+function generateStableSamples(deck, count, onReady = null) {
+    const seed = getSeed();
     // For Vortex, a sample is a full shuffle because discover goes deep into the deck.
-    for (let i = 0; i < Math.max(count, CONFIG.DEFAULT_SAMPLE_SIZE); i++) {
-        stableSamples.push(shuffleDeck([...deck]));
-    }
+    const top = DeckConfig.getKnownTopCards().map(card => card.name);
+    runSimulation('shuffleSamples', { deck, count: Math.max(count, CONFIG.DEFAULT_SAMPLE_SIZE), seed: deriveSeed('vortex-samples'), top }, {
+        key: 'vortex-samples',
+        onProgress: (fraction) => showSimulationProgress('vortex', fraction),
+        onComplete: (samples) => {
+            showSimulationProgress('vortex', null);
+            stableSamples = samples;
+            sampleSeed = seed;
+            if (onReady) onReady();
+        }
+    });
 }
 
 /**
@@ -72,8 +85,8 @@ function refreshSamples() {
         const countInput = document.getElementById('vortex-sample-count');
         const numSims = Math.max(1, parseInt(countInput?.value) || CONFIG.DEFAULT_SAMPLE_SIZE);
         const deck = buildDeckFromCardData(cardData);
-        generateStableSamples(deck, numSims);
-        runSampleReveals(); // Re-render
+        rerollSeed();
+        generateStableSamples(deck, numSims, runSampleReveals);
     }
 }
 
@@ -97,8 +110,9 @@ export function runSampleReveals() {
     const deck = buildDeckFromCardData(cardData);
 
     // Ensure we have stable samples
-    if (stableSamples.length < numSims) {
-        generateStableSamples(deck, numSims);
+    if (stableSamples.length < numSims || sampleSeed !== getSeed()) {
+        generateStableSamples(deck, numSims, runSampleReveals);
+        return;
     }
 
     // 1. STATS LOOP (Full Simulation)
@@ -449,19 +463,51 @@ function precalculateExpectedValues(cardDetails, castCreature = null) {
     return dp;
 }
 
+/**
+ * Discover X with known top cards (game tracker): the first known nonland
+ * card with CMC <= X is hit for certain, and a power 5+ hit keeps discovering
+ * through the known cards below it. Past the known cards, the DP table for the
+ * rest of the library takes over.
+ * @param {Array} knownTop - Known top cards, top first: { name, cmc, isLand, isPower5Plus }
+ * @param {number} x - Discover value
+ * @param {Array} dpTable - precalculateExpectedValues() for the cards below the known ones
+ * @returns {Object} - Expected value stats, as in the DP table
+ */
+function discoverWithKnownTop(knownTop, x, dpTable) {
+    const index = knownTop.findIndex(card => !card.isLand && card.cmc <= x);
+    if (index === -1) {
+        return dpTable[Math.min(x, dpTable.length - 1)] || { avgFreeMana: 0, avgSpells: 0, avgSpellCMC: 0, probChain: 0, poolCount: 0, chainCount: 0 };
+    }
+
+    const hit = knownTop[index];
+    const chain = hit.isPower5Plus ? discoverWithKnownTop(knownTop.slice(index + 1), hit.cmc, dpTable) : null;
+    return {
+        avgFreeMana: hit.cmc + (chain ? chain.avgFreeMana : 0),
+        avgSpells: 1 + (chain ? chain.avgSpells : 0),
+        avgSpellCMC: hit.cmc,
+        probChain: hit.isPower5Plus ? 1 : 0,
+        poolCount: 1,
+        chainCount: hit.isPower5Plus ? 1 : 0
+    };
+}
+
 /**
  * Simulate discover for a given creature CMC using mathematical EV
  */
-function simulateDiscoverForCMC(cardDetails, creatureCMC, lands, castCreature = null, treatStarAs5Plus = false) {
-    const cacheKey = `EV-${creatureCMC}-${cardDetails.length}-${lands}-${castCreature ? castCreature.name : 'none'}-${treatStarAs5Plus}`;
+function simulateDiscoverForCMC(cardDetails, creatureCMC, lands, castCreature = null, treatStarAs5Plus = false, knownTop = []) {
+    const cacheKey = `EV-${creatureCMC}-${JSON.stringify(cardDetails)}-${lands}-${castCreature ? castCreature.name : 'none'}-${treatStarAs5Plus}-${knownTop.map(card => card.name).join('|')}`;
     const cached = simulationCache.get(cacheKey);
     if (cached) return cached;
 
-    const dpTable = precalculateExpectedValues(cardDetails, castCreature);
-    
-    // Safety for CMC > max in deck
-    const safeCMC = Math.min(creatureCMC, dpTable.length - 1);
-    const stats = dpTable[safeCMC] || { avgFreeMana: 0, avgSpells: 0, avgSpellCMC: 0, probChain: 0, poolCount: 0, chainCount: 0 };
+    // Known top cards sit above the random part of the library
+    let belowKnown = cardDetails;
+    knownTop.forEach(known => {
+        const idx = belowKnown.findIndex(c => c.name === known.name);
+        if (idx !== -1) belowKnown = [...belowKnown.slice(0, idx), ...belowKnown.slice(idx + 1)];
+    });
+
+    const dpTable = precalculateExpectedValues(belowKnown, castCreature);
+    const stats = discoverWithKnownTop(knownTop, creatureCMC, dpTable);
     
     // Discoverable cards list (for UI breakdown)
     // We need to reconstruct this list (filtered by CMC <= creatureCMC, excluding castCreature)
@@ -522,19 +568,31 @@ export function getDeckConfig() {
     // Recalculate creaturesPower5Plus count based on new logic
     const creaturesPower5Plus = cardDetails.filter(c => c.isPower5Plus).length;
 
+    // Known top cards (game tracker), top first
+    const knownTop = DeckConfig.getKnownTopCards().map(card => {
+        const types = extractCardTypes(card);
+        return {
+            name: card.name,
+            cmc: Math.floor(card.cmc || 0),
+            isLand: types.includes('land'),
+            isPower5Plus: types.includes('creature') && isCreaturePower5Plus(card.power, treatStarAs5Plus)
+        };
+    });
+
     // Clear cache if deck changed
     // Include checkbox state in hash
-    const newHash = JSON.stringify(cardDetails) + lands + treatStarAs5Plus;
+    const newHash = JSON.stringify(cardDetails) + lands + treatStarAs5Plus + JSON.stringify(knownTop);
     
     // Check if we need to refresh stable samples
     const sampleHash = newHash; // Use same hash for simplicity
-    if (sampleHash !== lastSampleDeckHash && cardDetails.length > 0) {
-        const deck = buildDeckFromCardData({ cardsByName: DeckConfig.getImportedCardData().cardsByName });
-        generateStableSamples(deck, 20);
+    if (DeckConfig.isPrimaryDeck() && sampleHash !== lastSampleDeckHash && cardDetails.length > 0) {
+        // Samples are reshuffled lazily by runSampleReveals for the new deck
+        cancelSimulation('vortex-samples');
+        stableSamples = [];
         lastSampleDeckHash = sampleHash;
     }
 
-    if (newHash !== lastDeckHash) {
+    if (DeckConfig.isPrimaryDeck() && newHash !== lastDeckHash) {
         simulationCache.clear();
         lastDeckHash = newHash;
     }
@@ -556,6 +614,7 @@ export function getDeckConfig() {
         creatureCMC,
         castCreature,
         power5PlusAtCMC, // All power 5+ creatures at this CMC
+        knownTop,
         deckSize: cardDetails.length + lands,
         treatStarAs5Plus
     };
@@ -579,7 +638,7 @@ export function calculate() {
         const power5PlusAtThisCMC = config.cardDetails.filter(c => c.cmc === cmc && c.isPower5Plus);
         const creatureToExclude = power5PlusAtThisCMC.length > 0 ? power5PlusAtThisCMC[0] : null;
 
-        const stats = simulateDiscoverForCMC(config.cardDetails, cmc, config.lands, creatureToExclude, config.treatStarAs5Plus);
+        const stats = simulateDiscoverForCMC(config.cardDetails, cmc, config.lands, creatureToExclude, config.treatStarAs5Plus, config.knownTop);
         results[cmc] = {
             creatureCMC: cmc,
             ...stats
@@ -863,6 +922,16 @@ export function updateUI() {
     }
 }
 
+/**
+ * Draw the chart and table for a calculate() result (used for the A/B compare overlay)
+ * @param {Object} data - Result of calculate()
+ */
+export function render({ config, results }) {
+    if (config.cardDetails.length === 0 || config.creaturesPower5Plus === 0 || Object.keys(results).length === 0) return;
+    updateChart(config, results);
+    updateTable(config, results);
+}
+
 /**
  * Initialize Vortex calculator
  */
@@ -871,7 +940,12 @@ export function init() {
         name: 'vortex',
         calculate,
         updateUI,
+        render,
         inputs: ['cmc'], // Binds vortex-cmcSlider and vortex-cmcValue
+        sensitivity: [
+            { label: 'Avg Mana', value: ({ config, results }) => results[config.creatureCMC]?.avgFreeMana },
+            { label: 'Chain Prob', percent: true, value: ({ config, results }) => results[config.creatureCMC]?.multiDiscoverRate }
+        ],
         init: (debouncedUpdate) => {
             const container = document.getElementById('vortex-sample-reveals');
             if (container) {
@@ -5,6 +5,7 @@
  */
 
 import { createCache, partialShuffle, formatNumber } from '../utils/simulation.js';
+import { choose, distributionPercentile } from '../utils/hypergeometric.js';
 import { renderMultiColumnTable } from '../utils/tableUtils.js';
 import { createOrUpdateChart } from '../utils/chartHelpers.js';
 import * as DeckConfig from '../utils/deckConfig.js';
@@ -13,9 +14,12 @@ import { renderStatCard, renderStatsGrid, renderInsightBox, generateSampleReveal
 import { compareBigSpells, renderComparison } from '../utils/bigSpellComparison.js';
 
 import {
-    buildDeckFromCardData, shuffleDeck, renderDistributionChart,
+    buildDeckFromCardData, renderDistributionChart,
     createCollapsibleSection
 } from '../utils/sampleSimulator.js';
+import { runSimulation, cancelSimulation } from '../utils/workerPool.js';
+import { showSimulationProgress } from '../utils/ui.js';
+import { deriveSeed, getSeed, rerollSeed } from '../utils/random.js';
 
 const CONFIG = {
     X_RANGE_BEFORE: 4,
@@ -29,9 +33,11 @@ const CONFIG = {
 let simulationCache = createCache(50);
 let lastDeckHash = '';
 let chart = null;
+let distributionChart = null;
 
 // Stable samples state
 let stableSamples = [];
+let sampleSeed = null;
 let renderedCount = 0;
 
 // Card analysis cache (cleared when deck or X changes)
@@ -146,15 +152,23 @@ function getCardDisplayStyle(analysis, cardTypeLine) {
 }
 
 /**
- * Generate stable samples from the deck
+ * Generate stable samples from the deck on the worker pool
  * @param {Array} deck - The source deck
  * @param {number} count - Number of samples to generate
+ * @param {Function} onReady - Called once the samples are in place
  */
-function generateStableSamples(deck, count) {
-    stableSamples = [];
-    for (let i = 0; i < Math.max(count, CONFIG.DEFAULT_SAMPLE_SIZE); i++) {
-        stableSamples.push(shuffleDeck([...deck]));
-    }
+function generateStableSamples(deck, count, onReady = null) {
+    const seed = getSeed();
+    runSimulation('shuffleSamples', { deck, count: Math.max(count, CONFIG.DEFAULT_SAMPLE_SIZE), seed: deriveSeed('vow-samples') }, {
+        key: 'vow-samples',
+        onProgress: (fraction) => showSimulationProgress('vow', fraction),
+        onComplete: (samples) => {
+            showSimulationProgress('vow', null);
+            stableSamples = samples;
+            sampleSeed = seed;
+            if (onReady) onReady();
+        }
+    });
 }
 
 /**
@@ -168,8 +182,8 @@ function refreshSamples() {
         const countInput = document.getElementById('vow-sample-count');
         const numSims = Math.max(1, parseInt(countInput?.value) || CONFIG.DEFAULT_SAMPLE_SIZE);
         const deck = buildDeckFromCardData(cardData);
-        generateStableSamples(deck, numSims);
-        runSampleReveals();
+        rerollSeed();
+        generateStableSamples(deck, numSims, runSampleReveals);
     }
 }
 
@@ -183,6 +197,25 @@ function hashDistribution(dist) {
         .join('|');
 }
 
+/**
+ * Create a hash of the hits by mana value and by kind (land, legend or both).
+ * Two decks with the same distribution can split it differently between
+ * lands and legends, which changes the land and legend results.
+ * @param {Object} cardData - Full card data (null in manual mode)
+ * @returns {string}
+ */
+function hashHitKinds(cardData) {
+    if (!cardData || !cardData.cardsByName) return '';
+    const kinds = {};
+    Object.values(cardData.cardsByName).forEach(card => {
+        if (!isValidType(card)) return;
+        const isLand = (card.type_line || '').toLowerCase().includes('land');
+        const key = `${Math.floor(card.cmc || 0)}${isLand ? 'L' : ''}${isLegendaryPermanent(card) ? 'G' : ''}`;
+        kinds[key] = (kinds[key] || 0) + card.count;
+    });
+    return Object.keys(kinds).sort().map(key => `${key}:${kinds[key]}`).join('|');
+}
+
 /**
  * Check if a card is a valid hit for Kamahl's Druidic Vow
  * Must be (Land) OR (Legendary AND Permanent)
@@ -215,64 +248,226 @@ function isLegendaryPermanent(card) {
 }
 
 /**
- * Simulate Kamahl's Druidic Vow using Expected Value
- * @param {number} deckSize
- * @param {Object} distribution - Map of CMC -> count of VALID TYPES only
- * @param {number} x
- * @param {boolean} doubleCast - If true, copy the spell (reveal 2X cards total)
- * @param {Object} cardData - Full card data for detailed breakdown
+ * Group cards into classes that behave identically for a pair of casts
+ * @param {Object} distribution - Map of CMC -> count of VALID TYPES only (used without card data)
+ * @param {number} x1 - First cast X
+ * @param {number} x2 - Second cast X (0 for a single cast)
+ * @param {Object} cardData - Full card data, classified with analyzeCardForDisplay()
+ * @returns {Array<Object>} - [{ count, cmc, isLand, isLegend, hit1, hit2 }]
  */
-export function simulateVow(deckSize, distribution, x, doubleCast = false, cardData = null) {
-    const multiplier = doubleCast ? 2 : 1;
-    const cacheKey = `${deckSize}-${x}-${doubleCast}-${hashDistribution(distribution)}`;
-    const cached = simulationCache.get(cacheKey);
-    if (cached) return cached;
-
-    let validHitsCount = 0;
-    let landCount = 0;
-    let legendaryHitsCount = 0;
-    let totalManaValue = 0;
+function buildHitGroups(distribution, x1, x2, cardData) {
+    const groups = new Map();
+    const addGroup = (group, count) => {
+        const key = `${group.cmc}|${group.isLand}|${group.isLegend}|${group.hit1}|${group.hit2}`;
+        const existing = groups.get(key);
+        if (existing) {
+            existing.count += count;
+        } else {
+            groups.set(key, { ...group, count });
+        }
+    };
 
-    // Calculate breakdown if we have card data
     if (cardData && cardData.cardsByName) {
         Object.values(cardData.cardsByName).forEach(card => {
-            const analysis = analyzeCardForDisplay(card, x);
-            if (analysis.isValid && analysis.matchesX) {
-                validHitsCount += card.count;
-                totalManaValue += analysis.cmc * card.count;
-
-                if (analysis.isLand) {
-                    landCount += card.count;
-                }
-                if (analysis.isLegendary && analysis.isPermanent) {
-                    legendaryHitsCount += card.count;
-                }
-            }
+            const first = analyzeCardForDisplay(card, x1);
+            const second = x2 > 0 ? analyzeCardForDisplay(card, x2) : null;
+            if (!first.isHit && !(second && second.isHit)) return;
+
+            addGroup({
+                cmc: Math.floor(first.cmc),
+                isLand: first.isLand,
+                isLegend: first.isLegendary && first.isPermanent,
+                hit1: first.isHit,
+                hit2: second ? second.isHit : false
+            }, card.count);
         });
     } else {
-        // Fallback to simple count from distribution
+        // Fallback to simple count from distribution (no land/legend split)
         for (const [key, count] of Object.entries(distribution)) {
             const cmc = parseInt(key);
-            if (!isNaN(cmc) && cmc <= x) {
-                validHitsCount += (count || 0);
-                totalManaValue += cmc * (count || 0);
-            }
+            if (isNaN(cmc) || !count) continue;
+            if (cmc > x1 && (x2 === 0 || cmc > x2)) continue;
+
+            addGroup({
+                cmc,
+                isLand: false,
+                isLegend: false,
+                hit1: cmc <= x1,
+                hit2: x2 > 0 && cmc <= x2
+            }, count);
         }
     }
 
-    // Probabilities
-    const hitProbability = deckSize > 0 ? validHitsCount / deckSize : 0;
-    const landProbability = deckSize > 0 ? landCount / deckSize : 0;
-    const legendProbability = deckSize > 0 ? legendaryHitsCount / deckSize : 0;
-    const avgManaValue = validHitsCount > 0 ? totalManaValue / validHitsCount : 0;
+    return [...groups.values()];
+}
+
+/**
+ * Exact distribution of a value summed over one or two sequential reveals.
+ *
+ * The first cast reveals x1 cards; the second reveals the next x2 from the
+ * library that's left. Each class contributes w1 per card in the first
+ * reveal and w2 per card in the second. Classes with w1 === w2 don't care
+ * which reveal they land in, so they're counted over the combined reveal
+ * and split afterwards, which keeps big classes like lands cheap.
+ *
+ * @param {Array<Object>} classes - [{ count, w1, w2 }], cards not listed are worth 0
+ * @param {number} deckSize - Cards in library
+ * @param {number} x1 - Cards revealed by the first cast
+ * @param {number} x2 - Cards revealed by the second cast (0 for a single cast)
+ * @returns {Array<number>} - Probabilities indexed by total value
+ */
+export function revealValueDistribution(classes, deckSize, x1, x2 = 0) {
+    const listed = classes.reduce((sum, c) => sum + c.count, 0);
+    const total = Math.max(deckSize, listed);
+    const first = Math.min(x1, total);
+    const second = Math.min(x2, total - first);
+
+    // Merge classes that score the same in both reveals
+    const symmetric = new Map([[0, total - listed]]);
+    const asymmetric = [];
+    classes.forEach(c => {
+        if (c.w1 === c.w2) {
+            symmetric.set(c.w1, (symmetric.get(c.w1) || 0) + c.count);
+        } else {
+            asymmetric.push(c);
+        }
+    });
+
+    const addWays = (map, key, ways) => map.set(key, (map.get(key) || 0) + ways);
+
+    // Asymmetric classes: state (first-reveal cards, second-reveal cards, value)
+    let asymStates = new Map([['0|0|0', 1]]);
+    asymmetric.forEach(({ count, w1, w2 }) => {
+        const next = new Map();
+        asymStates.forEach((ways, key) => {
+            const [n1, n2, v] = key.split('|').map(Number);
+            for (let j1 = 0; j1 <= Math.min(count, first - n1); j1++) {
+                const waysJ1 = ways * choose(count, j1);
+                for (let j2 = 0; j2 <= Math.min(count - j1, second - n2); j2++) {
+                    addWays(next, `${n1 + j1}|${n2 + j2}|${v + j1 * w1 + j2 * w2}`, waysJ1 * choose(count - j1, j2));
+                }
+            }
+        });
+        asymStates = next;
+    });
+
+    // Symmetric classes: state (combined reveal cards) -> value -> ways
+    const combined = first + second;
+    let symStates = [new Map([[0, 1]])];
+    symmetric.forEach((count, weight) => {
+        const next = Array.from({ length: combined + 1 }, () => new Map());
+        symStates.forEach((values, n) => {
+            values.forEach((ways, v) => {
+                for (let j = 0; j <= Math.min(count, combined - n); j++) {
+                    addWays(next[n + j], v + j * weight, ways * choose(count, j));
+                }
+            });
+        });
+        symStates = next;
+    });
+
+    // Fill the remaining slots of each reveal with symmetric cards
+    const valueWays = new Map();
+    asymStates.forEach((ways, key) => {
+        const [n1, n2, v] = key.split('|').map(Number);
+        const r1 = first - n1;
+        const r2 = second - n2;
+        const split = choose(r1 + r2, r1);
+        symStates[r1 + r2]?.forEach((symWays, symValue) => {
+            addWays(valueWays, v + symValue, ways * symWays * split);
+        });
+    });
+
+    const totalWays = choose(total, first) * choose(total - first, second);
+    const maxValue = Math.max(0, ...valueWays.keys());
+    const result = new Array(maxValue + 1).fill(0);
+    valueWays.forEach((ways, v) => {
+        result[v] = totalWays > 0 ? ways / totalWays : 0;
+    });
+    return result;
+}
+
+/**
+ * Mean of a discrete distribution
+ * @param {Array<number>} dist - Probabilities indexed by value
+ * @returns {number}
+ */
+function distributionMean(dist) {
+    return dist.reduce((sum, p, v) => sum + p * v, 0);
+}
+
+/**
+ * Calculate Kamahl's Druidic Vow outcome distributions
+ * Exact distributions of hits, lands, legends and total mana value put onto
+ * the battlefield. A double cast resolves sequentially: the copy reveals the
+ * next cards of the library (the first X are already gone) using its own X.
+ * @param {number} deckSize
+ * @param {Object} distribution - Map of CMC -> count of VALID TYPES only
+ * @param {number} x
+ * @param {boolean} doubleCast - If true, cast the spell twice
+ * @param {Object} cardData - Full card data for detailed breakdown
+ * @param {number|null} secondX - X for the second cast (null = same X)
+ */
+export function simulateVow(deckSize, distribution, x, doubleCast = false, cardData = null, secondX = null) {
+    const x2 = doubleCast ? (secondX ?? x) : 0;
+    const cacheKey = `${deckSize}-${x}-${x2}-${hashDistribution(distribution)}-${hashHitKinds(cardData)}`;
+    const cached = simulationCache.get(cacheKey);
+    if (cached) return cached;
+
+    const groups = buildHitGroups(distribution, x, x2, cardData);
+    const distributionOf = (value) => revealValueDistribution(
+        groups.map(g => ({
+            count: g.count,
+            w1: g.hit1 ? value(g) : 0,
+            w2: g.hit2 ? value(g) : 0
+        })),
+        deckSize, x, x2
+    );
+
+    const distributions = {
+        hits: distributionOf(() => 1),
+        lands: distributionOf(g => g.isLand ? 1 : 0),
+        legends: distributionOf(g => g.isLegend ? 1 : 0),
+        manaValue: distributionOf(g => g.cmc)
+    };
 
-    const cardsRevealed = Math.min(x * multiplier, deckSize);
+    const percentiles = {};
+    Object.entries(distributions).forEach(([key, dist]) => {
+        percentiles[key] = {
+            p10: distributionPercentile(dist, 0.1),
+            p50: distributionPercentile(dist, 0.5),
+            p90: distributionPercentile(dist, 0.9)
+        };
+    });
+
+    // Per-cast expectations: every reveal is a uniform sample of the library
+    const firstRevealed = Math.min(x, deckSize);
+    const casts = [{ x, cardsRevealed: firstRevealed, hit: 'hit1' }];
+    if (doubleCast) {
+        casts.push({ x: x2, cardsRevealed: Math.max(0, Math.min(x2, deckSize - firstRevealed)), hit: 'hit2' });
+    }
 
     const result = {
-        expectedHits: cardsRevealed * hitProbability,
-        expectedLands: cardsRevealed * landProbability,
-        expectedLegends: cardsRevealed * legendProbability,
-        expectedManaValue: cardsRevealed * hitProbability * avgManaValue
+        expectedHits: distributionMean(distributions.hits),
+        expectedLands: distributionMean(distributions.lands),
+        expectedLegends: distributionMean(distributions.legends),
+        expectedManaValue: distributionMean(distributions.manaValue),
+        cardsRevealed: casts.reduce((sum, cast) => sum + cast.cardsRevealed, 0),
+        distributions,
+        percentiles,
+        casts: casts.map(({ x: castX, cardsRevealed, hit }) => {
+            const share = (value) => deckSize > 0
+                ? cardsRevealed * groups.reduce((sum, g) => sum + (g[hit] ? g.count * value(g) : 0), 0) / deckSize
+                : 0;
+            return {
+                x: castX,
+                cardsRevealed,
+                expectedHits: share(() => 1),
+                expectedLands: share(g => g.isLand ? 1 : 0),
+                expectedLegends: share(g => g.isLegend ? 1 : 0),
+                expectedManaValue: share(g => g.cmc)
+            };
+        })
     };
 
     simulationCache.set(cacheKey, result);
@@ -317,15 +512,16 @@ export function getDeckConfig() {
         // Assume 0 legends in manual mode to encourage import
     }
 
-    const newHash = hashDistribution(distribution);
+    const newHash = `${hashDistribution(distribution)}-${hashHitKinds(cardData)}`;
     
     // Check for sample refresh need
-    if (newHash !== lastDeckHash && cardData && cardData.cardsByName) {
-        const deck = buildDeckFromCardData(cardData);
-        generateStableSamples(deck, CONFIG.STABLE_SAMPLE_COUNT);
+    if (DeckConfig.isPrimaryDeck() && newHash !== lastDeckHash && cardData && cardData.cardsByName) {
+        // Samples are reshuffled lazily by runSampleReveals for the new deck
+        cancelSimulation('vow-samples');
+        stableSamples = [];
     }
 
-    if (newHash !== lastDeckHash) {
+    if (DeckConfig.isPrimaryDeck() && newHash !== lastDeckHash) {
         simulationCache.clear();
         cardAnalysisCache.clear();
         lastDeckHash = newHash;
@@ -344,6 +540,14 @@ export function getDeckConfig() {
     }
     const doubleCast = doubleCastCheckbox ? doubleCastCheckbox.checked : false;
 
+    // Second cast X - blank follows the first cast's X
+    const secondXGroup = document.getElementById('vow-secondX-group');
+    if (secondXGroup) {
+        secondXGroup.style.display = doubleCast ? 'block' : 'none';
+    }
+    const secondXValue = parseInt(document.getElementById('vow-secondX')?.value);
+    const secondX = doubleCast && !isNaN(secondXValue) && secondXValue >= 0 ? secondXValue : null;
+
     return {
         deckSize,
         x: parseInt(document.getElementById('vow-xValue').value) || CONFIG.DEFAULT_X_VALUE,
@@ -352,7 +556,8 @@ export function getDeckConfig() {
         totalLegendaries,
         totalPermanents,
         cardData,
-        doubleCast
+        doubleCast,
+        secondX
     };
 }
 
@@ -371,15 +576,7 @@ export function calculate() {
     const maxX = Math.min(config.x + CONFIG.X_RANGE_AFTER, config.deckSize);
 
     for (let testX = minX; testX <= maxX; testX++) {
-        const sim = simulateVow(config.deckSize, config.distribution, testX, config.doubleCast, config.cardData);
-        const multiplier = config.doubleCast ? 2 : 1;
-        results[testX] = {
-            expectedHits: sim.expectedHits,
-            expectedLands: sim.expectedLands,
-            expectedLegends: sim.expectedLegends,
-            expectedManaValue: sim.expectedManaValue,
-            cardsRevealed: testX * multiplier
-        };
+        results[testX] = simulateVow(config.deckSize, config.distribution, testX, config.doubleCast, config.cardData, config.secondX);
     }
 
     return { config, results };
@@ -391,6 +588,8 @@ export function calculate() {
 function updateChart(config, results) {
     const xValues = Object.keys(results).map(Number).sort((a, b) => a - b);
     const expectedHitsData = xValues.map(x => results[x].expectedHits);
+    const p10Data = xValues.map(x => results[x].percentiles.hits.p10);
+    const p90Data = xValues.map(x => results[x].percentiles.hits.p90);
     const cardsRevealedData = xValues.map(x => results[x].cardsRevealed);
 
     chart = createOrUpdateChart(chart, 'vow-chart', {
@@ -409,6 +608,28 @@ function updateChart(config, results) {
                     pointBackgroundColor: xValues.map(x => x === config.x ? '#fff' : '#22c55e'),
                     yAxisID: 'y'
                 },
+                {
+                    label: '90th Percentile',
+                    data: p90Data,
+                    borderColor: 'rgba(34, 197, 94, 0.4)',
+                    backgroundColor: 'rgba(34, 197, 94, 0.15)',
+                    borderWidth: 1,
+                    fill: '+1', // Shade down to the 10th percentile
+                    stepped: 'middle',
+                    pointRadius: 0,
+                    yAxisID: 'y'
+                },
+                {
+                    label: '10th Percentile',
+                    data: p10Data,
+                    borderColor: 'rgba(34, 197, 94, 0.4)',
+                    backgroundColor: 'transparent',
+                    borderWidth: 1,
+                    fill: false,
+                    stepped: 'middle',
+                    pointRadius: 0,
+                    yAxisID: 'y'
+                },
                 {
                     label: 'Cards Revealed',
                     data: cardsRevealedData,
@@ -439,7 +660,72 @@ function updateChart(config, results) {
             plugins: {
                 tooltip: {
                     callbacks: {
-                        label: ctx => ctx.datasetIndex === 0 ? `Hits: ${ctx.parsed.y.toFixed(2)}` : `Cards: ${ctx.parsed.y}`
+                        label: ctx => {
+                            const label = ctx.dataset.label;
+                            if (label === 'Expected Hits') return `Hits: ${ctx.parsed.y.toFixed(2)}`;
+                            if (label === 'Cards Revealed') return `Cards: ${ctx.parsed.y}`;
+                            return `${label}: ${ctx.parsed.y} hits`;
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Update outcome distribution chart for the current X
+ */
+function updateDistributionChart(config, results) {
+    const current = results[config.x];
+    if (!current) return;
+
+    const { hits, lands, legends } = current.distributions;
+    const counts = hits.map((_, k) => k);
+    const toPercent = dist => counts.map(k => (dist[k] || 0) * 100);
+
+    distributionChart = createOrUpdateChart(distributionChart, 'vow-distribution-chart', {
+        type: 'bar',
+        data: {
+            labels: counts.map(k => `${k}`),
+            datasets: [
+                {
+                    label: 'Lands',
+                    data: toPercent(lands),
+                    backgroundColor: 'rgba(34, 197, 94, 0.7)'
+                },
+                {
+                    label: 'Legends',
+                    data: toPercent(legends),
+                    backgroundColor: 'rgba(59, 130, 246, 0.7)'
+                },
+                {
+                    label: 'Total Hits',
+                    data: toPercent(hits),
+                    backgroundColor: 'rgba(16, 185, 129, 0.35)',
+                    borderColor: '#10b981',
+                    borderWidth: 1
+                }
+            ]
+        },
+        options: {
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    title: { display: true, text: 'Probability', color: '#22c55e' },
+                    grid: { color: 'rgba(34, 197, 94, 0.1)' },
+                    ticks: { color: '#22c55e', callback: value => value + '%' }
+                },
+                x: {
+                    title: { display: true, text: 'Cards put onto the battlefield', color: '#a09090' },
+                    grid: { color: 'rgba(160, 144, 144, 0.1)' },
+                    ticks: { color: '#a09090' }
+                }
+            },
+            plugins: {
+                tooltip: {
+                    callbacks: {
+                        label: ctx => `${ctx.dataset.label}: ${ctx.parsed.y.toFixed(1)}%`
                     }
                 }
             }
@@ -454,7 +740,7 @@ function updateTable(config, results) {
     const xValues = Object.keys(results).map(Number).sort((a, b) => a - b);
     const currentResult = results[config.x];
 
-    const headers = ['X', 'Cards Revealed', 'Expected Hits', 'Δ Hits', 'Hit Rate'];
+    const headers = ['X', 'Cards Revealed', 'Expected Hits', '10th-90th', 'Expected MV', 'Δ Hits', 'Hit Rate'];
     
     const rows = xValues.map(x => {
         const r = results[x];
@@ -468,6 +754,8 @@ function updateTable(config, results) {
                 x,
                 r.cardsRevealed,
                 formatNumber(r.expectedHits),
+                `${r.percentiles.hits.p10}-${r.percentiles.hits.p90}`,
+                formatNumber(r.expectedManaValue, 1),
                 { value: isBaseline ? '-' : (delta >= 0 ? '+' : '') + formatNumber(delta), class: deltaClass },
                 formatNumber(rate, 1) + '%'
             ],
@@ -542,9 +830,9 @@ function updateStats(config, results) {
         const marginalDown = formatMarginal(results[config.x - 1], currentResult);
 
         const cardsHTML = [
-            renderStatCard('Expected Lands', formatNumber(expectedLands, 1), `at X=${config.x}${config.doubleCast ? ' (2×)' : ''}`, '#22c55e'),
+            renderStatCard('Expected Lands', formatNumber(expectedLands, 1), `at X=${config.x}${config.doubleCast ? ` + X=${currentResult.casts[1].x}` : ''}`, '#22c55e'),
             renderStatCard('Expected Legends', formatNumber(expectedLegends, 1), 'CMC ≤ X', '#3b82f6'),
-            renderStatCard('Total Expected Hits', formatNumber(currentResult.expectedHits, 1), 'Land/Legendary', '#10b981'),
+            renderStatCard('Total Expected Hits', formatNumber(currentResult.expectedHits, 1), `10th-90th: ${currentResult.percentiles.hits.p10}-${currentResult.percentiles.hits.p90}`, '#10b981'),
             renderStatCard('Legendary Density', formatNumber(legendaryPercent, 0) + '%', 'of permanents', '#f59e0b')
         ];
 
@@ -554,10 +842,63 @@ function updateStats(config, results) {
             ${renderInsightBox(`🌱 Kamahl's Druidic Vow X=${config.x}`, '', '')}
             ${renderStatsGrid(cardsHTML)}
             ${renderInsightBox('', interpretation, footer)}
+            <h3 style="margin-top: var(--spacing-lg);">Outcome Distribution</h3>
+            <div class="table-wrapper" id="vow-distributionTable"></div>
+            ${config.doubleCast ? `
+                <h3 style="margin-top: var(--spacing-lg);">Per-Cast Breakdown</h3>
+                <div class="table-wrapper" id="vow-castTable"></div>
+            ` : ''}
         `;
+
+        updateDistributionTable(currentResult);
+        if (config.doubleCast) updateCastTable(currentResult);
     }
 }
 
+/**
+ * Render lands/legends/hits/mana value distribution summary for the current X
+ * @param {Object} result - Vow result for the current X
+ */
+function updateDistributionTable(result) {
+    const headers = ['Outcome', 'Expected', 'Median', '10th-90th', 'P(none)'];
+    const rows = [
+        { label: 'Lands', key: 'lands', expected: result.expectedLands },
+        { label: 'Legends', key: 'legends', expected: result.expectedLegends },
+        { label: 'Total Hits', key: 'hits', expected: result.expectedHits },
+        { label: 'Total Mana Value', key: 'manaValue', expected: result.expectedManaValue }
+    ].map(({ label, key, expected }) => {
+        const { p10, p50, p90 } = result.percentiles[key];
+        return [
+            label,
+            formatNumber(expected),
+            p50,
+            `${p10}-${p90}`,
+            formatNumber((result.distributions[key][0] || 0) * 100, 1) + '%'
+        ];
+    });
+
+    renderMultiColumnTable('vow-distributionTable', headers, rows);
+}
+
+/**
+ * Render expected results of each cast when double casting
+ * @param {Object} result - Vow result for the current X
+ */
+function updateCastTable(result) {
+    const headers = ['Cast', 'X', 'Cards Revealed', 'Lands', 'Legends', 'Total Hits', 'Total MV'];
+    const rows = result.casts.map((cast, i) => [
+        i === 0 ? 'First' : 'Copy',
+        cast.x,
+        cast.cardsRevealed,
+        formatNumber(cast.expectedLands),
+        formatNumber(cast.expectedLegends),
+        formatNumber(cast.expectedHits),
+        formatNumber(cast.expectedManaValue, 1)
+    ]);
+
+    renderMultiColumnTable('vow-castTable', headers, rows);
+}
+
 /**
  * Run sample Vow simulations
  */
@@ -574,14 +915,18 @@ export function runSampleReveals() {
     const numSims = Math.max(1, parseInt(countInput?.value) || 10);
 
     const deck = buildDeckFromCardData(cardData);
-    if (stableSamples.length < numSims) {
-        generateStableSamples(deck, numSims);
+    if (stableSamples.length < numSims || sampleSeed !== getSeed()) {
+        generateStableSamples(deck, numSims, runSampleReveals);
+        return;
     }
 
     // 1. STATS LOOP
-    const multiplier = config.doubleCast ? 2 : 1;
-    const cardsToReveal = Math.min(config.x * multiplier, deck.length);
+    // A copy resolves after the first cast, revealing the next cards with its own X
+    const firstReveal = Math.min(config.x, deck.length);
+    const secondX = config.doubleCast ? (config.secondX ?? config.x) : 0;
+    const cardsToReveal = Math.min(firstReveal + secondX, deck.length);
     const maxPossibleHits = cardsToReveal;
+    const castXAt = (index) => index < firstReveal ? config.x : secondX;
 
     let totalHits = 0;
     let totalLands = 0;
@@ -598,17 +943,13 @@ export function runSampleReveals() {
         let legendsInSim = 0;
         let manaValueInSim = 0;
 
-        revealed.forEach(card => {
-            if (isValidType(card)) {
-                const cmc = card.cmc !== undefined ? card.cmc : 0;
-                if (cmc <= config.x) {
-                    hitsInSim++;
-                    manaValueInSim += cmc;
-
-                    const analysis = analyzeCardForDisplay(card, config.x);
-                    if (analysis.isLand) landsInSim++;
-                    if (analysis.isLegendary && analysis.isPermanent) legendsInSim++;
-                }
+        revealed.forEach((card, index) => {
+            const analysis = analyzeCardForDisplay(card, castXAt(index));
+            if (analysis.isHit) {
+                hitsInSim++;
+                manaValueInSim += analysis.cmc;
+                if (analysis.isLand) landsInSim++;
+                if (analysis.isLegendary && analysis.isPermanent) legendsInSim++;
             }
         });
 
@@ -650,7 +991,7 @@ export function runSampleReveals() {
     distributionHTML += `<div><strong>Total MV:</strong> ${avgManaValue}</div>`;
     distributionHTML += `</div>`;
     if (config.doubleCast) {
-        distributionHTML += `<div style="text-align: center; margin-top: var(--spacing-sm); color: var(--text-secondary); font-size: 0.85em;">X=${config.x}, doubled (${cardsToReveal} cards revealed)</div>`;
+        distributionHTML += `<div style="text-align: center; margin-top: var(--spacing-sm); color: var(--text-secondary); font-size: 0.85em;">X=${config.x}, then copy with X=${secondX} (${cardsToReveal} cards revealed)</div>`;
     } else {
         distributionHTML += `<div style="text-align: center; margin-top: var(--spacing-sm); color: var(--text-secondary); font-size: 0.85em;">${cardsToReveal} cards revealed</div>`;
     }
@@ -690,9 +1031,9 @@ export function runSampleReveals() {
             let hitCount = 0;
 
             // Single pass: analyze all cards once and cache results
-            revealed.forEach(card => {
-                const analysis = analyzeCardForDisplay(card, config.x);
-                cardAnalyses.set(card, analysis);
+            revealed.forEach((card, index) => {
+                const analysis = analyzeCardForDisplay(card, castXAt(index));
+                cardAnalyses.set(index, analysis);
 
                 if (analysis.isValid && analysis.matchesX) {
                     hitCount++;
@@ -706,7 +1047,7 @@ export function runSampleReveals() {
             html += `<div class="sample-reveal ${hitCount > 0 ? 'free-spell' : 'whiff'}">`;
             html += `<div><strong>Reveal ${i + 1}`;
             if (config.doubleCast) {
-                html += ` (X=${config.x}, doubled)`;
+                html += ` (X=${config.x}, copy X=${secondX})`;
             } else {
                 html += ` (X=${config.x})`;
             }
@@ -714,8 +1055,11 @@ export function runSampleReveals() {
             html += '<div style="margin: 8px 0;">';
 
             // Use cached analyses for rendering
-            revealed.forEach(card => {
-                const analysis = cardAnalyses.get(card);
+            revealed.forEach((card, index) => {
+                if (config.doubleCast && index === firstReveal) {
+                    html += '<span style="color: var(--text-dim); margin: 0 6px;">│ copy:</span>';
+                }
+                const analysis = cardAnalyses.get(index);
                 const style = getCardDisplayStyle(analysis, card.type_line);
 
                 html += `<span class="reveal-card" style="background: ${style.bgColor}; color: ${style.textColor};" title="${style.tooltip}">${card.name}</span>`;
@@ -758,13 +1102,15 @@ export function updateUI() {
     const { config, results } = calculate();
 
     if (config.deckSize === 0 || Object.keys(results).length === 0) {
-        if (chart) chart.destroy();
+        if (chart) { chart.destroy(); chart = null; }
+        if (distributionChart) { distributionChart.destroy(); distributionChart = null; }
         document.getElementById('vow-comparisonTable').innerHTML = '';
         document.getElementById('big-spell-comparison').innerHTML = '';
         return;
     }
 
     updateChart(config, results);
+    updateDistributionChart(config, results);
     updateStats(config, results);
     updateTable(config, results);
 
@@ -780,6 +1126,23 @@ export function updateUI() {
     }
 }
 
+/**
+ * Draw the charts and tables for a calculate() result (used for the A/B compare overlay)
+ * @param {Object} data - Result of calculate()
+ */
+export function render({ config, results }) {
+    if (config.deckSize === 0 || Object.keys(results).length === 0) return;
+    updateChart(config, results);
+    updateDistributionChart(config, results);
+    updateTable(config, results);
+
+    const currentResult = results[config.x];
+    if (currentResult) {
+        updateDistributionTable(currentResult);
+        if (config.doubleCast) updateCastTable(currentResult);
+    }
+}
+
 /**
  * Initialize Vow calculator
  */
@@ -788,8 +1151,13 @@ export function init() {
         name: 'vow',
         calculate,
         updateUI,
+        render,
         inputs: ['x'],
-        init: () => {
+        sensitivity: [
+            { label: 'Total Expected Hits', value: ({ config, results }) => results[config.x]?.expectedHits },
+            { label: 'Expected Mana Value', value: ({ config, results }) => results[config.x]?.expectedManaValue }
+        ],
+        init: (update) => {
             const container = document.getElementById('vow-sample-reveals');
             if (container) {
                 container.innerHTML = generateSampleRevealsHTML('vow', 'Sample Vow Reveals');
@@ -800,7 +1168,12 @@ export function init() {
             // Add event listener for double cast checkbox
             const doubleCastCheckbox = document.getElementById('vow-doubleCast');
             if (doubleCastCheckbox) {
-                doubleCastCheckbox.addEventListener('change', updateUI);
+                doubleCastCheckbox.addEventListener('change', update);
+            }
+
+            const secondXInput = document.getElementById('vow-secondX');
+            if (secondXInput) {
+                secondXInput.addEventListener('input', update);
             }
         }
     });
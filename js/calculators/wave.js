@@ -4,6 +4,7 @@
  */
 
 import { createCache, partialShuffle, formatNumber, debounce } from '../utils/simulation.js';
+import { drawTypeDistribution, distributionPercentile } from '../utils/hypergeometric.js';
 import { renderMultiColumnTable } from '../utils/tableUtils.js';
 import { createOrUpdateChart } from '../utils/chartHelpers.js';
 import * as DeckConfig from '../utils/deckConfig.js';
@@ -12,37 +13,60 @@ import { renderStatCard, renderStatsGrid, renderInsightBox, generateSampleReveal
 import { compareBigSpells, renderComparison } from '../utils/bigSpellComparison.js';
 
 import {
-    buildDeckFromCardData, shuffleDeck, renderCardBadge, renderDistributionChart,
+    buildDeckFromCardData, renderCardBadge, renderDistributionChart,
     createCollapsibleSection
 } from '../utils/sampleSimulator.js';
+import { runSimulation, cancelSimulation } from '../utils/workerPool.js';
+import { showSimulationProgress } from '../utils/ui.js';
+import { deriveSeed, getSeed, rerollSeed } from '../utils/random.js';
 
 const CONFIG = {
-    // ITERATIONS removed, using math formula
+    // ITERATIONS removed, using exact hypergeometric distribution
     X_RANGE_BEFORE: 4,
     X_RANGE_AFTER: 4,
-    DEFAULT_SAMPLE_SIZE: 500
+    DEFAULT_SAMPLE_SIZE: 500,
+    // Nonland permanent CMC buckets for the breakdown table
+    CMC_BUCKETS: [
+        { label: 'CMC 0-1', min: 0, max: 1 },
+        { label: 'CMC 2', min: 2, max: 2 },
+        { label: 'CMC 3', min: 3, max: 3 },
+        { label: 'CMC 4', min: 4, max: 4 },
+        { label: 'CMC 5', min: 5, max: 5 },
+        { label: 'CMC 6+', min: 6, max: Infinity }
+    ]
 };
 
 let simulationCache = createCache(50);
 let lastDeckHash = '';
 let chart = null;
+let cdfChart = null;
 
 // Stable samples state
 let stableSamples = [];
+let sampleSeed = null;
 let lastSampleDeckHash = '';
 let renderedCount = 0;
 
 /**
- * Generate stable samples from the deck
+ * Generate stable samples from the deck on the worker pool
  * @param {Array} deck - The source deck
  * @param {number} count - Number of samples to generate
+ * @param {Function} onReady - Called once the samples are in place
  */
-function generateStableSamples(deck, count) {
-    stableSamples = [];
+function generateStableSamples(deck, count, onReady = null) {
+    const seed = getSeed();
     // For Genesis Wave, we need full shuffles because X can be large (up to deck size).
-    for (let i = 0; i < Math.max(count, CONFIG.DEFAULT_SAMPLE_SIZE); i++) {
-        stableSamples.push(shuffleDeck([...deck]));
-    }
+    const top = DeckConfig.getKnownTopCards().map(card => card.name);
+    runSimulation('shuffleSamples', { deck, count: Math.max(count, CONFIG.DEFAULT_SAMPLE_SIZE), seed: deriveSeed('wave-samples'), top }, {
+        key: 'wave-samples',
+        onProgress: (fraction) => showSimulationProgress('wave', fraction),
+        onComplete: (samples) => {
+            showSimulationProgress('wave', null);
+            stableSamples = samples;
+            sampleSeed = seed;
+            if (onReady) onReady();
+        }
+    });
 }
 
 /**
@@ -56,8 +80,8 @@ function refreshSamples() {
         const countInput = document.getElementById('wave-sample-count');
         const numSims = Math.max(1, parseInt(countInput?.value) || CONFIG.DEFAULT_SAMPLE_SIZE);
         const deck = buildDeckFromCardData(cardData);
-        generateStableSamples(deck, numSims);
-        runSampleReveals(); // Re-render
+        rerollSeed();
+        generateStableSamples(deck, numSims, runSampleReveals);
     }
 }
 
@@ -69,67 +93,151 @@ function refreshSamples() {
 function hashDistribution(dist) {
     return Object.entries(dist)
         .sort((a, b) => {
-            if (a[0] === 'nonperm') return 1;
-            if (b[0] === 'nonperm') return -1;
-            return Number(a[0]) - Number(b[0]);
+            const aNum = Number(a[0]);
+            const bNum = Number(b[0]);
+            if (isNaN(aNum) || isNaN(bNum)) {
+                if (isNaN(aNum) && isNaN(bNum)) return a[0].localeCompare(b[0]);
+                return isNaN(aNum) ? 1 : -1;
+            }
+            return aNum - bNum;
         })
         .map(([k, v]) => `${k}:${v}`)
         .join('|');
 }
 
+// No known top cards
+const NO_KNOWN_TOP = { cards: 0, revealed: 0, inGroup: 0, hits: 0 };
+
+/**
+ * Summarize the hypergeometric distribution for one group of cards
+ * @param {number} deckSize - Total cards in library
+ * @param {number} groupSize - Cards in the group
+ * @param {number} drawCount - Cards revealed
+ * @param {Object} known - Known top cards (game tracker): { cards, revealed, inGroup, hits }
+ * @returns {Object} - { count, expected, distribution, percentiles, probAtLeastOne }
+ */
+function summarizeGroup(deckSize, groupSize, drawCount, known = NO_KNOWN_TOP) {
+    const count = Math.min(groupSize, deckSize);
+
+    // Known top cards are revealed first; the rest come from the cards below them
+    const unknownDeck = deckSize - known.cards;
+    const unknownGroup = count - known.inGroup;
+    const randomDraws = drawCount - known.revealed;
+    const distribution = new Array(known.hits).fill(0)
+        .concat(drawTypeDistribution(unknownDeck, unknownGroup, randomDraws));
+    while (distribution.length <= drawCount) distribution.push(0);
+
+    return {
+        count,
+        expected: known.hits + (unknownDeck > 0 ? randomDraws * (unknownGroup / unknownDeck) : 0),
+        distribution,
+        percentiles: {
+            p10: distributionPercentile(distribution, 0.1),
+            p50: distributionPercentile(distribution, 0.5),
+            p90: distributionPercentile(distribution, 0.9)
+        },
+        probAtLeastOne: 1 - distribution[0]
+    };
+}
+
 /**
- * Simulate Genesis Wave using Expected Value (Linearity of Expectation)
- * E = X * (ValidPerms / DeckSize)
+ * Calculate the exact Genesis Wave outcome distribution.
+ * Revealing X cards is a hypergeometric draw: permanents with CMC <= X are
+ * successes, everything else misses, so P(k permanents) is exact rather
+ * than simulated. Lands and each CMC bucket are hypergeometric too.
  * 
  * @param {number} deckSize - Total cards in library
- * @param {Object} distribution - Map of CMC (or 'nonperm') to count
+ * @param {Object} distribution - Map of CMC to nonland permanent count, plus 'lands' and 'nonperm'
  * @param {number} x - X value (cards to reveal)
- * @returns {Object} - Simulation results
+ * @param {Array} knownTop - Distribution keys of the known top cards, top first (game tracker)
+ * @returns {Object} - Results with expectedPermanents, permanentDistribution, atLeast,
+ *                     percentiles, lands, nonlands and byCmc breakdowns
  */
-export function simulateGenesisWave(deckSize, distribution, x) {
-    const cacheKey = `${deckSize}-${x}-${hashDistribution(distribution)}`;
+export function simulateGenesisWave(deckSize, distribution, x, knownTop = []) {
+    const cacheKey = `${deckSize}-${x}-${hashDistribution(distribution)}-${knownTop.join(',')}`;
     const cached = simulationCache.get(cacheKey);
     if (cached) return cached;
 
-    // Calculate count of valid permanents (CMC <= X)
-    let validPermanentsCount = 0;
-    
+    // Lands always have CMC 0, so they always hit
+    const landCount = distribution.lands || 0;
+    let nonlandCount = 0;
+    const buckets = CONFIG.CMC_BUCKETS.map(bucket => ({ ...bucket, inDeck: 0, eligible: 0 }));
+
     for (const [key, count] of Object.entries(distribution)) {
-        if (key === 'nonperm') continue;
-        const cmc = parseInt(key);
-        if (!isNaN(cmc) && cmc <= x) {
-            validPermanentsCount += (count || 0);
+        const cmc = Number(key);
+        if (key === '' || isNaN(cmc)) continue;
+
+        const bucket = buckets.find(b => cmc >= b.min && cmc <= b.max);
+        if (bucket) bucket.inDeck += (count || 0);
+
+        // Only permanents with CMC <= X go to the battlefield
+        if (cmc <= x) {
+            nonlandCount += (count || 0);
+            if (bucket) bucket.eligible += (count || 0);
         }
     }
 
-    // Probability of any single card being a valid permanent
-    // If deckSize is 0, probability is 0
-    const probability = deckSize > 0 ? validPermanentsCount / deckSize : 0;
-    
-    // Linearity of Expectation: E[Total] = Sum(E[Card_i]) = X * P(Card_i is valid)
-    // Capped at validPermanentsCount because you can't hit more perms than exist in the deck
-    // Also capped at X (can't hit more than you reveal)
-    const expected = Math.min(x, Math.min(validPermanentsCount, x * probability));
-
-    // Refinement: The simple X * P formula works perfectly for replacement.
-    // For non-replacement (drawing cards), the expected value is actually exactly the same:
-    // E[X] = n * (K/N), where n is sample size, K is successes, N is population.
-    // So Expected Value = X * (ValidPerms / DeckSize).
-    // The min() caps handle edge cases where X > DeckSize.
-    
-    // Correct formula for draw size > deck size?
-    // You draw min(X, DeckSize).
-    const drawCount = Math.min(x, deckSize);
-    const resultValue = drawCount * probability;
+    // You can't reveal more cards than the library holds
+    const drawCount = Math.max(0, Math.min(x, deckSize));
+
+    const revealedKnown = knownTop.slice(0, drawCount);
+    const knownFor = (inGroup) => ({
+        cards: knownTop.length,
+        revealed: revealedKnown.length,
+        inGroup: knownTop.filter(inGroup).length,
+        hits: revealedKnown.filter(inGroup).length
+    });
+    const isEligible = (key) => key !== 'lands' && key !== 'nonperm' && Number(key) <= x;
+    const isHit = (key) => key === 'lands' || isEligible(key);
+
+    const total = summarizeGroup(deckSize, landCount + nonlandCount, drawCount, knownFor(isHit));
+
+    // P(at least k) answers "how likely is a board of k or more permanents?"
+    const atLeast = new Array(drawCount + 1).fill(0);
+    let tail = 0;
+    for (let k = drawCount; k >= 0; k--) {
+        tail += total.distribution[k];
+        atLeast[k] = Math.min(1, tail);
+    }
 
     const result = {
-        expectedPermanents: resultValue
+        expectedPermanents: total.expected,
+        permanentDistribution: total.distribution,
+        atLeast,
+        percentiles: total.percentiles,
+        lands: summarizeGroup(deckSize, landCount, drawCount, knownFor(key => key === 'lands')),
+        nonlands: summarizeGroup(deckSize, nonlandCount, drawCount, knownFor(isEligible)),
+        byCmc: buckets.map(bucket => ({
+            label: bucket.label,
+            inDeck: bucket.inDeck,
+            ...summarizeGroup(deckSize, bucket.eligible, drawCount,
+                knownFor(key => isEligible(key) && Number(key) >= bucket.min && Number(key) <= bucket.max))
+        }))
     };
 
     simulationCache.set(cacheKey, result);
     return result;
 }
 
+/**
+ * Distribution key for a card: 'lands', 'nonperm', or a nonland permanent's CMC
+ * @param {Object} card - Card from cardsByName
+ * @returns {string|number}
+ */
+function distributionKey(card) {
+    const typeLine = card.type_line.toLowerCase();
+    const isPermanent = typeLine.includes('creature') || 
+                        typeLine.includes('artifact') || 
+                        typeLine.includes('enchantment') || 
+                        typeLine.includes('planeswalker') || 
+                        typeLine.includes('battle') || 
+                        typeLine.includes('land');
+
+    if (!isPermanent) return 'nonperm';
+    if (typeLine.includes('land')) return 'lands';
+    return card.cmc !== undefined ? Math.floor(card.cmc) : 0;
+}
+
 /**
  * Get current deck configuration from shared config
  * @returns {Object} - Deck configuration
@@ -141,31 +249,22 @@ export function getDeckConfig() {
     // Use shared getDeckSize function to properly handle dual-typed cards
     const deckSize = DeckConfig.getDeckSize(true);
 
-    // Distribution map: CMC (number) -> count, plus 'nonperm' -> count
+    // Distribution map: CMC (number) -> nonland permanent count, plus 'lands' and 'nonperm' -> count
     let distribution = {};
+    let knownTop = [];
     
     if (cardData && cardData.cardsByName && Object.keys(cardData.cardsByName).length > 0) {
         // Use actual CMC data from imported cards
         Object.values(cardData.cardsByName).forEach(card => {
-            const typeLine = card.type_line.toLowerCase();
-            const isPermanent = typeLine.includes('creature') || 
-                                typeLine.includes('artifact') || 
-                                typeLine.includes('enchantment') || 
-                                typeLine.includes('planeswalker') || 
-                                typeLine.includes('battle') || 
-                                typeLine.includes('land');
-
-            if (!isPermanent) {
-                distribution.nonperm = (distribution.nonperm || 0) + card.count;
-            } else {
-                const cmc = card.cmc !== undefined ? Math.floor(card.cmc) : 0;
-                distribution[cmc] = (distribution[cmc] || 0) + card.count;
-            }
+            const key = distributionKey(card);
+            distribution[key] = (distribution[key] || 0) + card.count;
         });
+        knownTop = DeckConfig.getKnownTopCards().map(distributionKey);
     } else {
         // Fallback for manual config
         distribution = {
-            0: config.lands + config.cmc0,
+            lands: config.lands,
+            0: config.cmc0,
             2: config.cmc2,
             3: config.cmc3,
             4: config.cmc4,
@@ -176,15 +275,16 @@ export function getDeckConfig() {
     }
 
     // Clear cache if deck changed
-    const newHash = hashDistribution(distribution);
+    const newHash = `${hashDistribution(distribution)}-${knownTop.join(',')}`;
     
     // Check for sample refresh need (simplified hash check)
-    if (newHash !== lastDeckHash && cardData && cardData.cardsByName) {
-        const deck = buildDeckFromCardData(cardData);
-        generateStableSamples(deck, 20); // Default size
+    if (DeckConfig.isPrimaryDeck() && newHash !== lastDeckHash && cardData && cardData.cardsByName) {
+        // Samples are reshuffled lazily by runSampleReveals for the new deck
+        cancelSimulation('wave-samples');
+        stableSamples = [];
     }
 
-    if (newHash !== lastDeckHash) {
+    if (DeckConfig.isPrimaryDeck() && newHash !== lastDeckHash) {
         simulationCache.clear();
         lastDeckHash = newHash;
     }
@@ -200,7 +300,7 @@ export function getDeckConfig() {
     }
     
     const cmcCounts = {
-        lands: distribution[0] || 0,
+        lands: distribution.lands || 0,
         nonperm: distribution.nonperm || 0,
     };
 
@@ -208,6 +308,7 @@ export function getDeckConfig() {
         deckSize,
         x: parseInt(document.getElementById('wave-xValue').value) || 10,
         distribution,
+        knownTop,
         cmcCounts,
         totalPerms,
         cardData
@@ -230,9 +331,9 @@ export function calculate() {
     const maxX = Math.min(config.x + CONFIG.X_RANGE_AFTER, config.deckSize);
 
     for (let testX = minX; testX <= maxX; testX++) {
-        const sim = simulateGenesisWave(config.deckSize, config.distribution, testX);
+        const sim = simulateGenesisWave(config.deckSize, config.distribution, testX, config.knownTop);
         results[testX] = {
-            expectedPermanents: sim.expectedPermanents,
+            ...sim,
             cardsRevealed: testX
         };
     }
@@ -246,6 +347,9 @@ export function calculate() {
 function updateChart(config, results) {
     const xValues = Object.keys(results).map(Number).sort((a, b) => a - b);
     const expectedPermsData = xValues.map(x => results[x].expectedPermanents);
+    const p10Data = xValues.map(x => results[x].percentiles.p10);
+    const p50Data = xValues.map(x => results[x].percentiles.p50);
+    const p90Data = xValues.map(x => results[x].percentiles.p90);
     const efficiencyData = xValues.map(x => (results[x].expectedPermanents / x) * 100);
 
     chart = createOrUpdateChart(chart, 'wave-chart', {
@@ -257,13 +361,46 @@ function updateChart(config, results) {
                     label: 'Expected Permanents',
                     data: expectedPermsData,
                     borderColor: '#38bdf8',
-                    backgroundColor: 'rgba(56, 189, 248, 0.2)',
-                    fill: true,
+                    backgroundColor: 'transparent',
+                    fill: false,
                     tension: 0.3,
                     pointRadius: xValues.map(x => x === config.x ? 8 : 4),
                     pointBackgroundColor: xValues.map(x => x === config.x ? '#fff' : '#38bdf8'),
                     yAxisID: 'y'
                 },
+                {
+                    label: '90th Percentile',
+                    data: p90Data,
+                    borderColor: 'rgba(56, 189, 248, 0.4)',
+                    backgroundColor: 'rgba(56, 189, 248, 0.15)',
+                    borderWidth: 1,
+                    fill: '+1', // Shade down to the 10th percentile
+                    stepped: 'middle',
+                    pointRadius: 0,
+                    yAxisID: 'y'
+                },
+                {
+                    label: '10th Percentile',
+                    data: p10Data,
+                    borderColor: 'rgba(56, 189, 248, 0.4)',
+                    backgroundColor: 'transparent',
+                    borderWidth: 1,
+                    fill: false,
+                    stepped: 'middle',
+                    pointRadius: 0,
+                    yAxisID: 'y'
+                },
+                {
+                    label: 'Median',
+                    data: p50Data,
+                    borderColor: '#f59e0b',
+                    backgroundColor: 'transparent',
+                    borderDash: [2, 3],
+                    fill: false,
+                    stepped: 'middle',
+                    pointRadius: 0,
+                    yAxisID: 'y'
+                },
                 {
                     label: 'Hit Rate %',
                     data: efficiencyData,
@@ -284,7 +421,7 @@ function updateChart(config, results) {
                     type: 'linear',
                     position: 'left',
                     beginAtZero: true,
-                    title: { display: true, text: 'Expected Permanents', color: '#38bdf8' },
+                    title: { display: true, text: 'Permanents', color: '#38bdf8' },
                     grid: { color: 'rgba(14, 165, 233, 0.2)' },
                     ticks: { color: '#38bdf8' }
                 },
@@ -309,11 +446,14 @@ function updateChart(config, results) {
                 tooltip: {
                     callbacks: {
                         label: ctx => {
-                            if (ctx.datasetIndex === 0) {
-                                return `Expected: ${ctx.parsed.y.toFixed(2)} permanents`;
-                            } else {
+                            const label = ctx.dataset.label;
+                            if (label === 'Hit Rate %') {
                                 return `Hit Rate: ${ctx.parsed.y.toFixed(1)}%`;
                             }
+                            if (label === 'Expected Permanents') {
+                                return `Expected: ${ctx.parsed.y.toFixed(2)} permanents`;
+                            }
+                            return `${label}: ${ctx.parsed.y} permanents`;
                         }
                     }
                 }
@@ -322,6 +462,71 @@ function updateChart(config, results) {
     });
 }
 
+/**
+ * Update cumulative distribution chart for the current X
+ */
+function updateCdfChart(config, results) {
+    const current = results[config.x];
+    if (!current) return;
+
+    const { p10, p50, p90 } = current.percentiles;
+    const counts = current.atLeast.map((_, k) => k);
+    const inBand = k => k >= p10 && k <= p90;
+
+    cdfChart = createOrUpdateChart(cdfChart, 'wave-cdf-chart', {
+        type: 'bar',
+        data: {
+            labels: counts.map(k => `${k}`),
+            datasets: [
+                {
+                    type: 'line',
+                    label: 'P(at least k)',
+                    data: current.atLeast.map(p => p * 100),
+                    borderColor: '#38bdf8',
+                    backgroundColor: 'transparent',
+                    fill: false,
+                    stepped: 'before',
+                    pointRadius: counts.map(k => (k === p10 || k === p50 || k === p90) ? 6 : 2),
+                    pointBackgroundColor: counts.map(k => k === p50 ? '#f59e0b' : (inBand(k) ? '#fff' : '#38bdf8'))
+                },
+                {
+                    type: 'bar',
+                    label: 'P(exactly k)',
+                    data: current.permanentDistribution.map(p => p * 100),
+                    backgroundColor: counts.map(k => k === p50
+                        ? 'rgba(245, 158, 11, 0.7)'
+                        : (inBand(k) ? 'rgba(56, 189, 248, 0.5)' : 'rgba(160, 144, 144, 0.25)')),
+                    borderWidth: 0
+                }
+            ]
+        },
+        options: {
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    max: 100,
+                    title: { display: true, text: 'Probability', color: '#38bdf8' },
+                    grid: { color: 'rgba(14, 165, 233, 0.2)' },
+                    ticks: { color: '#38bdf8', callback: value => value + '%' }
+                },
+                x: {
+                    title: { display: true, text: 'Permanents (k)', color: '#a09090' },
+                    grid: { color: 'rgba(14, 165, 233, 0.2)' },
+                    ticks: { color: '#a09090' }
+                }
+            },
+            plugins: {
+                tooltip: {
+                    callbacks: {
+                        title: items => `${items[0].label} permanents`,
+                        label: ctx => `${ctx.dataset.label}: ${ctx.parsed.y.toFixed(1)}%`
+                    }
+                }
+            }
+        }
+    });
+}
+
 /**
  * Update comparison table
  */
@@ -329,7 +534,7 @@ function updateTable(config, results) {
     const xValues = Object.keys(results).map(Number).sort((a, b) => a - b);
     const currentResult = results[config.x];
 
-    const headers = ['X', 'Cards Revealed', 'Expected Perms', 'Δ Perms', 'Efficiency'];
+    const headers = ['X', 'Cards Revealed', 'Expected Perms', 'Median', '10th-90th', 'Δ Perms', 'Efficiency'];
     
     const rows = xValues.map(x => {
         const r = results[x];
@@ -343,6 +548,8 @@ function updateTable(config, results) {
                 x,
                 r.cardsRevealed,
                 formatNumber(r.expectedPermanents),
+                r.percentiles.p50,
+                `${r.percentiles.p10}-${r.percentiles.p90}`,
                 { value: isBaseline ? '-' : (deltaPerms >= 0 ? '+' : '') + formatNumber(deltaPerms), class: deltaClass },
                 formatNumber(efficiency, 1) + '%'
             ],
@@ -364,6 +571,7 @@ function updateStats(config, results) {
 
     if (statsPanel && currentResult) {
         const efficiency = (currentResult.expectedPermanents / currentResult.cardsRevealed) * 100;
+        const { p10, p50, p90 } = currentResult.percentiles;
         const totalPerms = config.deckSize - config.cmcCounts.nonperm;
         const permPercent = (totalPerms / config.deckSize) * 100;
 
@@ -386,20 +594,60 @@ function updateStats(config, results) {
         const cardsHTML = [
             renderStatCard('Cards Revealed', currentResult.cardsRevealed, `at X=${config.x}`),
             renderStatCard('Expected Perms', formatNumber(currentResult.expectedPermanents, 1), 'played for free', '#38bdf8'),
+            renderStatCard('Median Perms', p50, `10th-90th: ${p10}-${p90}`, '#f59e0b'),
             renderStatCard('Efficiency', formatNumber(efficiency, 1) + '%', 'hits are permanents', '#22c55e'),
             renderStatCard('Deck Composition', totalPerms, `${formatNumber(permPercent, 0)}% permanents`, '#f59e0b')
         ];
 
-        const footer = `• Average ${formatNumber(currentResult.expectedPermanents, 1)} permanents per cast<br>• Reveals ${currentResult.cardsRevealed} cards (${formatNumber((currentResult.cardsRevealed / config.deckSize) * 100, 1)}% of deck)`;
+        const footer = `• Average ${formatNumber(currentResult.expectedPermanents, 1)} permanents per cast<br>• 80% of casts put ${p10}-${p90} permanents onto the battlefield<br>• Reveals ${currentResult.cardsRevealed} cards (${formatNumber((currentResult.cardsRevealed / config.deckSize) * 100, 1)}% of deck)`;
 
         statsPanel.innerHTML = `
             ${renderInsightBox(`🌊 Genesis Wave X=${config.x} Analysis`, '', '')}
             ${renderStatsGrid(cardsHTML)}
             ${renderInsightBox('', interpretation, footer)}
+            <h3 style="margin-top: var(--spacing-lg);">Breakdown by Permanent Type</h3>
+            <div class="table-wrapper" id="wave-breakdownTable"></div>
         `;
+
+        updateBreakdownTable(currentResult);
     }
 }
 
+/**
+ * Render land/nonland and CMC bucket breakdown for the current X
+ * @param {Object} result - Genesis Wave result for the current X
+ */
+function updateBreakdownTable(result) {
+    const headers = ['Group', 'Eligible', 'Expected', 'Median', '10th-90th', 'P(≥1)'];
+
+    const toRow = (label, group, note = '') => ({
+        cells: [
+            label,
+            note ? `${group.count} <span style="color: var(--text-dim);">${note}</span>` : group.count,
+            formatNumber(group.expected),
+            group.percentiles.p50,
+            `${group.percentiles.p10}-${group.percentiles.p90}`,
+            formatNumber(group.probAtLeastOne * 100, 1) + '%'
+        ]
+    });
+
+    const rows = [
+        toRow('Lands', result.lands),
+        toRow('Nonland Permanents', result.nonlands),
+        ...result.byCmc
+            .filter(bucket => bucket.inDeck > 0)
+            .map(bucket => {
+                const tooExpensive = bucket.inDeck - bucket.count;
+                return {
+                    ...toRow(`&nbsp;&nbsp;${bucket.label}`, bucket, tooExpensive > 0 ? `(+${tooExpensive} over X)` : ''),
+                    class: bucket.count === 0 ? 'marginal-negative' : ''
+                };
+            })
+    ];
+
+    renderMultiColumnTable('wave-breakdownTable', headers, rows);
+}
+
 // ... (updateComparison and runSampleReveals remain unchanged) ...
 /**
  * Update comparison with Primal Surge
@@ -475,8 +723,9 @@ export function runSampleReveals() {
     const deck = buildDeckFromCardData(cardData);
     
     // Ensure we have stable samples
-    if (stableSamples.length < numSims) {
-        generateStableSamples(deck, numSims);
+    if (stableSamples.length < numSims || sampleSeed !== getSeed()) {
+        generateStableSamples(deck, numSims, runSampleReveals);
+        return;
     }
 
     // 1. STATS LOOP (Full Simulation)
@@ -650,7 +899,8 @@ export function updateUI() {
     const { config, results } = calculate();
 
     if (config.deckSize === 0 || Object.keys(results).length === 0) {
-        if (chart) chart.destroy();
+        if (chart) { chart.destroy(); chart = null; }
+        if (cdfChart) { cdfChart.destroy(); cdfChart = null; }
         document.getElementById('wave-comparisonTable').innerHTML = '';
         const waveComparisonContainer = document.getElementById('big-spell-comparison-wave');
         if (waveComparisonContainer) waveComparisonContainer.innerHTML = '';
@@ -658,6 +908,7 @@ export function updateUI() {
     }
 
     updateChart(config, results);
+    updateCdfChart(config, results);
     updateStats(config, results);
     updateTable(config, results);
     updateComparison(config, results);
@@ -675,6 +926,18 @@ export function updateUI() {
     }
 }
 
+/**
+ * Draw the charts and tables for a calculate() result (used for the A/B compare overlay)
+ * @param {Object} data - Result of calculate()
+ */
+export function render({ config, results }) {
+    if (config.deckSize === 0 || Object.keys(results).length === 0) return;
+    updateChart(config, results);
+    updateCdfChart(config, results);
+    updateTable(config, results);
+    if (results[config.x]) updateBreakdownTable(results[config.x]);
+}
+
 /**
  * Initialize Wave calculator
  */
@@ -683,7 +946,12 @@ export function init() {
         name: 'wave',
         calculate,
         updateUI,
+        render,
         inputs: ['x'],
+        sensitivity: [
+            { label: 'Expected Perms', value: ({ config, results }) => results[config.x]?.expectedPermanents },
+            { label: 'Lands Hit', value: ({ config, results }) => results[config.x]?.lands.expected }
+        ],
         init: () => {
             const container = document.getElementById('wave-sample-reveals');
             if (container) {
@@ -8,37 +8,36 @@ import * as Surge from './calculators/surge.js';
 import * as Wave from './calculators/wave.js';
 import * as Vow from './calculators/vow.js';
 import * as Vortex from './calculators/vortex.js';
+import * as Cascade from './calculators/cascade.js';
+import * as LookPick from './calculators/lookpick.js';
+import * as AdNauseam from './calculators/adnauseam.js';
+import * as Pact from './calculators/pact.js';
 import * as Lands from './calculators/lands.js';
+import * as ManaBase from './calculators/manabase.js';
+import * as Goldfish from './calculators/goldfish.js';
 import * as Rashmi from './calculators/rashmi.js';
 import * as Lumra from './calculators/lumra.js';
+import * as Hermit from './calculators/hermit.js';
 import * as Mulligan from './calculators/mulligan.js';
 import * as Mara from './calculators/mara.js';
 import * as DreamHarvest from './calculators/dreamharvest.js';
 import * as Share from './utils/share.js';
 import * as OpponentState from './utils/opponentState.js';
 import { debounce } from './utils/simulation.js';
+import { CALCULATOR_TABS } from './utils/tabs.js';
 import * as Components from './utils/components.js';
 import * as DeckConfig from './utils/deckConfig.js';
+import * as DeckLibrary from './utils/deckLibrary.js';
+import { initDeckCompare } from './utils/deckCompare.js';
+import { initGameTracker } from './utils/gameTracker.js';
+import { initDrawProfile } from './utils/drawProfile.js';
+import { initPrecision } from './utils/precision.js';
+import { getSeed, setSeed, parseSeed, rerollSeed, onSeedChange } from './utils/random.js';
 
 // Current active tab and group
 let currentTab = 'mulligan';
 let currentGroup = 'deck-tools';
 
-// Calculator metadata with groupings
-const calculators = {
-    portent: { icon: '⚡', name: 'Portent of Calamity', group: 'spells' },
-    surge: { icon: '🌿', name: 'Primal Surge', group: 'spells' },
-    wave: { icon: '🌊', name: 'Genesis Wave', group: 'spells' },
-    vow: { icon: '🌱', name: 'Kamahl\'s Druidic Vow', group: 'spells' },
-    vortex: { icon: '🌀', name: 'Monstrous Vortex', group: 'spells' },
-    rashmi: { icon: '🌌', name: 'Rashmi', group: 'Creatures' },
-    lumra: { icon: '🐻', name: 'Lumra', group: 'Creatures' },
-    lands: { icon: '🏔️', name: 'Land Drops', group: 'deck-tools' },
-    mulligan: { icon: '🃏', name: 'Mulligan Strategy', group: 'deck-tools' },
-    mara: { icon: '🎭', name: 'Ensnared by the Mara', group: 'multiplayer' },
-    dreamharvest: { icon: '🌙', name: 'Dream Harvest', group: 'multiplayer' }
-};
-
 /**
  * Switch between tab groups
  * @param {string} group - Group name (spells, Creatures, deck-tools, multiplayer)
@@ -67,8 +66,8 @@ function switchTab(tab) {
     document.body.className = 'theme-' + tab;
 
     // Update the calculator group if needed
-    if (calculators[tab] && calculators[tab].group !== currentGroup) {
-        switchGroup(calculators[tab].group);
+    if (CALCULATOR_TABS[tab] && CALCULATOR_TABS[tab].group !== currentGroup) {
+        switchGroup(CALCULATOR_TABS[tab].group);
     }
 
     // Update ALL sub-navigation pills across all groups (not just current group)
@@ -79,9 +78,9 @@ function switchTab(tab) {
     // Update dropdown selector button and options
     const selectorIcon = document.querySelector('.selector-icon');
     const selectorName = document.querySelector('.selector-name');
-    if (selectorIcon && selectorName && calculators[tab]) {
-        selectorIcon.textContent = calculators[tab].icon;
-        selectorName.textContent = calculators[tab].name;
+    if (selectorIcon && selectorName && CALCULATOR_TABS[tab]) {
+        selectorIcon.textContent = CALCULATOR_TABS[tab].icon;
+        selectorName.textContent = CALCULATOR_TABS[tab].name;
     }
     document.querySelectorAll('.selector-option').forEach(option => {
         option.classList.toggle('active', option.dataset.tab === tab);
@@ -98,7 +97,7 @@ function switchTab(tab) {
     // Show/hide config panels based on calculator's group
     const deckConfig = document.getElementById('deck-config');
     const opponentsConfig = document.getElementById('opponents-config');
-    const calcGroup = calculators[tab]?.group;
+    const calcGroup = CALCULATOR_TABS[tab]?.group;
 
     if (calcGroup === 'multiplayer') {
         // Multiplayer: hide deck config, show opponents config
@@ -121,12 +120,26 @@ function switchTab(tab) {
         Vow.updateUI();
     } else if (tab === 'vortex') {
         Vortex.updateUI();
+    } else if (tab === 'cascade') {
+        Cascade.updateUI();
+    } else if (tab === 'lookpick') {
+        LookPick.updateUI();
+    } else if (tab === 'adnauseam') {
+        AdNauseam.updateUI();
+    } else if (tab === 'pact') {
+        Pact.updateUI();
     } else if (tab === 'lands') {
         Lands.updateUI();
+    } else if (tab === 'manabase') {
+        ManaBase.updateUI();
+    } else if (tab === 'goldfish') {
+        Goldfish.updateUI();
     } else if (tab === 'rashmi') {
         Rashmi.updateUI();
     } else if (tab === 'lumra') {
         Lumra.updateUI();
+    } else if (tab === 'hermit') {
+        Hermit.updateUI();
     } else if (tab === 'mulligan') {
         Mulligan.updateUI();
     } else if (tab === 'mara') {
@@ -232,6 +245,34 @@ function initVortexInputs() {
     Vortex.init();
 }
 
+/**
+ * Initialize Cascade calculator inputs
+ */
+function initCascadeInputs() {
+    Cascade.init();
+}
+
+/**
+ * Initialize Look and Pick calculator inputs
+ */
+function initLookPickInputs() {
+    LookPick.init();
+}
+
+/**
+ * Initialize Ad Nauseam calculator inputs
+ */
+function initAdNauseamInputs() {
+    AdNauseam.init();
+}
+
+/**
+ * Initialize Tainted Pact / Demonic Consultation calculator inputs
+ */
+function initPactInputs() {
+    Pact.init();
+}
+
 /**
  * Initialize Lands calculator inputs
  */
@@ -239,6 +280,20 @@ function initLandsInputs() {
     Lands.init();
 }
 
+/**
+ * Initialize Mana Base calculator inputs
+ */
+function initManaBaseInputs() {
+    ManaBase.init();
+}
+
+/**
+ * Initialize Goldfish calculator inputs
+ */
+function initGoldfishInputs() {
+    Goldfish.init();
+}
+
 /**
  * Initialize Rashmi calculator inputs
  */
@@ -253,6 +308,13 @@ function initLumraInputs() {
     Lumra.init();
 }
 
+/**
+ * Initialize Hermit Druid / Mulch calculator inputs
+ */
+function initHermitInputs() {
+    Hermit.init();
+}
+
 /**
  * Initialize Mulligan calculator inputs
  */
@@ -313,6 +375,34 @@ function initNavLayoutToggle() {
     }
 }
 
+/**
+ * Initialize the random seed input and reroll button
+ */
+function initSeedControl() {
+    const seedInput = document.getElementById('seed-input');
+    const rerollBtn = document.getElementById('seed-reroll-btn');
+    if (!seedInput) return;
+
+    seedInput.value = getSeed();
+
+    seedInput.addEventListener('change', () => {
+        const seed = parseSeed(seedInput.value);
+        if (seed === null) {
+            seedInput.classList.add('invalid');
+            return;
+        }
+        seedInput.classList.remove('invalid');
+        if (seed !== getSeed()) setSeed(seed);
+    });
+
+    rerollBtn?.addEventListener('click', () => rerollSeed());
+
+    onSeedChange((seed) => {
+        seedInput.value = seed;
+        seedInput.classList.remove('invalid');
+    });
+}
+
 /**
  * Initialize service worker for offline support
  */
@@ -395,6 +485,11 @@ function initPWAInstall() {
 function init() {
     // Initialize shared deck configuration first
     DeckConfig.initDeckConfig();
+    DeckLibrary.initDeckLibrary();
+    initDeckCompare();
+    initGameTracker();
+    initDrawProfile();
+    initPrecision();
 
     // Initialize shared opponent state for multiplayer calculators
     OpponentState.init();
@@ -402,14 +497,22 @@ function init() {
     // Initialize all components
     initTabNavigation();
     initNavLayoutToggle();
+    initSeedControl();
     initPortentInputs();
     initSurgeInputs();
     initWaveInputs();
     initVowInputs();
     initVortexInputs();
+    initCascadeInputs();
+    initLookPickInputs();
+    initAdNauseamInputs();
+    initPactInputs();
     initLandsInputs();
+    initManaBaseInputs();
+    initGoldfishInputs();
     initRashmiInputs();
     initLumraInputs();
+    initHermitInputs();
     initMulliganInputs();
     initMaraInputs();
     initDreamHarvestInputs();
@@ -4,8 +4,14 @@
  */
 
 import { debounce } from './simulation.js';
-import { bindInputSync } from './ui.js';
+import { bindInputSync, showSimulationProgress } from './ui.js';
 import * as DeckConfig from './deckConfig.js';
+import { onSeedChange, getSeed, deriveSeed, rerollSeed } from './random.js';
+import { onDrawProfileChange } from './drawProfile.js';
+import { onPrecisionChange } from './precision.js';
+import { captureChallengerRender, clearChallengerRender } from './comparison.js';
+import { initSensitivityPanel, markSensitivityStale } from './sensitivity.js';
+import { runSimulation, cancelSimulation } from './workerPool.js';
 
 /**
  * Register a calculator module.
@@ -14,18 +20,48 @@ import * as DeckConfig from './deckConfig.js';
  * @param {Object} options - Calculator configuration
  * @param {string} options.name - Calculator name (e.g. 'portent')
  * @param {Function} options.calculate - Main calculation function
+ * @param {Function} options.calculateAsync - Optional: calculate() on the worker pool, called with
+ *                                            an onComplete callback. Used for the challenger render.
  * @param {Function} options.updateUI - UI update function
+ * @param {Function} options.render - Optional: draws charts/tables from calculate()'s result.
+ *                                    Enables A/B compare overlays for this calculator.
  * @param {Function} options.init - Optional custom initialization
+ * @param {Array<Object>} options.sensitivity - Optional: results for the "what moves the needle" panel
+ *                                              ({name}-sensitivity), see analyzeSensitivity
  * @param {Array<string>} options.inputs - Array of input IDs to bind (without calculator prefix if standard pattern)
  *                                         Standard pattern: 'slider' binds `{name}-slider` and `{name}-value`
  */
 export function registerCalculator(options) {
-    const { name, updateUI, init, inputs = [] } = options;
+    const { name, calculate, calculateAsync, updateUI, render, init, sensitivity, inputs = [] } = options;
+
+    // In compare mode, render the challenger deck first so the primary
+    // render can overlay it. Calculators with a calculateAsync run it on
+    // the worker pool; then() runs once the challenger output is captured.
+    const renderChallenger = (then) => {
+        if (!render || !calculate || !DeckConfig.isComparing()) {
+            clearChallengerRender(name);
+            then();
+            return;
+        }
+        if (calculateAsync) {
+            DeckConfig.withChallengerDeck(() => calculateAsync(data => {
+                captureChallengerRender(name, () => render(data));
+                then();
+            }));
+            return;
+        }
+        const data = DeckConfig.withChallengerDeck(calculate);
+        captureChallengerRender(name, () => render(data));
+        then();
+    };
 
     const debouncedUpdate = debounce(() => {
         // Only update if this tab is active or just initialized?
         // Actually, updating background tabs is fine if debounced, keeps them fresh.
-        updateUI();
+        renderChallenger(() => {
+            if (sensitivity) markSensitivityStale(name);
+            updateUI();
+        });
     }, 150);
 
     // Bind Inputs
@@ -53,11 +89,30 @@ export function registerCalculator(options) {
         debouncedUpdate();
     });
 
+    // Re-run with the new seed so results match shared links
+    onSeedChange(() => {
+        debouncedUpdate();
+    });
+
+    // Play/draw and extra cards seen change every turn-based result
+    onDrawProfileChange(() => {
+        debouncedUpdate();
+    });
+
+    // Fixed/adaptive precision changes how long simulated results run
+    onPrecisionChange(() => {
+        debouncedUpdate();
+    });
+
     // Custom Init
     if (init) {
         init(debouncedUpdate);
     }
 
+    if (sensitivity && calculate) {
+        initSensitivityPanel(name, calculate, sensitivity);
+    }
+
     // Initial Render
     // We defer this slightly to ensure DOM is fully ready if called early
     setTimeout(updateUI, 0);
@@ -66,3 +121,93 @@ export function registerCalculator(options) {
         updateUI: debouncedUpdate
     };
 }
+
+/**
+ * Key a worker run or sample set by deck slot, so a challenger run
+ * neither cancels nor replaces the primary deck's
+ * @param {string} key - Key for the primary deck (e.g. 'portent-batch')
+ * @returns {string}
+ */
+export function slotKey(key) {
+    const slot = DeckConfig.getDeckSlot();
+    return slot === 'primary' ? key : `${key}-${slot}`;
+}
+
+
+/**
+ * Stable shuffles for a calculator's sample reveals. They are made on the
+ * worker pool and kept until the primary deck, the seed or the sample
+ * count ({name}-sample-count) changes, so redrawing shows the same games.
+ * @param {string} name - Calculator name
+ * @param {Object} options - { minCount: fewest shuffles to make (and the default count), keep: top cards to keep of each }
+ * @returns {Object} - { count, trackDeck, get, refresh }
+ */
+export function createStableSamples(name, { minCount, keep = null }) {
+    const key = `${name}-samples`;
+    let samples = [];
+    let sampleSeed = null;
+    let deckHash = '';
+
+    const generate = (deck, count, onReady) => {
+        const seed = getSeed();
+        runSimulation('shuffleSamples', { deck, count: Math.max(count, minCount), keep, seed: deriveSeed(key) }, {
+            key,
+            onProgress: (fraction) => showSimulationProgress(name, fraction),
+            onComplete: (result) => {
+                showSimulationProgress(name, null);
+                samples = result;
+                sampleSeed = seed;
+                onReady();
+            },
+            onError: (err) => {
+                console.error(`${name} sample shuffle failed:`, err);
+                showSimulationProgress(name, null);
+            },
+            onCancel: () => showSimulationProgress(name, null)
+        });
+    };
+
+    return {
+        /**
+         * Number of samples to show
+         * @returns {number}
+         */
+        count() {
+            return Math.max(1, parseInt(document.getElementById(`${name}-sample-count`)?.value) || minCount);
+        },
+
+        /**
+         * Drop the samples when the primary deck changes; get() reshuffles them
+         * @param {string} hash - Deck hash
+         */
+        trackDeck(hash) {
+            if (!DeckConfig.isPrimaryDeck() || hash === deckHash) return;
+            cancelSimulation(key);
+            samples = [];
+            deckHash = hash;
+        },
+
+        /**
+         * Get the samples, or shuffle them and call onReady once they are in place
+         * @param {Array} deck - Deck to shuffle
+         * @param {Function} onReady - Called when new samples are ready
+         * @returns {Array|null} - The samples, or null while shuffling
+         */
+        get(deck, onReady) {
+            const count = this.count();
+            if (samples.length >= count && sampleSeed === getSeed()) return samples;
+            generate(deck, count, onReady);
+            return null;
+        },
+
+        /**
+         * Reshuffle with a new seed (Run Simulations button)
+         * @param {Array} deck - Deck to shuffle
+         * @param {Function} onReady - Called when new samples are ready
+         */
+        refresh(deck, onReady) {
+            rerollSeed();
+            generate(deck, this.count(), onReady);
+        }
+    };
+}
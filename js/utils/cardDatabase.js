@@ -0,0 +1,299 @@
+/**
+ * Offline Card Database
+ * Optional local copy of Scryfall's "Oracle Cards" bulk data, stored in
+ * IndexedDB so decklist imports can resolve card names without the network.
+ * Node scripts and tests can load the same file into memory instead
+ * (see scripts/loadCardDatabase.js).
+ */
+
+const DB_NAME = 'deck-oracle-cards';
+const DB_VERSION = 1;
+const CARD_STORE = 'cards';
+const META_STORE = 'meta';
+const META_KEY = 'bulk';
+
+// Cards written per IndexedDB transaction while loading a bulk file
+const WRITE_CHUNK_SIZE = 2000;
+
+// Bulk data layouts that aren't real deck cards (and would shadow their names)
+const SKIPPED_LAYOUTS = ['art_series', 'token', 'double_faced_token', 'emblem', 'vanguard', 'scheme', 'planar'];
+
+// In-memory index (Node loader / tests). Takes precedence over IndexedDB.
+let memoryIndex = null;
+
+let dbPromise = null;
+
+/**
+ * Normalize a card name into a lookup key
+ * Front face only, lowercase, accents stripped ("Lim-Dûl's Vault" -> "lim-dul's vault")
+ * @param {string} cardName - Card name (may include // for double-faced cards)
+ * @returns {string} - Lookup key
+ */
+export function normalizeCardKey(cardName) {
+    if (!cardName || typeof cardName !== 'string') return '';
+    return cardName
+        .split('//')[0]
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .trim()
+        .toLowerCase();
+}
+
+/**
+ * Keep only the card fields the calculators use, in Scryfall's shape
+ * so the import code treats local and API cards identically
+ */
+function compactFace(face) {
+    return {
+        name: face.name,
+        type_line: face.type_line,
+        cmc: face.cmc,
+        mana_cost: face.mana_cost,
+        power: face.power,
+        toughness: face.toughness,
+        colors: face.colors
+    };
+}
+
+function compactCard(card) {
+    const compact = {
+        name: card.name,
+        type_line: card.type_line,
+        cmc: card.cmc,
+        mana_cost: card.mana_cost || '',
+        power: card.power,
+        toughness: card.toughness,
+        colors: card.colors,
+        color_identity: card.color_identity,
+        produced_mana: card.produced_mana,
+        layout: card.layout
+    };
+    if (Array.isArray(card.card_faces) && card.card_faces.length > 0) {
+        compact.card_faces = card.card_faces.map(compactFace);
+    }
+    return compact;
+}
+
+/**
+ * Extract deck cards from Scryfall bulk data
+ * @param {Array<Object>} bulkData - Parsed oracle_cards JSON array
+ * @returns {Array<Object>} - Compact card objects, one per name
+ */
+export function parseBulkCards(bulkData) {
+    if (!Array.isArray(bulkData)) {
+        throw new Error('Expected a Scryfall bulk data file (JSON array of cards)');
+    }
+
+    const seen = new Set();
+    const cards = [];
+    for (const card of bulkData) {
+        if (!card || card.object !== 'card' || !card.name) continue;
+        if (SKIPPED_LAYOUTS.includes(card.layout)) continue;
+
+        const key = normalizeCardKey(card.name);
+        if (!key || seen.has(key)) continue;
+        seen.add(key);
+        cards.push(compactCard(card));
+    }
+
+    if (cards.length === 0) {
+        throw new Error('No cards found in bulk data file');
+    }
+    return cards;
+}
+
+/**
+ * Build the in-memory index used instead of IndexedDB (Node, tests)
+ * @param {Array<Object>|null} cards - Compact cards from parseBulkCards(), or null to clear
+ * @returns {number} - Number of indexed cards
+ */
+export function useCardIndex(cards) {
+    if (!cards) {
+        memoryIndex = null;
+        return 0;
+    }
+    memoryIndex = new Map(cards.map(card => [normalizeCardKey(card.name), card]));
+    return memoryIndex.size;
+}
+
+/**
+ * Check whether the browser can persist the card database
+ * @returns {boolean}
+ */
+export function isCardDatabaseSupported() {
+    return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Wait for an IndexedDB transaction to finish
+ */
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Open (and create if needed) the card database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(CARD_STORE)) {
+                db.createObjectStore(CARD_STORE, { keyPath: 'key' });
+            }
+            if (!db.objectStoreNames.contains(META_STORE)) {
+                db.createObjectStore(META_STORE, { keyPath: 'id' });
+            }
+        };
+        dbPromise = promisifyRequest(request).catch(error => {
+            dbPromise = null;
+            throw error;
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Get details about the stored card database
+ * @returns {Promise<Object|null>} - { count, updatedAt } or null if none is loaded
+ */
+export async function getCardDatabaseInfo() {
+    if (memoryIndex) {
+        return { count: memoryIndex.size, updatedAt: null };
+    }
+    if (!isCardDatabaseSupported()) return null;
+
+    try {
+        const db = await openDatabase();
+        const meta = await promisifyRequest(
+            db.transaction(META_STORE, 'readonly').objectStore(META_STORE).get(META_KEY)
+        );
+        return meta ? { count: meta.count, updatedAt: meta.updatedAt } : null;
+    } catch (error) {
+        console.warn('Card database unavailable:', error);
+        return null;
+    }
+}
+
+/**
+ * Replace the stored card database with the cards from a bulk data file
+ * @param {File|Blob|string} source - oracle_cards JSON file or its text
+ * @param {Function} progressCallback - Called with { stage, processed, total, percentage }
+ * @returns {Promise<number>} - Number of cards stored
+ */
+export async function loadCardDatabaseFile(source, progressCallback = null) {
+    if (!isCardDatabaseSupported()) {
+        throw new Error('This browser does not support offline storage (IndexedDB)');
+    }
+
+    const report = (stage, processed, total, percentage) => {
+        if (progressCallback) progressCallback({ stage, processed, total, percentage });
+    };
+
+    report('Reading file...', 0, 100, 0);
+    const text = typeof source === 'string' ? source : await source.text();
+
+    report('Parsing card data...', 10, 100, 10);
+    let bulkData;
+    try {
+        bulkData = JSON.parse(text);
+    } catch (error) {
+        throw new Error('File is not valid JSON');
+    }
+    const cards = parseBulkCards(bulkData);
+
+    const db = await openDatabase();
+
+    // Clear the previous database before writing the new one
+    const clearTx = db.transaction([CARD_STORE, META_STORE], 'readwrite');
+    clearTx.objectStore(CARD_STORE).clear();
+    clearTx.objectStore(META_STORE).clear();
+    await transactionDone(clearTx);
+
+    for (let i = 0; i < cards.length; i += WRITE_CHUNK_SIZE) {
+        const tx = db.transaction(CARD_STORE, 'readwrite');
+        const store = tx.objectStore(CARD_STORE);
+        cards.slice(i, i + WRITE_CHUNK_SIZE).forEach(card => {
+            store.put({ key: normalizeCardKey(card.name), card });
+        });
+        await transactionDone(tx);
+
+        const written = Math.min(i + WRITE_CHUNK_SIZE, cards.length);
+        report('Saving cards...', written, cards.length, 20 + Math.round((written / cards.length) * 80));
+    }
+
+    const metaTx = db.transaction(META_STORE, 'readwrite');
+    metaTx.objectStore(META_STORE).put({ id: META_KEY, count: cards.length, updatedAt: Date.now() });
+    await transactionDone(metaTx);
+
+    return cards.length;
+}
+
+/**
+ * Delete the stored card database
+ * @returns {Promise<void>}
+ */
+export async function clearCardDatabase() {
+    memoryIndex = null;
+    if (!isCardDatabaseSupported()) return;
+
+    const db = await openDatabase();
+    const tx = db.transaction([CARD_STORE, META_STORE], 'readwrite');
+    tx.objectStore(CARD_STORE).clear();
+    tx.objectStore(META_STORE).clear();
+    await transactionDone(tx);
+}
+
+/**
+ * Resolve card names from the local database
+ * Returns an empty map when no database is loaded, so callers can always
+ * try this first and fall back to Scryfall for whatever is missing.
+ * @param {Array<string>} cardNames - Card names as written in the decklist
+ * @returns {Promise<Map<string, Object>>} - Requested name -> card data
+ */
+export async function lookupLocalCards(cardNames) {
+    const found = new Map();
+
+    if (memoryIndex) {
+        cardNames.forEach(name => {
+            const card = memoryIndex.get(normalizeCardKey(name));
+            if (card) found.set(name, card);
+        });
+        return found;
+    }
+
+    if (!isCardDatabaseSupported() || !(await getCardDatabaseInfo())) {
+        return found;
+    }
+
+    try {
+        const db = await openDatabase();
+        const store = db.transaction(CARD_STORE, 'readonly').objectStore(CARD_STORE);
+        const entries = await Promise.all(
+            cardNames.map(name => promisifyRequest(store.get(normalizeCardKey(name))))
+        );
+        entries.forEach((entry, i) => {
+            if (entry) found.set(cardNames[i], entry.card);
+        });
+    } catch (error) {
+        console.warn('Local card lookup failed, falling back to Scryfall:', error);
+    }
+
+    return found;
+}
@@ -3,6 +3,7 @@
  * Standardizes chart creation and updates across all calculators.
  */
 import { getChartAnimationConfig } from './simulation.js';
+import { isRecording, recordChart, overlayChallengerChart, wrapTooltipLabel } from './comparison.js';
 
 /**
  * Create or update a Chart.js instance.
@@ -12,9 +13,17 @@ import { getChartAnimationConfig } from './simulation.js';
  * @returns {Object} - The created or updated Chart instance.
  */
 export function createOrUpdateChart(chartInstance, canvasId, config) {
+    // Challenger deck render (A/B compare): keep the config for the overlay, draw nothing
+    if (isRecording()) {
+        recordChart(canvasId, config);
+        return chartInstance;
+    }
+
     const ctx = document.getElementById(canvasId);
     if (!ctx) return null;
 
+    config = overlayChallengerChart(canvasId, config);
+
     if (!chartInstance) {
         // Create new chart
         // Merge default animation config into options
@@ -30,7 +39,14 @@ export function createOrUpdateChart(chartInstance, canvasId, config) {
             ...config.options, // User options override defaults
             plugins: {
                 legend: { display: false },
-                ...config.options?.plugins
+                ...config.options?.plugins,
+                tooltip: {
+                    ...config.options?.plugins?.tooltip,
+                    callbacks: {
+                        ...config.options?.plugins?.tooltip?.callbacks,
+                        label: wrapTooltipLabel(config.options?.plugins?.tooltip?.callbacks?.label)
+                    }
+                }
             },
             scales: {
                 x: {
@@ -62,6 +78,7 @@ export function createOrUpdateChart(chartInstance, canvasId, config) {
                 const existingDataset = chartInstance.data.datasets[i];
                 if (existingDataset) {
                     // Update properties in place
+                    if (!('compareSlot' in newDataset)) delete existingDataset.compareSlot;
                     Object.assign(existingDataset, newDataset);
                 } else {
                     // New dataset found (unexpected for these calculators but handled)
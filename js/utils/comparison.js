@@ -0,0 +1,258 @@
+/**
+ * A/B Deck Comparison Rendering
+ * Records the charts and tables a calculator draws for the challenger deck,
+ * then merges them into the primary deck's charts (as overlaid series) and
+ * tables (as delta columns) when those are drawn.
+ */
+
+// Output recorded during a challenger render ({ charts, tables }), null otherwise
+let recording = null;
+
+// Latest challenger output, by canvas / table element id
+const challengerCharts = new Map();
+const challengerTables = new Map();
+
+// Element ids recorded per calculator, so a new render replaces stale entries
+const idsByCalculator = new Map();
+
+const CHALLENGER_PREFIX = 'B · ';
+const PRIMARY_PREFIX = 'A · ';
+
+/**
+ * Check whether chart/table helpers should record instead of drawing
+ * @returns {boolean}
+ */
+export function isRecording() {
+    return recording !== null;
+}
+
+/**
+ * Record a chart config drawn during a challenger render
+ * @param {string} canvasId - Canvas element id
+ * @param {Object} config - Chart config passed to createOrUpdateChart
+ */
+export function recordChart(canvasId, config) {
+    recording.charts.set(canvasId, config);
+}
+
+/**
+ * Record a table drawn during a challenger render
+ * @param {string} elementId - Table container id
+ * @param {Array} headers - Table headers
+ * @param {Array} rows - Table rows
+ */
+export function recordTable(elementId, headers, rows) {
+    recording.tables.set(elementId, { headers, rows });
+}
+
+/**
+ * Render a calculator's results for the challenger deck, recording the
+ * charts and tables instead of drawing them
+ * @param {string} name - Calculator name
+ * @param {Function} renderFn - Draws the challenger results
+ */
+export function captureChallengerRender(name, renderFn) {
+    clearChallengerRender(name);
+
+    recording = { charts: new Map(), tables: new Map() };
+    try {
+        renderFn();
+    } finally {
+        const { charts, tables } = recording;
+        recording = null;
+
+        charts.forEach((config, id) => challengerCharts.set(id, config));
+        tables.forEach((table, id) => challengerTables.set(id, table));
+        idsByCalculator.set(name, { charts: [...charts.keys()], tables: [...tables.keys()] });
+    }
+}
+
+/**
+ * Forget a calculator's challenger output (compare mode off)
+ * @param {string} name - Calculator name
+ */
+export function clearChallengerRender(name) {
+    const ids = idsByCalculator.get(name);
+    if (!ids) return;
+    ids.charts.forEach(id => challengerCharts.delete(id));
+    ids.tables.forEach(id => challengerTables.delete(id));
+    idsByCalculator.delete(name);
+}
+
+// ==================== Charts ====================
+
+/**
+ * Line the challenger's data up with the primary chart's labels
+ */
+function alignData(data, challengerLabels, primaryLabels) {
+    if (!Array.isArray(challengerLabels) || !Array.isArray(primaryLabels)) return data;
+    const byLabel = new Map(challengerLabels.map((label, i) => [String(label), data[i]]));
+    return primaryLabels.map(label => (byLabel.has(String(label)) ? byLabel.get(String(label)) : null));
+}
+
+/**
+ * Restyle a challenger dataset: dashed lines, hollow bars
+ */
+function styleChallengerDataset(dataset, index, chartType, alignedData) {
+    const isBar = (dataset.type || chartType) === 'bar';
+    const styled = {
+        ...dataset,
+        data: alignedData,
+        label: `${CHALLENGER_PREFIX}${dataset.label}`,
+        compareSlot: 'B',
+        compareLabel: dataset.label,
+        compareIndex: index
+    };
+
+    if (isBar) {
+        styled.borderColor = dataset.backgroundColor;
+        styled.backgroundColor = 'transparent';
+        styled.borderWidth = 2;
+    } else {
+        styled.borderDash = [6, 4];
+        styled.fill = false;
+    }
+    return styled;
+}
+
+/**
+ * Add the challenger's series to a primary chart config
+ * @param {string} canvasId - Canvas element id
+ * @param {Object} config - Primary chart config
+ * @returns {Object} - Config with overlaid challenger datasets (unchanged when not comparing)
+ */
+export function overlayChallengerChart(canvasId, config) {
+    const challenger = challengerCharts.get(canvasId);
+    if (!challenger || !config.data?.datasets || !challenger.data?.datasets) return config;
+
+    const primaryLabels = config.data.labels;
+    const challengerSets = challenger.data.datasets.map((dataset, index) => styleChallengerDataset(
+        dataset,
+        index,
+        challenger.type || 'line',
+        alignData(dataset.data, challenger.data.labels, primaryLabels)
+    ));
+
+    return {
+        ...config,
+        data: {
+            ...config.data,
+            datasets: [
+                ...config.data.datasets.map(dataset => ({ ...dataset, compareSlot: 'A' })),
+                ...challengerSets
+            ]
+        }
+    };
+}
+
+/**
+ * Wrap a chart's tooltip label callback so A/B series are told apart.
+ * Challenger series are passed to the original callback under their
+ * original label and index, so label- and index-based formatting keeps working.
+ * @param {Function} callback - Original label callback (optional)
+ * @returns {Function} - Tooltip label callback
+ */
+export function wrapTooltipLabel(callback) {
+    return (ctx) => {
+        const slot = ctx.dataset.compareSlot;
+        const dataset = slot === 'B' ? { ...ctx.dataset, label: ctx.dataset.compareLabel } : ctx.dataset;
+        const item = slot === 'B' ? { ...ctx, dataset, datasetIndex: ctx.dataset.compareIndex } : ctx;
+        const text = callback
+            ? callback(item)
+            : `${dataset.label ? `${dataset.label}: ` : ''}${ctx.formattedValue}`;
+
+        if (!slot) return text;
+        const prefix = slot === 'B' ? CHALLENGER_PREFIX : PRIMARY_PREFIX;
+        return Array.isArray(text) ? text.map(line => prefix + line) : prefix + text;
+    };
+}
+
+// ==================== Tables ====================
+
+/**
+ * Plain text of a table cell (cells may be values or { value, class })
+ */
+function cellText(cell) {
+    const value = cell !== null && typeof cell === 'object' && cell.value !== undefined ? cell.value : cell;
+    // Confidence intervals (renderInterval) are left out of the deltas
+    return String(value ?? '').replace(/<span class="ci-range"[^>]*>.*?<\/span>/g, '').replace(/<[^>]*>/g, '').trim();
+}
+
+/**
+ * Parse a numeric cell ("45.2%", "3.10", "1,024")
+ * @returns {Object|null} - { number, unit, decimals }
+ */
+function parseNumericCell(cell) {
+    const match = cellText(cell).replace(/,/g, '').match(/^(-?\d+(?:\.(\d+))?)\s*(%?)$/);
+    if (!match) return null;
+    return { number: parseFloat(match[1]), unit: match[3], decimals: match[2] ? match[2].length : 0 };
+}
+
+function rowCells(row) {
+    return Array.isArray(row) ? row : row.cells;
+}
+
+/**
+ * Format a delta cell (percent deltas are shown in percentage points)
+ */
+function formatDelta(primary, challenger) {
+    const delta = challenger.number - primary.number;
+    const decimals = Math.max(primary.decimals, challenger.decimals);
+    if (Math.abs(delta) < Math.pow(10, -decimals) / 2) {
+        return { value: '0', class: 'delta-cell' };
+    }
+    const sign = delta > 0 ? '+' : '−';
+    const unit = primary.unit === '%' ? ' pp' : '';
+    return {
+        value: `${sign}${Math.abs(delta).toFixed(decimals)}${unit}`,
+        class: `delta-cell ${delta > 0 ? 'delta-up' : 'delta-down'}`
+    };
+}
+
+/**
+ * Add "Δ" columns comparing the primary table with the challenger's.
+ * Rows are matched on their first cell; a delta column is added after
+ * every numeric column where the two decks differ. Columns that are
+ * already deltas (headed "Δ ...") are skipped.
+ * @param {string} elementId - Table container id
+ * @param {Array} headers - Primary headers
+ * @param {Array} rows - Primary rows
+ * @returns {Object} - { headers, rows } (unchanged when not comparing)
+ */
+export function addDeltaColumns(elementId, headers, rows) {
+    const challenger = challengerTables.get(elementId);
+    if (!challenger) return { headers, rows };
+
+    const challengerRows = new Map(challenger.rows.map(row => [cellText(rowCells(row)[0]), rowCells(row)]));
+    const isDeltaColumn = headers.map(header => cellText(header?.text ?? header).startsWith('Δ'));
+
+    // deltas[rowIndex][column] = delta cell, or null when not comparable
+    const deltaColumns = new Set();
+    const deltas = rows.map(row => {
+        const cells = rowCells(row);
+        const other = challengerRows.get(cellText(cells[0]));
+        return cells.map((cell, column) => {
+            if (column === 0 || !other || isDeltaColumn[column]) return null;
+            const a = parseNumericCell(cell);
+            const b = parseNumericCell(other[column]);
+            if (!a || !b || a.unit !== b.unit) return null;
+            const delta = formatDelta(a, b);
+            if (delta.value !== '0') deltaColumns.add(column);
+            return delta;
+        });
+    });
+
+    if (deltaColumns.size === 0) return { headers, rows };
+
+    const withDeltas = (cells, deltaFor) => cells.flatMap((cell, column) =>
+        deltaColumns.has(column) ? [cell, deltaFor(column)] : [cell]
+    );
+
+    return {
+        headers: withDeltas(headers, () => ({ text: 'Δ B−A', class: 'delta-header' })),
+        rows: rows.map((row, i) => {
+            const cells = withDeltas(rowCells(row), column => deltas[i][column] || { value: '—', class: 'delta-cell' });
+            return Array.isArray(row) ? cells : { ...row, cells };
+        })
+    };
+}
@@ -21,6 +21,15 @@ export function renderStatCard(label, value, subtext, color = 'var(--text-light)
     `;
 }
 
+/**
+ * Render a 95% confidence interval to show after a simulated value
+ * @param {string} halfWidth - Formatted half-width (e.g. "0.6%")
+ * @returns {string} - HTML string, e.g. "± 0.6%"
+ */
+export function renderInterval(halfWidth) {
+    return `<span class="ci-range" title="95% confidence interval">± ${halfWidth}</span>`;
+}
+
 /**
  * Render a grid of stat cards
  * @param {Array<string>} cardsHTML - Array of HTML strings from renderStatCard
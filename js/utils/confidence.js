@@ -0,0 +1,99 @@
+/**
+ * Confidence Intervals for Monte Carlo Results
+ * Standard errors and 95% intervals for simulated chances and averages, and
+ * an adaptive runner that keeps simulating until the intervals are narrow
+ * enough or a simulation cap is reached. Pure (no DOM) so it runs in the worker.
+ */
+
+export const Z_95 = 1.96;
+
+const BATCH_SIZE = 1000;
+const MIN_ADAPTIVE_TRIALS = 2000;
+
+/**
+ * Standard error of a simulated probability
+ * @param {number} p - Observed probability
+ * @param {number} trials - Number of simulated trials
+ * @returns {number}
+ */
+export function proportionError(p, trials) {
+    return trials > 0 ? Math.sqrt(p * (1 - p) / trials) : 0;
+}
+
+/**
+ * Standard error of a simulated mean, from its observed distribution
+ * @param {Array<number>} distribution - distribution[k] = P(value = k)
+ * @param {number} trials - Number of simulated trials
+ * @returns {number}
+ */
+export function meanError(distribution, trials) {
+    if (!(trials > 0)) return 0;
+    const mean = distribution.reduce((sum, p, k) => sum + k * p, 0);
+    const variance = distribution.reduce((sum, p, k) => sum + k * k * p, 0) - mean * mean;
+    return Math.sqrt(Math.max(0, variance) / trials);
+}
+
+/**
+ * Standard error of a simulated mean, from running sums of the values and
+ * their squares (tracked during the simulation)
+ * @param {number} sum - Sum of the values
+ * @param {number} sumSquares - Sum of the squared values
+ * @param {number} trials - Number of simulated trials
+ * @returns {number}
+ */
+export function sumsError(sum, sumSquares, trials) {
+    if (!(trials > 0)) return 0;
+    const mean = sum / trials;
+    return Math.sqrt(Math.max(0, sumSquares / trials - mean * mean) / trials);
+}
+
+/**
+ * Check a 95% half-width against a tolerance: percentage points for
+ * chances (0-1 fractions), percent of the value for averages
+ * @param {number} halfWidth - 95% half-width
+ * @param {number} value - Estimate
+ * @param {number} tolerance - Tolerance in percent
+ * @param {boolean} isChance - Whether the value is a probability
+ * @returns {boolean}
+ */
+export function withinTolerance(halfWidth, value, tolerance, isChance) {
+    if (isChance) return halfWidth * 100 <= tolerance;
+    return value === 0 ? halfWidth === 0 : halfWidth / Math.abs(value) * 100 <= tolerance;
+}
+
+/**
+ * Run a simulation in batches. With a fixed precision it runs exactly
+ * `trials`; in adaptive mode it keeps going until isPrecise() holds or
+ * maxSimulations trials have run. It never looks at the clock, so a seeded
+ * run stops at the same trial on any machine.
+ * @param {Function} runBatch - Simulates n more trials: runBatch(n)
+ * @param {Function} isPrecise - Called with the trials so far; true once every interval is narrow enough
+ * @param {Object} options - { trials, precision: { adaptive, maxSimulations }, onProgress }
+ * @returns {Object} - { trials, converged } (converged is null in fixed mode)
+ */
+export function simulateUntilPrecise(runBatch, isPrecise, options = {}) {
+    const { trials, precision = null, onProgress = null } = options;
+
+    if (!precision?.adaptive) {
+        for (let done = 0; done < trials;) {
+            const n = Math.min(BATCH_SIZE, trials - done);
+            runBatch(n);
+            done += n;
+            if (onProgress) onProgress(done / trials);
+        }
+        return { trials, converged: null };
+    }
+
+    const maxTrials = Math.max(MIN_ADAPTIVE_TRIALS, precision.maxSimulations);
+    let done = 0;
+    while (done < maxTrials) {
+        const n = Math.min(BATCH_SIZE, maxTrials - done);
+        runBatch(n);
+        done += n;
+
+        if (done >= MIN_ADAPTIVE_TRIALS && isPrecise(done)) return { trials: done, converged: true };
+
+        if (onProgress) onProgress(done / maxTrials);
+    }
+    return { trials: done, converged: false };
+}
@@ -0,0 +1,149 @@
+/**
+ * A/B Deck Comparison UI
+ * Turns compare mode on and off and edits the challenger deck (B), a copy of
+ * the primary deck (A) changed card by card. Calculators overlay B's results
+ * on A's (see comparison.js).
+ */
+
+import * as DeckConfig from './deckConfig.js';
+import { buildDeckState } from './decklistImport.js';
+import { createDeckEditor } from './deckEditor.js';
+
+const TYPE_FIELDS = [
+    ['lands', 'Lands'],
+    ['creatures', 'Creatures'],
+    ['instants', 'Instants'],
+    ['sorceries', 'Sorceries'],
+    ['artifacts', 'Artifacts'],
+    ['enchantments', 'Enchantments'],
+    ['planeswalkers', 'Planeswalkers'],
+    ['battles', 'Battles']
+];
+
+let editor = null;
+
+/**
+ * Total cards in a deck state (same rule as DeckConfig.getDeckSize)
+ */
+function deckSize(state) {
+    if (state.actualCardCount !== null && state.actualCardCount !== undefined) {
+        return state.actualCardCount;
+    }
+    return TYPE_FIELDS.reduce((sum, [field]) => sum + (state[field] || 0), 0);
+}
+
+function hasCardList(state) {
+    return Object.keys(state.cardsByName || {}).length > 0;
+}
+
+/**
+ * Render the A vs B summary line (only the counts that differ)
+ */
+function renderSummary(primary, challenger) {
+    const rows = [['size', 'Cards', deckSize(primary), deckSize(challenger)]]
+        .concat(TYPE_FIELDS.map(([field, label]) => [field, label, primary[field] || 0, challenger[field] || 0]))
+        .filter(([field, , a, b]) => field === 'size' || a !== b);
+
+    return rows.map(([, label, a, b]) => {
+        const delta = b - a;
+        const deltaText = delta === 0 ? '' : ` <span class="${delta > 0 ? 'delta-up' : 'delta-down'}">(${delta > 0 ? '+' : '−'}${Math.abs(delta)})</span>`;
+        return `<span class="deck-compare-stat">${label}: <strong>${a}</strong> → <strong>${b}</strong>${deltaText}</span>`;
+    }).join('');
+}
+
+/**
+ * Type count inputs for decks without a card list
+ */
+function renderTypeInputs(container, challenger) {
+    container.innerHTML = `
+        <div class="type-grid">
+            ${TYPE_FIELDS.map(([field, label]) => `
+                <div class="type-input">
+                    <label for="challenger-${field}">${label}</label>
+                    <input type="number" id="challenger-${field}" data-field="${field}" value="${challenger[field] || 0}" min="0" aria-label="Deck B ${label}">
+                </div>
+            `).join('')}
+        </div>
+    `;
+    container.querySelectorAll('input[data-field]').forEach(input => {
+        input.addEventListener('input', () => {
+            DeckConfig.updateChallenger({
+                [input.dataset.field]: Math.max(0, parseInt(input.value) || 0),
+                actualCardCount: null
+            });
+        });
+    });
+}
+
+/**
+ * Sync the compare panel with the current A and B decks
+ */
+function refresh() {
+    const toggle = document.getElementById('deck-compare-toggle');
+    const panel = document.getElementById('deck-compare-editor');
+    const banner = document.getElementById('compare-banner');
+    const comparing = DeckConfig.isComparing();
+
+    if (toggle) {
+        toggle.textContent = comparing ? '⏹ Stop comparing' : '⚖️ Compare with an edited copy';
+        toggle.setAttribute('aria-pressed', String(comparing));
+    }
+    if (panel) panel.hidden = !comparing;
+    if (banner) banner.hidden = !comparing;
+    document.body.classList.toggle('comparing-decks', comparing);
+
+    if (!comparing) {
+        editor = null;
+        return;
+    }
+
+    const primary = DeckConfig.getFullDeckConfig();
+    const challenger = DeckConfig.getChallengerConfig();
+
+    const summary = document.getElementById('deck-compare-summary');
+    if (summary) summary.innerHTML = renderSummary(primary, challenger);
+
+    const editorContainer = document.getElementById('challenger-editor');
+    if (!editorContainer) return;
+
+    if (!hasCardList(challenger)) {
+        // Manual counts: rebuild only when the panel is first shown
+        if (!editorContainer.querySelector('input[data-field]')) {
+            editor = null;
+            renderTypeInputs(editorContainer, challenger);
+        }
+        return;
+    }
+
+    if (!editor) {
+        editor = createDeckEditor(editorContainer, {
+            getCards: () => DeckConfig.getChallengerConfig()?.cardsByName || {},
+            setCards: (cardsByName) => DeckConfig.updateChallenger(buildDeckState(cardsByName)),
+            getBaseline: () => DeckConfig.getFullDeckConfig().cardsByName
+        });
+    } else {
+        editor.refresh();
+    }
+}
+
+/**
+ * Wire up the compare toggle and challenger editor
+ */
+export function initDeckCompare() {
+    const toggle = document.getElementById('deck-compare-toggle');
+    if (!toggle) return;
+
+    const toggleComparison = () => {
+        if (DeckConfig.isComparing()) {
+            DeckConfig.stopComparison();
+        } else {
+            DeckConfig.startComparison();
+        }
+    };
+
+    toggle.addEventListener('click', toggleComparison);
+    document.getElementById('compare-banner-stop')?.addEventListener('click', () => DeckConfig.stopComparison());
+
+    DeckConfig.onDeckUpdate(refresh);
+    refresh();
+}
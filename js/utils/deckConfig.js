@@ -3,8 +3,12 @@
  * Centralizes deck configuration across all calculators
  */
 
-import { importDecklistBatch, importFromMoxfield } from './decklistImport.js';
+import { importDecklistBatch, importFromMoxfield, buildDeckState } from './decklistImport.js';
+import {
+    loadCardDatabaseFile, clearCardDatabase, getCardDatabaseInfo, isCardDatabaseSupported
+} from './cardDatabase.js';
 import { enableSimulationButtons } from './ui.js';
+import { createDeckEditor } from './deckEditor.js';
 import { DEFAULT_DECK_DATA } from './defaultDeckData.js';
 
 // Global deck state (99-card Commander deck)
@@ -45,6 +49,9 @@ let deckState = {
     // Commander name (for auto-configuration)
     commanderName: DEFAULT_DECK_DATA?.commanderName ?? null,
 
+    // Commander card data (name, type_line, cmc, ...), kept outside cardsByName
+    commanderCard: DEFAULT_DECK_DATA?.commanderCard ?? null,
+
     // Import Source URL (for sharing)
     importUrl: DEFAULT_DECK_DATA?.importUrl ?? null,
 
@@ -59,6 +66,21 @@ let deckState = {
     power5PlusCMC10: 0
 };
 
+// Challenger deck for A/B comparison (null when compare mode is off)
+let challengerState = null;
+
+// Which deck the getters describe: 'primary', or the slot withDeckState
+// was given for a stand-in deck ('challenger', 'scenario')
+let deckSlot = 'primary';
+
+// In-game tracker: copies known to be out of the library, and the known top
+// cards in order (still in the library). While any card is known, the
+// getters below describe the library that is left, not the whole deck.
+export const KNOWN_ZONES = ['hand', 'graveyard', 'exile'];
+let knownCards = { hand: {}, graveyard: {}, exile: {}, top: [] };
+let knownVersion = 0;
+let libraryView = null;
+
 // Callbacks to notify calculators of changes
 const updateCallbacks = [];
 
@@ -70,11 +92,49 @@ export function onDeckUpdate(callback) {
     updateCallbacks.push(callback);
 }
 
+/**
+ * Get the deck state calculators should see: the whole deck, or while
+ * tracking a game, the library that is left. Cached so repeated calls
+ * return the same cardsByName object until the deck or tracker changes.
+ */
+function activeState() {
+    if (!isTrackingGame() || Object.keys(deckState.cardsByName || {}).length === 0) {
+        return deckState;
+    }
+    if (libraryView?.source === deckState && libraryView.cards === deckState.cardsByName && libraryView.version === knownVersion) {
+        return libraryView.state;
+    }
+
+    const remaining = {};
+    Object.values(deckState.cardsByName).forEach(card => {
+        const count = card.count - countKnownOut(card.name);
+        if (count > 0) remaining[card.name] = { ...card, count };
+    });
+
+    libraryView = {
+        source: deckState,
+        cards: deckState.cardsByName,
+        version: knownVersion,
+        state: { ...deckState, ...buildDeckState(remaining) }
+    };
+    return libraryView.state;
+}
+
 /**
  * Get current deck configuration
+ * While tracking a game, this is the library that is left (see getFullDeckConfig)
  * @returns {Object} - Current deck state
  */
 export function getDeckConfig() {
+    return { ...activeState() };
+}
+
+/**
+ * Get the whole deck, ignoring cards known to be out of the library
+ * (for saving, sharing and comparing decks)
+ * @returns {Object} - Current deck state
+ */
+export function getFullDeckConfig() {
     return { ...deckState };
 }
 
@@ -83,12 +143,27 @@ export function getDeckConfig() {
  * @returns {Object} - Imported card data including cardsByName
  */
 export function getImportedCardData() {
+    const state = activeState();
     return {
-        cardDetails: deckState.cardDetails,
-        cardsByName: deckState.cardsByName
+        cardDetails: state.cardDetails,
+        cardsByName: state.cardsByName
     };
 }
 
+/**
+ * Count card copies per tag (e.g. { ramp: 12, draw: 9 })
+ * @returns {Object} - Tag counts, keyed by tag in alphabetical order
+ */
+export function getTagCounts() {
+    const counts = {};
+    Object.values(activeState().cardsByName || {}).forEach(card => {
+        (card.tags || []).forEach(tag => {
+            counts[tag] = (counts[tag] || 0) + (card.count || 0);
+        });
+    });
+    return Object.fromEntries(Object.entries(counts).sort(([a], [b]) => a.localeCompare(b)));
+}
+
 /**
  * Get commander name
  * @returns {string|null} - Commander name or null
@@ -97,13 +172,22 @@ export function getCommanderName() {
     return deckState.commanderName;
 }
 
+/**
+ * Get the commander's card data from the import
+ * @returns {Object|null} - Card data in cardsByName shape, or null if unknown
+ */
+export function getCommanderCard() {
+    const card = deckState.commanderCard;
+    return card && card.name === deckState.commanderName ? card : null;
+}
+
 /**
  * Get total deck size (excluding non-permanents for some calcs)
  * @param {boolean} includeNonPermanents - Whether to include instants/sorceries
  * @returns {number} - Total deck size
  */
 export function getDeckSize(includeNonPermanents = true) {
-    const { creatures, instants, sorceries, artifacts, enchantments, planeswalkers, lands, battles, actualCardCount } = deckState;
+    const { creatures, instants, sorceries, artifacts, enchantments, planeswalkers, lands, battles, actualCardCount } = activeState();
 
     // If actualCardCount is set (from import with dual-typed cards), use it
     if (actualCardCount !== null && actualCardCount !== undefined && includeNonPermanents) {
@@ -147,7 +231,7 @@ export function updateDeck(config) {
             // Handle arrays and objects (like cardDetails, cardsByName) directly without parsing
             if (Array.isArray(config[key]) || typeof config[key] === 'object' && config[key] !== null && !(config[key] instanceof Number)) {
                 deckState[key] = config[key];
-            } else if (key === 'commanderName' || key === 'importUrl') {
+            } else if (key === 'commanderName' || key === 'commanderCard' || key === 'importUrl') {
                 deckState[key] = config[key];
             } else {
                 deckState[key] = Math.max(0, parseInt(config[key]) || 0);
@@ -157,6 +241,38 @@ export function updateDeck(config) {
     notifyUpdates();
 }
 
+/**
+ * Replace the whole deck state (e.g. when switching saved decks)
+ * Unlike updateDeck(), values are restored as-is, so a null actualCardCount
+ * or an empty cardDetails list survives the round trip
+ * @param {Object} state - Deck state snapshot from getDeckConfig()
+ */
+export function loadDeckState(state) {
+    if (!state) return;
+    Object.keys(state).forEach(key => {
+        if (key in deckState) {
+            deckState[key] = state[key];
+        }
+    });
+    syncTypeInputs();
+    updateTotalDisplay();
+    if (deckState.cardDetails?.length > 0) enableSimulationButtons();
+    notifyUpdates();
+}
+
+/**
+ * Replace the deck's card list (card-level edits). Type counts, deck size,
+ * CMC buckets and card details are all recomputed from the new list.
+ * @param {Object} cardsByName - Cards keyed by name, each with a count
+ */
+export function setCardList(cardsByName) {
+    Object.assign(deckState, buildDeckState(cardsByName));
+    syncTypeInputs();
+    updateTotalDisplay();
+    if (deckState.cardDetails.length > 0) enableSimulationButtons();
+    notifyUpdates();
+}
+
 /**
  * Notify all registered callbacks of deck changes
  */
@@ -164,6 +280,216 @@ function notifyUpdates() {
     updateCallbacks.forEach(callback => callback(getDeckConfig()));
 }
 
+// ==================== Game Tracker ====================
+
+/**
+ * Copies of a card known to be out of the library (hand, graveyard, exile)
+ */
+function countKnownOut(name) {
+    return KNOWN_ZONES.reduce((sum, zone) => sum + (knownCards[zone][name] || 0), 0);
+}
+
+function knownChanged() {
+    knownVersion++;
+    notifyUpdates();
+}
+
+/**
+ * Check whether any card has been entered in the game tracker
+ * @returns {boolean}
+ */
+export function isTrackingGame() {
+    return knownCards.top.length > 0 || KNOWN_ZONES.some(zone => Object.keys(knownCards[zone]).length > 0);
+}
+
+/**
+ * Get the cards entered in the game tracker
+ * @returns {Object} - { hand, graveyard, exile } (name -> copies) and top (names, top card first)
+ */
+export function getKnownCards() {
+    return structuredClone(knownCards);
+}
+
+/**
+ * Get the known top cards of the library, top card first
+ * @returns {Array<Object>} - Card entries from the library's cardsByName
+ */
+export function getKnownTopCards() {
+    const cards = activeState().cardsByName || {};
+    return knownCards.top.map(name => cards[name]).filter(Boolean);
+}
+
+/**
+ * Copies of a card still unaccounted for (in the library, not yet known on top)
+ * @param {string} name - Card name
+ * @returns {number}
+ */
+export function getUnknownCopies(name) {
+    const inDeck = deckState.cardsByName?.[name]?.count || 0;
+    const onTop = knownCards.top.filter(topName => topName === name).length;
+    return inDeck - countKnownOut(name) - onTop;
+}
+
+/**
+ * Record a known card
+ * @param {string} zone - 'hand', 'graveyard', 'exile' or 'top' (placed below the known top cards)
+ * @param {string} name - Card name (must be in the deck)
+ * @returns {boolean} - False if no unknown copy of the card is left
+ */
+export function addKnownCard(zone, name) {
+    if (getUnknownCopies(name) <= 0) return false;
+    if (zone === 'top') {
+        knownCards.top.push(name);
+    } else if (KNOWN_ZONES.includes(zone)) {
+        knownCards[zone][name] = (knownCards[zone][name] || 0) + 1;
+    } else {
+        return false;
+    }
+    knownChanged();
+    return true;
+}
+
+/**
+ * Forget one known copy of a card
+ * @param {string} zone - 'hand', 'graveyard', 'exile' or 'top'
+ * @param {string|number} nameOrIndex - Card name, or position for 'top'
+ */
+export function removeKnownCard(zone, nameOrIndex) {
+    if (zone === 'top') {
+        if (!(nameOrIndex in knownCards.top)) return;
+        knownCards.top.splice(nameOrIndex, 1);
+    } else {
+        const copies = knownCards[zone]?.[nameOrIndex];
+        if (!copies) return;
+        if (copies > 1) {
+            knownCards[zone][nameOrIndex] = copies - 1;
+        } else {
+            delete knownCards[zone][nameOrIndex];
+        }
+    }
+    knownChanged();
+}
+
+/**
+ * Move a known top card up or down (e.g. after a scry or Brainstorm)
+ * @param {number} index - Current position (0 = top)
+ * @param {number} offset - -1 to move up, 1 to move down
+ */
+export function moveKnownTopCard(index, offset) {
+    const target = index + offset;
+    if (!(index in knownCards.top) || target < 0 || target >= knownCards.top.length) return;
+    const [name] = knownCards.top.splice(index, 1);
+    knownCards.top.splice(target, 0, name);
+    knownChanged();
+}
+
+/**
+ * Forget every known card (new game)
+ */
+export function clearKnownCards() {
+    if (!isTrackingGame()) return;
+    knownCards = { hand: {}, graveyard: {}, exile: {}, top: [] };
+    knownChanged();
+}
+
+// ==================== A/B Comparison ====================
+
+/**
+ * Check whether a challenger deck is being compared against the primary deck
+ * @returns {boolean}
+ */
+export function isComparing() {
+    return challengerState !== null;
+}
+
+/**
+ * Start compare mode with a copy of the primary deck as the challenger
+ */
+export function startComparison() {
+    challengerState = structuredClone(deckState);
+    notifyUpdates();
+}
+
+/**
+ * Leave compare mode and discard the challenger deck
+ */
+export function stopComparison() {
+    if (!challengerState) return;
+    challengerState = null;
+    notifyUpdates();
+}
+
+/**
+ * Get the challenger deck configuration
+ * @returns {Object|null} - Challenger deck state, or null when not comparing
+ */
+export function getChallengerConfig() {
+    return challengerState ? { ...challengerState } : null;
+}
+
+/**
+ * Update the challenger deck (e.g. after a card-level edit)
+ * @param {Object} changes - Fields to replace on the challenger
+ */
+export function updateChallenger(changes) {
+    if (!challengerState) return;
+    Object.keys(changes).forEach(key => {
+        if (key in challengerState) {
+            challengerState[key] = changes[key];
+        }
+    });
+    notifyUpdates();
+}
+
+/**
+ * Run a function with another deck state standing in for the primary deck.
+ * Every getter in this module (and so every calculator's calculate())
+ * reads that state while fn runs. fn must be synchronous.
+ * @param {Object} state - Deck state, e.g. a copy of getFullDeckConfig() with changes
+ * @param {Function} fn - Function to run
+ * @param {string} slot - Deck slot reported by getDeckSlot() while fn runs
+ * @returns {*} - fn's return value
+ */
+export function withDeckState(state, fn, slot = 'scenario') {
+    const primaryState = deckState;
+    const primarySlot = deckSlot;
+    deckState = state;
+    deckSlot = slot;
+    try {
+        return fn();
+    } finally {
+        deckState = primaryState;
+        deckSlot = primarySlot;
+    }
+}
+
+/**
+ * Run a function with the challenger deck standing in for the primary deck
+ * @param {Function} fn - Function to run (synchronous)
+ * @returns {*} - fn's return value, or null when not comparing
+ */
+export function withChallengerDeck(fn) {
+    if (!challengerState) return null;
+    return withDeckState(challengerState, fn, 'challenger');
+}
+
+/**
+ * Get the deck slot the getters describe. Calculators only reset their
+ * samples and caches for the primary deck, so a stand-in pass leaves them be.
+ * @returns {string} - 'primary', 'challenger' or 'scenario'
+ */
+export function getDeckSlot() {
+    return deckSlot;
+}
+
+/**
+ * Check whether the getters describe the primary deck (no stand-in deck)
+ * @returns {boolean}
+ */
+export function isPrimaryDeck() {
+    return deckSlot === 'primary';
+}
+
 // ==================== UI Helpers (Module Scope) ====================
 
 /**
@@ -179,6 +505,96 @@ function showImportStatus(message, type) {
     }
 }
 
+/**
+ * Show offline card database status
+ * @param {string} message - Status message
+ * @param {string} type - Status type (success, error, loading)
+ */
+function showCardDbStatus(message, type = '') {
+    const statusEl = document.getElementById('card-db-status');
+    if (statusEl) {
+        statusEl.innerHTML = message;
+        statusEl.className = `import-status ${type}`;
+    }
+}
+
+/**
+ * Refresh the offline card database status line and clear button
+ */
+async function refreshCardDbStatus() {
+    const clearBtn = document.getElementById('card-db-clear-btn');
+    const info = await getCardDatabaseInfo();
+
+    if (clearBtn) clearBtn.hidden = !info;
+    if (info) {
+        const updated = info.updatedAt ? ` (loaded ${new Date(info.updatedAt).toLocaleDateString()})` : '';
+        showCardDbStatus(`${info.count.toLocaleString()} cards available offline${updated}`, 'success');
+    } else {
+        showCardDbStatus('');
+    }
+}
+
+/**
+ * Wire up the offline card database file picker
+ */
+function initCardDatabase() {
+    const fileInput = document.getElementById('card-db-file');
+    const clearBtn = document.getElementById('card-db-clear-btn');
+    if (!fileInput) return;
+
+    if (!isCardDatabaseSupported()) {
+        fileInput.disabled = true;
+        showCardDbStatus('Offline storage is not available in this browser', 'error');
+        return;
+    }
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+
+        fileInput.disabled = true;
+        try {
+            const count = await loadCardDatabaseFile(file, (progress) => {
+                showCardDbStatus(`${progress.stage} ${progress.percentage}%`, 'loading');
+            });
+            showCardDbStatus(`✓ Stored ${count.toLocaleString()} cards for offline import`, 'success');
+            if (clearBtn) clearBtn.hidden = false;
+        } catch (error) {
+            console.error('Card database load error:', error);
+            showCardDbStatus(`Error: ${error.message}`, 'error');
+        } finally {
+            fileInput.disabled = false;
+            fileInput.value = '';
+        }
+    });
+
+    if (clearBtn) {
+        clearBtn.addEventListener('click', async () => {
+            try {
+                await clearCardDatabase();
+                await refreshCardDbStatus();
+            } catch (error) {
+                showCardDbStatus(`Error: ${error.message}`, 'error');
+            }
+        });
+    }
+
+    refreshCardDbStatus();
+}
+
+/**
+ * Copy the deck's type counts into the manual count inputs
+ */
+function syncTypeInputs() {
+    const typeFields = ['creatures', 'instants', 'sorceries', 'artifacts', 'enchantments', 'planeswalkers', 'lands', 'battles'];
+    typeFields.forEach(field => {
+        const input = document.getElementById(`deck-${field}`);
+        if (input) {
+            input.value = deckState[field] || 0;
+        }
+    });
+}
+
 /**
  * Update the total cards display
  */
@@ -196,7 +612,6 @@ function processImportResult(typeCounts) {
     const importProgress = document.getElementById('import-progress');
     const importProgressBar = document.getElementById('import-progress-bar');
     const deckConfigPanel = document.getElementById('deck-config');
-    const typeFields = ['creatures', 'instants', 'sorceries', 'artifacts', 'enchantments', 'planeswalkers', 'lands', 'battles'];
 
     // Complete the progress bar
     if (importProgressBar) importProgressBar.style.width = '100%';
@@ -208,12 +623,7 @@ function processImportResult(typeCounts) {
     updateDeck(typeCounts);
 
     // Update input fields
-    typeFields.forEach(field => {
-        const input = document.getElementById(`deck-${field}`);
-        if (input) {
-            input.value = typeCounts[field] || 0;
-        }
-    });
+    syncTypeInputs();
 
     updateTotalDisplay();
     enableSimulationButtons();
@@ -227,6 +637,7 @@ function processImportResult(typeCounts) {
     if (metadata && metadata.source) statusMessage += ` from ${metadata.source}`;
     if (metadata && metadata.deckName) statusMessage += ` (${metadata.deckName})`;
     statusMessage += '!';
+    if (typeCounts.commanderName) statusMessage += `<br><small>Commander: ${typeCounts.commanderName}</small>`;
 
     let warnings = [];
 
@@ -234,6 +645,12 @@ function processImportResult(typeCounts) {
         if (metadata.hasSideboard) {
             warnings.push(`Sideboard ignored (${metadata.sideboardCount} cards)`);
         }
+        if (typeCounts.partners?.length > 0) {
+            warnings.push(`Only ${typeCounts.commanderName} is simulated as the commander (${typeCounts.partners.join(', ')} left out)`);
+        }
+        if (typeCounts.companions?.length > 0) {
+            warnings.push(`Companion kept out of the deck (${typeCounts.companions.map(card => card.name).join(', ')})`);
+        }
         if (metadata.missingCardCount > 0) {
             warnings.push(`${metadata.missingCardCount} cards not found`);
         }
@@ -436,6 +853,19 @@ export function initDeckConfig() {
         });
     }
 
+    // --- Offline Card Database ---
+    initCardDatabase();
+
+    // --- Card List Editor ---
+    const editorContainer = document.getElementById('deck-card-editor');
+    if (editorContainer) {
+        const editor = createDeckEditor(editorContainer, {
+            getCards: () => deckState.cardsByName,
+            setCards: setCardList
+        });
+        onDeckUpdate(() => editor.refresh());
+    }
+
     updateTotalDisplay();
 }
 
@@ -0,0 +1,222 @@
+/**
+ * Card-Level Deck Editor
+ * Renders an editable card list (filter, +/−, remove, tags, add by name) and,
+ * when given a baseline deck, marks the cards that differ from it.
+ */
+
+import { resolveCards, normalizeTags } from './decklistImport.js';
+import { escapeHtml } from './ui.js';
+
+// Display order for card groups
+const CATEGORY_ORDER = ['creatures', 'planeswalkers', 'battles', 'artifacts', 'enchantments', 'instants', 'sorceries', 'lands'];
+
+function categoryRank(card) {
+    const rank = CATEGORY_ORDER.indexOf(card?.category);
+    return rank === -1 ? CATEGORY_ORDER.length : rank;
+}
+
+/**
+ * Build the rows to show: every card in the deck, plus baseline cards
+ * that were removed
+ * @returns {Array<Object>} - { name, card, count, baselineCount }
+ */
+function buildRows(cards, baseline) {
+    const names = new Set(Object.keys(cards));
+    if (baseline) Object.keys(baseline).forEach(name => names.add(name));
+
+    return [...names]
+        .map(name => ({
+            name,
+            card: cards[name] || baseline[name],
+            count: cards[name]?.count || 0,
+            baselineCount: baseline ? (baseline[name]?.count || 0) : null
+        }))
+        .sort((a, b) => categoryRank(a.card) - categoryRank(b.card) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Render one card row
+ */
+function renderRow({ name, card, count, baselineCount }) {
+    let diffClass = '';
+    let diffNote = '';
+    if (baselineCount !== null && count !== baselineCount) {
+        if (baselineCount === 0) {
+            diffClass = 'added';
+            diffNote = 'new';
+        } else if (count === 0) {
+            diffClass = 'removed';
+            diffNote = 'cut';
+        } else {
+            diffClass = 'changed';
+            diffNote = `was ${baselineCount}`;
+        }
+    }
+
+    const safeName = escapeHtml(name);
+    const typeLine = card?.type_line ? escapeHtml(card.type_line) : '';
+    const tags = (card?.tags || []).map(tag => `<span class="deck-editor-tag">${escapeHtml(tag)}</span>`).join('');
+    const controls = count === 0
+        ? `<button type="button" class="deck-editor-btn" data-action="restore" data-name="${safeName}" aria-label="Restore ${safeName}">↺</button>`
+        : `
+            <button type="button" class="deck-editor-btn" data-action="tags" data-name="${safeName}" aria-label="Edit tags for ${safeName}" title="Edit tags">🏷</button>
+            <button type="button" class="deck-editor-btn" data-action="dec" data-name="${safeName}" aria-label="One less ${safeName}">−</button>
+            <button type="button" class="deck-editor-btn" data-action="inc" data-name="${safeName}" aria-label="One more ${safeName}">+</button>
+            <button type="button" class="deck-editor-btn" data-action="remove" data-name="${safeName}" aria-label="Remove ${safeName}">✕</button>
+        `;
+
+    return `
+        <li class="deck-editor-row ${diffClass}">
+            <span class="deck-editor-qty">${count}</span>
+            <span class="deck-editor-name" title="${typeLine}">${safeName}</span>
+            ${tags ? `<span class="deck-editor-tags">${tags}</span>` : ''}
+            ${diffNote ? `<span class="deck-editor-diff">${diffNote}</span>` : ''}
+            <span class="deck-editor-controls">${controls}</span>
+        </li>
+    `;
+}
+
+/**
+ * Create a card-level editor inside a container
+ * @param {HTMLElement} container - Element to render into
+ * @param {Object} options
+ * @param {Function} options.getCards - Returns the deck's cardsByName
+ * @param {Function} options.setCards - Called with the edited cardsByName
+ * @param {Function} options.getBaseline - Optional: returns the cardsByName to diff against
+ * @returns {Object} - { refresh }
+ */
+export function createDeckEditor(container, { getCards, setCards, getBaseline = null }) {
+    container.innerHTML = `
+        <div class="deck-editor-toolbar">
+            <input type="search" class="deck-editor-filter" placeholder="Filter by name, type or tag..." aria-label="Filter cards">
+            <span class="deck-editor-total"></span>
+        </div>
+        <div class="deck-editor-tag-summary"></div>
+        <ul class="deck-editor-list"></ul>
+        <form class="deck-editor-add">
+            <input type="text" class="deck-editor-add-input" placeholder="Add a card by name..." aria-label="Card name to add">
+            <button type="submit" class="deck-library-btn">➕ Add</button>
+        </form>
+        <div class="deck-editor-status import-status" role="status" aria-live="polite"></div>
+    `;
+
+    const filterInput = container.querySelector('.deck-editor-filter');
+    const list = container.querySelector('.deck-editor-list');
+    const total = container.querySelector('.deck-editor-total');
+    const tagSummary = container.querySelector('.deck-editor-tag-summary');
+    const addForm = container.querySelector('.deck-editor-add');
+    const addInput = container.querySelector('.deck-editor-add-input');
+    const status = container.querySelector('.deck-editor-status');
+
+    const showStatus = (message, type = '') => {
+        status.innerHTML = message;
+        status.className = `deck-editor-status import-status ${type}`;
+    };
+
+    const editTags = (name) => {
+        const card = getCards()?.[name];
+        if (!card) return;
+        const input = prompt(`Tags for ${name} (comma-separated, e.g. ramp, draw):`, (card.tags || []).join(', '));
+        if (input === null) return;
+        setCards({ ...getCards(), [name]: { ...card, tags: normalizeTags(input) } });
+    };
+
+    const setCount = (name, count) => {
+        const cards = { ...getCards() };
+        if (count > 0) {
+            const card = cards[name] || getBaseline?.()?.[name];
+            cards[name] = { ...card, count };
+        } else {
+            delete cards[name];
+        }
+        setCards(cards);
+    };
+
+    function refresh() {
+        const cards = getCards() || {};
+        const baseline = getBaseline ? getBaseline() || {} : null;
+        const term = filterInput.value.trim().toLowerCase();
+
+        const rows = buildRows(cards, baseline)
+            .filter(row => !term ||
+                row.name.toLowerCase().includes(term) ||
+                row.card?.type_line?.toLowerCase().includes(term) ||
+                row.card?.tags?.some(tag => tag.includes(term)));
+
+        const cardCount = Object.values(cards).reduce((sum, card) => sum + (card.count || 0), 0);
+        total.textContent = `${cardCount} cards`;
+
+        const tagCounts = {};
+        Object.values(cards).forEach(card => (card.tags || []).forEach(tag => {
+            tagCounts[tag] = (tagCounts[tag] || 0) + (card.count || 0);
+        }));
+        tagSummary.innerHTML = Object.keys(tagCounts).sort().map(tag =>
+            `<button type="button" class="deck-editor-tag" data-tag="${escapeHtml(tag)}" title="Show ${escapeHtml(tag)} cards">${escapeHtml(tag)} ${tagCounts[tag]}</button>`
+        ).join('');
+
+        list.innerHTML = rows.length > 0
+            ? rows.map(renderRow).join('')
+            : `<li class="deck-editor-empty">${term ? 'No matching cards' : 'No cards yet: import a deck or add cards below'}</li>`;
+    }
+
+    filterInput.addEventListener('input', refresh);
+
+    tagSummary.addEventListener('click', (e) => {
+        const chip = e.target.closest('[data-tag]');
+        if (!chip) return;
+        filterInput.value = chip.dataset.tag;
+        refresh();
+    });
+
+    list.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        const name = button.dataset.name;
+        const current = getCards()?.[name]?.count || 0;
+        switch (button.dataset.action) {
+            case 'inc': setCount(name, current + 1); break;
+            case 'dec': setCount(name, current - 1); break;
+            case 'remove': setCount(name, 0); break;
+            case 'restore': setCount(name, getBaseline?.()?.[name]?.count || 1); break;
+            case 'tags': editTags(name); break;
+        }
+    });
+
+    addForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const name = addInput.value.trim();
+        if (!name) return;
+
+        // Already in the deck (or cut from it): just bump the count
+        const known = Object.keys({ ...getBaseline?.(), ...getCards() })
+            .find(existing => existing.toLowerCase() === name.toLowerCase());
+        if (known) {
+            setCount(known, (getCards()?.[known]?.count || 0) + 1);
+            addInput.value = '';
+            showStatus('');
+            return;
+        }
+
+        addInput.disabled = true;
+        showStatus(`Looking up ${escapeHtml(name)}...`, 'loading');
+        try {
+            const [card] = await resolveCards([name]);
+            if (!card) {
+                showStatus(`Card not found: ${escapeHtml(name)}`, 'error');
+                return;
+            }
+            const current = getCards()?.[card.name]?.count || 0;
+            setCards({ ...getCards(), [card.name]: { ...card, count: current + 1 } });
+            addInput.value = '';
+            showStatus(`✓ Added ${escapeHtml(card.name)}`, 'success');
+        } catch (error) {
+            showStatus(`Error: ${escapeHtml(error.message)}`, 'error');
+        } finally {
+            addInput.disabled = false;
+        }
+    });
+
+    refresh();
+    return { refresh };
+}
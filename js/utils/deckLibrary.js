@@ -0,0 +1,446 @@
+/**
+ * Deck Library
+ * Saves named decks (full deck state, including card-level data) in
+ * localStorage so several decks can be tuned side by side and survive reloads.
+ */
+
+import * as DeckConfig from './deckConfig.js';
+
+const STORAGE_KEY = 'deckLibrary';
+const LIBRARY_VERSION = 1;
+const MAX_DECK_NAME_LENGTH = 60;
+
+let nextIdSuffix = 0;
+
+/**
+ * Create a unique deck id
+ */
+function createDeckId() {
+    nextIdSuffix = (nextIdSuffix + 1) % 1000;
+    return `deck-${Date.now().toString(36)}-${nextIdSuffix}`;
+}
+
+/**
+ * Validate and trim a deck name
+ * @param {string} name - Requested name
+ * @returns {string} - Clean name
+ */
+function cleanDeckName(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+        throw new Error('Deck name cannot be empty');
+    }
+    return trimmed.slice(0, MAX_DECK_NAME_LENGTH);
+}
+
+/**
+ * Check that a stored entry looks like a saved deck
+ */
+function isValidEntry(entry) {
+    return entry && typeof entry === 'object' &&
+        typeof entry.id === 'string' &&
+        typeof entry.name === 'string' &&
+        entry.deck && typeof entry.deck === 'object';
+}
+
+/**
+ * Read the library from localStorage
+ * @returns {Object} - { activeId, decks }
+ */
+function readLibrary() {
+    try {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        if (raw) {
+            const parsed = JSON.parse(raw);
+            const decks = Array.isArray(parsed.decks) ? parsed.decks.filter(isValidEntry) : [];
+            const activeId = decks.some(d => d.id === parsed.activeId) ? parsed.activeId : null;
+            return { activeId, decks };
+        }
+    } catch (error) {
+        console.warn('Could not read deck library:', error);
+    }
+    return { activeId: null, decks: [] };
+}
+
+/**
+ * Write the library to localStorage
+ * @param {Object} library - { activeId, decks }
+ */
+function writeLibrary(library) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: LIBRARY_VERSION, ...library }));
+    } catch (error) {
+        if (error && error.name === 'QuotaExceededError') {
+            throw new Error('Not enough browser storage to save the deck library');
+        }
+        throw error;
+    }
+}
+
+/**
+ * Find a saved deck or throw
+ */
+function findEntry(library, id) {
+    const entry = library.decks.find(d => d.id === id);
+    if (!entry) {
+        throw new Error('Saved deck not found');
+    }
+    return entry;
+}
+
+/**
+ * Count the cards in a deck snapshot (same rule as DeckConfig.getDeckSize)
+ */
+function countCards(deck) {
+    if (deck.actualCardCount !== null && deck.actualCardCount !== undefined) {
+        return deck.actualCardCount;
+    }
+    return ['creatures', 'instants', 'sorceries', 'artifacts', 'enchantments', 'planeswalkers', 'lands', 'battles']
+        .reduce((sum, field) => sum + (parseInt(deck[field]) || 0), 0);
+}
+
+/**
+ * List saved decks
+ * @returns {Array<Object>} - [{ id, name, savedAt, cardCount, commanderName }]
+ */
+export function listDecks() {
+    return readLibrary().decks.map(({ id, name, savedAt, deck }) => ({
+        id,
+        name,
+        savedAt,
+        cardCount: countCards(deck),
+        commanderName: deck.commanderName ?? null
+    }));
+}
+
+/**
+ * Get the id of the deck currently loaded from the library
+ * @returns {string|null}
+ */
+export function getActiveDeckId() {
+    return readLibrary().activeId;
+}
+
+/**
+ * Get a saved deck's full state
+ * @param {string} id - Deck id
+ * @returns {Object|null} - Deck state snapshot, or null if not found
+ */
+export function getSavedDeck(id) {
+    const entry = readLibrary().decks.find(d => d.id === id);
+    return entry ? entry.deck : null;
+}
+
+/**
+ * Save a deck as a new library entry and make it the active deck
+ * @param {string} name - Deck name
+ * @param {Object} deck - Deck state (defaults to the current deck)
+ * @returns {string} - New deck id
+ */
+export function saveDeck(name, deck = DeckConfig.getFullDeckConfig()) {
+    const library = readLibrary();
+    const id = createDeckId();
+    library.decks.push({ id, name: cleanDeckName(name), savedAt: Date.now(), deck });
+    library.activeId = id;
+    writeLibrary(library);
+    return id;
+}
+
+/**
+ * Overwrite a saved deck with new state
+ * @param {string} id - Deck id
+ * @param {Object} deck - Deck state (defaults to the current deck)
+ */
+export function updateSavedDeck(id, deck = DeckConfig.getFullDeckConfig()) {
+    const library = readLibrary();
+    const entry = findEntry(library, id);
+    entry.deck = deck;
+    entry.savedAt = Date.now();
+    writeLibrary(library);
+}
+
+/**
+ * Rename a saved deck
+ * @param {string} id - Deck id
+ * @param {string} name - New name
+ */
+export function renameDeck(id, name) {
+    const library = readLibrary();
+    findEntry(library, id).name = cleanDeckName(name);
+    writeLibrary(library);
+}
+
+/**
+ * Copy a saved deck
+ * @param {string} id - Deck id
+ * @returns {string} - Id of the copy
+ */
+export function duplicateDeck(id) {
+    const library = readLibrary();
+    const entry = findEntry(library, id);
+    const copyId = createDeckId();
+    library.decks.push({
+        id: copyId,
+        name: cleanDeckName(`${entry.name} (copy)`),
+        savedAt: Date.now(),
+        deck: structuredClone(entry.deck)
+    });
+    writeLibrary(library);
+    return copyId;
+}
+
+/**
+ * Delete a saved deck (the current deck stays loaded)
+ * @param {string} id - Deck id
+ */
+export function deleteDeck(id) {
+    const library = readLibrary();
+    findEntry(library, id);
+    library.decks = library.decks.filter(d => d.id !== id);
+    if (library.activeId === id) library.activeId = null;
+    writeLibrary(library);
+}
+
+/**
+ * Load a saved deck into the shared deck configuration.
+ * Every calculator recalculates through DeckConfig's update callbacks.
+ * @param {string} id - Deck id
+ */
+export function switchDeck(id) {
+    const library = readLibrary();
+    const entry = findEntry(library, id);
+    library.activeId = id;
+    writeLibrary(library);
+    DeckConfig.loadDeckState(entry.deck);
+}
+
+/**
+ * Serialize the whole library for download
+ * @returns {string} - JSON text
+ */
+export function exportLibrary() {
+    const { decks } = readLibrary();
+    return JSON.stringify({ app: 'deck-oracle', version: LIBRARY_VERSION, decks }, null, 2);
+}
+
+/**
+ * Add the decks from an exported library file.
+ * Imported decks get fresh ids so they never overwrite existing ones.
+ * @param {string} jsonText - Exported library JSON
+ * @returns {number} - Number of decks imported
+ */
+export function importLibrary(jsonText) {
+    let parsed;
+    try {
+        parsed = JSON.parse(jsonText);
+    } catch (error) {
+        throw new Error('File is not valid JSON');
+    }
+
+    if (!parsed || !Array.isArray(parsed.decks)) {
+        throw new Error('Not a deck library file');
+    }
+
+    const imported = parsed.decks.filter(isValidEntry);
+    if (imported.length === 0) {
+        throw new Error('No decks found in file');
+    }
+
+    const library = readLibrary();
+    imported.forEach(entry => {
+        library.decks.push({
+            id: createDeckId(),
+            name: cleanDeckName(entry.name),
+            savedAt: Number(entry.savedAt) || Date.now(),
+            deck: entry.deck
+        });
+    });
+    writeLibrary(library);
+    return imported.length;
+}
+
+// ==================== UI ====================
+
+/**
+ * Show a library status message
+ * @param {string} message - Status message
+ * @param {string} type - Status type (success, error)
+ */
+function showLibraryStatus(message, type = '') {
+    const statusEl = document.getElementById('deck-library-status');
+    if (statusEl) {
+        statusEl.textContent = message;
+        statusEl.className = `import-status ${type}`;
+    }
+}
+
+/**
+ * Rebuild the saved deck dropdown and button states
+ */
+function renderLibrary() {
+    const select = document.getElementById('deck-library-select');
+    if (!select) return;
+
+    const decks = listDecks();
+    const activeId = getActiveDeckId();
+
+    select.innerHTML = '';
+    const unsaved = document.createElement('option');
+    unsaved.value = '';
+    unsaved.textContent = decks.length > 0 ? '— Unsaved deck —' : '— No saved decks —';
+    select.appendChild(unsaved);
+
+    decks.forEach(deck => {
+        const option = document.createElement('option');
+        option.value = deck.id;
+        option.textContent = `${deck.name} (${deck.cardCount} cards)`;
+        select.appendChild(option);
+    });
+    select.value = activeId || '';
+
+    ['deck-library-rename-btn', 'deck-library-duplicate-btn', 'deck-library-delete-btn'].forEach(btnId => {
+        const btn = document.getElementById(btnId);
+        if (btn) btn.disabled = !activeId;
+    });
+    const exportBtn = document.getElementById('deck-library-export-btn');
+    if (exportBtn) exportBtn.disabled = decks.length === 0;
+}
+
+/**
+ * Run a library action, reporting errors in the status line
+ */
+function runAction(action) {
+    try {
+        const message = action();
+        renderLibrary();
+        if (message) showLibraryStatus(message, 'success');
+    } catch (error) {
+        console.error('Deck library error:', error);
+        showLibraryStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Suggest a name for the current deck
+ */
+function suggestDeckName() {
+    const commanderName = DeckConfig.getCommanderName();
+    return commanderName || `Deck ${listDecks().length + 1}`;
+}
+
+/**
+ * Download the library as a JSON file
+ */
+function downloadLibrary() {
+    const blob = new Blob([exportLibrary()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `deck-oracle-library-${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Initialize the deck library panel and restore the last active deck
+ */
+export function initDeckLibrary() {
+    const select = document.getElementById('deck-library-select');
+    if (!select) return;
+
+    // Restore the deck that was active before the reload
+    // (a share link's deck, loaded afterwards, still takes precedence)
+    const activeId = getActiveDeckId();
+    if (activeId) {
+        DeckConfig.loadDeckState(getSavedDeck(activeId));
+    }
+
+    select.addEventListener('change', () => {
+        const id = select.value;
+        if (!id) return;
+        runAction(() => {
+            switchDeck(id);
+            return `Loaded "${select.selectedOptions[0].textContent}"`;
+        });
+    });
+
+    document.getElementById('deck-library-save-btn')?.addEventListener('click', () => {
+        const currentId = getActiveDeckId();
+        if (currentId) {
+            runAction(() => {
+                updateSavedDeck(currentId);
+                return '✓ Deck saved';
+            });
+            return;
+        }
+        const name = prompt('Name this deck:', suggestDeckName());
+        if (name === null) return;
+        runAction(() => {
+            saveDeck(name);
+            return '✓ Deck saved to library';
+        });
+    });
+
+    document.getElementById('deck-library-save-as-btn')?.addEventListener('click', () => {
+        const name = prompt('Save current deck as:', suggestDeckName());
+        if (name === null) return;
+        runAction(() => {
+            saveDeck(name);
+            return '✓ Deck saved to library';
+        });
+    });
+
+    document.getElementById('deck-library-rename-btn')?.addEventListener('click', () => {
+        const id = getActiveDeckId();
+        const current = listDecks().find(d => d.id === id);
+        if (!current) return;
+        const name = prompt('Rename deck:', current.name);
+        if (name === null) return;
+        runAction(() => {
+            renameDeck(id, name);
+            return '✓ Deck renamed';
+        });
+    });
+
+    document.getElementById('deck-library-duplicate-btn')?.addEventListener('click', () => {
+        const id = getActiveDeckId();
+        if (!id) return;
+        runAction(() => {
+            switchDeck(duplicateDeck(id));
+            return '✓ Copy created';
+        });
+    });
+
+    document.getElementById('deck-library-delete-btn')?.addEventListener('click', () => {
+        const id = getActiveDeckId();
+        const current = listDecks().find(d => d.id === id);
+        if (!current || !confirm(`Delete "${current.name}" from the library?`)) return;
+        runAction(() => {
+            deleteDeck(id);
+            return '✓ Deck deleted';
+        });
+    });
+
+    document.getElementById('deck-library-export-btn')?.addEventListener('click', () => {
+        runAction(() => {
+            downloadLibrary();
+            return '';
+        });
+    });
+
+    const importInput = document.getElementById('deck-library-import-file');
+    importInput?.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        if (!file) return;
+        const text = await file.text();
+        importInput.value = '';
+        runAction(() => {
+            const count = importLibrary(text);
+            return `✓ Imported ${count} deck${count === 1 ? '' : 's'}`;
+        });
+    });
+
+    renderLibrary();
+}
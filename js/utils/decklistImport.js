@@ -3,6 +3,8 @@
  * Uses Scryfall API to fetch card types
  */
 
+import { lookupLocalCards, normalizeCardKey } from './cardDatabase.js';
+
 const SCRYFALL_API = 'https://api.scryfall.com';
 const RATE_LIMIT_DELAY = 100; // Scryfall requests 50-100ms between requests
 
@@ -21,6 +23,14 @@ const MAX_CARD_NAME_LENGTH = 100;
 const SCRYFALL_BATCH_SIZE = 50;
 const FUZZY_SEARCH_BATCH_SIZE = 5;
 
+// Nonland permanent type categories (for CMC buckets)
+const PERMANENT_CATEGORIES = ['creatures', 'planeswalkers', 'battles', 'artifacts', 'enchantments'];
+
+// Card tags
+const MAX_TAG_LENGTH = 40;
+// Archidekt categories that are deck zones, not tags
+const ARCHIDEKT_ZONE_CATEGORIES = ['Commander', 'Sideboard', 'Maybeboard'];
+
 // URL validation
 const MAX_URL_INPUT_LENGTH = 200;
 
@@ -30,17 +40,6 @@ const CARD_NAME_CORRECTIONS = {
     'Vorinclex': 'Vorinclex, Monstrous Raider', // Disambiguate multiple printings
 };
 
-/**
- * Normalize card name for cache keys and matching
- * Extracts front face of double-faced cards and converts to lowercase
- * @param {string} cardName - Card name (may include // for double-faced cards)
- * @returns {string} - Normalized name for cache/matching
- */
-function normalizeCardName(cardName) {
-    if (!cardName || typeof cardName !== 'string') return '';
-    return cardName.split('//')[0].trim().toLowerCase();
-}
-
 /**
  * Parse creature power value to integer
  * Handles special cases like *, X, 1+*, etc.
@@ -69,7 +68,7 @@ class CardCache {
     }
 
     get(key) {
-        const normalizedKey = normalizeCardName(key);
+        const normalizedKey = normalizeCardKey(key);
         const entry = this.cache.get(normalizedKey);
         if (!entry) return null;
 
@@ -95,7 +94,7 @@ class CardCache {
     }
 
     set(key, data) {
-        const normalizedKey = normalizeCardName(key);
+        const normalizedKey = normalizeCardKey(key);
 
         // If key already exists, remove from old position in access order
         if (this.cache.has(normalizedKey)) {
@@ -190,6 +189,153 @@ export function clearCardCache() {
     console.log('Card cache cleared');
 }
 
+// Decklist section headers. Zone headers move cards between the main deck,
+// command zone, companion slot and sideboard; category headers are skipped.
+const ZONE_HEADER_REGEX = /^(deck|commander|companion|sideboard|about):?$/i;
+const CATEGORY_HEADER_REGEX = /^(creatures?|lands?|spells?|artifacts?|enchantments?|planeswalkers?|battles?):?$/i;
+const CARD_COUNT_REGEX = /^(\d+)x?\s+(.+)$/;
+
+// Arena printing suffix: "Sol Ring (C21) 263", optionally followed by a foil marker ("*F*")
+const ARENA_PRINTING_REGEX = /^(.+?)\s+\(([A-Za-z0-9]{2,6})\)(?:\s+([^\s*]+))?(?:\s+\*[A-Z]+\*)?$/;
+
+// MTGO .dek files are XML: <Cards CatID="..." Quantity="4" Sideboard="false" Name="..." />
+const MTGO_DECK_REGEX = /<Deck[\s>]/;
+const MTGO_CARD_REGEX = /<Cards\b([^>]*?)\/?>/g;
+
+/**
+ * Build a validated card entry, or null if the count or name is out of range
+ * @param {number} count - Number of copies
+ * @param {string} name - Card name
+ * @param {Object} printing - Optional { set, collectorNumber, mtgoId }
+ * @returns {Object|null} - { count, name, ...printing }
+ */
+function createCardEntry(count, name, printing = {}) {
+    if (isNaN(count) || count < MIN_CARD_COUNT || count > MAX_CARD_COUNT) {
+        console.warn(`Invalid card count: ${count} for ${name} (skipping)`);
+        return null;
+    }
+
+    if (name.length === 0 || name.length > MAX_CARD_NAME_LENGTH) {
+        console.warn(`Invalid card name length: "${name.substring(0, 50)}" (skipping)`);
+        return null;
+    }
+
+    const entry = { count, name };
+    if (printing.set) entry.set = printing.set;
+    if (printing.collectorNumber) entry.collectorNumber = printing.collectorNumber;
+    if (printing.mtgoId) entry.mtgoId = printing.mtgoId;
+    return entry;
+}
+
+/**
+ * Parse a single decklist line ("4 Card Name", "4x Card Name", "Card Name",
+ * or Arena's "4 Card Name (SET) 123")
+ * @param {string} line - Trimmed, non-empty line
+ * @returns {Object|null} - Card entry, or null if invalid
+ */
+function parseCardLine(line) {
+    const match = line.match(CARD_COUNT_REGEX);
+    const count = match ? parseInt(match[1], 10) : 1;
+    let name = match ? match[2].trim() : line;
+
+    const printing = {};
+    const arenaMatch = name.match(ARENA_PRINTING_REGEX);
+    if (arenaMatch) {
+        name = arenaMatch[1].trim();
+        printing.set = arenaMatch[2];
+        printing.collectorNumber = arenaMatch[3];
+    }
+
+    return createCardEntry(count, name, printing);
+}
+
+/**
+ * Decode the XML entities MTGO writes in card names
+ */
+function decodeXmlEntities(text) {
+    return text
+        .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parse an MTGO .dek XML file
+ * @param {string} xmlText - .dek file contents
+ * @returns {Object} - { main: Array, sideboard: Array }
+ */
+function parseMtgoDek(xmlText) {
+    const main = [];
+    const sideboard = [];
+
+    for (const [, attributes] of xmlText.matchAll(MTGO_CARD_REGEX)) {
+        const attr = (key) => attributes.match(new RegExp(`\\b${key}="([^"]*)"`, 'i'))?.[1];
+
+        const name = decodeXmlEntities(attr('Name') || '').trim();
+        const mtgoId = parseInt(attr('CatID'), 10);
+        const entry = createCardEntry(parseInt(attr('Quantity'), 10), name, {
+            mtgoId: mtgoId > 0 ? mtgoId : null
+        });
+        if (!entry) continue;
+
+        if ((attr('Sideboard') || '').toLowerCase() === 'true') {
+            sideboard.push(entry);
+        } else {
+            main.push(entry);
+        }
+    }
+
+    return { main, sideboard };
+}
+
+/**
+ * Split plain-text and Arena decklists into zones
+ * @param {Array<string>} lines - Decklist lines
+ * @returns {Object} - { main, commander, companion, sideboard, hasSideboard }
+ */
+function parseTextZones(lines) {
+    const zones = { main: [], commander: [], companion: [], sideboard: [] };
+    let zone = 'main';
+    let hasSideboard = false;
+
+    for (const rawLine of lines) {
+        const line = rawLine.trim();
+
+        // Commander, Companion and About sections end at the next blank line
+        if (line.length === 0) {
+            if (zone === 'commander' || zone === 'companion' || zone === 'about') zone = 'main';
+            continue;
+        }
+
+        const zoneHeader = line.match(ZONE_HEADER_REGEX);
+        if (zoneHeader) {
+            zone = zoneHeader[1].toLowerCase() === 'deck' ? 'main' : zoneHeader[1].toLowerCase();
+            if (zone === 'sideboard') hasSideboard = true;
+            continue;
+        }
+
+        // Skip category headers like "Creatures:", "Lands:"
+        if (CATEGORY_HEADER_REGEX.test(line)) {
+            if (zone !== 'sideboard') zone = 'main';
+            continue;
+        }
+
+        // Skip comment lines and Arena's "About" block ("Name My Deck")
+        if (line.startsWith('//') || line.startsWith('#') || zone === 'about') {
+            continue;
+        }
+
+        const entry = parseCardLine(line);
+        if (entry) zones[zone].push(entry);
+    }
+
+    return { ...zones, hasSideboard };
+}
+
 /**
  * Parse decklist text into card entries
  * Supports various formats:
@@ -197,9 +343,14 @@ export function clearCardCache() {
  * - "4x Lightning Bolt"
  * - "Lightning Bolt" (assumes 1)
  * - "1 Jace, the Mind Sculptor"
+ * - MTG Arena exports: "1 Sol Ring (C21) 263" with Deck/Commander/Companion/Sideboard sections
+ * - MTGO .dek XML files
+ *
+ * Arena set codes and collector numbers (and MTGO catalog IDs) are kept on
+ * each entry so Scryfall lookups return the exact printing.
  *
  * @param {string} decklistText - Raw decklist text
- * @returns {Object} - {cards: Array, hasSideboard: boolean, sideboardCount: number}
+ * @returns {Object} - {cards, commanders, companions, sideboard, hasSideboard, sideboardCount, format}
  */
 export function parseDecklistText(decklistText) {
     // Input validation - limit size to prevent DoS
@@ -211,81 +362,37 @@ export function parseDecklistText(decklistText) {
         throw new Error(`Decklist too large. Maximum ${MAX_DECKLIST_LENGTH} characters.`);
     }
 
-    const allLines = decklistText.split('\n');
+    const allLines = decklistText.replace(/\r\n?/g, '\n').split('\n');
     if (allLines.length > MAX_DECKLIST_LINES) {
         throw new Error(`Decklist has too many lines. Maximum ${MAX_DECKLIST_LINES} lines.`);
     }
 
-    // Pre-compile regex patterns outside loops for performance
-    const SIDEBOARD_REGEX = /^SIDEBOARD:?$/i;
-    const SECTION_HEADER_REGEX = /^(creatures?|lands?|spells?|artifacts?|enchantments?|planeswalkers?|battles?|commander|sideboard):?$/i;
-    const CARD_COUNT_REGEX = /^(\d+)x?\s+(.+)$/;
-    const CARD_COUNT_ONLY_REGEX = /^(\d+)x?\s+/;
-
-    // Detect sideboard marker
-    const sideboardIndex = decklistText.search(/^SIDEBOARD:?$/im);
-    const hasSideboard = sideboardIndex >= 0;
-    const maindeckText = hasSideboard ? decklistText.substring(0, sideboardIndex) : decklistText;
-    const sideboardText = hasSideboard ? decklistText.substring(sideboardIndex) : '';
-
-    // Count sideboard cards
-    let sideboardCount = 0;
-    if (hasSideboard) {
-        const sideboardLines = sideboardText.split('\n');
-        for (const line of sideboardLines) {
-            const match = line.match(CARD_COUNT_ONLY_REGEX);
-            if (match) {
-                sideboardCount += parseInt(match[1], 10);
-            } else if (line.trim().length > 0 && !SIDEBOARD_REGEX.test(line)) {
-                sideboardCount += 1;
-            }
-        }
+    if (MTGO_DECK_REGEX.test(decklistText)) {
+        const { main, sideboard } = parseMtgoDek(decklistText);
+        return {
+            cards: main,
+            commanders: [],
+            companions: [],
+            sideboard,
+            hasSideboard: sideboard.length > 0,
+            sideboardCount: sideboard.reduce((sum, card) => sum + card.count, 0),
+            format: 'mtgo'
+        };
     }
 
-    const lines = maindeckText.split('\n').map(line => line.trim()).filter(line => line.length > 0);
-    const cards = [];
-
-    for (const line of lines) {
-        // Skip section headers like "Creatures:", "Lands:", "SIDEBOARD:", etc.
-        if (SECTION_HEADER_REGEX.test(line)) {
-            continue;
-        }
-
-        // Skip comment lines
-        if (line.startsWith('//') || line.startsWith('#')) {
-            continue;
-        }
-
-        // Match formats: "4 Card Name" or "4x Card Name"
-        const match = line.match(CARD_COUNT_REGEX);
-
-        if (match) {
-            const count = parseInt(match[1], 10);
-            const name = match[2].trim();
-
-            // Validate count and name
-            if (isNaN(count) || count < MIN_CARD_COUNT || count > MAX_CARD_COUNT) {
-                console.warn(`Invalid card count: ${count} for ${name} (skipping)`);
-                continue;
-            }
-
-            if (name.length === 0 || name.length > MAX_CARD_NAME_LENGTH) {
-                console.warn(`Invalid card name length: "${name}" (skipping)`);
-                continue;
-            }
-
-            cards.push({ count, name });
-        } else {
-            // If no count, assume 1 copy
-            if (line.length > 0 && line.length <= MAX_CARD_NAME_LENGTH) {
-                cards.push({ count: 1, name: line });
-            } else if (line.length > MAX_CARD_NAME_LENGTH) {
-                console.warn(`Card name too long: "${line.substring(0, 50)}..." (skipping)`);
-            }
-        }
-    }
+    const zones = parseTextZones(allLines);
+    const hasPrintings = [...zones.main, ...zones.commander, ...zones.companion]
+        .some(card => card.set !== undefined);
 
-    return { cards, hasSideboard, sideboardCount };
+    return {
+        cards: zones.main,
+        commanders: zones.commander,
+        companions: zones.companion,
+        sideboard: zones.sideboard,
+        hasSideboard: zones.hasSideboard,
+        sideboardCount: zones.sideboard.reduce((sum, card) => sum + card.count, 0),
+        format: hasPrintings ? 'arena' : 'text'
+    };
 }
 
 /**
@@ -426,10 +533,30 @@ export async function importDecklist(decklistText, progressCallback = null) {
     return typeCounts;
 }
 
+/**
+ * Build a Scryfall collection identifier for a card request
+ * Exact printings (Arena set + collector number, MTGO catalog ID) are
+ * preferred; otherwise the front face name is used
+ * @param {Object} request - { name, set, collectorNumber, mtgoId }
+ * @returns {Object} - Scryfall identifier
+ */
+function toScryfallIdentifier({ name, set, collectorNumber, mtgoId }) {
+    if (set && collectorNumber) {
+        return { set: set.toLowerCase(), collector_number: collectorNumber };
+    }
+    if (mtgoId) {
+        return { mtgo_id: mtgoId };
+    }
+
+    // For double-faced cards (contains //), use front face only
+    const frontFace = name.split('//')[0].trim();
+    return set ? { name: frontFace, set: set.toLowerCase() } : { name: frontFace };
+}
+
 /**
  * Batch fetch cards using Scryfall collection endpoint (more efficient)
  * Uses cache to avoid re-fetching previously loaded cards
- * @param {Array<string>} cardNames - Array of card names
+ * @param {Array<string|Object>} cardNames - Card names, or { name, set, collectorNumber, mtgoId } entries
  * @returns {Promise<Array<Object>>} - Array of card data
  */
 export async function batchFetchCards(cardNames) {
@@ -437,12 +564,13 @@ export async function batchFetchCards(cardNames) {
     const cardsToFetch = [];
 
     // Check cache first - use single get() instead of has() + get()
-    for (const name of cardNames) {
+    for (const request of cardNames) {
+        const name = typeof request === 'string' ? request : request.name;
         const cached = cardCache.get(name);
         if (cached !== null) {
             foundCards.push(cached);
         } else {
-            cardsToFetch.push(name);
+            cardsToFetch.push(typeof request === 'string' ? { name } : request);
         }
     }
 
@@ -451,13 +579,7 @@ export async function batchFetchCards(cardNames) {
         return foundCards;
     }
 
-    // For double-faced cards, use fuzzy search instead of exact name
-    // Extract just the front face name (before //)
-    const identifiers = cardsToFetch.map(name => {
-        // If it's a double-faced card (contains //), use front face only
-        const frontFace = name.split('//')[0].trim();
-        return { name: frontFace };
-    });
+    const identifiers = cardsToFetch.map(toScryfallIdentifier);
 
     try {
         const response = await fetch(`${SCRYFALL_API}/cards/collection`, {
@@ -497,12 +619,20 @@ export async function batchFetchCards(cardNames) {
         if (notFoundIdentifiers.length > 0) {
             console.log(`Retrying ${notFoundIdentifiers.length} cards with fuzzy search...`);
 
+            // Printing identifiers carry no name - map them back to the requested card
+            const requestedNames = new Map(identifiers.map((identifier, i) => [
+                JSON.stringify(identifier), cardsToFetch[i].name
+            ]));
+            const notFoundNames = notFoundIdentifiers.map(identifier =>
+                requestedNames.get(JSON.stringify(identifier)) || identifier.name
+            ).filter(Boolean);
+
             // Process in batches for parallel fetching (faster than sequential)
-            for (let i = 0; i < notFoundIdentifiers.length; i += FUZZY_SEARCH_BATCH_SIZE) {
-                const batch = notFoundIdentifiers.slice(i, i + FUZZY_SEARCH_BATCH_SIZE);
+            for (let i = 0; i < notFoundNames.length; i += FUZZY_SEARCH_BATCH_SIZE) {
+                const batch = notFoundNames.slice(i, i + FUZZY_SEARCH_BATCH_SIZE);
 
                 // Fetch batch in parallel
-                const batchPromises = batch.map(identifier => fetchCardData(identifier.name));
+                const batchPromises = batch.map(name => fetchCardData(name));
                 const batchResults = await Promise.all(batchPromises);
 
                 // Cache and add successful results
@@ -514,7 +644,7 @@ export async function batchFetchCards(cardNames) {
                 });
 
                 // Rate limit between batches (not between individual cards in batch)
-                if (i + FUZZY_SEARCH_BATCH_SIZE < notFoundIdentifiers.length) {
+                if (i + FUZZY_SEARCH_BATCH_SIZE < notFoundNames.length) {
                     await new Promise(resolve => setTimeout(resolve, RATE_LIMIT_DELAY));
                 }
             }
@@ -545,7 +675,7 @@ export async function importDecklistBatch(decklistText, progressCallback = null)
     }
 
     const parseResult = parseDecklistText(decklistText);
-    const { cards, hasSideboard, sideboardCount } = parseResult;
+    const { cards, commanders, companions, hasSideboard, sideboardCount, format } = parseResult;
 
     if (cards.length === 0) {
         throw new Error('No cards found in decklist');
@@ -553,7 +683,9 @@ export async function importDecklistBatch(decklistText, progressCallback = null)
 
     // Create map of card names to counts (with corrections applied)
     const cardMap = new Map();
-    cards.forEach(({ count, name }) => {
+    // First printing listed for each card (Arena set/collector number, MTGO catalog ID)
+    const printingMap = new Map();
+    cards.forEach(({ count, name, ...printing }) => {
         // Apply name corrections if available
         const correctedName = CARD_NAME_CORRECTIONS[name] || name;
 
@@ -561,11 +693,24 @@ export async function importDecklistBatch(decklistText, progressCallback = null)
             cardMap.set(correctedName, cardMap.get(correctedName) + count);
         } else {
             cardMap.set(correctedName, count);
+            printingMap.set(correctedName, printing);
         }
     });
 
     const uniqueCards = Array.from(cardMap.keys());
 
+    // The commander is looked up too, for its mana value, but stays out of the deck.
+    // A second commander (Partner, Background) is kept by name only.
+    const commanderName = commanders.length > 0 ? commanders[0].name : null;
+    const partners = commanders.slice(1).map(card => CARD_NAME_CORRECTIONS[card.name] || card.name);
+    const commanderKey = commanderName ? (CARD_NAME_CORRECTIONS[commanderName] || commanderName) : null;
+    const lookupCommander = commanderKey !== null && !cardMap.has(commanderKey);
+    if (lookupCommander) {
+        const { count, name, ...printing } = commanders[0];
+        printingMap.set(commanderKey, printing);
+    }
+    const lookupNames = lookupCommander ? [...uniqueCards, commanderKey] : uniqueCards;
+
     if (progressCallback) {
         progressCallback({
             processed: 10,
@@ -575,33 +720,48 @@ export async function importDecklistBatch(decklistText, progressCallback = null)
         });
     }
 
-    // Stage 2: Fetching from Scryfall (10-80%)
+    // Stage 2a: Resolve from the offline card database, if one is loaded
     const allCardData = [];
-    const totalBatches = Math.ceil(uniqueCards.length / SCRYFALL_BATCH_SIZE);
+    const localCards = await lookupLocalCards(lookupNames);
+    allCardData.push(...localCards.values());
+    const cardsToFetch = lookupNames.filter(name => !localCards.has(name));
 
-    for (let i = 0; i < uniqueCards.length; i += SCRYFALL_BATCH_SIZE) {
+    if (progressCallback && localCards.size > 0) {
+        const localProgress = (localCards.size / lookupNames.length) * 70;
+        progressCallback({
+            processed: localCards.size,
+            total: lookupNames.length,
+            currentCard: `Found ${localCards.size} cards in offline database`,
+            percentage: Math.round(10 + localProgress)
+        });
+    }
+
+    // Stage 2b: Fetching the rest from Scryfall (10-80%)
+    const totalBatches = Math.ceil(cardsToFetch.length / SCRYFALL_BATCH_SIZE);
+
+    for (let i = 0; i < cardsToFetch.length; i += SCRYFALL_BATCH_SIZE) {
         const batchNum = Math.floor(i / SCRYFALL_BATCH_SIZE) + 1;
-        const chunk = uniqueCards.slice(i, Math.min(i + SCRYFALL_BATCH_SIZE, uniqueCards.length));
+        const chunk = cardsToFetch.slice(i, Math.min(i + SCRYFALL_BATCH_SIZE, cardsToFetch.length));
 
-        const chunkData = await batchFetchCards(chunk);
+        const chunkData = await batchFetchCards(chunk.map(name => ({ name, ...printingMap.get(name) })));
         allCardData.push(...chunkData);
 
         // Update progress: 10% to 80% range for fetching
         if (progressCallback) {
-            const processedCount = Math.min(i + SCRYFALL_BATCH_SIZE, uniqueCards.length);
-            const fetchProgress = (processedCount / uniqueCards.length) * 70; // 70% of total progress
+            const processedCount = localCards.size + Math.min(i + SCRYFALL_BATCH_SIZE, cardsToFetch.length);
+            const fetchProgress = (processedCount / lookupNames.length) * 70; // 70% of total progress
             const totalProgress = 10 + fetchProgress; // Start at 10%
 
             progressCallback({
                 processed: processedCount,
-                total: uniqueCards.length,
+                total: lookupNames.length,
                 currentCard: `Fetching batch ${batchNum}/${totalBatches} from Scryfall...`,
                 percentage: Math.round(totalProgress)
             });
         }
 
         // Rate limiting between batches (only if there are more batches)
-        if (i + SCRYFALL_BATCH_SIZE < uniqueCards.length) {
+        if (i + SCRYFALL_BATCH_SIZE < cardsToFetch.length) {
             await new Promise(resolve => setTimeout(resolve, RATE_LIMIT_DELAY));
         }
     }
@@ -643,13 +803,21 @@ export async function importDecklistBatch(decklistText, progressCallback = null)
     // Pre-compute normalized lookup map for O(1) matching instead of O(n²)
     const normalizedCardMap = new Map();
     for (const [key, value] of cardMap.entries()) {
-        const normalizedKey = normalizeCardName(key);
+        const normalizedKey = normalizeCardKey(key);
         normalizedCardMap.set(normalizedKey, { originalKey: key, count: value });
         // Also store the original key directly for exact matches
         normalizedCardMap.set(key, { originalKey: key, count: value });
     }
 
+    let commanderCard = null;
+
     allCardData.forEach(cardData => {
+        if (lookupCommander && !commanderCard && cardData?.name &&
+            (cardData.name === commanderKey || normalizeCardKey(cardData.name) === normalizeCardKey(commanderKey))) {
+            commanderCard = toCommanderCard(cardData);
+            return;
+        }
+
         if (cardData && cardData.name && cardData.type_line) {
             // Try to match the card using normalized name for O(1) lookup
             let count = 0;
@@ -662,7 +830,7 @@ export async function importDecklistBatch(decklistText, progressCallback = null)
                 matchedKey = exactMatch.originalKey;
             } else {
                 // Try normalized front face match
-                const normalizedName = normalizeCardName(cardData.name);
+                const normalizedName = normalizeCardKey(cardData.name);
                 const normalizedMatch = normalizedCardMap.get(normalizedName);
                 if (normalizedMatch) {
                     count = normalizedMatch.count;
@@ -706,11 +874,13 @@ export async function importDecklistBatch(decklistText, progressCallback = null)
                     name: cardData.name,
                     type_line: typeLine,
                     cmc: cmc,
-                    mana_cost: cardData.mana_cost || '',
+                    mana_cost: cardData.mana_cost || cardData.card_faces?.[0]?.mana_cost || '',
+                    produced_mana: cardData.produced_mana,
                     power: power,
                     category: primaryCategory,
                     allCategories: allCategories, // Store all categories
-                    count: count
+                    count: count,
+                    tags: []
                 };
 
                 // Store detailed card info for non-lands
@@ -779,12 +949,18 @@ export async function importDecklistBatch(decklistText, progressCallback = null)
 
     return {
         ...typeCounts,
+        ...countCmcBuckets(cardsByName),  // Nonland permanents by mana value
         actualCardCount,  // Actual deck size (for dual-typed cards)
         cardDetails,  // Full card-level data
         cardsByName,  // Card data indexed by name
         creaturesPower5Plus,
+        commanderName: commanderCard?.name ?? commanderName,  // Card's own name once looked up
+        commanderCard,  // Commander card data (command zone, not in cardsByName)
+        partners,  // Other commanders by name (command zone, not simulated)
+        companions,  // Companion zone (outside the main deck)
         // Import metadata
         importMetadata: {
+            format,
             hasSideboard,
             sideboardCount,
             missingCards: missingCardDetails,
@@ -900,14 +1076,42 @@ async function fetchWithProxy(url, proxyIndex = 0) {
     }
 }
 
+/**
+ * Normalize card tags: trimmed, lowercase, unique, non-empty
+ * @param {Array<string>|string} tags - Tags (or a comma-separated string)
+ * @returns {Array<string>} - Normalized tags
+ */
+export function normalizeTags(tags) {
+    const list = typeof tags === 'string' ? tags.split(',') : (Array.isArray(tags) ? tags : []);
+    const normalized = list
+        .filter(tag => typeof tag === 'string')
+        .map(tag => tag.trim().toLowerCase().slice(0, MAX_TAG_LENGTH))
+        .filter(tag => tag.length > 0);
+    return [...new Set(normalized)];
+}
+
+/**
+ * Card data for the commander, in the same shape as a cardsByName entry.
+ * The commander starts in the command zone, so it is kept out of cardsByName.
+ * @param {Object} cardData - Scryfall, Moxfield or Archidekt card
+ * @returns {Object|null} - Card data, or null when it has no type line
+ */
+function toCommanderCard(cardData) {
+    const commander = {};
+    if (!cardData || !processCardEntry(cardData, 1, {}, [], commander, [])) return null;
+    return commander[cardData.name];
+}
+
 /**
  * Process a generic card entry (from API) into our deck format
+ * @param {Array<string>} tags - Card tags (defaults to the card's own tags, e.g. when rebuilding a deck)
  */
-function processCardEntry(cardData, count, typeCounts, cardDetails, cardsByName) {
+function processCardEntry(cardData, count, typeCounts, cardDetails, cardsByName, tags = cardData.tags) {
     // Robustly get type_line, checking for snake_case, camelCase, and DFCs
     let typeLine = cardData.type_line || cardData.typeLine;
     let cmc = cardData.cmc;
     let power = cardData.power;
+    let manaCost = cardData.mana_cost ?? cardData.manaCost;
     const name = cardData.name;
 
     // DFC handling
@@ -916,6 +1120,7 @@ function processCardEntry(cardData, count, typeCounts, cardDetails, cardsByName)
         typeLine = face.type_line || face.typeLine || typeLine;
         cmc = face.cmc !== undefined ? face.cmc : cmc;
         power = face.power;
+        manaCost = manaCost || face.mana_cost;
     }
     
     // Fallback: Construct type_line from component arrays (Archidekt style)
@@ -951,11 +1156,13 @@ function processCardEntry(cardData, count, typeCounts, cardDetails, cardsByName)
         name: name,
         type_line: safeTypeLine,
         cmc: cmc,
-        mana_cost: cardData.mana_cost,
+        mana_cost: manaCost,
+        produced_mana: cardData.produced_mana || cardData.producedMana,
         power: power,
         category: primaryCategory,
         allCategories: allCategories,
-        count: count
+        count: count,
+        tags: normalizeTags(tags)
     };
 
     // Detailed info for non-lands
@@ -978,6 +1185,68 @@ function processCardEntry(cardData, count, typeCounts, cardDetails, cardsByName)
     return true;
 }
 
+/**
+ * Count nonland permanents by mana value (cmc0 ... cmc6, where cmc6 is 6+)
+ * @param {Object} cardsByName - Cards keyed by name
+ * @returns {Object} - { cmc0, cmc1, ..., cmc6 }
+ */
+export function countCmcBuckets(cardsByName) {
+    const buckets = { cmc0: 0, cmc1: 0, cmc2: 0, cmc3: 0, cmc4: 0, cmc5: 0, cmc6: 0 };
+
+    Object.values(cardsByName).forEach(card => {
+        const categories = card.allCategories || getAllCardTypes(card.type_line || '');
+        const isPermanent = categories.some(cat => PERMANENT_CATEGORIES.includes(cat));
+        if (!isPermanent || categories.includes('lands')) return;
+
+        const cmc = Math.min(6, Math.max(0, Math.floor(card.cmc || 0)));
+        buckets[`cmc${cmc}`] += card.count || 0;
+    });
+
+    return buckets;
+}
+
+/**
+ * Rebuild deck state (type counts, card details, CMC buckets) from a card list.
+ * Used when a deck is edited card by card.
+ * @param {Object} cardsByName - Cards keyed by name; each has a count plus
+ *                               stored or Scryfall card fields
+ * @returns {Object} - Type counts, CMC buckets, actualCardCount, cardDetails, cardsByName, creaturesPower5Plus
+ */
+export function buildDeckState(cardsByName) {
+    const typeCounts = { creatures: 0, instants: 0, sorceries: 0, artifacts: 0, enchantments: 0, planeswalkers: 0, lands: 0, battles: 0 };
+    const cardDetails = [];
+    const rebuilt = {};
+    let actualCardCount = 0;
+
+    Object.values(cardsByName).forEach(card => {
+        if (!card || !(card.count > 0)) return;
+        if (processCardEntry(card, card.count, typeCounts, cardDetails, rebuilt)) {
+            actualCardCount += card.count;
+        }
+    });
+
+    return {
+        ...typeCounts,
+        ...countCmcBuckets(rebuilt),
+        actualCardCount,
+        cardDetails,
+        cardsByName: rebuilt,
+        creaturesPower5Plus: cardDetails.filter(c => c.isPower5Plus).length
+    };
+}
+
+/**
+ * Look up cards by name: offline card database first, then Scryfall
+ * @param {Array<string>} names - Card names
+ * @returns {Promise<Array>} - Card data for the names that were found
+ */
+export async function resolveCards(names) {
+    const localCards = await lookupLocalCards(names);
+    const missing = names.filter(name => !localCards.has(name));
+    const fetched = missing.length > 0 ? await batchFetchCards(missing) : [];
+    return [...localCards.values(), ...fetched];
+}
+
 /**
  * Import from Moxfield
  */
@@ -995,24 +1264,32 @@ async function importFromMoxfieldInternal(deckId, progressCallback) {
     const cardsToFetch = [];
     let actualCardCount = 0;
     let commanderName = null;
+    let commanderCard = null;
+    let partners = [];
 
     // Capture commander from commanders board
     if (data.boards?.commanders?.cards) {
-        const commanderCards = Object.values(data.boards.commanders.cards);
-        if (commanderCards.length > 0 && commanderCards[0].card) {
+        const commanderCards = Object.values(data.boards.commanders.cards).filter(entry => entry.card);
+        if (commanderCards.length > 0) {
             commanderName = commanderCards[0].card.name;
+            commanderCard = toCommanderCard(commanderCards[0].card);
+            partners = commanderCards.slice(1).map(entry => entry.card.name);
         }
     }
 
+    // Deck author's tags, keyed by card name
+    const authorTags = data.authorTags || {};
+
     // Process mainboard
     if (data.boards?.mainboard?.cards) {
         Object.values(data.boards.mainboard.cards).forEach(entry => {
             if (entry.card) {
                 const count = entry.quantity || 1;
+                const tags = authorTags[entry.card.name] || [];
                 actualCardCount += count;
-                const success = processCardEntry(entry.card, count, typeCounts, cardDetails, cardsByName);
+                const success = processCardEntry(entry.card, count, typeCounts, cardDetails, cardsByName, tags);
                 if (!success) {
-                    cardsToFetch.push({ name: entry.card.name, count });
+                    cardsToFetch.push({ name: entry.card.name, count, tags });
                 }
             }
         });
@@ -1029,12 +1306,12 @@ async function importFromMoxfieldInternal(deckId, progressCallback) {
             // Find count(s) for this card
             const entries = cardsToFetch.filter(c => c.name === cardData.name); // Simple match
             entries.forEach(entry => {
-                processCardEntry(cardData, entry.count, typeCounts, cardDetails, cardsByName);
+                processCardEntry(cardData, entry.count, typeCounts, cardDetails, cardsByName, entry.tags);
             });
         });
     }
 
-    return { typeCounts, actualCardCount, cardDetails, cardsByName, deckName: data.name, commanderName };
+    return { typeCounts, actualCardCount, cardDetails, cardsByName, deckName: data.name, commanderName, commanderCard, partners };
 }
 
 /**
@@ -1054,6 +1331,8 @@ async function importFromArchidektInternal(deckId, progressCallback) {
     const cardsToFetch = [];
     let actualCardCount = 0;
     let commanderName = null;
+    let commanderCard = null;
+    const partners = [];
 
     if (data.cards) {
         data.cards.forEach(entry => {
@@ -1064,6 +1343,9 @@ async function importFromArchidektInternal(deckId, progressCallback) {
                 const cardData = entry.card ? (entry.card.oracleCard || entry.card) : null;
                 if (cardData && !commanderName) {
                     commanderName = cardData.name;
+                    commanderCard = toCommanderCard(cardData);
+                } else if (cardData) {
+                    partners.push(cardData.name);
                 }
                 return;
             }
@@ -1075,10 +1357,12 @@ async function importFromArchidektInternal(deckId, progressCallback) {
             const cardData = entry.card ? (entry.card.oracleCard || entry.card) : null;
             if (cardData) {
                 const count = entry.quantity || 1;
+                // The deck's own categories (Ramp, Draw, ...) become tags
+                const tags = categories.filter(category => !ARCHIDEKT_ZONE_CATEGORIES.includes(category));
                 actualCardCount += count;
-                const success = processCardEntry(cardData, count, typeCounts, cardDetails, cardsByName);
+                const success = processCardEntry(cardData, count, typeCounts, cardDetails, cardsByName, tags);
                 if (!success) {
-                    cardsToFetch.push({ name: cardData.name, count });
+                    cardsToFetch.push({ name: cardData.name, count, tags });
                 }
             }
         });
@@ -1098,12 +1382,12 @@ async function importFromArchidektInternal(deckId, progressCallback) {
             // Find all entries matching this card name
             const matchingEntries = cardsToFetch.filter(c => c.name === cardData.name); // Exact match logic from batchFetch
             matchingEntries.forEach(entry => {
-                processCardEntry(cardData, entry.count, typeCounts, cardDetails, cardsByName);
+                processCardEntry(cardData, entry.count, typeCounts, cardDetails, cardsByName, entry.tags);
             });
         });
     }
 
-    return { typeCounts, actualCardCount, cardDetails, cardsByName, deckName: data.name, commanderName };
+    return { typeCounts, actualCardCount, cardDetails, cardsByName, deckName: data.name, commanderName, commanderCard, partners };
 }
 
 /**
@@ -1133,11 +1417,14 @@ export async function importDeckFromUrl(input, progressCallback = null) {
 
     return {
         ...result.typeCounts,
+        ...countCmcBuckets(result.cardsByName),
         actualCardCount: result.actualCardCount,
         cardDetails: result.cardDetails,
         cardsByName: result.cardsByName,
         creaturesPower5Plus,
         commanderName: result.commanderName,
+        commanderCard: result.commanderCard,
+        partners: result.partners,
         importMetadata: {
             hasSideboard: false,
             sideboardCount: 0,
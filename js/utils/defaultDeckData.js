@@ -627,6 +627,13 @@ export const DEFAULT_DECK_DATA = {
       "type_line": "Land",
       "cmc": 0,
       "mana_cost": "",
+      "produced_mana": [
+        "B",
+        "G",
+        "R",
+        "U",
+        "W"
+      ],
       "category": "lands",
       "allCategories": [
         "lands"
@@ -817,6 +824,9 @@ export const DEFAULT_DECK_DATA = {
       "type_line": "Legendary Land",
       "cmc": 0,
       "mana_cost": "",
+      "produced_mana": [
+        "C"
+      ],
       "category": "lands",
       "allCategories": [
         "lands"
@@ -840,6 +850,10 @@ export const DEFAULT_DECK_DATA = {
       "type_line": "Land",
       "cmc": 0,
       "mana_cost": "",
+      "produced_mana": [
+        "G",
+        "U"
+      ],
       "category": "lands",
       "allCategories": [
         "lands"
@@ -896,6 +910,9 @@ export const DEFAULT_DECK_DATA = {
       "type_line": "Legendary Land",
       "cmc": 0,
       "mana_cost": "",
+      "produced_mana": [
+        "G"
+      ],
       "category": "lands",
       "allCategories": [
         "lands"
@@ -907,6 +924,10 @@ export const DEFAULT_DECK_DATA = {
       "type_line": "Land",
       "cmc": 0,
       "mana_cost": "",
+      "produced_mana": [
+        "G",
+        "U"
+      ],
       "category": "lands",
       "allCategories": [
         "lands"
@@ -918,6 +939,9 @@ export const DEFAULT_DECK_DATA = {
       "type_line": "Legendary Land",
       "cmc": 0,
       "mana_cost": "",
+      "produced_mana": [
+        "U"
+      ],
       "category": "lands",
       "allCategories": [
         "lands"
@@ -929,6 +953,9 @@ export const DEFAULT_DECK_DATA = {
       "type_line": "Legendary Land",
       "cmc": 0,
       "mana_cost": "",
+      "produced_mana": [
+        "G"
+      ],
       "category": "lands",
       "allCategories": [
         "lands"
@@ -1053,6 +1080,9 @@ export const DEFAULT_DECK_DATA = {
       "type_line": "Legendary Land",
       "cmc": 0,
       "mana_cost": "",
+      "produced_mana": [
+        "C"
+      ],
       "category": "lands",
       "allCategories": [
         "lands"
@@ -1064,6 +1094,9 @@ export const DEFAULT_DECK_DATA = {
       "type_line": "Land",
       "cmc": 0,
       "mana_cost": "",
+      "produced_mana": [
+        "G"
+      ],
       "category": "lands",
       "allCategories": [
         "lands"
@@ -1224,6 +1257,9 @@ export const DEFAULT_DECK_DATA = {
       "type_line": "Land",
       "cmc": 0,
       "mana_cost": "",
+      "produced_mana": [
+        "G"
+      ],
       "category": "lands",
       "allCategories": [
         "lands"
@@ -1235,6 +1271,9 @@ export const DEFAULT_DECK_DATA = {
       "type_line": "Land — Cave",
       "cmc": 0,
       "mana_cost": "",
+      "produced_mana": [
+        "U"
+      ],
       "category": "lands",
       "allCategories": [
         "lands"
@@ -1257,6 +1296,14 @@ export const DEFAULT_DECK_DATA = {
       "type_line": "Land — Gate",
       "cmc": 0,
       "mana_cost": "",
+      "produced_mana": [
+        "B",
+        "C",
+        "G",
+        "R",
+        "U",
+        "W"
+      ],
       "category": "lands",
       "allCategories": [
         "lands"
@@ -1324,6 +1371,10 @@ export const DEFAULT_DECK_DATA = {
       "type_line": "Land",
       "cmc": 0,
       "mana_cost": "",
+      "produced_mana": [
+        "G",
+        "U"
+      ],
       "category": "lands",
       "allCategories": [
         "lands"
@@ -1346,6 +1397,9 @@ export const DEFAULT_DECK_DATA = {
       "type_line": "Land",
       "cmc": 0,
       "mana_cost": "",
+      "produced_mana": [
+        "U"
+      ],
       "category": "lands",
       "allCategories": [
         "lands"
@@ -1392,6 +1446,9 @@ export const DEFAULT_DECK_DATA = {
       "type_line": "Land — Town",
       "cmc": 0,
       "mana_cost": "",
+      "produced_mana": [
+        "C"
+      ],
       "category": "lands",
       "allCategories": [
         "lands"
@@ -1461,6 +1518,10 @@ export const DEFAULT_DECK_DATA = {
       "type_line": "Land — Forest Island",
       "cmc": 0,
       "mana_cost": "",
+      "produced_mana": [
+        "G",
+        "U"
+      ],
       "category": "lands",
       "allCategories": [
         "lands"
@@ -1484,6 +1545,10 @@ export const DEFAULT_DECK_DATA = {
       "type_line": "Land — Forest Island",
       "cmc": 0,
       "mana_cost": "",
+      "produced_mana": [
+        "G",
+        "U"
+      ],
       "category": "lands",
       "allCategories": [
         "lands"
@@ -1495,6 +1560,9 @@ export const DEFAULT_DECK_DATA = {
       "type_line": "Basic Land — Forest",
       "cmc": 0,
       "mana_cost": "",
+      "produced_mana": [
+        "G"
+      ],
       "category": "lands",
       "allCategories": [
         "lands"
@@ -1506,6 +1574,9 @@ export const DEFAULT_DECK_DATA = {
       "type_line": "Basic Land — Island",
       "cmc": 0,
       "mana_cost": "",
+      "produced_mana": [
+        "U"
+      ],
       "category": "lands",
       "allCategories": [
         "lands"
@@ -0,0 +1,130 @@
+/**
+ * Draw Profile
+ * How many cards you have seen by each turn: play or draw, plus the extra
+ * cards looked at by cantrips, scry and surveil. Shared by the turn-based
+ * calculators (Land Drops, Mulligan deadlines).
+ */
+
+const OPENING_HAND = 7;
+
+// Callbacks for when the profile changes
+const changeListeners = [];
+
+// extraSeen[i] = extra cards seen by turn i + 1 (cumulative); the last entry carries on
+let profile = { onPlay: true, extraSeen: [] };
+
+/**
+ * Get the current draw profile
+ * @returns {Object} - { onPlay, extraSeen }
+ */
+export function getDrawProfile() {
+    return { onPlay: profile.onPlay, extraSeen: [...profile.extraSeen] };
+}
+
+/**
+ * Update the draw profile and notify listeners
+ * @param {Object} changes - { onPlay?, extraSeen? }
+ */
+export function setDrawProfile(changes) {
+    profile = {
+        onPlay: changes.onPlay ?? profile.onPlay,
+        extraSeen: changes.extraSeen ? [...changes.extraSeen] : profile.extraSeen
+    };
+    changeListeners.forEach(callback => callback(getDrawProfile()));
+}
+
+/**
+ * Register callback for draw profile changes
+ * @param {Function} callback - Called with the new profile
+ */
+export function onDrawProfileChange(callback) {
+    changeListeners.push(callback);
+}
+
+/**
+ * Extra cards seen by a turn under a profile
+ * Scry and surveil count like a drawn card: they only improve card quality,
+ * but looking at the card is what matters for hitting a land or a piece
+ */
+export function extraSeenByTurn(turn, drawProfile = profile) {
+    const extra = drawProfile.extraSeen;
+    if (turn < 1 || extra.length === 0) return 0;
+    return extra[Math.min(turn, extra.length) - 1];
+}
+
+/**
+ * Total cards seen by a turn: opening hand, draw steps and extra looks
+ * @param {number} turn - Turn number (0 = opening hand only)
+ * @param {Object} drawProfile - Defaults to the current profile
+ * @returns {number}
+ */
+export function cardsSeenByTurn(turn, drawProfile = profile) {
+    if (turn < 1) return OPENING_HAND;
+    const draws = drawProfile.onPlay ? turn - 1 : turn;
+    return OPENING_HAND + draws + extraSeenByTurn(turn, drawProfile);
+}
+
+/**
+ * Parse an extra-cards profile such as "0 1 1 2" or "0, 1, 1, 2"
+ * Each value is the total extra cards seen by that turn, so it can't go down
+ * @param {string} text - Raw input
+ * @returns {Array<number>|null} - Profile, or null if invalid
+ */
+export function parseExtraSeen(text) {
+    const parts = String(text ?? '').trim().split(/[\s,]+/).filter(Boolean);
+    if (parts.some(part => !/^\d{1,2}$/.test(part))) return null;
+
+    const values = parts.map(Number);
+    return values.every((v, i) => i === 0 || v >= values[i - 1]) ? values : null;
+}
+
+/**
+ * Short description, e.g. "on the play, +2 cards seen by turn 4"
+ */
+export function describeDrawProfile(drawProfile = profile) {
+    const side = drawProfile.onPlay ? 'on the play' : 'on the draw';
+    const extra = drawProfile.extraSeen;
+    const last = extra.length > 0 ? extra[extra.length - 1] : 0;
+    return last > 0 ? `${side}, +${last} card${last !== 1 ? 's' : ''} seen by turn ${extra.indexOf(last) + 1}` : side;
+}
+
+/**
+ * Cache key fragment for results that depend on the profile
+ */
+export function drawProfileKey(drawProfile = profile) {
+    return `${drawProfile.onPlay ? 'play' : 'draw'}:${drawProfile.extraSeen.join(',')}`;
+}
+
+/**
+ * Wire up the draw settings controls
+ */
+export function initDrawProfile() {
+    const sideSelect = document.getElementById('draw-profile-side');
+    const extraInput = document.getElementById('draw-profile-extra');
+
+    if (sideSelect) {
+        sideSelect.value = profile.onPlay ? 'play' : 'draw';
+        sideSelect.addEventListener('change', () => setDrawProfile({ onPlay: sideSelect.value === 'play' }));
+    }
+
+    if (extraInput) {
+        extraInput.value = profile.extraSeen.join(' ');
+        extraInput.addEventListener('change', () => {
+            const extraSeen = parseExtraSeen(extraInput.value);
+            if (extraSeen === null) {
+                extraInput.classList.add('invalid');
+                return;
+            }
+            extraInput.classList.remove('invalid');
+            setDrawProfile({ extraSeen });
+        });
+    }
+
+    onDrawProfileChange((current) => {
+        if (sideSelect) sideSelect.value = current.onPlay ? 'play' : 'draw';
+        if (extraInput) {
+            extraInput.value = current.extraSeen.join(' ');
+            extraInput.classList.remove('invalid');
+        }
+    });
+}
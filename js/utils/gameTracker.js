@@ -0,0 +1,158 @@
+/**
+ * Game Tracker UI
+ * Records the cards seen during a real game (hand, graveyard, exile, known
+ * top cards). DeckConfig subtracts them from the deck, so every calculator
+ * works on the library that is actually left.
+ */
+
+import * as DeckConfig from './deckConfig.js';
+import { escapeHtml } from './ui.js';
+
+const ZONE_LABELS = {
+    hand: '✋ Hand',
+    graveyard: '🪦 Graveyard',
+    exile: '🌀 Exile',
+    top: '🔝 Top of Library'
+};
+
+/**
+ * Render one out-of-library zone as removable chips
+ */
+function renderZone(zone, cards) {
+    const names = Object.keys(cards).sort((a, b) => a.localeCompare(b));
+    if (names.length === 0) return '';
+
+    const chips = names.map(name => `
+        <span class="game-tracker-card">
+            ${cards[name] > 1 ? `<span class="game-tracker-qty">${cards[name]}×</span>` : ''}${escapeHtml(name)}
+            <button type="button" class="deck-editor-btn" data-action="remove" data-zone="${zone}" data-name="${escapeHtml(name)}" aria-label="Remove ${escapeHtml(name)} from ${zone}">✕</button>
+        </span>
+    `).join('');
+    return `<div class="game-tracker-zone"><h4>${ZONE_LABELS[zone]}</h4><div class="game-tracker-cards">${chips}</div></div>`;
+}
+
+/**
+ * Render the known top cards in order, with controls to reorder them
+ */
+function renderTop(top) {
+    if (top.length === 0) return '';
+
+    const rows = top.map((name, index) => `
+        <li class="game-tracker-card">
+            <span class="game-tracker-qty">${index + 1}.</span>${escapeHtml(name)}
+            <button type="button" class="deck-editor-btn" data-action="up" data-index="${index}" aria-label="Move ${escapeHtml(name)} up" ${index === 0 ? 'disabled' : ''}>↑</button>
+            <button type="button" class="deck-editor-btn" data-action="down" data-index="${index}" aria-label="Move ${escapeHtml(name)} down" ${index === top.length - 1 ? 'disabled' : ''}>↓</button>
+            <button type="button" class="deck-editor-btn" data-action="remove" data-zone="top" data-index="${index}" aria-label="Remove ${escapeHtml(name)} from the top of the library">✕</button>
+        </li>
+    `).join('');
+    return `<div class="game-tracker-zone"><h4>${ZONE_LABELS.top}</h4><ol class="game-tracker-top">${rows}</ol></div>`;
+}
+
+/**
+ * Sync the tracker panel and banner with DeckConfig
+ */
+function refresh() {
+    const known = DeckConfig.getKnownCards();
+    const tracking = DeckConfig.isTrackingGame();
+    const { cardsByName } = DeckConfig.getFullDeckConfig();
+
+    const datalist = document.getElementById('game-tracker-names');
+    if (datalist) {
+        datalist.innerHTML = Object.keys(cardsByName || {})
+            .sort((a, b) => a.localeCompare(b))
+            .map(name => `<option value="${escapeHtml(name)}"></option>`)
+            .join('');
+    }
+
+    const librarySize = DeckConfig.getDeckSize(true);
+    const deckSize = Object.values(cardsByName || {}).reduce((sum, card) => sum + (card.count || 0), 0);
+    const summary = tracking
+        ? `Library: <strong>${librarySize}</strong> of ${deckSize} cards left`
+        : '';
+
+    const summaryEl = document.getElementById('game-tracker-summary');
+    if (summaryEl) summaryEl.innerHTML = summary;
+
+    const zonesEl = document.getElementById('game-tracker-zones');
+    if (zonesEl) {
+        zonesEl.innerHTML = DeckConfig.KNOWN_ZONES.map(zone => renderZone(zone, known[zone])).join('') + renderTop(known.top);
+    }
+
+    const clearBtn = document.getElementById('game-tracker-clear');
+    if (clearBtn) clearBtn.disabled = !tracking;
+
+    const banner = document.getElementById('tracker-banner');
+    if (banner) {
+        banner.hidden = !tracking;
+        const text = document.getElementById('tracker-banner-text');
+        if (text && tracking) {
+            const topNote = known.top.length > 0 ? `, top ${known.top.length} known` : '';
+            text.innerHTML = `🎯 Game tracker on: results use the <strong>${librarySize}</strong> cards left in your library${topNote}`;
+        }
+    }
+}
+
+/**
+ * Show a short status message under the add form
+ */
+function showStatus(message, type = '') {
+    const status = document.getElementById('game-tracker-status');
+    if (status) {
+        status.innerHTML = message;
+        status.className = `import-status ${type}`;
+    }
+}
+
+/**
+ * Wire up the game tracker panel
+ */
+export function initGameTracker() {
+    const form = document.getElementById('game-tracker-form');
+    if (!form) return;
+
+    const nameInput = document.getElementById('game-tracker-card');
+    const zoneSelect = document.getElementById('game-tracker-zone');
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const typed = nameInput.value.trim();
+        if (!typed) return;
+
+        const { cardsByName } = DeckConfig.getFullDeckConfig();
+        const name = Object.keys(cardsByName || {}).find(known => known.toLowerCase() === typed.toLowerCase());
+        if (!name) {
+            showStatus(`${escapeHtml(typed)} is not in the deck`, 'error');
+            return;
+        }
+        if (!DeckConfig.addKnownCard(zoneSelect.value, name)) {
+            showStatus(`Every copy of ${escapeHtml(name)} is already accounted for`, 'error');
+            return;
+        }
+        nameInput.value = '';
+        showStatus('');
+    });
+
+    document.getElementById('game-tracker-zones')?.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        const index = parseInt(button.dataset.index);
+        switch (button.dataset.action) {
+            case 'remove':
+                DeckConfig.removeKnownCard(button.dataset.zone, button.dataset.zone === 'top' ? index : button.dataset.name);
+                break;
+            case 'up': DeckConfig.moveKnownTopCard(index, -1); break;
+            case 'down': DeckConfig.moveKnownTopCard(index, 1); break;
+        }
+    });
+
+    const clear = () => {
+        DeckConfig.clearKnownCards();
+        showStatus('');
+    };
+    document.getElementById('game-tracker-clear')?.addEventListener('click', clear);
+    document.getElementById('tracker-banner-clear')?.addEventListener('click', clear);
+
+    DeckConfig.onDeckUpdate(refresh);
+    refresh();
+}
@@ -24,13 +24,38 @@ export function factorial(n) {
     return result;
 }
 
+/**
+ * Natural log of n!, from a table grown on demand
+ * @param {number} n - Non-negative integer
+ * @returns {number} - ln(n!)
+ */
+const logFactorialTable = [0];
+export function logFactorial(n) {
+    for (let i = logFactorialTable.length; i <= n; i++) {
+        logFactorialTable[i] = logFactorialTable[i - 1] + Math.log(i);
+    }
+    return logFactorialTable[n];
+}
+
+/**
+ * Natural log of (n choose k)
+ * Stays finite for populations where choose() would overflow.
+ * @param {number} n - Total items
+ * @param {number} k - Items to choose
+ * @returns {number} - ln(n choose k), or -Infinity when k is out of range
+ */
+export function logChoose(n, k) {
+    if (k < 0 || k > n) return -Infinity;
+    return logFactorial(n) - logFactorial(k) - logFactorial(n - k);
+}
+
 /**
  * Binomial coefficient (n choose k) with memoization
  * @param {number} n - Total items
  * @param {number} k - Items to choose
  * @returns {number} - Number of combinations
  */
-const chooseCache = new Map();
+const chooseCache = new Map(); // n -> Map(k -> n choose k)
 
 export function choose(n, k) {
     if (k < 0 || k > n) return 0;
@@ -39,9 +64,13 @@ export function choose(n, k) {
     // Use the smaller of k and n-k for efficiency
     k = Math.min(k, n - k);
 
-    const key = (n << 16) | k; // Simple hash for typical deck sizes (n < 65536)
-    if (chooseCache.has(key)) {
-        return chooseCache.get(key);
+    let row = chooseCache.get(n);
+    if (!row) {
+        row = new Map();
+        chooseCache.set(n, row);
+    }
+    if (row.has(k)) {
+        return row.get(k);
     }
 
     let result = 1;
@@ -50,7 +79,7 @@ export function choose(n, k) {
         result /= (i + 1);
     }
 
-    chooseCache.set(key, result);
+    row.set(k, result);
     return result;
 }
 
@@ -69,10 +98,11 @@ export function drawType(allTotal, typeTotal, allDrawn, typeDrawn) {
     if (typeDrawn > allDrawn) return 0;
     if (allDrawn - typeDrawn > allTotal - typeTotal) return 0;
 
-    const numerator = choose(typeTotal, typeDrawn) * choose(allTotal - typeTotal, allDrawn - typeDrawn);
-    const denominator = choose(allTotal, allDrawn);
-
-    return numerator / denominator;
+    return Math.exp(
+        logChoose(typeTotal, typeDrawn) +
+        logChoose(allTotal - typeTotal, allDrawn - typeDrawn) -
+        logChoose(allTotal, allDrawn)
+    );
 }
 
 /**
@@ -97,91 +127,182 @@ export function drawTypeMin(allTotal, typeTotal, allDrawn, typeDrawn) {
 }
 
 /**
- * Two-type hypergeometric - exactly A and exactly B
+ * Walk every possible draw of allDrawn cards from several disjoint types,
+ * skipping draws below the per-type minimums.
+ * Only the first draw of each run over the last type takes an exp(); the
+ * rest follow from the ratio between neighbouring terms.
+ */
+function walkDraws(allTotal, typeTotals, allDrawn, minDrawn, visit) {
+    const numTypes = typeTotals.length;
+    const othersTotal = allTotal - typeTotals.reduce((sum, n) => sum + n, 0);
+    if (othersTotal < 0 || allDrawn > allTotal) return;
+
+    const logTotal = logChoose(allTotal, allDrawn);
+    const counts = new Array(numTypes).fill(0);
+    if (numTypes === 0) {
+        visit(counts, Math.exp(logChoose(othersTotal, allDrawn) - logTotal));
+        return;
+    }
+
+    // Cards left in types i.. plus the others, to skip draws that can't be filled
+    const capacity = new Array(numTypes + 1).fill(othersTotal);
+    for (let i = numTypes - 1; i >= 0; i--) capacity[i] = capacity[i + 1] + typeTotals[i];
+
+    const last = numTypes - 1;
+    const lastTotal = typeTotals[last];
+    const walk = (index, remaining, logWays) => {
+        const low = Math.max(minDrawn[index], remaining - capacity[index + 1]);
+        const high = Math.min(typeTotals[index], remaining);
+        if (index === last) {
+            if (low > high) return;
+            let p = Math.exp(logWays + logChoose(lastTotal, low) + logChoose(othersTotal, remaining - low) - logTotal);
+            for (let k = low; ; k++) {
+                counts[last] = k;
+                visit(counts, p);
+                if (k === high) break;
+                p *= ((lastTotal - k) * (remaining - k)) / ((k + 1) * (othersTotal - remaining + k + 1));
+            }
+            counts[last] = 0;
+            return;
+        }
+        for (let k = low; k <= high; k++) {
+            counts[index] = k;
+            walk(index + 1, remaining - k, logWays + logChoose(typeTotals[index], k));
+        }
+        counts[index] = 0;
+    };
+    walk(0, allDrawn, 0);
+}
+
+/**
+ * Visit every possible draw from several disjoint types with its probability
+ * Cards not in any type make up the rest of the draw; impossible draws are skipped.
  *
- * @param {number} allTotal - Total cards
- * @param {number} typeATotal - Total type A cards
- * @param {number} typeBTotal - Total type B cards
+ * @param {number} allTotal - Total cards in population
+ * @param {Array<number>} typeTotals - Cards of each (disjoint) type in population
  * @param {number} allDrawn - Cards drawn
- * @param {number} typeADrawn - Type A cards drawn
- * @param {number} typeBDrawn - Type B cards drawn
- * @returns {number} - Probability
+ * @param {Function} visit - (counts, probability) => void; counts is reused, copy it to keep it
  */
-export function drawTwoType(allTotal, typeATotal, typeBTotal, allDrawn, typeADrawn, typeBDrawn) {
-    if (typeADrawn < 0 || typeBDrawn < 0) return 0;
-    if (typeADrawn + typeBDrawn > allDrawn) return 0;
+export function forEachDraw(allTotal, typeTotals, allDrawn, visit) {
+    walkDraws(allTotal, typeTotals, allDrawn, typeTotals.map(() => 0), visit);
+}
 
-    const othersTotal = allTotal - typeATotal - typeBTotal;
-    const othersDrawn = allDrawn - typeADrawn - typeBDrawn;
+/**
+ * Multivariate hypergeometric - exactly typeDrawn[i] of each type
+ * P(X1 = typeDrawn[0], X2 = typeDrawn[1], ... | allTotal, typeTotals, allDrawn)
+ *
+ * @param {number} allTotal - Total cards in population
+ * @param {Array<number>} typeTotals - Cards of each (disjoint) type in population
+ * @param {number} allDrawn - Cards drawn
+ * @param {Array<number>} typeDrawn - Cards of each type drawn; the rest come from cards in no type
+ * @returns {number} - Probability of exactly that draw
+ */
+export function drawTypes(allTotal, typeTotals, allDrawn, typeDrawn) {
+    const drawnTotal = typeDrawn.reduce((sum, n) => sum + n, 0);
+    const othersTotal = allTotal - typeTotals.reduce((sum, n) => sum + n, 0);
+    if (typeDrawn.some((k, i) => k < 0 || k > typeTotals[i])) return 0;
+    if (drawnTotal > allDrawn || allDrawn - drawnTotal > othersTotal) return 0;
+
+    const logWays = typeDrawn.reduce((sum, k, i) => sum + logChoose(typeTotals[i], k), 0);
+    return Math.exp(logWays + logChoose(othersTotal, allDrawn - drawnTotal) - logChoose(allTotal, allDrawn));
+}
 
-    if (othersDrawn < 0 || othersDrawn > othersTotal) return 0;
+/**
+ * Multivariate hypergeometric - at least typeDrawn[i] of each type
+ *
+ * @param {number} allTotal - Total cards in population
+ * @param {Array<number>} typeTotals - Cards of each (disjoint) type in population
+ * @param {number} allDrawn - Cards drawn
+ * @param {Array<number>} typeDrawn - Minimum cards of each type drawn
+ * @returns {number} - Probability of meeting every minimum
+ */
+export function drawTypesMin(allTotal, typeTotals, allDrawn, typeDrawn) {
+    let prob = 0;
+    walkDraws(allTotal, typeTotals, allDrawn, typeDrawn, (counts, p) => {
+        prob += p;
+    });
+    return prob;
+}
 
-    const numerator = choose(typeATotal, typeADrawn) *
-                     choose(typeBTotal, typeBDrawn) *
-                     choose(othersTotal, othersDrawn);
-    const denominator = choose(allTotal, allDrawn);
+/**
+ * Multivariate hypergeometric - any condition on the counts drawn
+ *
+ * @param {number} allTotal - Total cards in population
+ * @param {Array<number>} typeTotals - Cards of each (disjoint) type in population
+ * @param {number} allDrawn - Cards drawn
+ * @param {Function} predicate - (counts) => boolean; counts[i] is cards of type i drawn (reused, don't keep it)
+ * @returns {number} - Probability that the draw satisfies the predicate
+ */
+export function drawTypesWhere(allTotal, typeTotals, allDrawn, predicate) {
+    let prob = 0;
+    forEachDraw(allTotal, typeTotals, allDrawn, (counts, p) => {
+        if (predicate(counts)) prob += p;
+    });
+    return prob;
+}
 
-    return numerator / denominator;
+/**
+ * Two-type hypergeometric - exactly A and exactly B
+ * @deprecated Use drawTypes(allTotal, [typeATotal, typeBTotal], allDrawn, [typeADrawn, typeBDrawn])
+ */
+export function drawTwoType(allTotal, typeATotal, typeBTotal, allDrawn, typeADrawn, typeBDrawn) {
+    return drawTypes(allTotal, [typeATotal, typeBTotal], allDrawn, [typeADrawn, typeBDrawn]);
 }
 
 /**
  * Two-type hypergeometric - at least A and at least B
+ * @deprecated Use drawTypesMin
  */
 export function drawTwoTypeMin(allTotal, typeATotal, typeBTotal, allDrawn, typeADrawn, typeBDrawn) {
-    let prob = 0;
-    const maxA = Math.min(typeATotal, allDrawn);
-    const maxB = Math.min(typeBTotal, allDrawn);
-
-    for (let a = typeADrawn; a <= maxA; a++) {
-        for (let b = typeBDrawn; b <= maxB; b++) {
-            if (a + b <= allDrawn) {
-                prob += drawTwoType(allTotal, typeATotal, typeBTotal, allDrawn, a, b);
-            }
-        }
-    }
-
-    return prob;
+    return drawTypesMin(allTotal, [typeATotal, typeBTotal], allDrawn, [typeADrawn, typeBDrawn]);
 }
 
 /**
  * Three-type hypergeometric - exactly A, B, and C
+ * @deprecated Use drawTypes
  */
 export function drawThreeType(allTotal, typeATotal, typeBTotal, typeCTotal, allDrawn, typeADrawn, typeBDrawn, typeCDrawn) {
-    if (typeADrawn < 0 || typeBDrawn < 0 || typeCDrawn < 0) return 0;
-    if (typeADrawn + typeBDrawn + typeCDrawn > allDrawn) return 0;
-
-    const othersTotal = allTotal - typeATotal - typeBTotal - typeCTotal;
-    const othersDrawn = allDrawn - typeADrawn - typeBDrawn - typeCDrawn;
-
-    if (othersDrawn < 0 || othersDrawn > othersTotal) return 0;
-
-    const numerator = choose(typeATotal, typeADrawn) *
-                     choose(typeBTotal, typeBDrawn) *
-                     choose(typeCTotal, typeCDrawn) *
-                     choose(othersTotal, othersDrawn);
-    const denominator = choose(allTotal, allDrawn);
-
-    return numerator / denominator;
+    return drawTypes(allTotal, [typeATotal, typeBTotal, typeCTotal], allDrawn, [typeADrawn, typeBDrawn, typeCDrawn]);
 }
 
 /**
  * Three-type hypergeometric - at least A, B, and C
+ * @deprecated Use drawTypesMin
  */
 export function drawThreeTypeMin(allTotal, typeATotal, typeBTotal, typeCTotal, allDrawn, typeADrawn, typeBDrawn, typeCDrawn) {
-    let prob = 0;
-    const maxA = Math.min(typeATotal, allDrawn);
-    const maxB = Math.min(typeBTotal, allDrawn);
-    const maxC = Math.min(typeCTotal, allDrawn);
-
-    for (let a = typeADrawn; a <= maxA; a++) {
-        for (let b = typeBDrawn; b <= maxB; b++) {
-            for (let c = typeCDrawn; c <= maxC; c++) {
-                if (a + b + c <= allDrawn) {
-                    prob += drawThreeType(allTotal, typeATotal, typeBTotal, typeCTotal, allDrawn, a, b, c);
-                }
-            }
-        }
+    return drawTypesMin(allTotal, [typeATotal, typeBTotal, typeCTotal], allDrawn, [typeADrawn, typeBDrawn, typeCDrawn]);
+}
+
+/**
+ * Full hypergeometric distribution - P(exactly k) for every k
+ *
+ * @param {number} allTotal - Total cards in population
+ * @param {number} typeTotal - Total success cards in population
+ * @param {number} allDrawn - Cards drawn
+ * @returns {Array<number>} - Probabilities indexed by successes drawn (0..allDrawn)
+ */
+export function drawTypeDistribution(allTotal, typeTotal, allDrawn) {
+    const dist = new Array(allDrawn + 1).fill(0);
+    for (let k = 0; k <= allDrawn; k++) {
+        dist[k] = drawType(allTotal, typeTotal, allDrawn, k);
     }
+    return dist;
+}
 
-    return prob;
+/**
+ * Percentile of a discrete distribution
+ * Smallest k whose cumulative probability reaches the percentile.
+ *
+ * @param {Array<number>} dist - Probabilities indexed by outcome
+ * @param {number} percentile - Percentile as a fraction (0.5 = median)
+ * @returns {number} - Outcome at the percentile
+ */
+export function distributionPercentile(dist, percentile) {
+    let cumulative = 0;
+    for (let k = 0; k < dist.length; k++) {
+        cumulative += dist[k];
+        // Tolerance keeps floating-point drift from skipping an exact boundary
+        if (cumulative >= percentile - 1e-9) return k;
+    }
+    return dist.length - 1;
 }
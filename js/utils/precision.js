@@ -0,0 +1,138 @@
+/**
+ * Simulation Precision
+ * Fixed or adaptive Monte Carlo runs for the simulated calculators (Portent,
+ * Ensnared by the Mara, Dream Harvest, Ad Nauseam, Hermit Druid). Adaptive
+ * runs keep simulating until every 95% interval is within the tolerance or
+ * the simulation cap is reached, so a seed always gives the same results.
+ */
+
+const LIMITS = {
+    TOLERANCE: { min: 0.05, max: 10 },            // Percent
+    MAX_SIMULATIONS: { min: 5000, max: 2000000 }  // Games per adaptive run
+};
+
+// Callbacks for when the settings change
+const changeListeners = [];
+
+let precision = { adaptive: false, tolerance: 0.5, maxSimulations: 200000 };
+
+/**
+ * Get the current precision settings
+ * @returns {Object} - { adaptive, tolerance (percent), maxSimulations }
+ */
+export function getPrecision() {
+    return { ...precision };
+}
+
+/**
+ * Update the precision settings and notify listeners
+ * @param {Object} changes - { adaptive?, tolerance?, maxSimulations? }
+ */
+export function setPrecision(changes) {
+    precision = {
+        adaptive: changes.adaptive ?? precision.adaptive,
+        tolerance: changes.tolerance ?? precision.tolerance,
+        maxSimulations: changes.maxSimulations ?? precision.maxSimulations
+    };
+    changeListeners.forEach(callback => callback(getPrecision()));
+}
+
+/**
+ * Register callback for precision changes
+ * @param {Function} callback - Called with the new settings
+ */
+export function onPrecisionChange(callback) {
+    changeListeners.push(callback);
+}
+
+/**
+ * Parse a number within a range
+ * @returns {number|null} - The number, or null if invalid
+ */
+function parseInRange(text, { min, max }) {
+    const value = Number(String(text ?? '').trim());
+    return String(text ?? '').trim() !== '' && Number.isFinite(value) && value >= min && value <= max ? value : null;
+}
+
+/**
+ * Parse a tolerance in percent (percentage points for chances)
+ * @param {string} text - Raw input
+ * @returns {number|null}
+ */
+export function parseTolerance(text) {
+    return parseInRange(text, LIMITS.TOLERANCE);
+}
+
+/**
+ * Parse the most simulations an adaptive run may take
+ * @param {string} text - Raw input
+ * @returns {number|null} - Whole number of simulations
+ */
+export function parseMaxSimulations(text) {
+    const value = parseInRange(text, LIMITS.MAX_SIMULATIONS);
+    return value === null ? null : Math.round(value);
+}
+
+/**
+ * Cache key fragment for simulated results
+ */
+export function precisionKey(settings = precision) {
+    return settings.adaptive ? `adaptive:${settings.tolerance}:${settings.maxSimulations}` : 'fixed';
+}
+
+/**
+ * Short description of how a run ended, e.g. "25,000 simulations" or
+ * "48,000 simulations (adaptive: within ±0.5)"
+ * @param {number} trials - Trials run
+ * @param {boolean|null} converged - From simulateUntilPrecise
+ * @param {Object} settings - Precision the run used
+ */
+export function describeRun(trials, converged, settings = precision) {
+    const count = `${trials.toLocaleString()} simulations`;
+    if (converged === null || converged === undefined) return count;
+    return converged
+        ? `${count} (adaptive: every interval within ±${settings.tolerance}%)`
+        : `${count} (adaptive: stopped at the ${settings.maxSimulations.toLocaleString()} cap before reaching ±${settings.tolerance}%)`;
+}
+
+/**
+ * Wire up the precision controls
+ */
+export function initPrecision() {
+    const modeSelect = document.getElementById('precision-mode');
+    const toleranceInput = document.getElementById('precision-tolerance');
+    const maxInput = document.getElementById('precision-max');
+
+    const sync = (current) => {
+        if (modeSelect) modeSelect.value = current.adaptive ? 'adaptive' : 'fixed';
+        if (toleranceInput) {
+            toleranceInput.value = current.tolerance;
+            toleranceInput.disabled = !current.adaptive;
+            toleranceInput.classList.remove('invalid');
+        }
+        if (maxInput) {
+            maxInput.value = current.maxSimulations;
+            maxInput.disabled = !current.adaptive;
+            maxInput.classList.remove('invalid');
+        }
+    };
+
+    modeSelect?.addEventListener('change', () => setPrecision({ adaptive: modeSelect.value === 'adaptive' }));
+
+    const bindNumber = (input, parse, field) => {
+        input?.addEventListener('change', () => {
+            const value = parse(input.value);
+            if (value === null) {
+                input.classList.add('invalid');
+                return;
+            }
+            input.classList.remove('invalid');
+            setPrecision({ [field]: value });
+        });
+    };
+    bindNumber(toleranceInput, parseTolerance, 'tolerance');
+    bindNumber(maxInput, parseMaxSimulations, 'maxSimulations');
+
+    sync(precision);
+    onPrecisionChange(sync);
+}
@@ -0,0 +1,417 @@
+/**
+ * Probability Query Language
+ * Parses draw questions such as
+ *   P( lands>=3 AND (ramp>=1 OR tutor>=1) by turn 3 on the draw )
+ *   P(exactly 2 removal in top 10)
+ * and answers them exactly with the multivariate hypergeometric when the
+ * number of hand compositions is small enough, or by simulation otherwise.
+ */
+
+import { choose, drawTypesWhere } from './hypergeometric.js';
+import { partialShuffle } from './simulation.js';
+import { createRng, deriveSeed } from './random.js';
+import { extractCardTypes } from './sampleSimulator.js';
+import { cardsSeenByTurn, getDrawProfile } from './drawProfile.js';
+
+const OPENING_HAND = 7;
+
+// Above this many hand compositions the query is simulated instead
+const EXACT_STATE_LIMIT = 200000;
+const SIMULATION_TRIALS = 20000;
+
+// Categories are tracked as bits of a class mask
+const MAX_CATEGORIES = 30;
+
+const KEYWORDS = ['and', 'or', 'not', 'exactly', 'at', 'least', 'most', 'by', 'turn', 'on', 'the', 'play', 'draw', 'in', 'top', 'opening', 'hand', 'cards'];
+
+/**
+ * Error for a query that cannot be parsed or resolved against the deck
+ */
+export class QueryError extends Error {
+    /**
+     * @param {string} message - What went wrong
+     * @param {number} position - Offset of the offending character in the query
+     */
+    constructor(message, position) {
+        super(message);
+        this.name = 'QueryError';
+        this.position = position;
+    }
+}
+
+/**
+ * Split a query into tokens
+ * @param {string} text - Query text
+ * @returns {Array<Object>} - Tokens { type, value, position }, ending with an 'end' token
+ */
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        const ch = text[i];
+
+        if (/\s/.test(ch)) {
+            i++;
+        } else if (/[0-9]/.test(ch)) {
+            const start = i;
+            while (i < text.length && /[0-9]/.test(text[i])) i++;
+            tokens.push({ type: 'number', value: parseInt(text.slice(start, i)), position: start });
+        } else if (/[A-Za-z_]/.test(ch)) {
+            const start = i;
+            while (i < text.length && /[A-Za-z0-9_'-]/.test(text[i])) i++;
+            tokens.push({ type: 'word', value: text.slice(start, i), position: start });
+        } else if (ch === '"' || ch === "'") {
+            const start = i;
+            const close = text.indexOf(ch, i + 1);
+            if (close === -1) throw new QueryError('Unterminated quoted name', start);
+            tokens.push({ type: 'quoted', value: text.slice(i + 1, close), position: start });
+            i = close + 1;
+        } else if (ch === '(' || ch === ')') {
+            tokens.push({ type: ch, value: ch, position: i });
+            i++;
+        } else if ('<>=!'.includes(ch)) {
+            const two = text.slice(i, i + 2);
+            const op = ['>=', '<=', '==', '!='].includes(two) ? two : ch;
+            if (op === '!') throw new QueryError("Expected '!='", i);
+            tokens.push({ type: 'op', value: op === '==' ? '=' : op, position: i });
+            i += op.length;
+        } else {
+            throw new QueryError(`Unexpected character '${ch}'`, i);
+        }
+    }
+
+    tokens.push({ type: 'end', value: '', position: text.length });
+    return tokens;
+}
+
+/**
+ * Describe a token for error messages
+ */
+function describeToken(token) {
+    return token.type === 'end' ? 'end of query' : `'${token.value}'`;
+}
+
+/**
+ * Parse a query into a condition tree and a draw window
+ * @param {string} text - Query text
+ * @returns {Object} - { condition, window: { cards, turn, onDraw } }
+ * @throws {QueryError} - With the position of the offending token
+ */
+export function parseQuery(text) {
+    const tokens = tokenize(text);
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const isWord = (token, ...words) => token.type === 'word' && words.includes(token.value.toLowerCase());
+    const next = () => tokens[pos++];
+
+    const expectWord = (word) => {
+        const token = next();
+        if (!isWord(token, word)) throw new QueryError(`Expected '${word}' but found ${describeToken(token)}`, token.position);
+        return token;
+    };
+    const expectNumber = (after) => {
+        const token = next();
+        if (token.type !== 'number') throw new QueryError(`Expected a number after '${after}' but found ${describeToken(token)}`, token.position);
+        return token.value;
+    };
+    const expectCategory = () => {
+        const token = next();
+        if (token.type === 'quoted' || (token.type === 'word' && !KEYWORDS.includes(token.value.toLowerCase()))) {
+            return { name: token.value, position: token.position };
+        }
+        throw new QueryError(`Expected a card type, tag or name but found ${describeToken(token)}`, token.position);
+    };
+
+    // Window keywords end the condition
+    const atWindow = () => isWord(peek(), 'by', 'in');
+
+    function parseCount() {
+        const token = peek();
+        if (isWord(token, 'exactly')) {
+            next();
+            const value = expectNumber('exactly');
+            return { type: 'count', category: expectCategory(), op: '=', value };
+        }
+        if (isWord(token, 'at')) {
+            next();
+            const bound = next();
+            if (!isWord(bound, 'least', 'most')) throw new QueryError(`Expected 'least' or 'most' but found ${describeToken(bound)}`, bound.position);
+            const value = expectNumber(`at ${bound.value.toLowerCase()}`);
+            return { type: 'count', category: expectCategory(), op: isWord(bound, 'least') ? '>=' : '<=', value };
+        }
+
+        const category = expectCategory();
+        const op = next();
+        if (op.type !== 'op') throw new QueryError(`Expected a comparison (>=, <=, =, !=, >, <) but found ${describeToken(op)}`, op.position);
+        return { type: 'count', category, op: op.value, value: expectNumber(op.value) };
+    }
+
+    function parsePrimary() {
+        const token = peek();
+        if (token.type === '(') {
+            next();
+            const inner = parseOr();
+            const close = next();
+            if (close.type !== ')') throw new QueryError(`Expected ')' but found ${describeToken(close)}`, close.position);
+            return inner;
+        }
+        if (isWord(token, 'not')) {
+            next();
+            return { type: 'not', operand: parsePrimary() };
+        }
+        return parseCount();
+    }
+
+    function parseAnd() {
+        let left = parsePrimary();
+        while (isWord(peek(), 'and')) {
+            next();
+            left = { type: 'and', left, right: parsePrimary() };
+        }
+        return left;
+    }
+
+    function parseOr() {
+        let left = parseAnd();
+        while (isWord(peek(), 'or')) {
+            next();
+            left = { type: 'or', left, right: parseAnd() };
+        }
+        return left;
+    }
+
+    function parseWindow() {
+        if (isWord(peek(), 'by')) {
+            next();
+            expectWord('turn');
+            const turnToken = peek();
+            const turn = expectNumber('turn');
+            if (turn < 1) throw new QueryError('Turns start at 1', turnToken.position);
+
+            // The shared draw profile sets play or draw and extra looks, unless the query names a side
+            let profile = getDrawProfile();
+            if (isWord(peek(), 'on')) {
+                next();
+                if (isWord(peek(), 'the')) next();
+                const side = next();
+                if (!isWord(side, 'play', 'draw')) throw new QueryError(`Expected 'play' or 'draw' but found ${describeToken(side)}`, side.position);
+                profile = { ...profile, onPlay: isWord(side, 'play') };
+            }
+            return { cards: cardsSeenByTurn(turn, profile), turn, onDraw: !profile.onPlay };
+        }
+
+        if (isWord(peek(), 'in')) {
+            next();
+            if (isWord(peek(), 'the')) next();
+            if (isWord(peek(), 'opening')) {
+                next();
+                expectWord('hand');
+                return { cards: OPENING_HAND };
+            }
+            if (isWord(peek(), 'top')) next();
+            const countToken = peek();
+            const cards = expectNumber('in');
+            if (cards < 1) throw new QueryError('Look at one card or more', countToken.position);
+            if (isWord(peek(), 'cards')) next();
+            return { cards };
+        }
+
+        return { cards: OPENING_HAND };
+    }
+
+    // Optional P( ... ) wrapper
+    const wrapped = isWord(peek(), 'p') && tokens[pos + 1].type === '(';
+    if (wrapped) pos += 2;
+
+    const condition = parseOr();
+    const drawWindow = parseWindow();
+
+    if (wrapped) {
+        const close = next();
+        if (close.type !== ')') throw new QueryError(`Expected ')' but found ${describeToken(close)}`, close.position);
+    }
+
+    const end = peek();
+    if (end.type !== 'end') {
+        const hint = atWindow() ? 'Only one draw window is allowed' : `Unexpected ${describeToken(end)}`;
+        throw new QueryError(hint, end.position);
+    }
+
+    return { condition, window: drawWindow };
+}
+
+/**
+ * Normalize a category name so plurals and case don't matter ("Sorceries" = "sorcery")
+ * @param {string} name - Type, tag or card name
+ * @returns {string}
+ */
+export function normalizeCategory(name) {
+    const lower = name.trim().toLowerCase().replace(/\s+/g, ' ');
+    if (lower.endsWith('ies')) return lower.slice(0, -3) + 'y';
+    if (lower.endsWith('s') && !lower.endsWith('ss')) return lower.slice(0, -1);
+    return lower;
+}
+
+/**
+ * Group imported cards by the categories they can be queried by
+ * @param {Object} cardsByName - Imported card data
+ * @returns {Object} - { deckSize, groups: [{ count, categories }] }
+ */
+export function buildQueryDeck(cardsByName) {
+    const groups = Object.values(cardsByName || {})
+        .filter(card => card.count > 0)
+        .map(card => ({
+            count: card.count,
+            categories: [...extractCardTypes(card), ...(card.tags || []), card.name].map(normalizeCategory)
+        }));
+    return { deckSize: groups.reduce((sum, group) => sum + group.count, 0), groups };
+}
+
+/**
+ * Collect the categories a condition refers to, in order of appearance
+ */
+function collectCategories(node, found = []) {
+    if (node.type === 'count') {
+        found.push(node.category);
+    } else if (node.type === 'not') {
+        collectCategories(node.operand, found);
+    } else {
+        collectCategories(node.left, found);
+        collectCategories(node.right, found);
+    }
+    return found;
+}
+
+/**
+ * Build a predicate over per-category counts from a condition tree
+ */
+function compileCondition(node, indexOf) {
+    switch (node.type) {
+        case 'and': {
+            const left = compileCondition(node.left, indexOf);
+            const right = compileCondition(node.right, indexOf);
+            return counts => left(counts) && right(counts);
+        }
+        case 'or': {
+            const left = compileCondition(node.left, indexOf);
+            const right = compileCondition(node.right, indexOf);
+            return counts => left(counts) || right(counts);
+        }
+        case 'not': {
+            const operand = compileCondition(node.operand, indexOf);
+            return counts => !operand(counts);
+        }
+        default: {
+            const index = indexOf.get(normalizeCategory(node.category.name));
+            const { value } = node;
+            switch (node.op) {
+                case '>=': return counts => counts[index] >= value;
+                case '<=': return counts => counts[index] <= value;
+                case '>': return counts => counts[index] > value;
+                case '<': return counts => counts[index] < value;
+                case '!=': return counts => counts[index] !== value;
+                default: return counts => counts[index] === value;
+            }
+        }
+    }
+}
+
+/**
+ * Evaluate a query against a deck
+ * Cards are split into disjoint classes by which queried categories they
+ * belong to, so overlapping categories (a creature tagged ramp) stay exact.
+ * @param {string|Object} query - Query text or a parsed query
+ * @param {Object} deck - { deckSize, groups: [{ count, categories }] }; cards not in a group are blanks
+ * @param {Object} options - { rng } for the simulation fallback
+ * @returns {Object} - { probability, method: 'exact'|'simulation', cardsSeen, categories: [{ name, count }] }
+ * @throws {QueryError} - For syntax errors and categories the deck doesn't have
+ */
+export function evaluateQuery(query, deck, options = {}) {
+    const parsed = typeof query === 'string' ? parseQuery(query) : query;
+
+    // Resolve categories against the deck
+    const indexOf = new Map();
+    const categories = [];
+    collectCategories(parsed.condition).forEach(({ name, position }) => {
+        const key = normalizeCategory(name);
+        if (indexOf.has(key)) return;
+        const matching = deck.groups.filter(group => group.categories.includes(key));
+        if (matching.length === 0) {
+            throw new QueryError(`No card type, tag or card named '${name}' in the deck`, position);
+        }
+        if (categories.length === MAX_CATEGORIES) {
+            throw new QueryError(`A query can use at most ${MAX_CATEGORIES} different categories`, position);
+        }
+        const count = matching.reduce((sum, group) => sum + group.count, 0);
+        indexOf.set(key, categories.length);
+        categories.push({ name, count });
+    });
+    const keys = [...indexOf.keys()];
+
+    // Disjoint classes keyed by the set of queried categories they belong to
+    const classCounts = new Map();
+    deck.groups.forEach(group => {
+        const mask = keys.reduce((bits, key, i) => bits | (group.categories.includes(key) ? 1 << i : 0), 0);
+        if (mask) classCounts.set(mask, (classCounts.get(mask) || 0) + group.count);
+    });
+    const classes = [...classCounts].map(([mask, count]) => ({ mask, count }));
+
+    // Hand-entered counts can add up to more than the deck size
+    const deckSize = Math.max(deck.deckSize, deck.groups.reduce((sum, group) => sum + group.count, 0));
+    const blanks = deckSize - classes.reduce((sum, cls) => sum + cls.count, 0);
+
+    const cardsSeen = Math.min(parsed.window.cards, deckSize);
+    const predicate = compileCondition(parsed.condition, indexOf);
+    const result = { cardsSeen, categories, window: parsed.window };
+
+    // Hand compositions: capped per class, and never more than the ways to split cardsSeen among the classes
+    const states = Math.min(
+        classes.reduce((product, cls) => product * (Math.min(cls.count, cardsSeen) + 1), 1),
+        choose(cardsSeen + classes.length, classes.length)
+    );
+    if (states <= EXACT_STATE_LIMIT) {
+        return { ...result, probability: exactProbability(classes, deckSize, cardsSeen, keys.length, predicate), method: 'exact' };
+    }
+    const rng = options.rng || createRng(deriveSeed('query'));
+    return { ...result, probability: simulateProbability(classes, blanks, cardsSeen, keys.length, predicate, rng), method: 'simulation' };
+}
+
+/**
+ * Sum the multivariate hypergeometric over every draw from the classes that satisfies the query
+ */
+function exactProbability(classes, deckSize, cardsSeen, numCategories, predicate) {
+    const counts = new Array(numCategories);
+    return drawTypesWhere(deckSize, classes.map(cls => cls.count), cardsSeen, drawn => {
+        counts.fill(0);
+        drawn.forEach((k, c) => {
+            for (let i = 0; i < numCategories; i++) if (classes[c].mask & (1 << i)) counts[i] += k;
+        });
+        return predicate(counts);
+    });
+}
+
+/**
+ * Estimate the probability by drawing random hands
+ */
+function simulateProbability(classes, blanks, cardsSeen, numCategories, predicate, rng) {
+    const deck = new Int32Array(blanks + classes.reduce((sum, cls) => sum + cls.count, 0));
+    let offset = blanks;
+    classes.forEach(({ mask, count }) => {
+        deck.fill(mask, offset, offset + count);
+        offset += count;
+    });
+
+    const counts = new Array(numCategories);
+    let hits = 0;
+    for (let trial = 0; trial < SIMULATION_TRIALS; trial++) {
+        partialShuffle(deck, cardsSeen, deck.length, rng);
+        counts.fill(0);
+        for (let c = 0; c < cardsSeen; c++) {
+            for (let i = 0; i < numCategories; i++) if (deck[c] & (1 << i)) counts[i]++;
+        }
+        if (predicate(counts)) hits++;
+    }
+    return hits / SIMULATION_TRIALS;
+}
@@ -0,0 +1,145 @@
+/**
+ * Seeded Random Number Generation
+ * xoshiro128** generator used by every simulation so sample reveals and
+ * Monte Carlo results can be reproduced from a single shareable seed.
+ */
+
+const MAX_SEED = 0xFFFFFFFF;
+
+// Callbacks for when the seed changes
+const seedListeners = [];
+
+let currentSeed = generateSeed();
+let globalRng = createRng(currentSeed);
+
+/**
+ * SplitMix32 - expands a 32-bit seed into well-mixed state words
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} - Returns the next 32-bit unsigned integer
+ */
+function splitMix32(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x9e3779b9) | 0;
+        let t = a ^ (a >>> 16);
+        t = Math.imul(t, 0x21f0aaad);
+        t ^= t >>> 15;
+        t = Math.imul(t, 0x735a2d97);
+        t ^= t >>> 15;
+        return t >>> 0;
+    };
+}
+
+function rotl(x, k) {
+    return (x << k) | (x >>> (32 - k));
+}
+
+/**
+ * Create an xoshiro128** generator
+ * @param {number} seed - 32-bit unsigned seed
+ * @returns {Function} - Returns floats in [0, 1), same contract as Math.random
+ */
+export function createRng(seed) {
+    const init = splitMix32(seed);
+    let s0 = init(), s1 = init(), s2 = init(), s3 = init();
+
+    // All-zero state is the one invalid xoshiro state
+    if ((s0 | s1 | s2 | s3) === 0) s0 = 1;
+
+    return () => {
+        const result = Math.imul(rotl(Math.imul(s1, 5), 7), 9) >>> 0;
+        const t = s1 << 9;
+
+        s2 ^= s0;
+        s3 ^= s1;
+        s1 ^= s2;
+        s0 ^= s3;
+        s2 ^= t;
+        s3 = rotl(s3, 11);
+
+        return result / 4294967296;
+    };
+}
+
+/**
+ * Generate a fresh random seed
+ * @returns {number} - 32-bit unsigned seed
+ */
+export function generateSeed() {
+    if (globalThis.crypto?.getRandomValues) {
+        return globalThis.crypto.getRandomValues(new Uint32Array(1))[0];
+    }
+    return Math.floor(Math.random() * MAX_SEED);
+}
+
+/**
+ * Validate a seed from user input or a share link
+ * @param {string|number} value - Raw seed value
+ * @returns {number|null} - Seed, or null if invalid
+ */
+export function parseSeed(value) {
+    const str = String(value ?? '').trim();
+    if (!/^\d{1,10}$/.test(str)) return null;
+
+    const seed = Number(str);
+    return seed <= MAX_SEED ? seed : null;
+}
+
+/**
+ * Get the current global seed
+ * @returns {number}
+ */
+export function getSeed() {
+    return currentSeed;
+}
+
+/**
+ * Set the global seed and notify listeners
+ * @param {number} seed - 32-bit unsigned seed
+ */
+export function setSeed(seed) {
+    currentSeed = seed >>> 0;
+    globalRng = createRng(currentSeed);
+    seedListeners.forEach(callback => callback(currentSeed));
+}
+
+/**
+ * Replace the global seed with a fresh random one
+ * @returns {number} - The new seed
+ */
+export function rerollSeed() {
+    setSeed(generateSeed());
+    return currentSeed;
+}
+
+/**
+ * Register callback for seed changes
+ * @param {Function} callback - Called with the new seed
+ */
+export function onSeedChange(callback) {
+    seedListeners.push(callback);
+}
+
+/**
+ * Derive an independent seed for a named stream (e.g. 'portent-samples').
+ * Each calculator gets its own stream so one calculator's draws never
+ * shift another's, and results don't depend on which tab ran first.
+ * @param {string} stream - Stream name
+ * @returns {number} - 32-bit unsigned seed
+ */
+export function deriveSeed(stream) {
+    let h = (0x811c9dc5 ^ currentSeed) >>> 0;
+    for (let i = 0; i < stream.length; i++) {
+        h ^= stream.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+/**
+ * Draw from the global seeded generator
+ * @returns {number} - Float in [0, 1)
+ */
+export function random() {
+    return globalRng();
+}
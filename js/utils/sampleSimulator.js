@@ -58,23 +58,78 @@ export function buildDeckFromCardData(cardData) {
                 type_line: card.type_line,
                 cmc: cmc,
                 mana_cost: card.mana_cost || '',
-                power: card.power
+                power: card.power,
+                tags: card.tags || []
             });
         }
     });
     return deck;
 }
 
+/**
+ * Get the cards in the library. The commander starts in the command zone.
+ * @param {Object} cardsByName - Imported cards by name
+ * @param {string|null} commanderName - Commander name, if any
+ * @returns {Object} - A copy of cardsByName without the commander
+ */
+export function getLibraryCards(cardsByName, commanderName) {
+    const libraryCards = { ...cardsByName };
+    if (commanderName) delete libraryCards[commanderName];
+    return libraryCards;
+}
+
+/**
+ * Hash card names and counts, to tell when a deck changed (cache keys, samples)
+ * @param {Object} cardsByName - Cards by name
+ * @param {boolean} withTags - Include each card's tags, for calculators that read them
+ * @returns {string}
+ */
+export function hashCardCounts(cardsByName, withTags = false) {
+    return Object.values(cardsByName || {})
+        .map(card => `${card.count}x${card.name}${withTags ? `:${(card.tags || []).join(',')}` : ''}`)
+        .join('|');
+}
+
+/**
+ * Take one copy of a card out of a deck, e.g. the spell being cast
+ * @param {Array} deck - Deck from buildDeckFromCardData (modified in place)
+ * @param {string} name - Card name
+ * @returns {boolean} - Whether a copy was in the deck
+ */
+export function removeOneCopy(deck, name) {
+    const index = deck.findIndex(card => card.name === name);
+    if (index === -1) return false;
+    deck.splice(index, 1);
+    return true;
+}
+
 /**
  * Fisher-Yates shuffle
  * @param {Array} array - Array to shuffle (modified in place)
+ * @param {Function} rng - Optional random source (defaults to the global seeded generator)
  * @returns {Array} - Shuffled array
  */
-export function shuffleDeck(array) {
-    shuffle(array);
+export function shuffleDeck(array, rng) {
+    shuffle(array, rng);
     return array;
 }
 
+/**
+ * Move known top cards (e.g. after a scry) to the top of a shuffled deck, in
+ * order. The rest of the deck keeps its random order.
+ * @param {Array} deck - Shuffled deck (modified in place)
+ * @param {Array<string>} topNames - Known card names, top card first
+ * @returns {Array} - The deck
+ */
+export function placeKnownTop(deck, topNames) {
+    topNames.forEach((name, position) => {
+        const index = deck.findIndex((card, i) => i >= position && card.name === name);
+        if (index === -1) return;
+        [deck[position], deck[index]] = [deck[index], deck[position]];
+    });
+    return deck;
+}
+
 /**
  * Render a card badge with color coding
  * @param {Object} card - Card object
@@ -204,4 +259,55 @@ export function createCollapsibleSection(title, content, openByDefault = true) {
             </div>
         </details>
     `;
-}
\ No newline at end of file
+}
+
+/**
+ * Fill a sample reveals display: a summary of every sample, then a
+ * collapsible list of them, rendered in batches behind a Load More button
+ * @param {HTMLElement} display - The calculator's reveals display
+ * @param {Object} options - Display options
+ * @param {string} options.name - Calculator name (prefixes the list and button ids)
+ * @param {string} options.heading - Summary heading
+ * @param {Array<string>} options.stats - Summary figures (HTML), shown in one row
+ * @param {string} options.title - What a sample is, e.g. 'Cascades'
+ * @param {number} options.count - Number of samples
+ * @param {Function} options.renderSample - Returns the HTML for the sample at an index
+ * @param {number} options.batchSize - Samples per batch
+ */
+export function renderSampleList(display, { name, heading, stats, title, count, renderSample, batchSize = 50 }) {
+    const listId = `${name}-samples-list`;
+    const btnId = `${name}-load-more`;
+
+    const summaryHTML = `<div style="margin-top: var(--spacing-md); padding: var(--spacing-md); background: var(--panel-bg-alt); border-radius: var(--radius-md);">
+        <h4 style="margin-top: 0;">${heading}</h4>
+        <div style="display: flex; justify-content: space-between; flex-wrap: wrap; gap: var(--spacing-sm); font-size: 0.9em;">${stats.filter(Boolean).join('')}</div>
+    </div>`;
+    const listHTML = `<div id="${listId}"></div><button id="${btnId}" class="import-btn" style="width: 100%; margin-top: 12px; display: none;">Load More (${batchSize})</button>`;
+    display.innerHTML = summaryHTML + createCollapsibleSection(`Show/Hide Individual ${title} (${count} simulations)`, listHTML, true);
+
+    const listContainer = document.getElementById(listId);
+    const loadMoreBtn = document.getElementById(btnId);
+    let renderedCount = 0;
+
+    const renderBatch = () => {
+        const end = Math.min(renderedCount + batchSize, count);
+        let html = '';
+        for (let i = renderedCount; i < end; i++) {
+            html += renderSample(i);
+        }
+        if (listContainer) listContainer.insertAdjacentHTML('beforeend', html);
+        renderedCount = end;
+
+        if (loadMoreBtn) {
+            if (renderedCount < count) {
+                loadMoreBtn.style.display = 'block';
+                loadMoreBtn.textContent = `Load More (Showing ${renderedCount}/${count})`;
+            } else {
+                loadMoreBtn.style.display = 'none';
+            }
+        }
+    };
+
+    renderBatch();
+    if (loadMoreBtn) loadMoreBtn.addEventListener('click', renderBatch);
+}
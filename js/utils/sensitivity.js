@@ -0,0 +1,373 @@
+/**
+ * Sensitivity Analysis ("what moves the needle")
+ * Re-runs a calculator's calculate() with each deck input nudged by one card
+ * (+1 land, -1 three-drop, ...) and draws the changes as a tornado chart.
+ * Monte Carlo results carry a standard error, so each change gets a 95%
+ * interval and real differences can be told apart from noise.
+ */
+
+import * as DeckConfig from './deckConfig.js';
+import { buildDeckState } from './decklistImport.js';
+import { createOrUpdateChart } from './chartHelpers.js';
+import { renderMultiColumnTable } from './tableUtils.js';
+import { renderStatCard, renderStatsGrid } from './components.js';
+import { batchProcess, formatNumber, formatPercentage } from './simulation.js';
+import { Z_95 } from './confidence.js';
+
+const COLORS = {
+    plus: '#4ade80',
+    plusFaint: 'rgba(74, 222, 128, 0.25)',
+    minus: '#f87171',
+    minusFaint: 'rgba(248, 113, 113, 0.25)',
+    grid: 'rgba(148, 163, 184, 0.2)',
+    text: '#a09090'
+};
+
+// Manual deck fields: [field, singular label]. Lands first, then nonland types.
+const TYPE_FIELDS = [
+    ['lands', 'land'],
+    ['creatures', 'creature'],
+    ['instants', 'instant'],
+    ['sorceries', 'sorcery'],
+    ['artifacts', 'artifact'],
+    ['enchantments', 'enchantment'],
+    ['planeswalkers', 'planeswalker'],
+    ['battles', 'battle']
+];
+
+const MAX_CMC_BUCKET = 6;
+
+// Latest results and charts per calculator
+const summaries = new Map();
+const charts = new Map();
+
+/**
+ * Label for a CMC bucket, e.g. "3-drop" or "6+ drop"
+ */
+function cmcLabel(cmc) {
+    return cmc >= MAX_CMC_BUCKET ? `${MAX_CMC_BUCKET}+ drop` : `${cmc}-drop`;
+}
+
+/**
+ * The card a group is nudged with: most copies, then alphabetical
+ */
+function pickRepresentative(cards) {
+    return [...cards].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))[0] || null;
+}
+
+/**
+ * Nudges for an imported card list: add or remove one copy of the most
+ * common card in each group (lands, nonland CMC buckets, nonland types)
+ */
+function cardListPerturbations(state) {
+    const cards = Object.values(state.cardsByName).filter(card => card.count > 0);
+    const isLand = card => (card.allCategories || []).includes('lands');
+    const spells = cards.filter(card => !isLand(card));
+
+    const groups = [{ label: 'land', cards: cards.filter(isLand) }];
+    for (let cmc = 0; cmc <= MAX_CMC_BUCKET; cmc++) {
+        groups.push({ label: cmcLabel(cmc), cards: spells.filter(card => Math.min(MAX_CMC_BUCKET, Math.floor(card.cmc || 0)) === cmc) });
+    }
+    TYPE_FIELDS.slice(1).forEach(([field, label]) => {
+        groups.push({ label, cards: spells.filter(card => (card.allCategories || []).includes(field)) });
+    });
+
+    // Groups that pick the same card make the same deck, so run it once
+    const byCard = new Map();
+    groups.forEach(group => {
+        const card = pickRepresentative(group.cards);
+        if (!card) return;
+        if (byCard.has(card.name)) byCard.get(card.name).labels.push(group.label);
+        else byCard.set(card.name, { card, labels: [group.label] });
+    });
+
+    const withCount = (card, count) => ({
+        ...state,
+        ...buildDeckState({ ...state.cardsByName, [card.name]: { ...card, count } })
+    });
+
+    return [...byCard.values()].flatMap(({ card, labels }) => {
+        const input = `${labels.join(' / ')} (${card.name})`;
+        return [
+            { input, delta: 1, state: withCount(card, card.count + 1) },
+            { input, delta: -1, state: withCount(card, card.count - 1) }
+        ];
+    });
+}
+
+/**
+ * Nudges for a hand-entered deck: each type count (one card more or less in
+ * the deck) and each CMC bucket (one card of the deck moved into the bucket)
+ */
+function manualPerturbations(state) {
+    const perturbations = [];
+    const hasCardCount = state.actualCardCount !== null && state.actualCardCount !== undefined;
+
+    TYPE_FIELDS.forEach(([field, label]) => {
+        [1, -1].forEach(delta => {
+            if ((state[field] || 0) + delta < 0) return;
+            perturbations.push({
+                input: label,
+                delta,
+                state: {
+                    ...state,
+                    [field]: (state[field] || 0) + delta,
+                    actualCardCount: hasCardCount ? state.actualCardCount + delta : state.actualCardCount
+                }
+            });
+        });
+    });
+
+    for (let cmc = 0; cmc <= MAX_CMC_BUCKET; cmc++) {
+        const field = `cmc${cmc}`;
+        [1, -1].forEach(delta => {
+            if ((state[field] || 0) + delta < 0) return;
+            perturbations.push({ input: cmcLabel(cmc), delta, state: { ...state, [field]: (state[field] || 0) + delta } });
+        });
+    }
+
+    return perturbations;
+}
+
+/**
+ * Every one-card change to a deck
+ * @param {Object} state - Deck state (DeckConfig.getFullDeckConfig())
+ * @returns {Array<Object>} - [{ input, delta: 1 | -1, state }]
+ */
+export function buildPerturbations(state) {
+    return Object.keys(state.cardsByName || {}).length > 0
+        ? cardListPerturbations(state)
+        : manualPerturbations(state);
+}
+
+/**
+ * Run calculate() on a deck state and read each metric
+ * @returns {Array<Object|null>} - Per metric { value, error }, or null when it doesn't apply
+ */
+function measure(calculate, metrics, state) {
+    const data = DeckConfig.withDeckState(state, calculate);
+    return metrics.map(metric => {
+        const value = metric.value(data);
+        if (value === null || value === undefined || !Number.isFinite(value)) return null;
+        return { value, error: metric.error ? metric.error(data) : 0 };
+    });
+}
+
+/**
+ * Change against the current deck, with its 95% interval. Runs share a seed,
+ * so the independent-samples interval used here is conservative.
+ */
+function compare(base, varied) {
+    if (!base || !varied) return null;
+    const change = varied.value - base.value;
+    const interval = Z_95 * Math.sqrt(base.error ** 2 + varied.error ** 2);
+    return { value: varied.value, change, interval, significant: Math.abs(change) > Math.max(interval, 1e-9) };
+}
+
+/**
+ * Collect the measured runs into one tornado per metric, biggest swing first
+ */
+function summarize(metrics, base, perturbations, measured) {
+    return metrics.map((metric, m) => {
+        const rows = new Map();
+        perturbations.forEach((perturbation, i) => {
+            if (!rows.has(perturbation.input)) rows.set(perturbation.input, { input: perturbation.input, plus: null, minus: null });
+            rows.get(perturbation.input)[perturbation.delta > 0 ? 'plus' : 'minus'] = compare(base[m], measured[i][m]);
+        });
+
+        const swing = row => Math.max(Math.abs(row.plus?.change || 0), Math.abs(row.minus?.change || 0));
+        const all = [...rows.values()].filter(row => row.plus || row.minus);
+        return {
+            label: metric.label,
+            percent: metric.percent === true,
+            simulated: typeof metric.error === 'function',
+            base: base[m],
+            rows: all.filter(row => swing(row) > 1e-9).sort((a, b) => swing(b) - swing(a)),
+            unchanged: all.filter(row => swing(row) <= 1e-9).map(row => row.input)
+        };
+    });
+}
+
+/**
+ * Nudge every deck input by one card and re-run a calculator
+ * @param {Function} calculate - The calculator's calculate()
+ * @param {Array<Object>} metrics - [{ label, value(data), error?(data), percent? }];
+ *                                  error gives the standard error of a simulated value
+ * @param {Object} state - Deck state to start from (defaults to the whole deck)
+ * @returns {Array<Object>} - Per metric { label, percent, simulated, base, rows, unchanged };
+ *                            rows are [{ input, plus, minus }] with { value, change, interval, significant }
+ */
+export function analyzeSensitivity(calculate, metrics, state = DeckConfig.getFullDeckConfig()) {
+    const base = measure(calculate, metrics, state);
+    const perturbations = buildPerturbations(state);
+    const measured = perturbations.map(perturbation => measure(calculate, metrics, perturbation.state));
+    return summarize(metrics, base, perturbations, measured);
+}
+
+/**
+ * Format a metric value
+ */
+function formatValue(summary, value) {
+    return summary.percent ? formatPercentage(value) : formatNumber(value, 2);
+}
+
+/**
+ * Format a change in a metric (percentage points for probabilities)
+ */
+function formatChange(summary, change, signed = true) {
+    const sign = signed && change > 0 ? '+' : '';
+    return summary.percent ? `${sign}${(change * 100).toFixed(1)} pts` : `${sign}${formatNumber(change, 2)}`;
+}
+
+/**
+ * Table cell for one change: the change, its ± interval, dimmed when it's noise
+ */
+function changeCell(summary, result) {
+    if (!result) return { value: '—', class: 'sensitivity-noise' };
+    const interval = summary.simulated ? ` <small>± ${formatChange(summary, result.interval, false)}</small>` : '';
+    return {
+        value: `${formatChange(summary, result.change)}${interval}`,
+        class: result.significant ? (result.change > 0 ? 'sensitivity-up' : 'sensitivity-down') : 'sensitivity-noise'
+    };
+}
+
+/**
+ * Draw the tornado chart, stat cards and table for one metric
+ */
+function renderSummary(name, summary) {
+    const resultEl = document.getElementById(`${name}-sensitivity-result`);
+    const scale = summary.percent ? 100 : 1;
+    const unit = summary.percent ? ' pts' : '';
+
+    if (resultEl) {
+        const top = summary.rows[0];
+        const topResult = top ? [top.plus, top.minus].filter(Boolean).sort((a, b) => Math.abs(b.change) - Math.abs(a.change))[0] : null;
+        const baseText = summary.base
+            ? `${formatValue(summary, summary.base.value)}${summary.simulated ? ` ± ${formatValue(summary, Z_95 * summary.base.error)}` : ''}`
+            : 'n/a';
+        const noise = summary.rows.filter(row => [row.plus, row.minus].every(r => !r || !r.significant)).length;
+        resultEl.innerHTML = renderStatsGrid([
+            renderStatCard(summary.label, baseText, 'current deck', COLORS.text),
+            renderStatCard('Biggest Mover', top ? top.input : 'nothing', topResult ? formatChange(summary, topResult.change) : 'no change moved it', topResult && topResult.change < 0 ? COLORS.minus : COLORS.plus),
+            ...(summary.simulated ? [renderStatCard('Within Noise', `${noise} of ${summary.rows.length}`, 'changes inside the 95% interval', COLORS.text)] : [])
+        ]) + (summary.unchanged.length > 0
+            ? `<p class="deck-compare-hint">No effect: ${summary.unchanged.join(', ')}</p>`
+            : '');
+    }
+
+    const colorsFor = (key, solid, faint) => summary.rows.map(row => row[key]?.significant ? solid : faint);
+    charts.set(name, createOrUpdateChart(charts.get(name), `${name}-sensitivity-chart`, {
+        type: 'bar',
+        data: {
+            labels: summary.rows.map(row => row.input),
+            datasets: [
+                { label: '+1 card', data: summary.rows.map(row => row.plus ? row.plus.change * scale : null), backgroundColor: colorsFor('plus', COLORS.plus, COLORS.plusFaint) },
+                { label: '-1 card', data: summary.rows.map(row => row.minus ? row.minus.change * scale : null), backgroundColor: colorsFor('minus', COLORS.minus, COLORS.minusFaint) }
+            ]
+        },
+        options: {
+            indexAxis: 'y',
+            interaction: { mode: 'index', intersect: false },
+            scales: {
+                x: { title: { display: true, text: `Change in ${summary.label}${unit}`, color: COLORS.text }, grid: { color: COLORS.grid }, ticks: { color: COLORS.text } },
+                y: { grid: { color: COLORS.grid }, ticks: { color: COLORS.text } }
+            },
+            plugins: {
+                legend: { display: true, labels: { color: COLORS.text } },
+                tooltip: {
+                    callbacks: {
+                        label: ctx => `${ctx.dataset.label}: ${ctx.parsed.x > 0 ? '+' : ''}${ctx.parsed.x.toFixed(2)}${unit}`
+                    }
+                }
+            }
+        }
+    }));
+
+    renderMultiColumnTable(`${name}-sensitivity-table`,
+        ['Change', '+1 card', '-1 card'],
+        summary.rows.map(row => [row.input, changeCell(summary, row.plus), changeCell(summary, row.minus)])
+    );
+}
+
+/**
+ * Show a status line under the run button
+ */
+function showStatus(name, message) {
+    const status = document.getElementById(`${name}-sensitivity-status`);
+    if (status) status.innerHTML = message;
+}
+
+/**
+ * Run the analysis for a calculator, one deck per frame so the page stays responsive
+ */
+function runSensitivity(name, calculate, metrics) {
+    const state = DeckConfig.getFullDeckConfig();
+    if (DeckConfig.getDeckSize(true) === 0) {
+        showStatus(name, 'Set up a deck first.');
+        return;
+    }
+
+    const button = document.getElementById(`${name}-sensitivity-run`);
+    if (button) button.disabled = true;
+
+    const perturbations = buildPerturbations(state);
+    const base = measure(calculate, metrics, state);
+    const measured = [];
+
+    batchProcess(perturbations.length, 1, (start, end) => {
+        for (let i = start; i < end; i++) measured.push(measure(calculate, metrics, perturbations[i].state));
+        showStatus(name, `Running ${measured.length} of ${perturbations.length} deck changes…`);
+    }, () => {
+        if (button) button.disabled = false;
+        summaries.set(name, summarize(metrics, base, perturbations, measured));
+        const simulated = metrics.some(metric => metric.error);
+        showStatus(name, `${perturbations.length} deck changes tried.${simulated ? ' Simulated results: ± is the 95% interval of the change, and faded bars are within noise.' : ''}`);
+        renderSummary(name, summaries.get(name)[parseInt(document.getElementById(`${name}-sensitivity-metric`)?.value) || 0]);
+    });
+}
+
+/**
+ * Note that the shown analysis is for an older deck or settings
+ * @param {string} name - Calculator name
+ */
+export function markSensitivityStale(name) {
+    if (summaries.has(name)) {
+        showStatus(name, 'The deck or settings changed since this run. Run it again to update.');
+    }
+}
+
+/**
+ * Fill a calculator's sensitivity panel and wire its controls
+ * @param {string} name - Calculator name; the panel is #{name}-sensitivity
+ * @param {Function} calculate - The calculator's calculate()
+ * @param {Array<Object>} metrics - See analyzeSensitivity
+ */
+export function initSensitivityPanel(name, calculate, metrics) {
+    const container = document.getElementById(`${name}-sensitivity`);
+    if (!container) return;
+
+    container.innerHTML = `
+        <h2>🎚️ What Moves the Needle</h2>
+        <p class="deck-compare-hint">Re-runs this calculator with one card more or fewer of each kind: a land, each mana value, each card type. With an imported list it adds or removes a copy of the most common card in the group.</p>
+        <div class="sensitivity-form">
+            <label>Result
+                <select id="${name}-sensitivity-metric" aria-label="Result to analyze">
+                    ${metrics.map((metric, i) => `<option value="${i}">${metric.label}</option>`).join('')}
+                </select>
+            </label>
+            <button id="${name}-sensitivity-run" class="import-btn">🎚️ Run Sensitivity</button>
+        </div>
+        <div id="${name}-sensitivity-status" class="deck-compare-hint"></div>
+        <div id="${name}-sensitivity-result"></div>
+        <div class="chart-container" style="height: 360px;">
+            <canvas id="${name}-sensitivity-chart" role="img" aria-label="Sensitivity tornado chart"></canvas>
+        </div>
+        <div class="table-wrapper" id="${name}-sensitivity-table"></div>
+    `;
+
+    document.getElementById(`${name}-sensitivity-run`)?.addEventListener('click', () => runSensitivity(name, calculate, metrics));
+    document.getElementById(`${name}-sensitivity-metric`)?.addEventListener('change', (e) => {
+        const summary = summaries.get(name)?.[parseInt(e.target.value) || 0];
+        if (summary) renderSummary(name, summary);
+    });
+}
@@ -7,9 +7,10 @@ import * as DeckConfig from './deckConfig.js';
 import * as Mulligan from '../calculators/mulligan.js';
 import * as Mara from '../calculators/mara.js';
 import * as DreamHarvest from '../calculators/dreamharvest.js';
-
-// Valid tab names whitelist
-const VALID_TABS = ['portent', 'surge', 'wave', 'vow', 'vortex', 'rashmi', 'lands', 'mulligan', 'lumra', 'mara', 'dreamharvest'];
+import { getSeed, setSeed, parseSeed } from './random.js';
+import { getDrawProfile, setDrawProfile, parseExtraSeen } from './drawProfile.js';
+import { getPrecision, setPrecision, parseTolerance, parseMaxSimulations } from './precision.js';
+import { isCalculatorTab } from './tabs.js';
 
 // Allowed deck import domains
 const ALLOWED_DECK_HOSTS = ['moxfield.com', 'www.moxfield.com', 'archidekt.com', 'www.archidekt.com'];
@@ -23,6 +24,46 @@ const DEFAULT_DECK_URL = 'https://moxfield.com/decks/BdgPCOK4IUyNd2287K2mvg';
 export async function parseShareUrl() {
     const params = new URLSearchParams(window.location.search);
 
+    // 0. Random Seed - applied first so every simulation below uses it
+    if (params.has('seed')) {
+        const seed = parseSeed(params.get('seed'));
+        if (seed !== null) {
+            setSeed(seed);
+        } else {
+            console.warn('Ignoring invalid seed in share link:', params.get('seed'));
+        }
+    }
+
+    // 0b. Draw Profile - play/draw and extra cards seen by turn
+    if (params.has('draw')) {
+        const side = params.get('draw');
+        if (side === 'play' || side === 'draw') {
+            setDrawProfile({ onPlay: side === 'play' });
+        } else {
+            console.warn('Ignoring invalid draw setting in share link:', side);
+        }
+    }
+    if (params.has('extraSeen')) {
+        const extraSeen = parseExtraSeen(params.get('extraSeen'));
+        if (extraSeen !== null) {
+            setDrawProfile({ extraSeen });
+        } else {
+            console.warn('Ignoring invalid extraSeen in share link:', params.get('extraSeen'));
+        }
+    }
+
+    // 0c. Adaptive precision - "tolerance,maxSimulations"
+    if (params.has('precision')) {
+        const [tolerance, maxSimulations] = params.get('precision').split(',').map(part => part.trim());
+        const parsedTolerance = parseTolerance(tolerance);
+        const parsedMax = parseMaxSimulations(maxSimulations);
+        if (parsedTolerance !== null && parsedMax !== null) {
+            setPrecision({ adaptive: true, tolerance: parsedTolerance, maxSimulations: parsedMax });
+        } else {
+            console.warn('Ignoring invalid precision in share link:', params.get('precision'));
+        }
+    }
+
     // 1. Deck Import (Async) - with URL validation
     const deckUrl = params.get('deck');
     if (deckUrl) {
@@ -40,9 +81,9 @@ export async function parseShareUrl() {
         }
     }
 
-    // 2. Tab Selection - with whitelist validation
+    // 2. Tab Selection - only names in the tab list
     const tab = params.get('tab');
-    if (tab && VALID_TABS.includes(tab)) {
+    if (tab && isCalculatorTab(tab)) {
         // Trigger tab switch via the selector logic in main.js
         // Since we don't have direct access to switchTab from here without circular dependency,
         // we simulate a click on the selector option.
@@ -80,7 +121,8 @@ export async function parseShareUrl() {
                 typeof t.byTurn === 'number' &&
                 t.count >= 0 && t.count <= 100 &&
                 t.required >= 0 && t.required <= 100 &&
-                t.byTurn >= 0 && t.byTurn <= 20
+                t.byTurn >= 0 && t.byTurn <= 20 &&
+                (t.tag === undefined || typeof t.tag === 'string')
             )) {
                 Mulligan.setCardTypes(types);
             } else {
@@ -203,6 +245,18 @@ export function getShareUrl() {
         params.set('deck', deckConfig.importUrl);
     }
 
+    // Random Seed - reproduces the same sample reveals and simulations
+    params.set('seed', getSeed());
+
+    // Draw Profile - only when it differs from the default (on the play, no extra cards)
+    const drawProfile = getDrawProfile();
+    if (!drawProfile.onPlay) params.set('draw', 'draw');
+    if (drawProfile.extraSeen.length > 0) params.set('extraSeen', drawProfile.extraSeen.join(','));
+
+    // Simulation Precision - only in adaptive mode (fixed runs are the default)
+    const precision = getPrecision();
+    if (precision.adaptive) params.set('precision', `${precision.tolerance},${precision.maxSimulations}`);
+
     // Mulligan Specifics
     if (activeTab && activeTab.id === 'mulligan-tab') {
         const mullState = Mulligan.getState();
@@ -214,7 +268,8 @@ export function getShareUrl() {
                 count: t.count,
                 required: t.required,
                 byTurn: t.byTurn,
-                color: t.color
+                color: t.color,
+                tag: t.tag
             })));
             params.set('mullTypes', serializedTypes);
         }
@@ -3,6 +3,8 @@
  * Common functions for Monte Carlo simulations
  */
 
+import { random } from './random.js';
+
 /**
  * Create a hash from deck configuration for cache invalidation
  * @param {Object} config - Deck configuration object
@@ -33,10 +35,11 @@ export function debounce(func, wait) {
 /**
  * Fisher-Yates shuffle (in-place)
  * @param {Array} array - Array to shuffle
+ * @param {Function} rng - Random source returning [0, 1) (defaults to the global seeded generator)
  */
-export function shuffle(array) {
+export function shuffle(array, rng = random) {
     for (let i = array.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(rng() * (i + 1));
         [array[i], array[j]] = [array[j], array[i]];
     }
 }
@@ -46,10 +49,11 @@ export function shuffle(array) {
  * @param {TypedArray} deck - Deck array
  * @param {number} count - Number of cards to draw
  * @param {number} deckSize - Size of deck
+ * @param {Function} rng - Random source returning [0, 1) (defaults to the global seeded generator)
  */
-export function partialShuffle(deck, count, deckSize) {
+export function partialShuffle(deck, count, deckSize, rng = random) {
     for (let i = 0; i < count; i++) {
-        const j = i + Math.floor(Math.random() * (deckSize - i));
+        const j = i + Math.floor(rng() * (deckSize - i));
         const temp = deck[i];
         deck[i] = deck[j];
         deck[j] = temp;
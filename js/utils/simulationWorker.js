@@ -0,0 +1,41 @@
+/**
+ * Simulation Worker
+ * Module worker spawned by workerPool.js. Importing the calculators
+ * registers their simulation tasks; messages name the task to run.
+ */
+
+import { getSimulationTask } from './workerPool.js';
+import '../calculators/portent.js';
+import '../calculators/mara.js';
+import '../calculators/dreamharvest.js';
+import '../calculators/goldfish.js';
+import '../calculators/adnauseam.js';
+import '../calculators/hermit.js';
+
+// Progress messages are throttled to avoid flooding the main thread
+const PROGRESS_STEP = 0.05;
+
+self.onmessage = (event) => {
+    const { id, task, payload } = event.data;
+    const fn = getSimulationTask(task);
+
+    if (!fn) {
+        self.postMessage({ id, type: 'error', message: `Unknown simulation task: ${task}` });
+        return;
+    }
+
+    let lastReported = 0;
+    const reportProgress = (fraction) => {
+        if (fraction - lastReported >= PROGRESS_STEP || fraction >= 1) {
+            lastReported = fraction;
+            self.postMessage({ id, type: 'progress', fraction });
+        }
+    };
+
+    try {
+        const result = fn(payload, reportProgress);
+        self.postMessage({ id, type: 'result', result });
+    } catch (err) {
+        self.postMessage({ id, type: 'error', message: err.message });
+    }
+};
@@ -3,6 +3,8 @@
  * Shared functions for creating and rendering consistent comparison tables
  */
 
+import { isRecording, recordTable, addDeltaColumns } from './comparison.js';
+
 /**
  * Render a multi-column comparison table to a DOM element
  * @param {string} elementId - ID of the container element
@@ -11,9 +13,17 @@
  * @param {Object} options - formatting options (highlightRowIndex, tableClass)
  */
 export function renderMultiColumnTable(elementId, headers, rows, options = {}) {
+    // Challenger deck render (A/B compare): keep the rows for the delta columns
+    if (isRecording()) {
+        recordTable(elementId, headers, rows);
+        return;
+    }
+
     const container = document.getElementById(elementId);
     if (!container) return;
 
+    ({ headers, rows } = addDeltaColumns(elementId, headers, rows));
+
     const { highlightRowIndex = -1, tableClass = 'comparison-table' } = options;
 
     let html = `<table class="${tableClass}">`;
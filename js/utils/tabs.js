@@ -0,0 +1,35 @@
+/**
+ * Calculator Tabs
+ * Every calculator tab with its selector icon, name and navigation group.
+ * Tab switching and share links both read this list.
+ */
+
+export const CALCULATOR_TABS = {
+    portent: { icon: '⚡', name: 'Portent of Calamity', group: 'spells' },
+    surge: { icon: '🌿', name: 'Primal Surge', group: 'spells' },
+    wave: { icon: '🌊', name: 'Genesis Wave', group: 'spells' },
+    vow: { icon: '🌱', name: 'Kamahl\'s Druidic Vow', group: 'spells' },
+    vortex: { icon: '🌀', name: 'Monstrous Vortex', group: 'spells' },
+    cascade: { icon: '🌋', name: 'Cascade', group: 'spells' },
+    lookpick: { icon: '👁️', name: 'Look and Pick', group: 'spells' },
+    adnauseam: { icon: '🩸', name: 'Ad Nauseam / Citadel', group: 'spells' },
+    pact: { icon: '🗝️', name: 'Tainted Pact / Consultation', group: 'spells' },
+    rashmi: { icon: '🌌', name: 'Rashmi', group: 'Creatures' },
+    lumra: { icon: '🐻', name: 'Lumra', group: 'Creatures' },
+    hermit: { icon: '🧙', name: 'Hermit Druid / Mulch', group: 'Creatures' },
+    lands: { icon: '🏔️', name: 'Land Drops', group: 'deck-tools' },
+    manabase: { icon: '🎨', name: 'Mana Base', group: 'deck-tools' },
+    goldfish: { icon: '🐟', name: 'Goldfish', group: 'deck-tools' },
+    mulligan: { icon: '🃏', name: 'Mulligan Strategy', group: 'deck-tools' },
+    mara: { icon: '🎭', name: 'Ensnared by the Mara', group: 'multiplayer' },
+    dreamharvest: { icon: '🌙', name: 'Dream Harvest', group: 'multiplayer' }
+};
+
+/**
+ * Whether a name is a calculator tab (e.g. the tab param of a share link)
+ * @param {string} tab - Tab name
+ * @returns {boolean}
+ */
+export function isCalculatorTab(tab) {
+    return Object.prototype.hasOwnProperty.call(CALCULATOR_TABS, tab);
+}
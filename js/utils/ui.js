@@ -267,6 +267,27 @@ export function enableSimulationButtons() {
     });
 }
 
+/**
+ * Show background simulation progress on a calculator's "Run Simulations" button
+ * @param {string} prefix - Calculator ID prefix (e.g. 'portent')
+ * @param {number|null} fraction - Progress 0-1, or null when finished
+ */
+export function showSimulationProgress(prefix, fraction) {
+    const btn = document.getElementById(`${prefix}-draw-reveals-btn`);
+    if (!btn || !btn.dataset) return;
+
+    if (fraction === null) {
+        if (btn.dataset.label) {
+            btn.textContent = btn.dataset.label;
+            delete btn.dataset.label;
+        }
+        return;
+    }
+
+    if (!btn.dataset.label) btn.dataset.label = btn.textContent;
+    btn.textContent = `Simulating… ${Math.round(fraction * 100)}%`;
+}
+
 /**
  * Synchronize a range slider with a number input
  * @param {string} sliderId - ID of the range slider
@@ -299,3 +320,16 @@ export function bindInputSync(sliderId, inputId, updateCallback) {
         }
     });
 }
+
+/**
+ * Escape text for use in HTML, in element content or a quoted attribute
+ * @param {*} text - Text to escape (converted to a string)
+ * @returns {string} - Escaped text
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,302 @@
+/**
+ * Simulation Worker Pool
+ * Runs Monte Carlo jobs on background Web Workers so large decks don't
+ * freeze the page. Falls back to running jobs synchronously on the
+ * calling thread when workers are unavailable (Node tests, file:// pages).
+ */
+
+import { shuffleDeck, placeKnownTop } from './sampleSimulator.js';
+import { createRng } from './random.js';
+
+const POOL_CONFIG = {
+    MAX_WORKERS: 4,
+    WORKER_URL: new URL('./simulationWorker.js', import.meta.url)
+};
+
+// Task name -> function(payload, reportProgress) => result
+const tasks = new Map();
+
+// Pool state
+const slots = [];
+const queue = [];
+const jobsByKey = new Map();
+let nextJobId = 1;
+let workersDisabled = false;
+
+/**
+ * Error used to reject jobs that were cancelled or superseded
+ */
+export class SimulationCancelledError extends Error {
+    constructor(message = 'Simulation cancelled') {
+        super(message);
+        this.name = 'SimulationCancelledError';
+    }
+}
+
+/**
+ * Check whether an error came from a cancelled job
+ * @param {*} err - Error to inspect
+ * @returns {boolean}
+ */
+export function isSimulationCancelled(err) {
+    return err instanceof SimulationCancelledError;
+}
+
+/**
+ * Register a simulation task that can run on the pool.
+ * Tasks must be pure: they receive a structured-cloneable payload and
+ * may not touch the DOM, since they also run inside the worker.
+ * @param {string} name - Task name
+ * @param {Function} fn - Task function (payload, reportProgress) => result
+ */
+export function registerSimulationTask(name, fn) {
+    tasks.set(name, fn);
+}
+
+/**
+ * Look up a registered simulation task
+ * @param {string} name - Task name
+ * @returns {Function|undefined}
+ */
+export function getSimulationTask(name) {
+    return tasks.get(name);
+}
+
+/**
+ * Check whether jobs will run on background workers
+ * @returns {boolean}
+ */
+export function isWorkerPoolAvailable() {
+    return !workersDisabled && typeof Worker !== 'undefined';
+}
+
+/**
+ * Number of workers to spawn, leaving one core for the UI thread
+ */
+function getPoolSize() {
+    const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+    return Math.max(1, Math.min(POOL_CONFIG.MAX_WORKERS, cores - 1));
+}
+
+/**
+ * Create a worker for a slot, disabling the pool if module workers aren't supported
+ */
+function spawnWorker(slot) {
+    try {
+        slot.worker = new Worker(POOL_CONFIG.WORKER_URL, { type: 'module' });
+    } catch (err) {
+        console.warn('[WorkerPool] Workers unavailable, running simulations on main thread:', err.message);
+        workersDisabled = true;
+        return false;
+    }
+
+    slot.worker.onmessage = (event) => handleMessage(slot, event.data);
+    slot.worker.onerror = (event) => {
+        event.preventDefault?.();
+        const job = slot.job;
+        resetSlot(slot);
+        if (job) {
+            settleJob(job, null, new Error(event.message || 'Simulation worker failed'));
+        }
+        pump();
+    };
+    return true;
+}
+
+/**
+ * Terminate a slot's worker so it is respawned for the next job
+ */
+function resetSlot(slot) {
+    if (slot.worker) slot.worker.terminate();
+    slot.worker = null;
+    slot.job = null;
+}
+
+function handleMessage(slot, message) {
+    const job = slot.job;
+    if (!job || message.id !== job.id) return;
+
+    if (message.type === 'progress') {
+        if (job.onProgress) job.onProgress(message.fraction);
+        return;
+    }
+
+    slot.job = null;
+    if (message.type === 'result') {
+        settleJob(job, message.result, null);
+    } else {
+        settleJob(job, null, new Error(message.message || 'Simulation failed'));
+    }
+    pump();
+}
+
+/**
+ * Resolve or reject a job and fire its callbacks
+ */
+function settleJob(job, result, error) {
+    if (job.settled) return;
+    job.settled = true;
+
+    if (job.key && jobsByKey.get(job.key) === job) {
+        jobsByKey.delete(job.key);
+    }
+
+    if (error) {
+        job.reject(error);
+        if (isSimulationCancelled(error)) {
+            if (job.onCancel) job.onCancel();
+        } else if (job.onError) {
+            job.onError(error);
+        } else {
+            console.error(`[WorkerPool] ${job.task} failed:`, error);
+        }
+    } else {
+        job.resolve(result);
+        if (job.onComplete) job.onComplete(result);
+    }
+}
+
+/**
+ * Hand queued jobs to idle workers
+ */
+function pump() {
+    if (slots.length === 0) {
+        const size = getPoolSize();
+        for (let i = 0; i < size; i++) slots.push({ worker: null, job: null });
+    }
+
+    for (const slot of slots) {
+        if (queue.length === 0) return;
+        if (slot.job) continue;
+        if (!slot.worker && !spawnWorker(slot)) {
+            // Pool just got disabled - drain the queue synchronously
+            while (queue.length > 0) runInline(queue.shift());
+            return;
+        }
+
+        const job = queue.shift();
+        slot.job = job;
+        slot.worker.postMessage({ id: job.id, task: job.task, payload: job.payload });
+    }
+}
+
+/**
+ * Run a job on the calling thread
+ */
+function runInline(job) {
+    const fn = tasks.get(job.task);
+    if (!fn) {
+        settleJob(job, null, new Error(`Unknown simulation task: ${job.task}`));
+        return;
+    }
+
+    try {
+        const result = fn(job.payload, (fraction) => {
+            if (!job.settled && job.onProgress) job.onProgress(fraction);
+        });
+        settleJob(job, result, null);
+    } catch (err) {
+        settleJob(job, null, err);
+    }
+}
+
+/**
+ * Cancel a queued or running job
+ */
+function cancelJob(job) {
+    if (job.settled) return;
+
+    const queued = queue.indexOf(job);
+    if (queued !== -1) {
+        queue.splice(queued, 1);
+    } else {
+        // A running job can only be stopped by killing its worker
+        const slot = slots.find(s => s.job === job);
+        if (slot) resetSlot(slot);
+    }
+
+    settleJob(job, null, new SimulationCancelledError());
+    pump();
+}
+
+/**
+ * Submit a simulation job to the pool.
+ *
+ * Jobs sharing a `key` supersede each other: submitting a new job cancels
+ * the previous one, so dragging a slider only ever computes the latest
+ * inputs. Exactly one of `onComplete`, `onError` or `onCancel` fires per
+ * job. Without workers the job runs immediately and `onComplete` fires
+ * before this function returns.
+ *
+ * @param {string} task - Registered task name
+ * @param {Object} payload - Structured-cloneable task input
+ * @param {Object} options - { key, onProgress, onComplete, onError, onCancel (cancelled or superseded) }
+ * @returns {Object} - Job handle { id, promise, cancel }
+ */
+export function runSimulation(task, payload, options = {}) {
+    const { key = null, onProgress = null, onComplete = null, onError = null, onCancel = null } = options;
+
+    const job = {
+        id: nextJobId++,
+        task,
+        payload,
+        key,
+        onProgress,
+        onComplete,
+        onError,
+        onCancel,
+        settled: false
+    };
+    job.promise = new Promise((resolve, reject) => {
+        job.resolve = resolve;
+        job.reject = reject;
+    });
+    // Callers using callbacks shouldn't see unhandled rejections
+    job.promise.catch(() => {});
+
+    if (key) {
+        const previous = jobsByKey.get(key);
+        if (previous) cancelJob(previous);
+        jobsByKey.set(key, job);
+    }
+
+    if (isWorkerPoolAvailable()) {
+        queue.push(job);
+        pump();
+    } else {
+        runInline(job);
+    }
+
+    return {
+        id: job.id,
+        promise: job.promise,
+        cancel: () => cancelJob(job)
+    };
+}
+
+/**
+ * Cancel the pending job for a key, if any
+ * @param {string} key - Job key passed to runSimulation
+ */
+export function cancelSimulation(key) {
+    const job = jobsByKey.get(key);
+    if (job) cancelJob(job);
+}
+
+/**
+ * Shuffle independent copies of a deck (used for stable sample reveals).
+ * A `seed` makes the samples reproducible; `keep` trims each shuffle to
+ * its top cards to cut transfer cost; `top` names known top cards, which
+ * every shuffle puts back on top in order.
+ */
+registerSimulationTask('shuffleSamples', ({ deck, count, keep = null, seed, top = [] }, reportProgress) => {
+    const rng = seed === undefined ? undefined : createRng(seed);
+    const samples = [];
+    const step = Math.max(1, Math.floor(count / 20));
+    for (let i = 0; i < count; i++) {
+        const shuffled = placeKnownTop(shuffleDeck([...deck], rng), top);
+        samples.push(keep === null ? shuffled : shuffled.slice(0, keep));
+        if ((i + 1) % step === 0) reportProgress((i + 1) / count);
+    }
+    return samples;
+});
@@ -104,6 +104,7 @@ function processCard(cardData, count) {
         type_line: typeLine,
         cmc: cmc,
         mana_cost: cardData.mana_cost || '',
+        produced_mana: cardData.produced_mana,
         power: power,
         category: primaryCategory,
         allCategories: allCategories,
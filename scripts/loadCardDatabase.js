@@ -0,0 +1,44 @@
+/**
+ * Load a Scryfall Oracle Cards bulk file for Node scripts and tests
+ *
+ * Usage: node scripts/loadCardDatabase.js <oracle-cards.json> [card name...]
+ *
+ * Builds the same in-memory index the browser keeps in IndexedDB, so
+ * importDecklistBatch() resolves names locally instead of calling Scryfall.
+ * From the command line, prints the card count and looks up any names given.
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { resolve } from 'path';
+import { parseBulkCards, useCardIndex, lookupLocalCards } from '../js/utils/cardDatabase.js';
+
+/**
+ * Load a bulk data file into the in-memory card index
+ * @param {string} filePath - Path to the oracle_cards JSON file
+ * @returns {number} - Number of indexed cards
+ */
+export function loadCardDatabase(filePath) {
+    const bulkData = JSON.parse(readFileSync(filePath, 'utf-8'));
+    return useCardIndex(parseBulkCards(bulkData));
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const [filePath, ...names] = process.argv.slice(2);
+
+    if (!filePath) {
+        console.error('Usage: node scripts/loadCardDatabase.js <oracle-cards.json> [card name...]');
+        process.exit(1);
+    }
+
+    const count = loadCardDatabase(filePath);
+    console.log(`Loaded ${count} cards`);
+
+    if (names.length > 0) {
+        const found = await lookupLocalCards(names);
+        names.forEach(name => {
+            const card = found.get(name);
+            console.log(card ? `✓ ${card.name} — ${card.type_line} (MV ${card.cmc})` : `✗ ${name} not found`);
+        });
+    }
+}
@@ -3,7 +3,7 @@
  * Provides offline support and faster loading through caching
  */
 
-const CACHE_NAME = 'mtg-calc-v4';
+const CACHE_NAME = 'mtg-calc-v5';
 const STATIC_ASSETS = [
     '/',
     '/index.html',
@@ -15,9 +15,16 @@ const STATIC_ASSETS = [
     '/css/ux-enhancements.css',
     '/js/main.js',
     // Calculators
+    '/js/calculators/adnauseam.js',
+    '/js/calculators/cascade.js',
+    '/js/calculators/goldfish.js',
+    '/js/calculators/hermit.js',
     '/js/calculators/lands.js',
+    '/js/calculators/lookpick.js',
     '/js/calculators/lumra.js',
+    '/js/calculators/manabase.js',
     '/js/calculators/mulligan.js',
+    '/js/calculators/pact.js',
     '/js/calculators/portent.js',
     '/js/calculators/rashmi.js',
     '/js/calculators/surge.js',
@@ -27,17 +34,32 @@ const STATIC_ASSETS = [
     // Utils
     '/js/utils/bigSpellComparison.js',
     '/js/utils/calculatorBase.js',
+    '/js/utils/cardDatabase.js',
     '/js/utils/chartHelpers.js',
+    '/js/utils/comparison.js',
     '/js/utils/components.js',
+    '/js/utils/confidence.js',
+    '/js/utils/deckCompare.js',
     '/js/utils/deckConfig.js',
+    '/js/utils/deckEditor.js',
+    '/js/utils/deckLibrary.js',
     '/js/utils/decklistImport.js',
     '/js/utils/defaultDeckData.js',
+    '/js/utils/drawProfile.js',
+    '/js/utils/gameTracker.js',
     '/js/utils/hypergeometric.js',
+    '/js/utils/precision.js',
+    '/js/utils/probabilityQuery.js',
+    '/js/utils/random.js',
     '/js/utils/sampleSimulator.js',
+    '/js/utils/sensitivity.js',
     '/js/utils/share.js',
     '/js/utils/simulation.js',
+    '/js/utils/simulationWorker.js',
     '/js/utils/tableUtils.js',
+    '/js/utils/tabs.js',
     '/js/utils/ui.js',
+    '/js/utils/workerPool.js',
     // External CDN
     'https://cdn.jsdelivr.net/npm/chart.js',
     'https://fonts.googleapis.com/css2?family=Cinzel:wght@400;600;700&family=Crimson+Text:ital,wght@0,400;0,600;1,400&display=swap'
@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import { assert, assertClose, card, ordered } from '../node-test-helper.js';
+import { parseComboPieces, simulateChain, calculateChainStats } from '../../js/calculators/adnauseam.js';
+import { buildDeckFromCardData } from '../../js/utils/sampleSimulator.js';
+import { createRng } from '../../js/utils/random.js';
+
+describe('Ad Nauseam Simulator', () => {
+    it('reads combo pieces one per line, ignoring case', () => {
+        const { pieces, unknown } = parseComboPieces("thassa's oracle\n\nDemonic Consultation\nThassa's Oracle\nFoo", ["Thassa's Oracle", 'Demonic Consultation']);
+        assert.deepStrictEqual(pieces, ["Thassa's Oracle", 'Demonic Consultation']);
+        assert.deepStrictEqual(unknown, ['Foo']);
+    });
+
+    it('stops at the threshold, on death or once the combo is in hand', () => {
+        const library = ordered(card('A', 3), card('B', 4), card('C', 5), card('D', 6));
+
+        const stopped = simulateChain(library, { life: 10, stopAt: 5 });
+        assert.strictEqual(stopped.cardsGained, 2);
+        assert.strictEqual(stopped.lifeLeft, 3);
+        assert.strictEqual(stopped.stoppedBy, 'threshold');
+        assert.strictEqual(stopped.comboFound, null);
+
+        const dead = simulateChain(library, { life: 10, stopAt: 0 });
+        assert.strictEqual(dead.died, true);
+        assert.strictEqual(dead.cardsGained, 3, 'the card that kills is still revealed');
+
+        const combo = simulateChain(library, { life: 20, comboPieces: ['B'], comboLife: 10 });
+        assert.strictEqual(combo.stoppedBy, 'combo');
+        assert.strictEqual(combo.cardsGained, 2);
+        assert.strictEqual(combo.comboFound, true);
+
+        const late = simulateChain(library, { life: 20, comboPieces: ['C'], comboLife: 10 });
+        assert.strictEqual(late.comboFound, false, 'found at 8 life, under the floor of 10');
+
+        const inHand = simulateChain(library, { life: 20, drawn: 2, comboPieces: ['B'] });
+        assert.strictEqual(inHand.cardsGained, 0, 'pieces already drawn count as found');
+        assert.strictEqual(inHand.comboFound, true);
+    });
+
+    it('plays one land for free with Bolas\'s Citadel', () => {
+        const library = ordered(card('Forest', 0, 'Basic Land — Forest'), card('A', 2), card('Island', 0, 'Basic Land — Island'), card('B', 2));
+
+        const citadel = simulateChain(library, { mode: 'citadel', life: 20 });
+        assert.strictEqual(citadel.cardsGained, 2);
+        assert.strictEqual(citadel.stoppedBy, 'land');
+        assert.strictEqual(citadel.lifeLeft, 18);
+
+        const noDrop = simulateChain(library, { mode: 'citadel', life: 20, landDrop: false });
+        assert.strictEqual(noDrop.cardsGained, 0);
+
+        const nauseam = simulateChain(library, { life: 20 });
+        assert.strictEqual(nauseam.cardsGained, 4, 'Ad Nauseam takes lands for free');
+    });
+
+    it('averages chains and compares stop thresholds', () => {
+        const deck = buildDeckFromCardData({ cardsByName: { 'Bolt': card('Bolt', 1, 'Instant'), 'Ponder': { ...card('Ponder', 1, 'Sorcery'), count: 59 } } });
+        const stats = calculateChainStats(deck, { life: 20, stopAt: 5 }, 500, { rng: createRng(3) });
+        assert.strictEqual(stats.avgCards, 15);
+        assert.strictEqual(stats.avgLife, 5);
+        assert.strictEqual(stats.deathProb, 0);
+        assert.strictEqual(stats.halfWidths.avgCards, 0);
+        assert.strictEqual(stats.lifeDist[5], 1);
+        assert.deepStrictEqual(stats.byStop.map(row => row.stopAt), [0, 5, 10, 15]);
+        assert.strictEqual(stats.byStop[0].deathProb, 1, 'with no threshold the chain runs until death');
+        assert.strictEqual(stats.stopReasons.threshold, 1);
+    });
+
+    it('matches the hypergeometric odds of finding both combo pieces in time', () => {
+        const deck = buildDeckFromCardData({
+            cardsByName: {
+                'Oracle': card('Oracle', 2, 'Creature — Merfolk Wizard'),
+                'Consultation': card('Consultation', 2),
+                'Filler': { ...card('Filler', 1), count: 38 }
+            }
+        });
+        const stats = calculateChainStats(deck, { life: 20, stopAt: 0, comboPieces: ['Oracle', 'Consultation'] }, 5000, { rng: createRng(5) });
+        // Both pieces (4 life) plus 15 fillers fit in 19 life: both within the top 17 of 40
+        assertClose(stats.comboProb, (17 * 16) / (40 * 39), 'combo odds', 0.02);
+        assert.ok(stats.halfWidths.comboProb > 0);
+    });
+});
@@ -0,0 +1,107 @@
+import { describe, it } from 'node:test';
+import { assert, assertClose } from '../node-test-helper.js';
+import { calculateCascade, resolveCascade, groupCascadeHits } from '../../js/calculators/cascade.js';
+import { buildDeckFromCardData, shuffleDeck } from '../../js/utils/sampleSimulator.js';
+import { createRng } from '../../js/utils/random.js';
+
+const deck = buildDeckFromCardData({
+    cardsByName: {
+        'Forest': { name: 'Forest', type_line: 'Basic Land — Forest', cmc: 0, count: 36 },
+        'Llanowar Elves': { name: 'Llanowar Elves', type_line: 'Creature — Elf Druid', cmc: 1, count: 1 },
+        'Cultivate': { name: 'Cultivate', type_line: 'Sorcery', cmc: 3, count: 2 },
+        'Hydroid Krasis': { name: 'Hydroid Krasis', type_line: 'Creature — Jellyfish Hydra Beast', cmc: 2, mana_cost: '{X}{G}{U}', count: 1 },
+        'Craterhoof Behemoth': { name: 'Craterhoof Behemoth', type_line: 'Creature — Beast', cmc: 8, count: 1 }
+    }
+});
+
+/**
+ * Brute-force the same numbers from shuffled decks
+ */
+function simulate(castCmc, { triggers = 1, drawn = 0, excludeXSpells = false } = {}, iterations = 20000) {
+    const rng = createRng(7);
+    let freeSpells = 0;
+    let freeMana = 0;
+    let bottom = 0;
+    let whiffs = 0;
+    let anyCast = 0;
+    for (let i = 0; i < iterations; i++) {
+        const steps = resolveCascade(shuffleDeck([...deck], rng).slice(drawn), castCmc, triggers, excludeXSpells);
+        const cast = steps.filter(step => step.hit && !step.declined);
+        freeSpells += cast.length;
+        freeMana += cast.reduce((sum, step) => sum + step.hit.cmc, 0);
+        bottom += steps.reduce((sum, step) => sum + step.exiled.length + (step.declined ? 1 : 0), 0);
+        if (cast.length < triggers) whiffs++;
+        if (cast.length > 0) anyCast++;
+    }
+    return {
+        freeSpells: freeSpells / iterations,
+        freeMana: freeMana / iterations,
+        bottom: bottom / iterations,
+        whiff: whiffs / iterations,
+        anyCast: anyCast / iterations
+    };
+}
+
+describe('Cascade Calculator', () => {
+    it('groups the nonland cards below the cascading mana value', () => {
+        const hits = groupCascadeHits(deck, 4, true);
+        assert.deepStrictEqual(hits.map(hit => hit.name).sort(), ['Cultivate', 'Hydroid Krasis', 'Llanowar Elves']);
+        assert.strictEqual(hits.find(hit => hit.name === 'Hydroid Krasis').castable, false, 'X spells can count as whiffs');
+        assert.strictEqual(groupCascadeHits(deck, 1).length, 0, 'nothing is below mana value 1');
+    });
+
+    it('hits every qualifying card equally often with one trigger', () => {
+        const result = calculateCascade(deck, 4);
+        assert.strictEqual(result.qualifying, 4);
+        assertClose(result.freeSpellProb, 1);
+        assertClose(result.whiffProb, 0);
+        assertClose(result.cardHits.find(hit => hit.name === 'Cultivate').prob, 0.5);
+        assertClose(result.expectedFreeMana, (1 + 3 + 3 + 2) / 4);
+        assertClose(result.freeManaDist[3], 0.5);
+        // Misses before the first of 4 qualifying cards among 41: 37 / 5
+        assertClose(result.expectedBottom, 37 / 5);
+        assertClose(result.bottomDist.reduce((sum, p) => sum + p, 0), 1);
+    });
+
+    it('whiffs into a land-only exile when nothing qualifies', () => {
+        const result = calculateCascade(deck, 1);
+        assertClose(result.whiffProb, 1);
+        assertClose(result.landOnlyProb, 1);
+        assertClose(result.expectedBottom, 41, 'the whole library goes to the bottom');
+    });
+
+    it('treats several triggers as hitting a random set of the qualifying cards', () => {
+        const result = calculateCascade(deck, 4, { triggers: 2 });
+        assertClose(result.expectedFreeSpells, 2);
+        // Cultivate has 2 of 4 qualifying copies: P(neither of 2 hits) = C(2,2)/C(4,2)
+        assertClose(result.cardHits.find(hit => hit.name === 'Cultivate').prob, 1 - 1 / 6);
+        assertClose(result.expectedFreeMana, 2 * 9 / 4);
+
+        const five = calculateCascade(deck, 4, { triggers: 5 });
+        assertClose(five.landOnlyProb, 1, 'the fifth trigger finds nothing');
+        assertClose(five.expectedFreeSpells, 4);
+
+        // Below 3 only Llanowar Elves and Hydroid Krasis qualify; declining the
+        // X spell, one trigger casts half the time and two triggers always do
+        const one = calculateCascade(deck, 3, { excludeXSpells: true });
+        const two = calculateCascade(deck, 3, { triggers: 2, excludeXSpells: true });
+        assertClose(one.freeSpellProb, 0.5);
+        assertClose(two.freeSpellProb, 1);
+        assertClose(two.expectedFreeSpells, 1);
+        assertClose(two.whiffProb, 1, 'one of the two hits is always declined');
+    });
+
+    it('matches shuffled decks with X spells declined and cards out of the library', () => {
+        const options = { triggers: 2, drawn: 20, excludeXSpells: true };
+        const exact = calculateCascade(deck, 4, options);
+        const simulated = simulate(4, options);
+
+        assert.ok(exact.landOnlyProb > 0.05, 'with 20 cards drawn a trigger can run out');
+        assertClose(exact.expectedFreeSpells, simulated.freeSpells, 'free spells', 0.03);
+        assertClose(exact.expectedFreeMana, simulated.freeMana, 'free mana', 0.06);
+        assertClose(exact.expectedBottom, simulated.bottom, 'cards to the bottom', 0.25);
+        assertClose(exact.whiffProb, simulated.whiff, 'whiffs', 0.02);
+        assertClose(exact.freeSpellProb, simulated.anyCast, 'at least one free spell', 0.02);
+        assertClose(exact.freeManaDist.reduce((sum, p) => sum + p, 0), 1);
+    });
+});
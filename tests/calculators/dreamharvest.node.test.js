@@ -135,5 +135,28 @@ describe('Dream Harvest Calculator', () => {
             assert.ok(result.avgCastable >= 0.5,
                 `avgCastable should have some spells, got ${result.avgCastable}`);
         });
+
+        it('reports 95% intervals and keeps going in adaptive mode until they are narrow enough', () => {
+            const deckData = {
+                cardsByName: {
+                    'Forest': { name: 'Forest', type_line: 'Basic Land - Forest', cmc: 0, count: 30 },
+                    'Bear': { name: 'Bear', type_line: 'Creature', cmc: 2, count: 20 },
+                    'Angel': { name: 'Angel', type_line: 'Creature', cmc: 5, count: 10 }
+                }
+            };
+
+            const fixed = calculateDreamHarvestStats(deckData, 500);
+            assert.ok(fixed.halfWidths.avgTotalMV > 0);
+            assert.ok(fixed.halfWidths.avgCastable < fixed.avgCastable);
+            assert.strictEqual(fixed.converged, null);
+
+            const adaptive = calculateDreamHarvestStats(deckData, 500, {
+                precision: { adaptive: true, tolerance: 5, maxSimulations: 200000 }
+            });
+            assert.strictEqual(adaptive.converged, true);
+            for (const stat of ['avgCardsExiled', 'avgTotalMV', 'avgCastable', 'avgCastableMV']) {
+                assert.ok(adaptive.halfWidths[stat] / adaptive[stat] <= 0.05, `${stat} within 5%`);
+            }
+        });
     });
 });
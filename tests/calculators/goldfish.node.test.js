@@ -0,0 +1,118 @@
+import { describe, it } from 'node:test';
+import { assert } from '../node-test-helper.js';
+import { calculate, simulateGoldfishGame, isRampCard } from '../../js/calculators/goldfish.js';
+import * as DeckConfig from '../../js/utils/deckConfig.js';
+import { importDecklistBatch, clearCardCache } from '../../js/utils/decklistImport.js';
+
+const card = (name, types, cmc, extra = {}) => ({ name, types, type_line: types.join(' '), cmc, mana_cost: '', tags: [], ...extra });
+const land = () => card('Forest', ['land'], 0);
+const filler = () => card('Filler', ['sorcery'], 9);
+
+describe('Goldfish Simulator', () => {
+    describe('Single Game', () => {
+        it('casts ramp first, then the commander, then the biggest spell that fits', () => {
+            const library = [
+                land(), land(), land(),
+                card('Sol Ring', ['artifact'], 1, { tags: ['rock'] }),
+                card('Rampant Growth', ['sorcery'], 2, { tags: ['ramp'] }),
+                card('Big Spell', ['creature'], 5),
+                card('Bear', ['creature'], 2),
+                land(), land(), filler()
+            ];
+            const game = simulateGoldfishGame(library, { turns: 3, commanderCmc: 4 });
+            const [t1, t2, t3] = game.turns;
+
+            // Sol Ring taps right away; Rampant Growth's land arrives next turn
+            assert.deepStrictEqual(t1.cast.map(c => c.name), ['Sol Ring', 'Rampant Growth']);
+            assert.strictEqual(t1.manaAvailable, 3);
+            assert.strictEqual(t1.manaSpent, 3);
+
+            assert.strictEqual(t2.manaAvailable, 5);
+            assert.deepStrictEqual(t2.cast.map(c => c.name), ['Commander']);
+            assert.strictEqual(game.commanderTurn, 2);
+
+            assert.deepStrictEqual(t3.cast.map(c => c.name), ['Big Spell']);
+            assert.strictEqual(t3.manaSpent, 5);
+            assert.strictEqual(t3.lands, 3);
+        });
+
+        it('skips the turn 1 draw on the play', () => {
+            const library = [...Array(7).fill(null).map(filler), land(), land()];
+            assert.strictEqual(simulateGoldfishGame(library, { turns: 1 }).turns[0].land, null);
+            assert.strictEqual(simulateGoldfishGame(library, { turns: 1, onDraw: true }).turns[0].land.name, 'Forest');
+        });
+
+        it('spends leftover mana on an X spell', () => {
+            const library = [
+                land(), land(), land(),
+                card('Hydroid Krasis', ['creature'], 2, { mana_cost: '{X}{G}{U}' }),
+                card('Bear', ['creature'], 2),
+                filler(), filler(), filler(), filler()
+            ];
+            const t3 = simulateGoldfishGame(library, { turns: 3 }).turns[2];
+            assert.deepStrictEqual(t3.cast.map(c => [c.name, c.spent]), [['Hydroid Krasis', 3]]);
+            assert.strictEqual(t3.manaSpent, 3);
+        });
+
+        it('recognises ramp tags', () => {
+            assert.ok(isRampCard(card('Arcane Signet', ['artifact'], 2, { tags: ['mana rock'] })));
+            assert.ok(!isRampCard(card('Harmonize', ['sorcery'], 4, { tags: ['draw'] })));
+        });
+    });
+
+    describe('Calculation', () => {
+        it('averages mana spent and commander odds over many games', () => {
+            DeckConfig.updateDeck({
+                commanderName: 'Commander',
+                cardsByName: {
+                    'Commander': { name: 'Commander', type_line: 'Legendary Creature', cmc: 3, count: 1 },
+                    'Forest': { name: 'Forest', type_line: 'Basic Land — Forest', cmc: 0, count: 40 },
+                    'Bear': { name: 'Bear', type_line: 'Creature — Bear', cmc: 2, mana_cost: '{1}{G}', count: 59 }
+                }
+            });
+
+            const { config, stats } = calculate();
+            assert.strictEqual(config.deck.length, 99, 'the commander is not in the library');
+            assert.strictEqual(config.options.commanderCmc, 3);
+            assert.strictEqual(stats.byTurn.length, 8);
+
+            const [t1, t2, t3] = stats.byTurn;
+            assert.strictEqual(t1.commanderCast, 0);
+            assert.strictEqual(t2.commanderCast, 0);
+            assert.ok(t3.commanderCast > 0.6, 'usually on curve with 40 lands');
+            assert.ok(stats.byTurn.every((t, i) => i === 0 || t.commanderCast >= stats.byTurn[i - 1].commanderCast), 'cumulative');
+            assert.ok(stats.byTurn.every(t => t.manaSpent <= t.manaAvailable + 1e-9));
+            assert.ok(Math.abs(stats.totalSpent - stats.byTurn[7].cumulativeSpent) < 1e-9);
+
+            DeckConfig.updateDeck({ commanderName: null });
+        });
+
+        it('finds the commander of an imported decklist outside the main deck', async () => {
+            const scryfallCards = {
+                'Ezuri, Renegade Leader': { name: 'Ezuri, Renegade Leader', type_line: 'Legendary Creature — Elf Warrior', cmc: 3, mana_cost: '{1}{G}{G}' },
+                'Llanowar Elves': { name: 'Llanowar Elves', type_line: 'Creature — Elf Druid', cmc: 1, mana_cost: '{G}' },
+                'Forest': { name: 'Forest', type_line: 'Basic Land — Forest', cmc: 0 }
+            };
+            const originalFetch = globalThis.fetch;
+            globalThis.fetch = async (url, options) => {
+                const { identifiers } = JSON.parse(options.body);
+                return { ok: true, json: async () => ({ data: identifiers.map(id => scryfallCards[id.name]), not_found: [] }) };
+            };
+
+            try {
+                clearCardCache();
+                const result = await importDecklistBatch('Commander\n1 Ezuri, Renegade Leader\n\nDeck\n40 Forest\n59 Llanowar Elves');
+                DeckConfig.updateDeck(result);
+
+                const { config, stats } = calculate();
+                assert.strictEqual(config.deck.length, 99);
+                assert.strictEqual(config.options.commanderCmc, 3, 'mana value from the command zone');
+                assert.strictEqual(stats.hasCommander, true);
+            } finally {
+                globalThis.fetch = originalFetch;
+                clearCardCache();
+                DeckConfig.updateDeck({ commanderName: null, commanderCard: null });
+            }
+        });
+    });
+});
@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import { assert, assertClose, card, deckOf, ordered } from '../node-test-helper.js';
+import { PRESETS, isStopCard, simulateDump, calculateDumpStats } from '../../js/calculators/hermit.js';
+import { createRng } from '../../js/utils/random.js';
+
+const forest = card('Forest', 0, 'Basic Land — Forest');
+const fetch = card('Misty Rainforest', 0, 'Land');
+
+describe('Hermit Druid / Mulch Simulator', () => {
+    it('tells basic lands from other lands', () => {
+        const [basic, nonbasic, spell] = ordered(forest, fetch, card('Bolt'));
+        assert.strictEqual(isStopCard(basic, 'basic'), true);
+        assert.strictEqual(isStopCard(nonbasic, 'basic'), false);
+        assert.strictEqual(isStopCard(nonbasic, 'land'), true);
+        assert.strictEqual(isStopCard(spell, 'land'), false);
+    });
+
+    it('mills nonbasic lands and stops at the first basic with Hermit Druid', () => {
+        const library = ordered(card("Thassa's Oracle", 2, 'Creature — Merfolk Wizard'), fetch, card('Dread Return', 4, 'Sorcery'), forest, card('Bolt'), fetch);
+        const dump = simulateDump(library, { ...PRESETS.hermit, tagNames: ["Thassa's Oracle", 'Dread Return'], gyLands: 2, lumraMill: 2 });
+        assert.strictEqual(dump.milled.length, 3);
+        assert.deepStrictEqual(dump.toHand.map(c => c.name), ['Forest']);
+        assert.strictEqual(dump.stoppedBy, 'stop');
+        assert.strictEqual(dump.landsMilled, 1);
+        assert.strictEqual(dump.tagsFound, true);
+        // Lumra mills Bolt and the second fetch: 2 + 1 + 1 lands
+        assert.strictEqual(dump.lumraReturned, 4);
+
+        const noBasics = simulateDump(library.filter(c => c.name !== 'Forest'), { ...PRESETS.hermit });
+        assert.strictEqual(noBasics.stoppedBy, 'library');
+        assert.strictEqual(noBasics.milled.length, 5);
+        assert.strictEqual(noBasics.tagsFound, null, 'no tag chosen');
+    });
+
+    it('reveals four cards and keeps the lands with Mulch', () => {
+        const library = ordered(forest, card('Bolt'), fetch, card('Ponder'), card('Brainstorm'));
+        const dump = simulateDump(library, { ...PRESETS.mulch });
+        assert.strictEqual(dump.stoppedBy, 'cap');
+        assert.deepStrictEqual(dump.toHand.map(c => c.name), ['Forest', 'Misty Rainforest']);
+        assert.deepStrictEqual(dump.milled.map(c => c.name), ['Bolt', 'Ponder']);
+    });
+
+    it('matches the exact odds for singleton spells and a few basics', () => {
+        const spells = Array.from({ length: 36 }, (_, i) => card(`Spell ${i}`));
+        const deck = deckOf(...spells, { ...forest, count: 4 });
+        const stats = calculateDumpStats(deck, { ...PRESETS.hermit, tagNames: ['Spell 0', 'Spell 1'] }, 10000, { rng: createRng(7) });
+        // Each spell is above all four basics with probability 1/5
+        assertClose(stats.avgMilled, 36 / 5, 'cards milled', 0.3);
+        // Both tagged spells above all four basics: 1 / C(6, 2)
+        assertClose(stats.tagProb, 1 / 15, 'tagged set', 0.01);
+        assertClose(stats.tagOdds[0].prob, 1 / 5, 'one tagged spell', 0.015);
+        assert.strictEqual(stats.fullDumpProb, 0);
+        assertClose(stats.milledDist.reduce((sum, p) => sum + p, 0), 1);
+        assert.ok(stats.halfWidths.avgMilled > 0);
+    });
+});
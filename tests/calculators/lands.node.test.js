@@ -1,6 +1,7 @@
 import { describe, it } from 'node:test';
 import { assert, assertClose } from '../node-test-helper.js';
-import { calculate } from '../../js/calculators/lands.js';
+import { calculate, calculateLandDropByTurn, calculateFloodProbability, optimizeLandCount } from '../../js/calculators/lands.js';
+import { drawTypeMin } from '../../js/utils/hypergeometric.js';
 import * as DeckConfig from '../../js/utils/deckConfig.js';
 
 describe('Land Drop Calculator', () => {
@@ -30,4 +31,51 @@ describe('Land Drop Calculator', () => {
         const { landDropMiss } = calculate();
         assert.ok(landDropMiss >= 4 && landDropMiss <= 6, `Land drop miss turn ${landDropMiss} should be in range [4, 6]`);
     });
+
+    describe('Land Count Optimizer', () => {
+        const onPlay = { onPlay: true, extraSeen: [] };
+        const mulligan = {
+            types: [
+                { id: 1, name: 'Lands', count: 36, required: 3, byTurn: 3 },
+                { id: 2, name: 'Ramp', count: 10, required: 1, byTurn: 3 }
+            ],
+            landIndex: 0,
+            fillerIndex: -1,
+            penalty: 0.2,
+            freeMulligan: true,
+            confidenceThreshold: 0.75
+        };
+
+        it('scores every land count in the range', () => {
+            const { points, best } = optimizeLandCount({ deckSize: 99, minLands: 30, maxLands: 42, objective: 'drops', drawProfile: onPlay });
+            assert.deepStrictEqual(points.map(p => p.lands), Array.from({ length: 13 }, (_, i) => 30 + i));
+            assertClose(points[6].drops, calculateLandDropByTurn(99, 36, onPlay)[4].makeProbability);
+            assertClose(points[6].flood, drawTypeMin(99, 36, 11, 7), 'turn 5 on the play sees 11 cards');
+            assert.strictEqual(best.lands, 42, 'more lands always help the land drops');
+            assert.ok(points.every(p => p.pareto), 'each extra land trades flood for drops');
+
+            assert.strictEqual(optimizeLandCount({ deckSize: 99, minLands: 30, maxLands: 42, objective: 'flood', drawProfile: onPlay }).best.lands, 30);
+            assertClose(calculateFloodProbability(99, 36, onPlay), points[6].flood);
+        });
+
+        it('balances drops and flood in the weighted objective', () => {
+            const { best } = optimizeLandCount({
+                deckSize: 99, minLands: 25, maxLands: 50, objective: 'weighted',
+                weights: { drops: 1, mulligan: 0, flood: 1 }, drawProfile: onPlay
+            });
+            assert.ok(best.lands > 25 && best.lands < 50, `${best.lands} is an interior optimum`);
+        });
+
+        it('swaps lands against a mulligan type for the mulligan objective', () => {
+            const { points } = optimizeLandCount({
+                deckSize: 99, minLands: 34, maxLands: 40, objective: 'mulligan',
+                mulligan: { ...mulligan, fillerIndex: 1 }, drawProfile: onPlay
+            });
+            assert.deepStrictEqual(points.map(p => p.filler), [12, 11, 10, 9, 8, 7, 6]);
+            assert.ok(points.every(p => p.mulligan > 0 && p.mulligan <= 1));
+            assertClose(points[0].score, points[0].mulligan);
+
+            assert.throws(() => optimizeLandCount({ deckSize: 99, minLands: 34, maxLands: 40, objective: 'mulligan', drawProfile: onPlay }));
+        });
+    });
 });
@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import { assert, assertClose } from '../node-test-helper.js';
+import { PRESETS, matchesFilter, calculateLookAndPick, pickBest } from '../../js/calculators/lookpick.js';
+import { buildDeckFromCardData, shuffleDeck } from '../../js/utils/sampleSimulator.js';
+import { drawType } from '../../js/utils/hypergeometric.js';
+import { createRng } from '../../js/utils/random.js';
+
+const deck = buildDeckFromCardData({
+    cardsByName: {
+        'Forest': { name: 'Forest', type_line: 'Basic Land — Forest', cmc: 0, count: 24 },
+        'Llanowar Elves': { name: 'Llanowar Elves', type_line: 'Creature — Elf Druid', cmc: 1, count: 4 },
+        'Courser of Kruphix': { name: 'Courser of Kruphix', type_line: 'Enchantment Creature — Centaur', cmc: 2, count: 4 },
+        'Knight of Autumn': { name: 'Knight of Autumn', type_line: 'Creature — Dryad Knight', cmc: 3, count: 4 },
+        'Yisan, the Wanderer Bard': { name: 'Yisan, the Wanderer Bard', type_line: 'Legendary Creature — Human Rogue', cmc: 3, count: 1, tags: ['engine'] },
+        'Craterhoof Behemoth': { name: 'Craterhoof Behemoth', type_line: 'Creature — Beast', cmc: 8, count: 2 },
+        'Cultivate': { name: 'Cultivate', type_line: 'Sorcery', cmc: 3, count: 3 }
+    }
+});
+
+const coco = PRESETS.coco.filter;
+
+describe('Look and Pick Calculator', () => {
+    it('ships presets for the common look-and-pick cards', () => {
+        assert.deepStrictEqual(Object.keys(PRESETS), ['coco', 'stampede', 'commune', 'dig']);
+        assert.strictEqual(PRESETS.coco.seen, 6);
+        assert.strictEqual(PRESETS.coco.keep, 2);
+        assert.strictEqual(PRESETS.coco.filter.maxMv, 3);
+        assert.strictEqual(PRESETS.dig.filter.type, 'any');
+    });
+
+    it('filters by type, mana value, legendary and tag', () => {
+        const card = name => deck.find(c => c.name === name);
+        assert.ok(matchesFilter(card('Courser of Kruphix'), coco));
+        assert.ok(!matchesFilter(card('Craterhoof Behemoth'), coco), 'mana value 8 is too high');
+        assert.ok(!matchesFilter(card('Cultivate'), coco));
+        assert.ok(matchesFilter(card('Cultivate'), { type: 'nonland', maxMv: null }));
+        assert.ok(!matchesFilter(card('Cultivate'), { type: 'permanent', maxMv: null }));
+        assert.ok(!matchesFilter(card('Forest'), { type: 'nonland', maxMv: null }));
+        assert.ok(matchesFilter(card('Yisan, the Wanderer Bard'), { type: 'any', maxMv: null, legendary: true }));
+        assert.ok(!matchesFilter(card('Knight of Autumn'), { type: 'any', maxMv: null, legendary: true }));
+        assert.ok(matchesFilter(card('Yisan, the Wanderer Bard'), { type: 'any', maxMv: null, tag: 'engine' }));
+        assert.ok(!matchesFilter(card('Llanowar Elves'), { type: 'any', maxMv: null, tag: 'engine' }));
+    });
+
+    it('counts matching cards seen hypergeometrically', () => {
+        const result = calculateLookAndPick(deck, { seen: 6, keep: 2, filter: coco });
+        assert.strictEqual(result.matching, 13);
+        assert.strictEqual(result.deckSize, 42);
+        result.hitsDist.forEach((p, hits) => assertClose(p, drawType(42, 13, 6, hits), `${hits} hits`));
+        assertClose(result.anyProb, 1 - drawType(42, 13, 6, 0));
+        assertClose(result.fullProb, 1 - drawType(42, 13, 6, 0) - drawType(42, 13, 6, 1));
+        assertClose(result.expectedHits, 6 * 13 / 42);
+        assertClose(result.pickedDist.reduce((sum, p) => sum + p, 0), 1);
+    });
+
+    it('takes everything with Lead the Stampede', () => {
+        const { seen, keep, filter } = PRESETS.stampede;
+        const result = calculateLookAndPick(deck, { seen, keep, filter });
+        assertClose(result.expectedPicked, result.expectedHits);
+        // Every creature seen is picked: MV 1·4 + 2·4 + 3·5 + 8·2 over 42 cards, times 5 seen
+        assertClose(result.expectedValue, 5 * (4 + 8 + 15 + 16) / 42);
+        const hoof = result.cards.find(card => card.name === 'Craterhoof Behemoth');
+        assertClose(hoof.expectedPicked, 5 * 2 / 42, 'picked copies equal copies seen');
+    });
+
+    it('matches shuffled decks when the best picks are taken first', () => {
+        const options = { seen: 7, keep: 2, filter: { type: 'creature', maxMv: null, legendary: false, tag: '' } };
+        const exact = calculateLookAndPick(deck, options);
+
+        const rng = createRng(11);
+        const iterations = 20000;
+        let value = 0;
+        let hoofPicked = 0;
+        for (let i = 0; i < iterations; i++) {
+            const picks = pickBest(shuffleDeck([...deck], rng).slice(0, options.seen), options.keep, options.filter);
+            value += picks.reduce((sum, card) => sum + card.cmc, 0);
+            hoofPicked += picks.filter(card => card.name === 'Craterhoof Behemoth').length;
+        }
+
+        assertClose(exact.expectedValue, value / iterations, 'best-pick mana value', 0.06);
+        assertClose(exact.cards.find(card => card.name === 'Craterhoof Behemoth').expectedPicked, hoofPicked / iterations, 'Craterhoof picks', 0.01);
+        assert.strictEqual(exact.cards[0].name, 'Craterhoof Behemoth', 'cards are listed best first');
+    });
+});
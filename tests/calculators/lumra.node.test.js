@@ -70,4 +70,11 @@ describe('Lumra Calculator', () => {
         
         assertClose(result.expectedMilled, 4.0, 'Expected milled should be 4.0 (2x trigger)');
     });
+
+    it('mills known top cards first', () => {
+        // Two known lands and a known spell on top of 7 unknown cards (3 lands)
+        const result = calculateLumraStats(10, 5, 0, 1, [true, true, false]);
+        assertClose(result.expectedMilled, 2 + 3 / 7, 'Known lands plus one unknown card');
+        assertClose(result.distribution[1].probability, 0, 'At least the two known lands');
+    });
 });
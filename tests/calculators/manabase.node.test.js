@@ -0,0 +1,156 @@
+import { describe, it } from 'node:test';
+import { assert, assertClose } from '../node-test-helper.js';
+import { calculate, parseManaCost, landColors, buildManaBase, castingProbability } from '../../js/calculators/manabase.js';
+import { drawTypeMin } from '../../js/utils/hypergeometric.js';
+import * as DeckConfig from '../../js/utils/deckConfig.js';
+import { DEFAULT_DECK_DATA } from '../../js/utils/defaultDeckData.js';
+
+/**
+ * Brute force: enumerate every set of cardsSeen cards and check whether its
+ * lands can pay the pips (try each land's color choice)
+ */
+function bruteForce(cards, pips, cardsSeen, landsNeeded) {
+    let castable = 0;
+    let landDrops = 0;
+    let total = 0;
+
+    const canPay = (lands, need) => {
+        if (Object.values(need).every(n => n <= 0)) return true;
+        if (lands.length === 0) return false;
+        const [first, ...rest] = lands;
+        if (canPay(rest, need)) return true;
+        return first.some(color => need[color] > 0 && canPay(rest, { ...need, [color]: need[color] - 1 }));
+    };
+
+    const visit = (start, picked) => {
+        if (picked.length === cardsSeen) {
+            total++;
+            const lands = picked.filter(card => card !== null);
+            if (lands.length < landsNeeded) return;
+            landDrops++;
+            if (canPay(lands, pips)) castable++;
+            return;
+        }
+        for (let i = start; i < cards.length; i++) visit(i + 1, [...picked, cards[i]]);
+    };
+    visit(0, []);
+
+    return { castable: castable / total, landDrops: landDrops / total };
+}
+
+describe('Mana Base Calculator', () => {
+    describe('Card Parsing', () => {
+        it('splits a mana cost into colored pips and generic mana', () => {
+            assert.deepStrictEqual(parseManaCost('{2}{G}{G}'), { pips: { G: 2 }, generic: 2, manaValue: 4 });
+            assert.deepStrictEqual(parseManaCost('{X}{U}{U}').pips, { U: 2 });
+            assert.deepStrictEqual(parseManaCost('{1}{U} // {3}{R}').pips, { U: 1 }, 'front face only');
+            assert.deepStrictEqual(parseManaCost('{G/U}{W/P}{C}'), { pips: { C: 1 }, generic: 2, manaValue: 3 });
+            assert.deepStrictEqual(parseManaCost(''), { pips: {}, generic: 0, manaValue: 0 });
+        });
+
+        it('reads land colors from produced_mana, then basic land types', () => {
+            assert.deepStrictEqual(landColors({ type_line: 'Land', produced_mana: ['G', 'W', 'C'] }), ['W', 'G', 'C']);
+            assert.deepStrictEqual(landColors({ type_line: 'Land — Forest Island' }), ['U', 'G']);
+            assert.deepStrictEqual(landColors({ name: 'Wastes', type_line: 'Basic Land' }), ['C']);
+            assert.strictEqual(landColors({ name: 'Command Tower', type_line: 'Land' }), null);
+        });
+
+        it('has color data for every land in the default deck', () => {
+            const lands = Object.values(DEFAULT_DECK_DATA.cardsByName).filter(c => c.allCategories.includes('lands'));
+            assert.ok(lands.length > 0);
+            lands.forEach(land => {
+                const colors = landColors(land);
+                assert.ok(colors && colors.length > 0, `${land.name} has no colors`);
+            });
+
+            const manaBase = buildManaBase(DEFAULT_DECK_DATA.cardsByName);
+            assert.strictEqual(manaBase.unknownLands, 0);
+            assert.strictEqual(manaBase.landCount, DEFAULT_DECK_DATA.lands);
+        });
+
+        it('builds sources and colored spells from a card list', () => {
+            const manaBase = buildManaBase({
+                'Forest': { name: 'Forest', type_line: 'Basic Land — Forest', count: 10 },
+                'Breeding Pool': { name: 'Breeding Pool', type_line: 'Land — Forest Island', count: 1 },
+                'Command Tower': { name: 'Command Tower', type_line: 'Land', count: 1 },
+                'Sol Ring': { name: 'Sol Ring', type_line: 'Artifact', cmc: 1, mana_cost: '{1}', count: 1 },
+                'Cultivate': { name: 'Cultivate', type_line: 'Sorcery', cmc: 3, mana_cost: '{2}{G}', count: 1 }
+            });
+
+            assert.strictEqual(manaBase.deckSize, 14);
+            assert.strictEqual(manaBase.landCount, 12);
+            assert.deepStrictEqual(manaBase.sources, { G: 11, U: 1 });
+            assert.strictEqual(manaBase.unknownLands, 1);
+            assert.deepStrictEqual(manaBase.spells.map(s => [s.name, s.colors, s.turn]), [['Cultivate', 'G', 3]]);
+        });
+    });
+
+    describe('Casting Probability', () => {
+        it('matches the hypergeometric for a single color', () => {
+            const { castable } = castingProbability({
+                lands: [{ count: 14, colors: ['G'] }, { count: 3, colors: [] }],
+                deckSize: 40,
+                pips: { G: 2 },
+                cardsSeen: 9
+            });
+            assertClose(castable, drawTypeMin(40, 14, 9, 2), 'P(2+ green sources)');
+        });
+
+        it('matches brute force for two colors with dual lands', () => {
+            const lands = [
+                { count: 2, colors: ['W', 'U'] },
+                { count: 2, colors: ['W'] },
+                { count: 1, colors: ['U'] },
+                { count: 1, colors: [] }
+            ];
+            const cards = lands.flatMap(land => Array(land.count).fill(land.colors));
+            while (cards.length < 12) cards.push(null);
+
+            for (const pips of [{ W: 1, U: 1 }, { W: 2, U: 1 }, { U: 2 }]) {
+                const expected = bruteForce(cards, pips, 5, 2);
+                const result = castingProbability({ lands, deckSize: 12, pips, cardsSeen: 5, landsNeeded: 2 });
+                assertClose(result.castable, expected.castable, `castable for ${JSON.stringify(pips)}`);
+                assertClose(result.landDrops, expected.landDrops, `land drops for ${JSON.stringify(pips)}`);
+            }
+        });
+    });
+
+    describe('Calculation', () => {
+        it('reports on-curve odds on the play and draw and flags weak spells', () => {
+            DeckConfig.updateDeck({
+                cardsByName: {
+                    'Forest': { name: 'Forest', type_line: 'Basic Land — Forest', cmc: 0, count: 30 },
+                    'Island': { name: 'Island', type_line: 'Basic Land — Island', cmc: 0, count: 3 },
+                    'Llanowar Elves': { name: 'Llanowar Elves', type_line: 'Creature — Elf Druid', cmc: 1, mana_cost: '{G}', count: 1 },
+                    'Counterspell': { name: 'Counterspell', type_line: 'Instant', cmc: 2, mana_cost: '{U}{U}', count: 1 },
+                    'Growth Spiral': { name: 'Growth Spiral', type_line: 'Instant', cmc: 2, mana_cost: '{G}{U}', count: 1 },
+                    'Filler': { name: 'Filler', type_line: 'Sorcery', cmc: 3, mana_cost: '{3}', count: 63 }
+                }
+            });
+
+            const { spells, groups } = calculate();
+            const byName = Object.fromEntries(spells.map(s => [s.name, s]));
+
+            assert.strictEqual(spells.length, 3, 'colorless spells are left out');
+            assert.ok(byName['Counterspell'].flagged, 'UU on 3 Islands is flagged');
+            assert.ok(!byName['Llanowar Elves'].flagged);
+            assert.ok(byName['Growth Spiral'].onDraw > byName['Growth Spiral'].onPlay, 'the extra card helps');
+            assert.deepStrictEqual(groups.map(g => g.colors), ['U', 'G', 'UG']);
+            assert.strictEqual(groups[0].byTurn.length, 8);
+            assert.ok(groups[0].byTurn[7] > groups[0].byTurn[1], 'more sources seen by later turns');
+        });
+
+        it('works out the challenger deck without reusing the primary deck results', () => {
+            const primary = calculate().spells.find(s => s.name === 'Counterspell');
+
+            DeckConfig.startComparison();
+            const { cardsByName } = DeckConfig.getChallengerConfig();
+            DeckConfig.updateChallenger({ cardsByName: { ...cardsByName, 'Island': { ...cardsByName['Island'], count: 20 }, 'Filler': { ...cardsByName['Filler'], count: 46 } } });
+            const challenger = DeckConfig.withChallengerDeck(calculate).spells.find(s => s.name === 'Counterspell');
+            DeckConfig.stopComparison();
+
+            assert.ok(challenger.onPlay > primary.onPlay, 'more Islands in the challenger');
+            assert.strictEqual(calculate().spells.find(s => s.name === 'Counterspell').onPlay, primary.onPlay);
+        });
+    });
+});
@@ -181,5 +181,29 @@ describe('Mara Calculator', () => {
             assert.ok(result.choice2.avgDamage >= 2 && result.choice2.avgDamage <= 6,
                 `avgDamage should be around 4, got ${result.choice2.avgDamage}`);
         });
+
+        it('reports 95% intervals and keeps going in adaptive mode until they are narrow enough', () => {
+            const deckData = {
+                cardsByName: {
+                    'Forest': { name: 'Forest', type_line: 'Basic Land - Forest', cmc: 0, count: 50 },
+                    'Bear': { name: 'Bear', type_line: 'Creature', cmc: 2, count: 25 },
+                    'Dragon': { name: 'Dragon', type_line: 'Creature', cmc: 6, count: 25 }
+                }
+            };
+
+            const fixed = calculateMaraStats(deckData, 1000);
+            const p5 = fixed.choice1.pct5Plus / 100;
+            assert.ok(Math.abs(fixed.choice1.halfWidths.pct5Plus - 196 * Math.sqrt(p5 * (1 - p5) / 1000)) < 1e-9);
+            assert.ok(fixed.choice1.halfWidths.avgCMC > 0);
+            assert.strictEqual(fixed.converged, null);
+
+            const adaptive = calculateMaraStats(deckData, 1000, {
+                precision: { adaptive: true, tolerance: 5, maxSimulations: 200000 }
+            });
+            assert.strictEqual(adaptive.converged, true);
+            assert.ok(adaptive.numSims >= 2000);
+            assert.ok(adaptive.choice1.halfWidths.pct5Plus <= 5);
+            assert.ok(adaptive.choice2.halfWidths.avgDamage / adaptive.choice2.avgDamage <= 0.05);
+        });
     });
 });
@@ -1,7 +1,8 @@
 import { describe, it } from 'node:test';
 import { assert, assertClose } from '../node-test-helper.js';
-import { calculate, calcMultiTypeSuccess, runSampleReveals } from '../../js/calculators/mulligan.js';
+import { calculate, calcMultiTypeSuccess, chooseBottom, runSampleReveals, getDeckConfig, setCardTypes } from '../../js/calculators/mulligan.js';
 import * as DeckConfig from '../../js/utils/deckConfig.js';
+import { setDrawProfile } from '../../js/utils/drawProfile.js';
 
 describe('Mulligan Strategy Calculator', () => {
 
@@ -31,6 +32,39 @@ describe('Mulligan Strategy Calculator', () => {
         });
     });
 
+    describe('London Mulligan Bottoming', () => {
+        it('leaves bottomed cards out of the library', () => {
+            const types = [{ id: 1, count: 2, required: 1, byTurn: 1 }];
+            // 10 card deck: 3 left after seeing 7
+            assertClose(calcMultiTypeSuccess(10, types, [0]), 2/3, 'both copies still in the library');
+            assertClose(calcMultiTypeSuccess(10, types, [0], [1]), 1/3, 'one copy on the bottom');
+        });
+
+        it('bottoms other cards first, then the surplus type', () => {
+            const types = [
+                { id: 1, count: 17, required: 3, byTurn: 3 },
+                { id: 2, count: 10, required: 1, byTurn: 2 }
+            ];
+            const withOther = chooseBottom(40, types, [5, 1], 2);
+            assert.deepStrictEqual(withOther.bottom, [1, 0]);
+            assert.strictEqual(withOther.successProb, 1);
+            assert.ok(withOther.naiveSuccess < 1, 'random bottoms can lose the only spell');
+
+            assert.deepStrictEqual(chooseBottom(40, types, [3, 4], 2).bottom, [0, 2]);
+        });
+
+        it('is never worse than bottoming at random', () => {
+            DeckConfig.updateDeck({ cardsByName: {} });
+            setCardTypes([
+                { id: 1, name: 'Lands', count: 38, required: 3, byTurn: 3, color: '#22c55e' },
+                { id: 2, name: 'Ramp', count: 12, required: 1, byTurn: 3, color: '#3b82f6' }
+            ]);
+            const { result } = calculate();
+            assert.ok(result.bottomingValue >= 0);
+            assertClose(result.naiveExpectedSuccess + result.bottomingValue, result.expectedSuccess);
+        });
+    });
+
     describe('Strategy Calculation', () => {
         it('generates a valid strategy for a standard deck', () => {
             DeckConfig.updateDeck({
@@ -42,6 +76,27 @@ describe('Mulligan Strategy Calculator', () => {
         });
     });
 
+    describe('Draw Profile', () => {
+        it('moves the turn deadlines with play/draw and extra cards seen', () => {
+            DeckConfig.updateDeck({ cardsByName: {} });
+            setCardTypes([
+                { id: 1, name: 'Lands', count: 36, required: 3, byTurn: 3, color: '#22c55e' }
+            ]);
+
+            setDrawProfile({ onPlay: true, extraSeen: [] });
+            const play = calculate().result.baselineSuccess;
+            setDrawProfile({ onPlay: false });
+            const draw = calculate().result.baselineSuccess;
+            setDrawProfile({ onPlay: true, extraSeen: [0, 0, 1] });
+            const cantrip = calculate().result.baselineSuccess;
+            setDrawProfile({ onPlay: true, extraSeen: [] });
+
+            // No mulligans: the turn 3 deadline sees 9 cards on the play, 10 on the draw
+            assert.ok(play < draw, 'the draw sees one more card');
+            assertClose(cantrip, draw, 'one extra card seen matches the draw');
+        });
+    });
+
     describe('Sample Reveals', () => {
         it('generates sample reveal content when card data is present', () => {
             DeckConfig.updateDeck({
@@ -57,5 +112,58 @@ describe('Mulligan Strategy Calculator', () => {
             runSampleReveals();
             assert.ok(display.innerHTML.length > 0, 'Sample reveals should generate content');
         });
+
+        it('shows the hand kept after a mulligan with its bottomed cards', () => {
+            DeckConfig.updateDeck({ cardsByName: {} });
+            setCardTypes([
+                { id: 1, name: 'Lands', count: 38, required: 4, byTurn: 1, color: '#22c55e' }
+            ]);
+
+            const list = global.document.getElementById('mulligan-samples-list');
+            list.innerHTML = '';
+            list.insertAdjacentHTML = (position, html) => { list.innerHTML += html; };
+            runSampleReveals();
+            const samples = list.innerHTML;
+            assert.ok(samples.includes('Kept after'), 'mulliganed samples play out the London mulligan');
+            assert.ok(samples.includes('Put on the bottom'), 'bottomed cards are marked');
+        });
+    });
+
+    describe('Tag-Linked Types', () => {
+        it('takes a linked type count from the deck card tags', () => {
+            DeckConfig.updateDeck({
+                cardsByName: {
+                    'Sol Ring': { name: 'Sol Ring', type_line: 'Artifact', cmc: 1, count: 1, tags: ['ramp'] },
+                    'Cultivate': { name: 'Cultivate', type_line: 'Sorcery', cmc: 3, count: 3, tags: ['ramp'] },
+                    'Forest': { name: 'Forest', type_line: 'Basic Land — Forest', cmc: 0, count: 36, tags: [] }
+                }
+            });
+            setCardTypes([
+                { id: 1, name: 'Lands', count: 36, required: 3, byTurn: 1, color: '#22c55e' },
+                { id: 2, name: 'Ramp', count: 99, required: 1, byTurn: 2, color: '#3b82f6', tag: 'ramp' }
+            ]);
+
+            const [lands, ramp] = getDeckConfig().types;
+            assert.strictEqual(lands.count, 36, 'manual types keep their count');
+            assert.strictEqual(ramp.count, 4);
+
+            DeckConfig.updateDeck({ cardsByName: {} });
+            assert.strictEqual(getDeckConfig().types[1].count, 0, 'tag no longer in the deck');
+        });
+
+        it('escapes tag and type names from share links and imports', () => {
+            const tag = '"><img src=x onerror=alert(1)>';
+            DeckConfig.updateDeck({
+                cardsByName: { 'Sol Ring': { name: 'Sol Ring', type_line: 'Artifact', cmc: 1, count: 1, tags: [tag] } }
+            });
+            setCardTypes([{ id: 1, name: '<b>Ramp</b>', count: 1, required: 1, byTurn: 1, color: '#3b82f6', tag }]);
+
+            const html = global.document.getElementById('mull-types-container').innerHTML;
+            assert.ok(!html.includes('<img'), 'no markup from the tag');
+            assert.ok(!html.includes('<b>'), 'no markup from the type name');
+            assert.ok(html.includes('&quot;&gt;&lt;img'));
+
+            DeckConfig.updateDeck({ cardsByName: {} });
+        });
     });
 });
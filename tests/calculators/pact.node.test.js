@@ -0,0 +1,86 @@
+import { describe, it } from 'node:test';
+import { assert, assertClose, card, deckOf } from '../node-test-helper.js';
+import {
+    calculateTaintedPact, calculateConsultation, resolveTaintedPact, resolveConsultation
+} from '../../js/calculators/pact.js';
+import { shuffleDeck } from '../../js/utils/sampleSimulator.js';
+import { createRng } from '../../js/utils/random.js';
+
+const basics = (name, count) => ({ ...card(name, 0, 'Basic Land'), count });
+const singles = (n) => Array.from({ length: n }, (_, i) => card(`Card ${i}`));
+
+const singleton = deckOf(...singles(30));
+const withBasics = deckOf(...singles(40), basics('Island', 8), basics('Swamp', 6), card("Thassa's Oracle"), card('Laboratory Maniac'));
+
+describe('Tainted Pact / Demonic Consultation Calculator', () => {
+    it('always finds a target in a true singleton library', () => {
+        const result = calculateTaintedPact(singleton, ['Card 0']);
+        assertClose(result.successProb, 1);
+        assertClose(result.duplicateProb, 0);
+        // Card 0 is equally likely at each position
+        assertClose(result.expectedExiled, 29 / 2);
+    });
+
+    it('stops on a second copy of a name', () => {
+        // Target and two Islands: T first, or I then T, find it; I I T fails
+        const result = calculateTaintedPact(deckOf(card('Target'), basics('Island', 2)), ['Target']);
+        assertClose(result.successProb, 2 / 3);
+        assertClose(result.duplicateProb, 1 / 3);
+        assertClose(result.failDist[2], 1 / 3, 'both Islands are exiled');
+        assert.deepStrictEqual(result.duplicateNames, [{ name: 'Island', count: 2 }]);
+    });
+
+    it('exiles the whole library with no target and no duplicates', () => {
+        const result = calculateTaintedPact(singleton, []);
+        assertClose(result.emptyProb, 1);
+        assertClose(result.exiledDist[30], 1);
+    });
+
+    it('matches shuffled libraries with duplicate basics and two targets', () => {
+        const targets = ["Thassa's Oracle", 'Laboratory Maniac'];
+        const exact = calculateTaintedPact(withBasics, targets);
+        const rng = createRng(9);
+        const iterations = 20000;
+        let found = 0;
+        let exiled = 0;
+        for (let i = 0; i < iterations; i++) {
+            const outcome = resolveTaintedPact(shuffleDeck([...withBasics], rng), targets);
+            if (outcome.found) found++;
+            exiled += outcome.exiled.length;
+        }
+        assertClose(exact.successProb, found / iterations, 'success', 0.015);
+        assertClose(exact.expectedExiled, exiled / iterations, 'cards exiled', 0.1);
+        assertClose(exact.exiledDist.reduce((sum, p) => sum + p, 0), 1);
+        assertClose(exact.targetOdds[0].prob, exact.successProb / 2, 'one copy of each target');
+    });
+
+    it('gives Demonic Consultation odds for the top six and beyond', () => {
+        const result = calculateConsultation(singleton, 'Card 0');
+        assertClose(result.topSixProb, 6 / 30);
+        assertClose(result.successProb, 24 / 30);
+        assertClose(result.exiledDist[30], 6 / 30, 'a miss exiles the library');
+
+        const basics = calculateConsultation(withBasics, 'Island');
+        assert.ok(basics.topSixProb > 0.5);
+        assertClose(basics.successProb, 1, 'eight Islands cannot all be in the top six');
+
+        const missing = calculateConsultation(singleton, 'Not In Deck');
+        assertClose(missing.exiledDist[30], 1);
+        assert.strictEqual(missing.count, 0);
+    });
+
+    it('resolves Demonic Consultation on a shuffled library', () => {
+        const rng = createRng(4);
+        const exact = calculateConsultation(withBasics, "Thassa's Oracle");
+        const iterations = 20000;
+        let found = 0;
+        let exiled = 0;
+        for (let i = 0; i < iterations; i++) {
+            const outcome = resolveConsultation(shuffleDeck([...withBasics], rng), "Thassa's Oracle");
+            if (outcome.found) found++;
+            exiled += outcome.exiled.length;
+        }
+        assertClose(exact.successProb, found / iterations, 'success', 0.01);
+        assertClose(exact.expectedExiled, exiled / iterations, 'cards exiled', 0.3);
+    });
+});
@@ -1,6 +1,6 @@
 import { describe, it } from 'node:test';
 import { assert } from '../node-test-helper.js';
-import { calculate } from '../../js/calculators/portent.js';
+import { calculate, simulatePortentDistribution } from '../../js/calculators/portent.js';
 import * as DeckConfig from '../../js/utils/deckConfig.js';
 
 describe('Portent of Calamity Calculator', () => {
@@ -26,4 +26,21 @@ describe('Portent of Calamity Calculator', () => {
         const res2 = results[2];
         assert.strictEqual(res2.prob4Plus, 0);
     });
+
+    it('reports 95% intervals and converges in adaptive mode', () => {
+        global.document.getElementById('portent-xValue').value = '6';
+        const { results } = calculate();
+        const res6 = results[6];
+        const p = res6.prob4Plus;
+        assert.ok(Math.abs(res6.prob4PlusHalfWidth - 1.96 * Math.sqrt(p * (1 - p) / res6.iterations)) < 1e-12);
+        assert.strictEqual(res6.converged, null);
+
+        // 15 cards each of 4 types, as type bitmasks
+        const deck = Uint32Array.from({ length: 60 }, (_, i) => 1 << (i % 4));
+        const adaptive = simulatePortentDistribution(deck, 4, 60, 6, {
+            iterations: 1000, precision: { adaptive: true, tolerance: 5, maxSimulations: 200000 }
+        });
+        assert.strictEqual(adaptive[6].converged, true);
+        assert.ok(adaptive[6].prob4PlusHalfWidth <= 0.05);
+    });
 });
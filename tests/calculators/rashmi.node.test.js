@@ -36,4 +36,15 @@ describe('Rashmi, Eternities Crafter Calculator', () => {
         const resultAt6 = results[6];
         assertClose(resultAt6.probFreeSpell, 0.5, 'Probability at CMC 6');
     });
+
+    it('uses a known top card from the game tracker', () => {
+        DeckConfig.addKnownCard('top', 'Card B');
+        global.document.getElementById('rashmi-cmcValue').value = '6';
+        const { results } = calculate();
+        DeckConfig.clearKnownCards();
+
+        assert.strictEqual(results[5].probFreeSpell, 0, 'Card B costs 5');
+        assert.strictEqual(results[6].probFreeSpell, 1);
+        assert.strictEqual(results[6].expectedCmc, 5);
+    });
 });
@@ -22,4 +22,24 @@ describe('Monstrous Vortex Calculator', () => {
         assertClose(result6.avgFreeMana, 5.0, 'Avg Free Mana Value');
         assertClose(result6.avgSpellsPerTrigger, 1.5, 'Avg Spells Cast');
     });
+
+    it('hits a known top card for certain', () => {
+        DeckConfig.updateDeck({
+            cardsByName: {
+                'Chain Dino': { name: 'Chain Dino', type_line: 'Creature — Dinosaur', cmc: 5, power: '5', count: 1 },
+                'Small Dino': { name: 'Small Dino', type_line: 'Creature — Dinosaur', cmc: 4, power: '4', count: 1 },
+                'Tiny Spell': { name: 'Tiny Spell', type_line: 'Instant', cmc: 1, count: 1 }
+            }
+        });
+        DeckConfig.addKnownCard('top', 'Chain Dino');
+        DeckConfig.addKnownCard('top', 'Small Dino');
+        const { results } = calculate();
+        DeckConfig.clearKnownCards();
+
+        // Chain Dino, then Small Dino from the known cards below it
+        assertClose(results[6].avgFreeMana, 9, 'Known chain');
+        assertClose(results[6].avgSpellsPerTrigger, 2, 'Two spells');
+        // X = 4 skips Chain Dino and hits Small Dino
+        assertClose(results[4].avgFreeMana, 4, 'Second known card');
+    });
 });
@@ -1,7 +1,8 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
 import { assertClose } from '../node-test-helper.js';
-import { simulateVow } from '../../js/calculators/vow.js';
+import { simulateVow, revealValueDistribution } from '../../js/calculators/vow.js';
+import { drawType } from '../../js/utils/hypergeometric.js';
 
 describe('Kamahl\'s Druidic Vow Calculator', () => {
     // Distribution contains counts of VALID HITS only
@@ -41,6 +42,28 @@ describe('Kamahl\'s Druidic Vow Calculator', () => {
         assertClose(result2.expectedHits, expected, 'X=2 calculation');
     });
 
+    it('does not reuse results for a deck that splits its hits differently', () => {
+        const landsDeck = {
+            cardsByName: {
+                'Forest': { name: 'Forest', type_line: 'Basic Land — Forest', cmc: 0, count: 10 },
+                'Filler': { name: 'Filler', type_line: 'Instant', cmc: 1, count: 30 }
+            }
+        };
+        const legendsDeck = {
+            cardsByName: {
+                'Forest': { name: 'Forest', type_line: 'Basic Land — Forest', cmc: 0, count: 5 },
+                'Ornithopter': { name: 'Legendary Ornithopter', type_line: 'Legendary Artifact Creature — Thopter', cmc: 0, count: 5 },
+                'Filler': { name: 'Filler', type_line: 'Instant', cmc: 1, count: 30 }
+            }
+        };
+        // Same mana value distribution of hits: ten at 0
+        const lands = simulateVow(40, { 0: 10 }, 4, false, landsDeck);
+        const legends = simulateVow(40, { 0: 10 }, 4, false, legendsDeck);
+        assertClose(lands.expectedLands, 1, 'all ten hits are lands');
+        assertClose(legends.expectedLands, 0.5, 'half the hits are lands');
+        assertClose(legends.expectedLegends, 0.5);
+    });
+
     it('returns detailed breakdown (lands, legends, mana value)', () => {
         // Create mock card data for breakdown testing
         const mockCardData = {
@@ -127,4 +150,85 @@ describe('Kamahl\'s Druidic Vow Calculator', () => {
         // Only Ragavan should count as legendary
         assertClose(result.expectedLegends, 5 * (10/30), 'Only legendary cards should count');
     });
+
+    describe('Outcome distributions', () => {
+        const cardData = {
+            cardsByName: {
+                'Forest': { name: 'Forest', type_line: 'Basic Land — Forest', cmc: 0, count: 36 },
+                'Ragavan': { name: 'Ragavan', type_line: 'Legendary Creature — Monkey', cmc: 2, count: 5 },
+                'Omnath': { name: 'Omnath', type_line: 'Legendary Creature — Elemental', cmc: 5, count: 6 },
+                'Grizzly Bears': { name: 'Grizzly Bears', type_line: 'Creature — Bear', cmc: 2, count: 53 }
+            }
+        };
+
+        it('returns distributions that sum to 1 and match the expectations', () => {
+            const result = simulateVow(100, {}, 6, false, cardData);
+
+            Object.entries(result.distributions).forEach(([key, dist]) => {
+                assertClose(dist.reduce((a, b) => a + b, 0), 1, `${key} sums to 1`);
+            });
+            const meanMV = result.distributions.manaValue.reduce((sum, p, v) => sum + p * v, 0);
+            assertClose(meanMV, 6 * (5 * 2 + 6 * 5) / 100, 'Mana value mean');
+        });
+
+        it('gives hypergeometric lands for a single cast', () => {
+            const result = simulateVow(100, {}, 8, false, cardData);
+            for (let k = 0; k <= 8; k++) {
+                assertClose(result.distributions.lands[k], drawType(100, 36, 8, k), `P(${k} lands)`);
+            }
+        });
+
+        it('reports ordered percentiles', () => {
+            const { p10, p50, p90 } = simulateVow(100, {}, 10, true, cardData).percentiles.manaValue;
+            assert.ok(p10 <= p50 && p50 <= p90, `${p10} <= ${p50} <= ${p90}`);
+        });
+
+        it('resolves the copy against the rest of the library with its own X', () => {
+            // 4 cards: one 3-drop legend. First cast X=3 sees it 3/4 of the time;
+            // the copy (X=1) reveals the last card but can't take a 3-drop.
+            const smallDeck = {
+                cardsByName: {
+                    'Omnath': { name: 'Omnath', type_line: 'Legendary Creature', cmc: 3, count: 1 },
+                    'Grizzly Bears': { name: 'Grizzly Bears', type_line: 'Creature — Bear', cmc: 2, count: 3 }
+                }
+            };
+            const result = simulateVow(4, {}, 3, true, smallDeck, 1);
+
+            assert.strictEqual(result.cardsRevealed, 4);
+            assertClose(result.expectedLegends, 0.75, 'Only the first cast can hit');
+            assertClose(result.distributions.legends[1], 0.75, 'P(1 legend)');
+            assertClose(result.casts[1].expectedLegends, 0, 'Copy never hits');
+        });
+
+        it('matches brute force enumeration for two reveals', () => {
+            // Cards: value in first reveal / value in second reveal
+            const cards = [[2, 0], [2, 0], [0, 3], [1, 1], [1, 1], [0, 0]];
+            const x1 = 2;
+            const x2 = 3;
+            const expected = new Array(10).fill(0);
+            let orders = 0;
+
+            const permute = (prefix, rest) => {
+                if (prefix.length === x1 + x2) {
+                    const value = prefix.reduce((sum, c, i) => sum + (i < x1 ? cards[c][0] : cards[c][1]), 0);
+                    expected[value]++;
+                    orders++;
+                    return;
+                }
+                rest.forEach((c, i) => permute([...prefix, c], rest.filter((_, j) => j !== i)));
+            };
+            permute([], cards.map((_, i) => i));
+
+            const dist = revealValueDistribution([
+                { count: 2, w1: 2, w2: 0 },
+                { count: 1, w1: 0, w2: 3 },
+                { count: 2, w1: 1, w2: 1 }
+            ], 6, x1, x2);
+
+            expected.forEach((count, v) => {
+                assertClose(dist[v] || 0, count / orders, `P(value = ${v})`);
+            });
+        });
+    });
 });
+
@@ -1,5 +1,6 @@
 import { describe, it } from 'node:test';
-import { assertClose } from '../node-test-helper.js';
+import { assert, assertClose } from '../node-test-helper.js';
+import { drawType } from '../../js/utils/hypergeometric.js';
 import { simulateGenesisWave } from '../../js/calculators/wave.js';
 
 describe('Genesis Wave Calculator', () => {
@@ -26,4 +27,77 @@ describe('Genesis Wave Calculator', () => {
         const result2 = simulateGenesisWave(deckSize, distribution, 2);
         assertClose(result2.expectedPermanents, 1.0, 'X=2 calculation');
     });
+
+    describe('Exact distribution', () => {
+        const deck = { lands: 36, 1: 4, 2: 10, 3: 12, 4: 8, 7: 5, nonperm: 25 };
+
+        it('sums to 1 and matches the expectation', () => {
+            const result = simulateGenesisWave(100, deck, 12);
+            const total = result.permanentDistribution.reduce((a, b) => a + b, 0);
+            const mean = result.permanentDistribution.reduce((sum, p, k) => sum + p * k, 0);
+
+            assertClose(total, 1, 'Probabilities sum to 1');
+            assertClose(mean, result.expectedPermanents, 'Mean equals expectation');
+        });
+
+        it('matches the hypergeometric for eligible permanents', () => {
+            // X=3: lands + CMC 1-3 are eligible = 62
+            const result = simulateGenesisWave(100, deck, 3);
+            for (let k = 0; k <= 3; k++) {
+                assertClose(result.permanentDistribution[k], drawType(100, 62, 3, k), `P(${k})`);
+            }
+        });
+
+        it('answers P(at least k)', () => {
+            const result = simulateGenesisWave(100, deck, 12);
+            const direct = result.permanentDistribution.slice(8).reduce((a, b) => a + b, 0);
+
+            assertClose(result.atLeast[0], 1, 'P(at least 0) = 1');
+            assertClose(result.atLeast[8], direct, 'P(at least 8)');
+        });
+
+        it('reports ordered percentiles', () => {
+            const { p10, p50, p90 } = simulateGenesisWave(100, deck, 12).percentiles;
+            assert.ok(p10 <= p50 && p50 <= p90, `${p10} <= ${p50} <= ${p90}`);
+            assert.ok(p90 <= 12, 'Cannot exceed cards revealed');
+        });
+
+        it('breaks down lands, nonlands and CMC buckets', () => {
+            const result = simulateGenesisWave(100, deck, 6);
+
+            assert.strictEqual(result.lands.count, 36);
+            assert.strictEqual(result.nonlands.count, 34, 'CMC 7 permanents are not eligible at X=6');
+            assertClose(result.lands.expected + result.nonlands.expected, result.expectedPermanents, 'Groups add up');
+
+            const bucketTotal = result.byCmc.reduce((sum, b) => sum + b.expected, 0);
+            assertClose(bucketTotal, result.nonlands.expected, 'Buckets add up to nonlands');
+
+            const highBucket = result.byCmc.find(b => b.label === 'CMC 6+');
+            assert.strictEqual(highBucket.inDeck, 5);
+            assert.strictEqual(highBucket.count, 0);
+            assertClose(highBucket.probAtLeastOne, 0, 'Ineligible bucket never hits');
+        });
+
+        it('counts the lands key used by the Primal Surge comparison', () => {
+            const result = simulateGenesisWave(60, { lands: 40, nonperm: 20 }, 7);
+            assertClose(result.expectedPermanents, 7 * (40 / 60), 'Lands count as hits');
+        });
+    });
+
+    describe('Known Top Cards', () => {
+        it('reveals known top cards first and draws the rest from below them', () => {
+            const result = simulateGenesisWave(60, { lands: 30, 3: 20, nonperm: 10 }, 5, ['lands', 'nonperm']);
+            assertClose(result.expectedPermanents, 1 + 3 * (49 / 58), 'One known land plus three unknown cards');
+            assert.strictEqual(result.permanentDistribution.length, 6);
+            assert.strictEqual(result.permanentDistribution[0], 0, 'The known land always hits');
+            assertClose(result.permanentDistribution.reduce((a, b) => a + b, 0), 1, 'Distribution sums to 1');
+            assertClose(result.lands.expected, 1 + 3 * (29 / 58), 'Lands');
+        });
+
+        it('ignores unknown cards when X is covered by the known ones', () => {
+            const result = simulateGenesisWave(60, { lands: 30, 3: 20, nonperm: 10 }, 2, [3, 'nonperm', 'lands']);
+            assert.strictEqual(result.expectedPermanents, 0, 'A CMC 3 permanent misses for X = 2');
+            assert.strictEqual(simulateGenesisWave(60, { lands: 30, 3: 20, nonperm: 10 }, 3, [3, 'nonperm', 'lands']).expectedPermanents, 2);
+        });
+    });
 });
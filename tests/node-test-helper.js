@@ -4,6 +4,7 @@
  */
 
 import assert from 'node:assert';
+import { buildDeckFromCardData } from '../js/utils/sampleSimulator.js';
 
 // Mock Global Document
 global.document = {
@@ -160,5 +161,16 @@ export function createMinimalDeck(lands = 24, nonlands = 36) {
     };
 }
 
+// Card data for a test deck (one copy; spread in a count for more)
+export const card = (name, cmc = 1, type_line = 'Instant') => ({ name, type_line, cmc, count: 1 });
+
+// Deck cards (as from buildDeckFromCardData) for some card data
+export function deckOf(...cards) {
+    return buildDeckFromCardData({ cardsByName: Object.fromEntries(cards.map(c => [c.name, c])) });
+}
+
+// A library stacked in the given order, one card each
+export const ordered = (...cards) => cards.map(c => deckOf(c)[0]);
+
 // Re-export assert for convenience
 export { assert };
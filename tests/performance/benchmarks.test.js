@@ -322,17 +322,21 @@ describe('Performance Benchmarks', () => {
 
     describe('Comparative Performance', () => {
         it('two-type is faster than three-type calculations', () => {
-            const twoTypeTime = benchmark(
+            // Fastest of many calls: one call takes microseconds, so a single timing
+            // is mostly compiler and GC noise
+            const twoTypeTime = benchmarkIterations(
                 () => drawTwoTypeMin(60, 24, 10, 7, 2, 1),
+                200,
                 'Two-type calculation',
-                THRESHOLDS.ACCEPTABLE
-            ).elapsed;
+                THRESHOLDS.FAST
+            ).min;
 
-            const threeTypeTime = benchmark(
+            const threeTypeTime = benchmarkIterations(
                 () => drawThreeTypeMin(60, 24, 10, 8, 7, 2, 1, 1),
+                200,
                 'Three-type calculation',
-                THRESHOLDS.ACCEPTABLE
-            ).elapsed;
+                THRESHOLDS.FAST
+            ).min;
 
             console.log(`  ℹ️  Three-type is ${(threeTypeTime / twoTypeTime).toFixed(2)}x slower than two-type`);
 
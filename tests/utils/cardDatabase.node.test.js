@@ -0,0 +1,126 @@
+/**
+ * Tests for cardDatabase.js and the Node bulk data loader
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import {
+    normalizeCardKey, parseBulkCards, useCardIndex, lookupLocalCards, getCardDatabaseInfo
+} from '../../js/utils/cardDatabase.js';
+import { importDecklistBatch } from '../../js/utils/decklistImport.js';
+import { loadCardDatabase } from '../../scripts/loadCardDatabase.js';
+
+const FIXTURE_PATH = fileURLToPath(new URL('../fixtures/oracle-cards-sample.json', import.meta.url));
+const bulkData = JSON.parse(readFileSync(FIXTURE_PATH, 'utf-8'));
+
+describe('Offline Card Database', () => {
+    afterEach(() => {
+        useCardIndex(null);
+    });
+
+    describe('normalizeCardKey', () => {
+        it('uses the front face, lowercased', () => {
+            assert.strictEqual(normalizeCardKey('Bala Ged Recovery // Bala Ged Sanctuary'), 'bala ged recovery');
+            assert.strictEqual(normalizeCardKey('  Sol Ring '), 'sol ring');
+        });
+
+        it('strips accents', () => {
+            assert.strictEqual(normalizeCardKey("Lim-Dûl's Vault"), "lim-dul's vault");
+            assert.strictEqual(normalizeCardKey('Séance'), 'seance');
+        });
+
+        it('handles invalid input', () => {
+            assert.strictEqual(normalizeCardKey(null), '');
+            assert.strictEqual(normalizeCardKey(42), '');
+        });
+    });
+
+    describe('parseBulkCards', () => {
+        it('keeps deck cards and skips tokens and art cards', () => {
+            const cards = parseBulkCards(bulkData);
+            const names = cards.map(card => card.name);
+
+            assert.strictEqual(cards.length, 6);
+            assert.ok(!names.includes('Beast'));
+            assert.strictEqual(names.filter(name => name === 'Craterhoof Behemoth').length, 1);
+        });
+
+        it('keeps only the fields calculators use', () => {
+            const forest = parseBulkCards(bulkData).find(card => card.name === 'Forest');
+            assert.strictEqual(forest.type_line, 'Basic Land — Forest');
+            assert.deepStrictEqual(forest.produced_mana, ['G']);
+            assert.strictEqual(forest.oracle_text, undefined);
+            assert.strictEqual(forest.prices, undefined);
+        });
+
+        it('keeps card faces for double-faced cards', () => {
+            const mdfc = parseBulkCards(bulkData).find(card => card.layout === 'modal_dfc');
+            assert.strictEqual(mdfc.card_faces.length, 2);
+            assert.strictEqual(mdfc.card_faces[0].type_line, 'Sorcery');
+        });
+
+        it('rejects files that are not card arrays', () => {
+            assert.throws(() => parseBulkCards({ object: 'list' }), /JSON array/);
+            assert.throws(() => parseBulkCards([]), /No cards found/);
+        });
+    });
+
+    describe('lookupLocalCards', () => {
+        it('returns an empty map when no database is loaded', async () => {
+            const found = await lookupLocalCards(['Forest']);
+            assert.strictEqual(found.size, 0);
+            assert.strictEqual(await getCardDatabaseInfo(), null);
+        });
+
+        it('resolves names case- and accent-insensitively', async () => {
+            useCardIndex(parseBulkCards(bulkData));
+            const found = await lookupLocalCards(['forest', "Lim-Dul's Vault", 'Bala Ged Recovery', 'Sol Ring']);
+
+            assert.strictEqual(found.get('forest').name, 'Forest');
+            assert.strictEqual(found.get("Lim-Dul's Vault").name, "Lim-Dûl's Vault");
+            assert.strictEqual(found.get('Bala Ged Recovery').layout, 'modal_dfc');
+            assert.ok(!found.has('Sol Ring'));
+        });
+    });
+
+    describe('Node loader', () => {
+        it('loads a bulk file into the in-memory index', async () => {
+            assert.strictEqual(loadCardDatabase(FIXTURE_PATH), 6);
+            assert.deepStrictEqual(await getCardDatabaseInfo(), { count: 6, updatedAt: null });
+        });
+    });
+
+    describe('importDecklistBatch', () => {
+        it('imports entirely from the local database without fetching', async () => {
+            loadCardDatabase(FIXTURE_PATH);
+
+            const originalFetch = globalThis.fetch;
+            let fetchCalls = 0;
+            globalThis.fetch = async () => {
+                fetchCalls++;
+                throw new Error('Network disabled');
+            };
+
+            try {
+                const result = await importDecklistBatch(`30 Forest
+4 Llanowar Elves
+1 Craterhoof Behemoth
+1 Cultivate
+1 Lim-Dul's Vault
+1 Bala Ged Recovery`);
+
+                assert.strictEqual(fetchCalls, 0);
+                assert.strictEqual(result.lands, 30);
+                assert.strictEqual(result.creatures, 5);
+                assert.strictEqual(result.sorceries, 2);
+                assert.strictEqual(result.instants, 1);
+                assert.strictEqual(result.actualCardCount, 38);
+                assert.strictEqual(result.cardsByName['Bala Ged Recovery // Bala Ged Sanctuary'].cmc, 3);
+            } finally {
+                globalThis.fetch = originalFetch;
+            }
+        });
+    });
+});
@@ -0,0 +1,209 @@
+/**
+ * Tests for A/B deck comparison (comparison.js, challenger deck in deckConfig.js)
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import { assert } from '../node-test-helper.js';
+import * as DeckConfig from '../../js/utils/deckConfig.js';
+import { buildDeckState } from '../../js/utils/decklistImport.js';
+import { captureChallengerRender, clearChallengerRender, wrapTooltipLabel } from '../../js/utils/comparison.js';
+import { createOrUpdateChart } from '../../js/utils/chartHelpers.js';
+import { renderMultiColumnTable } from '../../js/utils/tableUtils.js';
+import { registerCalculator, slotKey } from '../../js/utils/calculatorBase.js';
+
+const cards = {
+    'Llanowar Elves': { name: 'Llanowar Elves', type_line: 'Creature — Elf Druid', cmc: 1, power: '1', count: 1 },
+    'Craterhoof Behemoth': { name: 'Craterhoof Behemoth', type_line: 'Creature — Beast', cmc: 8, power: '5', count: 1 },
+    'Forest': { name: 'Forest', type_line: 'Basic Land — Forest', cmc: 0, count: 30 }
+};
+
+const lineChart = (values) => ({
+    type: 'line',
+    data: {
+        labels: ['X=1', 'X=2', 'X=3'],
+        datasets: [{ label: 'P(Hit) %', data: values, borderColor: '#fff' }]
+    }
+});
+
+describe('Challenger Deck', () => {
+    afterEach(() => {
+        DeckConfig.stopComparison();
+    });
+
+    it('runs calculations against the challenger only inside withChallengerDeck', () => {
+        assert.strictEqual(DeckConfig.withChallengerDeck(() => 1), null, 'null when not comparing');
+
+        const primaryLands = DeckConfig.getDeckConfig().lands;
+        DeckConfig.startComparison();
+        DeckConfig.updateChallenger({ lands: primaryLands + 2 });
+
+        assert.strictEqual(DeckConfig.isComparing(), true);
+        assert.strictEqual(DeckConfig.withChallengerDeck(() => DeckConfig.getDeckConfig().lands), primaryLands + 2);
+        assert.strictEqual(DeckConfig.getDeckConfig().lands, primaryLands, 'primary restored afterwards');
+    });
+
+    it('starts from an independent copy of the primary deck', () => {
+        DeckConfig.startComparison();
+        const challenger = DeckConfig.getChallengerConfig();
+        assert.notStrictEqual(challenger.cardsByName, DeckConfig.getDeckConfig().cardsByName);
+        assert.deepStrictEqual(challenger.cardsByName, DeckConfig.getDeckConfig().cardsByName);
+    });
+
+    it('restores the primary deck if the calculation throws', () => {
+        const primaryLands = DeckConfig.getDeckConfig().lands;
+        DeckConfig.startComparison();
+        DeckConfig.updateChallenger({ lands: 1 });
+        assert.throws(() => DeckConfig.withChallengerDeck(() => { throw new Error('boom'); }), /boom/);
+        assert.strictEqual(DeckConfig.getDeckConfig().lands, primaryLands);
+    });
+
+    it('reports the challenger slot and keys its worker runs apart', () => {
+        DeckConfig.startComparison();
+        assert.strictEqual(DeckConfig.isPrimaryDeck(), true);
+        assert.strictEqual(slotKey('portent-batch'), 'portent-batch');
+
+        DeckConfig.withChallengerDeck(() => {
+            assert.strictEqual(DeckConfig.getDeckSlot(), 'challenger');
+            assert.strictEqual(DeckConfig.isPrimaryDeck(), false);
+            assert.strictEqual(slotKey('portent-batch'), 'portent-batch-challenger');
+        });
+        assert.strictEqual(DeckConfig.withDeckState(DeckConfig.getFullDeckConfig(), DeckConfig.getDeckSlot), 'scenario');
+        assert.strictEqual(DeckConfig.getDeckSlot(), 'primary');
+    });
+
+    it('renders the challenger with calculateAsync before the primary update', async () => {
+        const calls = [];
+        const { updateUI } = registerCalculator({
+            name: 'async-compare',
+            calculate: () => calls.push('calculate'),
+            calculateAsync: (onComplete) => {
+                const slot = DeckConfig.getDeckSlot();
+                calls.push(`calculateAsync:${slot}`);
+                setTimeout(() => onComplete(slot), 0);
+            },
+            render: (slot) => calls.push(`render:${slot}`),
+            updateUI: () => calls.push(`updateUI:${DeckConfig.getDeckSlot()}`)
+        });
+        await new Promise(resolve => setTimeout(resolve, 10));
+        calls.length = 0;
+
+        DeckConfig.startComparison();
+        updateUI();
+        await new Promise(resolve => setTimeout(resolve, 250));
+
+        assert.deepStrictEqual(calls, ['calculateAsync:challenger', 'render:challenger', 'updateUI:primary']);
+        clearChallengerRender('async-compare');
+    });
+});
+
+describe('buildDeckState', () => {
+    it('rebuilds type counts and card details from a card list', () => {
+        const state = buildDeckState({ ...cards, 'Llanowar Elves': { ...cards['Llanowar Elves'], count: 2 } });
+
+        assert.strictEqual(state.creatures, 3);
+        assert.strictEqual(state.lands, 30);
+        assert.strictEqual(state.actualCardCount, 33);
+        assert.strictEqual(state.cardDetails.length, 3, 'one entry per nonland copy');
+        assert.strictEqual(state.creaturesPower5Plus, 1);
+        assert.strictEqual(state.cardsByName['Llanowar Elves'].count, 2);
+    });
+
+    it('skips cards with no copies', () => {
+        const state = buildDeckState({ ...cards, 'Forest': { ...cards.Forest, count: 0 } });
+        assert.strictEqual(state.lands, 0);
+        assert.strictEqual('Forest' in state.cardsByName, false);
+    });
+});
+
+describe('Comparison Rendering', () => {
+    // Own DOM stub: other test files replace the global document when run in one process
+    let elements;
+    let savedDocument;
+
+    beforeEach(() => {
+        elements = {};
+        savedDocument = globalThis.document;
+        globalThis.document = {
+            getElementById: (id) => (elements[id] ??= { id, innerHTML: '' })
+        };
+    });
+
+    afterEach(() => {
+        clearChallengerRender('test');
+        globalThis.document = savedDocument;
+    });
+
+    it('records challenger charts without drawing them', () => {
+        let chart = null;
+        captureChallengerRender('test', () => {
+            chart = createOrUpdateChart(chart, 'test-chart', lineChart([10, 20, 30]));
+        });
+        assert.strictEqual(chart, null);
+    });
+
+    it('overlays challenger series on the primary chart', () => {
+        captureChallengerRender('test', () => {
+            createOrUpdateChart(null, 'test-chart', lineChart([15, 25, 35]));
+        });
+        const chart = createOrUpdateChart(null, 'test-chart', lineChart([10, 20, 30]));
+        const [primary, challenger] = chart.data.datasets;
+
+        assert.strictEqual(chart.data.datasets.length, 2);
+        assert.strictEqual(primary.compareSlot, 'A');
+        assert.strictEqual(challenger.label, 'B · P(Hit) %');
+        assert.deepStrictEqual(challenger.data, [15, 25, 35]);
+        assert.deepStrictEqual(challenger.borderDash, [6, 4]);
+    });
+
+    it('aligns challenger data to the primary labels', () => {
+        captureChallengerRender('test', () => {
+            createOrUpdateChart(null, 'test-chart', {
+                type: 'line',
+                data: { labels: ['X=2', 'X=3', 'X=4'], datasets: [{ label: 'P(Hit) %', data: [25, 35, 45] }] }
+            });
+        });
+        const chart = createOrUpdateChart(null, 'test-chart', lineChart([10, 20, 30]));
+        assert.deepStrictEqual(chart.data.datasets[1].data, [null, 25, 35]);
+    });
+
+    it('drops the overlay once the challenger render is cleared', () => {
+        captureChallengerRender('test', () => {
+            createOrUpdateChart(null, 'test-chart', lineChart([15, 25, 35]));
+        });
+        clearChallengerRender('test');
+        const chart = createOrUpdateChart(null, 'test-chart', lineChart([10, 20, 30]));
+        assert.strictEqual(chart.data.datasets.length, 1);
+    });
+
+    it('prefixes tooltips and passes challenger series their original label and index', () => {
+        const label = wrapTooltipLabel(ctx => `${ctx.datasetIndex}:${ctx.dataset.label}`);
+
+        assert.strictEqual(label({ datasetIndex: 0, dataset: { label: 'Hits' } }), '0:Hits');
+        assert.strictEqual(label({ datasetIndex: 0, dataset: { label: 'Hits', compareSlot: 'A' } }), 'A · 0:Hits');
+        assert.strictEqual(
+            label({ datasetIndex: 1, dataset: { label: 'B · Hits', compareSlot: 'B', compareLabel: 'Hits', compareIndex: 0 } }),
+            'B · 0:Hits'
+        );
+    });
+
+    it('adds delta columns next to values that differ', () => {
+        const headers = ['X', 'P(Hit)', 'Cards'];
+        captureChallengerRender('test', () => {
+            renderMultiColumnTable('test-table', headers, [['1', '50.0%', '3.00'], ['2', '60.0%', '4.00']]);
+        });
+        renderMultiColumnTable('test-table', headers, [['1', '45.5%', '3.00'], ['2', '62.0%', '4.00']]);
+
+        const html = document.getElementById('test-table').innerHTML;
+        assert.match(html, /Δ B−A/);
+        assert.strictEqual((html.match(/<th[ >]/g) || []).length, 4, 'only the P(Hit) column differs');
+        assert.match(html, /\+4\.5 pp/);
+        assert.match(html, /−2\.0 pp/);
+    });
+
+    it('leaves tables unchanged when the decks agree', () => {
+        const rows = [['1', '50.0%']];
+        captureChallengerRender('test', () => renderMultiColumnTable('test-table', ['X', 'P'], rows));
+        renderMultiColumnTable('test-table', ['X', 'P'], rows);
+        assert.doesNotMatch(document.getElementById('test-table').innerHTML, /Δ/);
+    });
+});
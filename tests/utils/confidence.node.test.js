@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import { assert, assertClose } from '../node-test-helper.js';
+import {
+    proportionError, meanError, sumsError, withinTolerance, simulateUntilPrecise
+} from '../../js/utils/confidence.js';
+
+describe('Confidence Intervals', () => {
+    it('computes standard errors of simulated chances and averages', () => {
+        assertClose(proportionError(0.5, 10000), 0.005);
+        assert.strictEqual(proportionError(0.5, 0), 0);
+        // Values 0 and 2 with equal odds: variance 1
+        assertClose(meanError([0.5, 0, 0.5], 100), 0.1);
+        // Same values from running sums: 50 twos and 50 zeros
+        assertClose(sumsError(100, 200, 100), 0.1);
+        assert.strictEqual(sumsError(0, 0, 0), 0);
+    });
+
+    it('checks chances in percentage points and averages in percent of the value', () => {
+        assert.ok(withinTolerance(0.004, 0.3, 0.5, true));
+        assert.ok(!withinTolerance(0.006, 0.3, 0.5, true));
+        assert.ok(withinTolerance(0.04, 10, 0.5, false), '0.04 is 0.4% of 10');
+        assert.ok(!withinTolerance(0.06, 10, 0.5, false));
+        assert.ok(withinTolerance(0, 0, 0.5, false));
+    });
+
+    it('runs exactly the requested trials in fixed mode', () => {
+        const batches = [];
+        const progress = [];
+        const run = simulateUntilPrecise(n => batches.push(n), () => true, {
+            trials: 2500, onProgress: p => progress.push(p)
+        });
+        assert.deepStrictEqual(batches, [1000, 1000, 500]);
+        assert.deepStrictEqual(run, { trials: 2500, converged: null });
+        assert.strictEqual(progress[progress.length - 1], 1);
+    });
+
+    it('stops adaptive runs once precise, with a minimum of 2000 trials', () => {
+        const run = simulateUntilPrecise(() => {}, () => true, {
+            trials: 1000, precision: { adaptive: true, tolerance: 0.5, maxSimulations: 200000 }
+        });
+        assert.deepStrictEqual(run, { trials: 2000, converged: true });
+
+        const later = simulateUntilPrecise(() => {}, done => done >= 7000, {
+            trials: 1000, precision: { adaptive: true, tolerance: 0.5, maxSimulations: 200000 }
+        });
+        assert.deepStrictEqual(later, { trials: 7000, converged: true });
+    });
+
+    it('gives up on adaptive runs at the simulation cap, however long the batches take', () => {
+        // Every batch "takes" a minute; the run must not care
+        const realNow = Date.now;
+        let clock = 0;
+        Date.now = () => (clock += 60000);
+        const progress = [];
+        try {
+            const run = simulateUntilPrecise(() => Date.now(), () => false, {
+                trials: 1000, precision: { adaptive: true, tolerance: 0.5, maxSimulations: 5000 }, onProgress: p => progress.push(p)
+            });
+            assert.deepStrictEqual(run, { trials: 5000, converged: false });
+        } finally {
+            Date.now = realNow;
+        }
+        assert.deepStrictEqual(progress, [0.2, 0.4, 0.6, 0.8, 1]);
+    });
+});
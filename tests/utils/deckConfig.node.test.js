@@ -0,0 +1,120 @@
+/**
+ * Tests for deckConfig.js card-level editing
+ */
+
+import { describe, it, after } from 'node:test';
+import { assert } from '../node-test-helper.js';
+import * as DeckConfig from '../../js/utils/deckConfig.js';
+
+const cards = {
+    'Sol Ring': { name: 'Sol Ring', type_line: 'Artifact', cmc: 1, count: 1 },
+    'Craterhoof Behemoth': { name: 'Craterhoof Behemoth', type_line: 'Creature — Beast', cmc: 8, power: '5', count: 1 },
+    'Cultivate': { name: 'Cultivate', type_line: 'Sorcery', cmc: 3, count: 2 },
+    'Forest': { name: 'Forest', type_line: 'Basic Land — Forest', cmc: 0, count: 30 }
+};
+
+describe('Deck Config - setCardList', () => {
+    const original = DeckConfig.getDeckConfig();
+    let savedDocument;
+
+    after(() => {
+        DeckConfig.loadDeckState(original);
+        globalThis.document = savedDocument;
+    });
+
+    it('recomputes every derived field from the card list', () => {
+        // Other test files replace the global document when run in one process
+        savedDocument = globalThis.document;
+        globalThis.document = { getElementById: () => null, querySelectorAll: () => [] };
+
+        let notified = null;
+        DeckConfig.onDeckUpdate(config => { notified = config; });
+        DeckConfig.setCardList(cards);
+
+        const config = DeckConfig.getDeckConfig();
+        assert.strictEqual(config.lands, 30);
+        assert.strictEqual(config.creatures, 1);
+        assert.strictEqual(config.sorceries, 2);
+        assert.strictEqual(config.artifacts, 1);
+        assert.strictEqual(config.instants, 0);
+        assert.strictEqual(config.actualCardCount, 34);
+        assert.strictEqual(DeckConfig.getDeckSize(), 34);
+        assert.strictEqual(config.creaturesPower5Plus, 1);
+        assert.strictEqual(config.cmc1, 1);
+        assert.strictEqual(config.cmc6, 1);
+        assert.strictEqual(config.cmc3, 0, 'sorceries are not in the permanent buckets');
+        assert.strictEqual(config.cardDetails.length, 4);
+        assert.deepStrictEqual(Object.keys(config.cardsByName).sort(), Object.keys(cards).sort());
+        assert.strictEqual(notified.actualCardCount, 34);
+    });
+
+    it('counts tagged copies per tag', () => {
+        DeckConfig.setCardList({
+            ...cards,
+            'Sol Ring': { ...cards['Sol Ring'], tags: ['ramp'] },
+            'Cultivate': { ...cards.Cultivate, tags: ['ramp', 'land search'] }
+        });
+
+        assert.deepStrictEqual(DeckConfig.getTagCounts(), { 'land search': 2, ramp: 3 });
+        assert.deepStrictEqual(Object.keys(DeckConfig.getTagCounts()), ['land search', 'ramp']);
+    });
+});
+
+describe('Deck Config - game tracker', () => {
+    const original = DeckConfig.getFullDeckConfig();
+    let savedDocument;
+
+    after(() => {
+        DeckConfig.clearKnownCards();
+        DeckConfig.loadDeckState(original);
+        globalThis.document = savedDocument;
+    });
+
+    it('subtracts known cards from the library the calculators see', () => {
+        savedDocument = globalThis.document;
+        globalThis.document = { getElementById: () => null, querySelectorAll: () => [] };
+        DeckConfig.setCardList(cards);
+
+        assert.ok(DeckConfig.addKnownCard('hand', 'Sol Ring'));
+        assert.ok(DeckConfig.addKnownCard('graveyard', 'Cultivate'));
+        assert.ok(DeckConfig.addKnownCard('exile', 'Forest'));
+        assert.ok(DeckConfig.isTrackingGame());
+
+        const library = DeckConfig.getDeckConfig();
+        assert.strictEqual(DeckConfig.getDeckSize(), 31);
+        assert.strictEqual(library.lands, 29);
+        assert.strictEqual(library.artifacts, 0);
+        assert.strictEqual(library.cardsByName.Cultivate.count, 1);
+        assert.ok(!('Sol Ring' in library.cardsByName));
+        assert.strictEqual(DeckConfig.getImportedCardData().cardsByName, library.cardsByName, 'the view is cached');
+
+        assert.strictEqual(DeckConfig.getFullDeckConfig().actualCardCount, 34, 'the saved deck is untouched');
+    });
+
+    it('refuses copies the deck does not have', () => {
+        assert.ok(!DeckConfig.addKnownCard('hand', 'Sol Ring'), 'the only Sol Ring is already in hand');
+        assert.ok(!DeckConfig.addKnownCard('hand', 'Black Lotus'));
+        assert.ok(!DeckConfig.addKnownCard('battlefield', 'Forest'));
+    });
+
+    it('keeps known top cards in the library, in order', () => {
+        DeckConfig.addKnownCard('top', 'Craterhoof Behemoth');
+        DeckConfig.addKnownCard('top', 'Forest');
+        assert.strictEqual(DeckConfig.getDeckSize(), 31);
+        assert.deepStrictEqual(DeckConfig.getKnownTopCards().map(card => card.name), ['Craterhoof Behemoth', 'Forest']);
+
+        DeckConfig.moveKnownTopCard(1, -1);
+        assert.deepStrictEqual(DeckConfig.getKnownCards().top, ['Forest', 'Craterhoof Behemoth']);
+
+        DeckConfig.removeKnownCard('top', 0);
+        DeckConfig.removeKnownCard('hand', 'Sol Ring');
+        assert.deepStrictEqual(DeckConfig.getKnownCards().top, ['Craterhoof Behemoth']);
+        assert.strictEqual(DeckConfig.getDeckSize(), 32);
+    });
+
+    it('restores the whole deck for a new game', () => {
+        DeckConfig.clearKnownCards();
+        assert.ok(!DeckConfig.isTrackingGame());
+        assert.strictEqual(DeckConfig.getDeckSize(), 34);
+    });
+});
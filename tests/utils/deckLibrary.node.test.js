@@ -0,0 +1,121 @@
+/**
+ * Tests for deckLibrary.js
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import { assert } from '../node-test-helper.js';
+import * as DeckConfig from '../../js/utils/deckConfig.js';
+import {
+    listDecks, getActiveDeckId, getSavedDeck, saveDeck, updateSavedDeck, renameDeck,
+    duplicateDeck, deleteDeck, switchDeck, exportLibrary, importLibrary
+} from '../../js/utils/deckLibrary.js';
+
+// In-memory localStorage
+const store = new Map();
+globalThis.localStorage = {
+    getItem: (key) => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: (key) => store.delete(key)
+};
+
+const goblinDeck = {
+    creatures: 30, instants: 5, sorceries: 5, artifacts: 5, enchantments: 0,
+    planeswalkers: 0, lands: 35, battles: 0, actualCardCount: null,
+    cardDetails: [{ name: 'Goblin Guide', cmc: 1, type: 'creatures' }],
+    cardsByName: { 'Goblin Guide': { name: 'Goblin Guide', count: 1 } },
+    commanderName: 'Krenko, Mob Boss'
+};
+
+describe('Deck Library', () => {
+    beforeEach(() => {
+        store.clear();
+    });
+
+    it('saves decks and makes the new deck active', () => {
+        const id = saveDeck('  Goblins  ', goblinDeck);
+
+        assert.strictEqual(getActiveDeckId(), id);
+        assert.deepStrictEqual(listDecks().map(d => [d.name, d.cardCount, d.commanderName]), [
+            ['Goblins', 80, 'Krenko, Mob Boss']
+        ]);
+        assert.deepStrictEqual(getSavedDeck(id), goblinDeck);
+    });
+
+    it('saves the current deck by default', () => {
+        const id = saveDeck('Current');
+        assert.strictEqual(getSavedDeck(id).lands, DeckConfig.getDeckConfig().lands);
+    });
+
+    it('rejects empty names', () => {
+        assert.throws(() => saveDeck('   ', goblinDeck), /cannot be empty/);
+    });
+
+    it('renames, duplicates and deletes', () => {
+        const id = saveDeck('Goblins', goblinDeck);
+        renameDeck(id, 'Mono Red');
+        const copyId = duplicateDeck(id);
+
+        assert.deepStrictEqual(listDecks().map(d => d.name), ['Mono Red', 'Mono Red (copy)']);
+        assert.deepStrictEqual(getSavedDeck(copyId), goblinDeck);
+
+        deleteDeck(id);
+        assert.deepStrictEqual(listDecks().map(d => d.id), [copyId]);
+        assert.strictEqual(getActiveDeckId(), null);
+        assert.throws(() => renameDeck(id, 'Gone'), /not found/);
+    });
+
+    it('overwrites a saved deck', () => {
+        const id = saveDeck('Goblins', goblinDeck);
+        updateSavedDeck(id, { ...goblinDeck, lands: 36 });
+        assert.strictEqual(getSavedDeck(id).lands, 36);
+    });
+
+    it('switches decks and notifies calculators', () => {
+        const id = saveDeck('Goblins', goblinDeck);
+        let notified = null;
+        DeckConfig.onDeckUpdate(config => { notified = config; });
+
+        // Other test files replace the global document when run in one process
+        const savedDocument = globalThis.document;
+        globalThis.document = { getElementById: () => null, querySelectorAll: () => [] };
+        try {
+            switchDeck(id);
+        } finally {
+            globalThis.document = savedDocument;
+        }
+
+        assert.strictEqual(notified.creatures, 30);
+        assert.strictEqual(notified.commanderName, 'Krenko, Mob Boss');
+        assert.strictEqual(notified.actualCardCount, null, 'null card count restored as-is');
+        assert.deepStrictEqual(DeckConfig.getImportedCardData().cardsByName, goblinDeck.cardsByName);
+        assert.strictEqual(DeckConfig.getDeckSize(), 80);
+        assert.strictEqual(getActiveDeckId(), id);
+    });
+
+    it('round-trips the library through export and import', () => {
+        saveDeck('Goblins', goblinDeck);
+        saveDeck('Elves', { ...goblinDeck, commanderName: 'Lathril, Blade of the Elves' });
+        const exported = exportLibrary();
+
+        store.clear();
+        assert.strictEqual(importLibrary(exported), 2);
+        assert.deepStrictEqual(listDecks().map(d => d.name), ['Goblins', 'Elves']);
+
+        // Importing again adds copies with new ids
+        importLibrary(exported);
+        const ids = listDecks().map(d => d.id);
+        assert.strictEqual(new Set(ids).size, 4);
+    });
+
+    it('rejects invalid library files', () => {
+        assert.throws(() => importLibrary('not json'), /valid JSON/);
+        assert.throws(() => importLibrary('{"foo": 1}'), /Not a deck library/);
+        assert.throws(() => importLibrary('{"decks": [{"name": "x"}]}'), /No decks found/);
+    });
+
+    it('ignores corrupted storage', () => {
+        store.set('deckLibrary', '{broken');
+        assert.deepStrictEqual(listDecks(), []);
+        assert.strictEqual(getActiveDeckId(), null);
+    });
+});
@@ -5,7 +5,7 @@
 
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
-import { parseDecklistText } from '../../js/utils/decklistImport.js';
+import { parseDecklistText, importDecklistBatch, importDeckFromUrl, clearCardCache, countCmcBuckets, normalizeTags, buildDeckState } from '../../js/utils/decklistImport.js';
 
 describe('Decklist Import - parseDecklistText', () => {
     describe('Basic Parsing', () => {
@@ -273,9 +273,11 @@ Lands:
 
             const result = parseDecklistText(decklist);
 
-            // Commander header should be skipped, card should be parsed
-            assert.ok(result.cards.length >= 4, 'Should parse multiple cards');
-            assert.ok(result.cards.some(c => c.name === "Atraxa, Praetors' Voice"));
+            // Commander moves to the command zone, the rest is the main deck
+            assert.strictEqual(result.cards.length, 4);
+            assert.ok(!result.cards.some(c => c.name === "Atraxa, Praetors' Voice"));
+            assert.deepStrictEqual(result.commanders, [{ count: 1, name: "Atraxa, Praetors' Voice" }]);
+            assert.strictEqual(result.format, 'text');
         });
 
         it('parses Arena-style export', () => {
@@ -285,12 +287,112 @@ Lands:
 
             const result = parseDecklistText(decklist);
 
-            // Note: "Deck" is parsed as a card (count 1) since it's not in the section header regex
-            // This is acceptable since Arena exports typically include more context
-            assert.strictEqual(result.cards.length, 3);
-            // Check the actual card entries (not the "Deck" line)
-            assert.strictEqual(result.cards[1].count, 4);
-            assert.strictEqual(result.cards[2].count, 3);
+            assert.strictEqual(result.cards.length, 2);
+            assert.deepStrictEqual(result.cards[0], { count: 4, name: 'Lightning Bolt', set: 'M11', collectorNumber: '146' });
+            assert.deepStrictEqual(result.cards[1], { count: 3, name: 'Counterspell', set: 'M25', collectorNumber: '42' });
+            assert.strictEqual(result.format, 'arena');
+        });
+    });
+
+    describe('MTG Arena Format', () => {
+        const arenaExport = `About
+Name Sixth Doctor Storm
+
+Commander
+1 The Sixth Doctor (WHO) 12
+
+Companion
+1 Lurrus of the Dream-Den (IKO) 226
+
+Deck
+1 Sol Ring (C21) 263
+35 Forest (ZNR) 381
+1 Delver of Secrets // Insectile Aberration (MID) 47
+1 Craterhoof Behemoth (AVR) 172 *F*
+
+Sideboard
+2 Negate (M20) 69`;
+
+        it('separates commander, companion, deck and sideboard', () => {
+            const result = parseDecklistText(arenaExport);
+
+            assert.deepStrictEqual(result.commanders.map(c => c.name), ['The Sixth Doctor']);
+            assert.deepStrictEqual(result.companions.map(c => c.name), ['Lurrus of the Dream-Den']);
+            assert.deepStrictEqual(result.cards.map(c => c.name), [
+                'Sol Ring', 'Forest', 'Delver of Secrets // Insectile Aberration', 'Craterhoof Behemoth'
+            ]);
+            assert.strictEqual(result.hasSideboard, true);
+            assert.strictEqual(result.sideboardCount, 2);
+            assert.deepStrictEqual(result.sideboard, [{ count: 2, name: 'Negate', set: 'M20', collectorNumber: '69' }]);
+        });
+
+        it('keeps set codes and collector numbers', () => {
+            const result = parseDecklistText(arenaExport);
+
+            assert.deepStrictEqual(result.cards[1], { count: 35, name: 'Forest', set: 'ZNR', collectorNumber: '381' });
+            assert.strictEqual(result.commanders[0].set, 'WHO');
+            assert.strictEqual(result.commanders[0].collectorNumber, '12');
+        });
+
+        it('strips foil markers', () => {
+            const result = parseDecklistText(arenaExport);
+            assert.deepStrictEqual(result.cards[3], { count: 1, name: 'Craterhoof Behemoth', set: 'AVR', collectorNumber: '172' });
+        });
+
+        it('accepts a set code without a collector number', () => {
+            const result = parseDecklistText('1 Sol Ring (C21)');
+            assert.deepStrictEqual(result.cards[0], { count: 1, name: 'Sol Ring', set: 'C21' });
+        });
+
+        it('keeps parenthesised text that is not a set code in the name', () => {
+            const result = parseDecklistText('1 Erase (Not the Urza\'s Legacy One)');
+            assert.strictEqual(result.cards[0].name, 'Erase (Not the Urza\'s Legacy One)');
+            assert.strictEqual(result.cards[0].set, undefined);
+        });
+
+        it('handles Windows line endings', () => {
+            const result = parseDecklistText('Commander\r\n1 The Sixth Doctor (WHO) 12\r\n\r\nDeck\r\n1 Sol Ring (C21) 263\r\n');
+            assert.strictEqual(result.commanders.length, 1);
+            assert.strictEqual(result.cards.length, 1);
+        });
+    });
+
+    describe('MTGO .dek Format', () => {
+        const dekFile = `<?xml version="1.0" encoding="utf-8"?>
+<Deck xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <NetDeckID>0</NetDeckID>
+  <PreconstructedDeckID>0</PreconstructedDeckID>
+  <Cards CatID="79918" Quantity="4" Sideboard="false" Name="Lightning Bolt" Annotation="0" />
+  <Cards CatID="104469" Quantity="20" Sideboard="false" Name="Mountain" Annotation="0" />
+  <Cards CatID="62391" Quantity="1" Sideboard="false" Name="Lim-D&#251;l's Vault" Annotation="0" />
+  <Cards CatID="53180" Quantity="2" Sideboard="false" Name="Fire &amp; Ice" Annotation="0" />
+  <Cards CatID="70112" Quantity="3" Sideboard="true" Name="Pyroblast" Annotation="0" />
+</Deck>`;
+
+        it('parses main deck and sideboard', () => {
+            const result = parseDecklistText(dekFile);
+
+            assert.strictEqual(result.format, 'mtgo');
+            assert.strictEqual(result.cards.length, 4);
+            assert.strictEqual(result.cards.reduce((sum, c) => sum + c.count, 0), 27);
+            assert.strictEqual(result.hasSideboard, true);
+            assert.strictEqual(result.sideboardCount, 3);
+        });
+
+        it('keeps MTGO catalog IDs', () => {
+            const result = parseDecklistText(dekFile);
+            assert.deepStrictEqual(result.cards[0], { count: 4, name: 'Lightning Bolt', mtgoId: 79918 });
+        });
+
+        it('decodes XML entities in card names', () => {
+            const result = parseDecklistText(dekFile);
+            assert.strictEqual(result.cards[2].name, "Lim-Dûl's Vault");
+            assert.strictEqual(result.cards[3].name, 'Fire & Ice');
+        });
+
+        it('skips entries with invalid quantities', () => {
+            const result = parseDecklistText('<Deck><Cards CatID="1" Quantity="0" Sideboard="false" Name="Island" /></Deck>');
+            assert.strictEqual(result.cards.length, 0);
         });
     });
 
@@ -380,3 +482,170 @@ describe('Decklist Import - Security', () => {
         });
     });
 });
+
+describe('Decklist Import - importDecklistBatch', () => {
+    it('requests exact printings and keeps the command zone out of the deck', async () => {
+        const scryfallCards = {
+            'sol ring': { name: 'Sol Ring', type_line: 'Artifact', cmc: 1 },
+            'forest': { name: 'Forest', type_line: 'Basic Land — Forest', cmc: 0 },
+            'the sixth doctor': { name: 'The Sixth Doctor', type_line: 'Legendary Creature — Time Lord Doctor', cmc: 4, mana_cost: '{2}{U}{R}' }
+        };
+        const requests = [];
+        const originalFetch = globalThis.fetch;
+        globalThis.fetch = async (url, options) => {
+            const { identifiers } = JSON.parse(options.body);
+            requests.push(...identifiers);
+            const data = identifiers.map(id =>
+                id.collector_number === '263' ? scryfallCards['sol ring']
+                    : id.collector_number === '12' ? scryfallCards['the sixth doctor'] : scryfallCards.forest
+            );
+            return { ok: true, json: async () => ({ data, not_found: [] }) };
+        };
+
+        try {
+            clearCardCache();
+            const result = await importDecklistBatch(`Commander
+1 The Sixth Doctor (WHO) 12
+
+Companion
+1 Lurrus of the Dream-Den (IKO) 226
+
+Deck
+1 Sol Ring (C21) 263
+35 Forest`);
+
+            assert.deepStrictEqual(requests, [
+                { set: 'c21', collector_number: '263' },
+                { name: 'Forest' },
+                { set: 'who', collector_number: '12' }
+            ]);
+            assert.strictEqual(result.commanderName, 'The Sixth Doctor');
+            assert.strictEqual(result.commanderCard.cmc, 4, 'the commander card is looked up');
+            assert.ok(!('The Sixth Doctor' in result.cardsByName), 'but stays out of the deck');
+            assert.deepStrictEqual(result.companions.map(c => c.name), ['Lurrus of the Dream-Den']);
+            assert.strictEqual(result.actualCardCount, 36);
+            assert.strictEqual(result.importMetadata.format, 'arena');
+        } finally {
+            globalThis.fetch = originalFetch;
+            clearCardCache();
+        }
+    });
+
+    it('keeps the second commander of a partner pair by name', async () => {
+        const scryfallCards = {
+            'Tymna the Weaver': { name: 'Tymna the Weaver', type_line: 'Legendary Creature — Human Cleric', cmc: 3, mana_cost: '{1}{W}{B}' },
+            'Forest': { name: 'Forest', type_line: 'Basic Land — Forest', cmc: 0 }
+        };
+        const requests = [];
+        const originalFetch = globalThis.fetch;
+        globalThis.fetch = async (url, options) => {
+            const { identifiers } = JSON.parse(options.body);
+            requests.push(...identifiers.map(id => id.name));
+            const data = identifiers.map(id => scryfallCards[id.name]);
+            return { ok: true, json: async () => ({ data, not_found: [] }) };
+        };
+
+        try {
+            clearCardCache();
+            const result = await importDecklistBatch(`Commander
+1 Tymna the Weaver
+1 Kraum, Ludevic's Opus
+
+Deck
+98 Forest`);
+
+            assert.deepStrictEqual(requests, ['Forest', 'Tymna the Weaver']);
+            assert.strictEqual(result.commanderName, 'Tymna the Weaver');
+            assert.strictEqual(result.commanderCard.cmc, 3);
+            assert.deepStrictEqual(result.partners, ["Kraum, Ludevic's Opus"]);
+            assert.ok(!("Kraum, Ludevic's Opus" in result.cardsByName), 'the partner stays out of the deck');
+            assert.strictEqual(result.actualCardCount, 98);
+        } finally {
+            globalThis.fetch = originalFetch;
+            clearCardCache();
+        }
+    });
+});
+
+describe('Decklist Import - countCmcBuckets', () => {
+    it('counts nonland permanents by mana value, with 6+ in the last bucket', () => {
+        const buckets = countCmcBuckets({
+            'Sol Ring': { type_line: 'Artifact', cmc: 1, count: 1 },
+            'Llanowar Elves': { type_line: 'Creature — Elf Druid', cmc: 1, count: 2 },
+            'Dryad Arbor': { type_line: 'Land Creature — Forest Dryad', cmc: 0, count: 1 },
+            'Craterhoof Behemoth': { type_line: 'Creature — Beast', cmc: 8, count: 1 },
+            'Ornithopter': { type_line: 'Artifact Creature — Thopter', cmc: 0, count: 1 },
+            'Cultivate': { type_line: 'Sorcery', cmc: 3, count: 1 },
+            'Forest': { type_line: 'Basic Land — Forest', cmc: 0, count: 30 }
+        });
+
+        assert.deepStrictEqual(buckets, { cmc0: 1, cmc1: 3, cmc2: 0, cmc3: 0, cmc4: 0, cmc5: 0, cmc6: 1 });
+    });
+});
+
+describe('Decklist Import - card tags', () => {
+    it('normalizes tags from arrays and comma-separated strings', () => {
+        assert.deepStrictEqual(normalizeTags(' Ramp, draw ,,RAMP'), ['ramp', 'draw']);
+        assert.deepStrictEqual(normalizeTags(['Combo Piece', 42, '  ']), ['combo piece']);
+        assert.deepStrictEqual(normalizeTags(undefined), []);
+        assert.strictEqual(normalizeTags('x'.repeat(100))[0].length, 40);
+    });
+
+    it('prefills tags from Archidekt categories, leaving out deck zones', async () => {
+        const originalFetch = globalThis.fetch;
+        globalThis.fetch = async () => ({
+            ok: true,
+            json: async () => ({
+                name: 'Tagged Deck',
+                cards: [
+                    { quantity: 1, categories: ['Ramp', 'Mana Rock'], card: { oracleCard: { name: 'Sol Ring', types: ['Artifact'], cmc: 1 } } },
+                    { quantity: 1, categories: ['Commander'], card: { oracleCard: { name: 'Omnath', types: ['Creature'], cmc: 4 } } },
+                    { quantity: 1, categories: ['Commander'], card: { oracleCard: { name: 'Thrasios', types: ['Creature'], cmc: 2 } } },
+                    { quantity: 1, categories: ['Draw', 'Maybeboard'], card: { oracleCard: { name: 'Rhystic Study', types: ['Enchantment'], cmc: 3 } } },
+                    { quantity: 30, categories: ['Land'], card: { oracleCard: { name: 'Forest', types: ['Land'], superTypes: ['Basic'], cmc: 0 } } }
+                ]
+            })
+        });
+
+        try {
+            const result = await importDeckFromUrl('https://archidekt.com/decks/123456');
+            assert.deepStrictEqual(result.cardsByName['Sol Ring'].tags, ['ramp', 'mana rock']);
+            assert.deepStrictEqual(result.cardsByName.Forest.tags, ['land']);
+            assert.strictEqual('Rhystic Study' in result.cardsByName, false);
+            assert.strictEqual(result.commanderName, 'Omnath');
+            assert.strictEqual(result.commanderCard.cmc, 4, 'the commander keeps its mana value');
+            assert.strictEqual('Omnath' in result.cardsByName, false);
+            assert.deepStrictEqual(result.partners, ['Thrasios']);
+            assert.strictEqual('Thrasios' in result.cardsByName, false);
+        } finally {
+            globalThis.fetch = originalFetch;
+        }
+    });
+
+    it('keeps tags when a deck is rebuilt from its card list', () => {
+        const state = buildDeckState({
+            'Sol Ring': { name: 'Sol Ring', type_line: 'Artifact', cmc: 1, count: 1, tags: ['ramp'] }
+        });
+        assert.deepStrictEqual(state.cardsByName['Sol Ring'].tags, ['ramp']);
+    });
+});
+
+describe('Decklist Import - mana data', () => {
+    it('keeps mana costs (front face for DFCs) and the colors lands produce', () => {
+        const state = buildDeckState({
+            'Breeding Pool': { name: 'Breeding Pool', type_line: 'Land — Forest Island', cmc: 0, produced_mana: ['G', 'U'], count: 1 },
+            'Delver of Secrets // Insectile Aberration': {
+                name: 'Delver of Secrets // Insectile Aberration',
+                cmc: 1,
+                card_faces: [
+                    { name: 'Delver of Secrets', type_line: 'Creature — Human Wizard', mana_cost: '{U}', power: '1' },
+                    { name: 'Insectile Aberration', type_line: 'Creature — Human Insect', mana_cost: '', power: '3' }
+                ],
+                count: 1
+            }
+        });
+
+        assert.deepStrictEqual(state.cardsByName['Breeding Pool'].produced_mana, ['G', 'U']);
+        assert.strictEqual(state.cardsByName['Delver of Secrets // Insectile Aberration'].mana_cost, '{U}');
+    });
+});
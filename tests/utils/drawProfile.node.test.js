@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import { assert, assertClose } from '../node-test-helper.js';
+import {
+    cardsSeenByTurn, parseExtraSeen, describeDrawProfile, getDrawProfile, setDrawProfile, onDrawProfileChange
+} from '../../js/utils/drawProfile.js';
+import { calculateLandDropByTurn, calculateOpeningHands } from '../../js/calculators/lands.js';
+import { drawTypeMin } from '../../js/utils/hypergeometric.js';
+
+const onPlay = { onPlay: true, extraSeen: [] };
+const onDraw = { onPlay: false, extraSeen: [] };
+
+describe('Draw Profile', () => {
+    it('counts the cards seen by each turn on the play and on the draw', () => {
+        assert.deepStrictEqual([0, 1, 2, 3].map(turn => cardsSeenByTurn(turn, onPlay)), [7, 7, 8, 9]);
+        assert.deepStrictEqual([0, 1, 2, 3].map(turn => cardsSeenByTurn(turn, onDraw)), [7, 8, 9, 10]);
+    });
+
+    it('adds extra cards seen, carrying the last value on', () => {
+        const profile = { onPlay: true, extraSeen: [0, 1, 2] };
+        assert.deepStrictEqual([1, 2, 3, 4, 5].map(turn => cardsSeenByTurn(turn, profile)), [7, 9, 11, 12, 13]);
+        assert.strictEqual(describeDrawProfile(profile), 'on the play, +2 cards seen by turn 3');
+        assert.strictEqual(describeDrawProfile(onDraw), 'on the draw');
+    });
+
+    it('parses extra card profiles', () => {
+        assert.deepStrictEqual(parseExtraSeen('0 1 1 2'), [0, 1, 1, 2]);
+        assert.deepStrictEqual(parseExtraSeen('0, 1,2'), [0, 1, 2]);
+        assert.deepStrictEqual(parseExtraSeen(''), []);
+        assert.strictEqual(parseExtraSeen('2 1'), null, 'cumulative counts cannot go down');
+        assert.strictEqual(parseExtraSeen('1 x'), null);
+        assert.strictEqual(parseExtraSeen('-1'), null);
+    });
+
+    it('notifies listeners when the profile changes', () => {
+        const seen = [];
+        onDrawProfileChange(profile => seen.push(profile.onPlay));
+        setDrawProfile({ onPlay: false });
+        assert.deepStrictEqual(getDrawProfile(), { onPlay: false, extraSeen: [] });
+        setDrawProfile({ onPlay: true });
+        assert.deepStrictEqual(seen, [false, true]);
+    });
+
+    it('feeds the land drop math', () => {
+        const [t1Play, , t3Play] = calculateLandDropByTurn(99, 36, onPlay);
+        const [, , t3Draw] = calculateLandDropByTurn(99, 36, onDraw);
+        assertClose(t3Play.makeProbability, drawTypeMin(99, 36, 9, 3));
+        assertClose(t3Draw.makeProbability, drawTypeMin(99, 36, 10, 3));
+        assert.strictEqual(t1Play.cardsSeen, 7);
+
+        const withCantrips = calculateLandDropByTurn(99, 36, { onPlay: true, extraSeen: [0, 0, 2] });
+        assertClose(withCantrips[2].makeProbability, drawTypeMin(99, 36, 11, 3));
+
+        assert.strictEqual(calculateOpeningHands(99, 36, onPlay).firstDrop.cardsSeen, 7);
+        const drawHands = calculateOpeningHands(99, 36, onDraw);
+        assert.strictEqual(drawHands.firstDrop.cardsSeen, 8);
+        assertClose(drawHands.firstDrop.distribution.reduce((sum, d) => sum + d.probability, 0), 1);
+    });
+});
@@ -1,5 +1,9 @@
 import { describe, it, assert, assertClose } from '../test-helper.js';
-import { choose, drawType, drawTypeMin, drawTwoTypeMin, drawThreeTypeMin } from '../../js/utils/hypergeometric.js';
+import {
+    choose, logChoose, drawType, drawTypeMin, drawTwoType, drawTwoTypeMin, drawThreeTypeMin,
+    drawTypes, drawTypesMin, drawTypesWhere, forEachDraw,
+    drawTypeDistribution, distributionPercentile
+} from '../../js/utils/hypergeometric.js';
 
 describe('Hypergeometric Utils', () => {
     describe('choose (Combinations)', () => {
@@ -22,6 +26,25 @@ describe('Hypergeometric Utils', () => {
         it('returns 0 for k > n', () => {
             assert(choose(5, 6) === 0, '5C6 = 0');
         });
+
+        it('keeps large populations apart in the cache', () => {
+            // 65546 << 16 wraps around to the same 32-bit key as 10 << 16
+            assert(choose(10, 3) === 120, '10C3 = 120');
+            assert(choose(65546, 3) === 65546 * 65545 * 65544 / 6, '65546C3 is not served from 10C3');
+            assertClose(choose(40000, 2), 40000 * 39999 / 2, '40000C2', 1e-6);
+        });
+    });
+
+    describe('logChoose (Log-space Combinations)', () => {
+        it('matches choose where choose is exact', () => {
+            assertClose(logChoose(60, 7), Math.log(386206920), 'ln(60C7)', 1e-9);
+            assert(logChoose(5, 6) === -Infinity, 'ln(0) for k > n');
+        });
+
+        it('stays finite where choose overflows', () => {
+            assert(choose(2000, 1000) === Infinity, '2000C1000 overflows a double');
+            assert(Number.isFinite(logChoose(2000, 1000)), 'ln(2000C1000) is finite');
+        });
     });
 
     describe('drawType (Exactly X)', () => {
@@ -119,4 +142,79 @@ describe('Hypergeometric Utils', () => {
             assertClose(prob, 1.0, 'Drawing 0 with 0 requirements = 1.0');
         });
     });
+
+    describe('drawTypes (N-type Multivariate)', () => {
+        it('matches the single-type hypergeometric', () => {
+            assertClose(drawTypes(60, [24], 7, [2]), drawType(60, 24, 7, 2), 'One type');
+            assertClose(drawTypes(60, [24, 8], 7, [2, 1]), drawTwoType(60, 24, 8, 7, 2, 1), 'Two types');
+        });
+
+        it('returns 0 for impossible draws', () => {
+            assert(drawTypes(60, [24, 8], 7, [6, 2]) === 0, 'More cards than drawn');
+            assert(drawTypes(10, [4, 4], 7, [1, 1]) === 0, 'Not enough other cards');
+            assert(drawTypes(60, [2], 7, [3]) === 0, 'More copies than the deck has');
+        });
+
+        it('stays accurate for large populations', () => {
+            const dist = drawTypeDistribution(2000, 1000, 500);
+            assertClose(dist.reduce((a, b) => a + b, 0), 1, 'Sums to 1 despite 2000C500 overflowing');
+            assertClose(drawTypes(2000, [1000, 500], 600, [300, 150]), Math.exp(
+                logChoose(1000, 300) + logChoose(500, 150) + logChoose(500, 150) - logChoose(2000, 600)
+            ), 'Two large types', 1e-12);
+        });
+    });
+
+    describe('drawTypesMin / drawTypesWhere (N-type At Least and Predicates)', () => {
+        // Deck: 99 cards. 36 Lands, 10 Ramp, 8 Draw, 5 Tutors, 40 Other.
+        const totals = [36, 10, 8, 5];
+
+        it('matches summing every exact draw', () => {
+            let expected = 0;
+            forEachDraw(99, totals, 9, counts => {
+                if (counts[0] >= 3 && counts[1] >= 1 && counts[2] >= 1 && counts[3] >= 1) {
+                    expected += drawTypes(99, totals, 9, counts);
+                }
+            });
+            assertClose(drawTypesMin(99, totals, 9, [3, 1, 1, 1]), expected, 'Four types at least');
+            assertClose(drawThreeTypeMin(60, 24, 10, 8, 7, 2, 1, 1), drawTypesMin(60, [24, 10, 8], 7, [2, 1, 1]), 'Three-type wrapper');
+        });
+
+        it('visits draws whose probabilities sum to 1', () => {
+            let total = 0;
+            forEachDraw(99, totals, 12, (counts, p) => { total += p; });
+            assertClose(total, 1, 'Every draw visited once');
+        });
+
+        it('evaluates arbitrary conditions on the counts', () => {
+            const atLeast = drawTypesWhere(99, totals, 7, ([lands, ramp]) => lands >= 3 && ramp >= 1);
+            assertClose(atLeast, drawTwoTypeMin(99, 36, 10, 7, 3, 1), 'Same as at least');
+
+            const either = drawTypesWhere(99, totals, 7, ([, ramp, , tutors]) => ramp >= 1 || tutors >= 1);
+            assertClose(either, 1 - drawType(99, 15, 7, 0), 'Ramp or tutor = 1 - P(neither)');
+        });
+    });
+
+    describe('drawTypeDistribution (Full PMF)', () => {
+        it('matches drawType for every outcome', () => {
+            const dist = drawTypeDistribution(60, 24, 7);
+            assert(dist.length === 8, 'One entry per possible count');
+            dist.forEach((p, k) => assertClose(p, drawType(60, 24, 7, k), `P(${k})`));
+        });
+
+        it('sums to 1', () => {
+            const total = drawTypeDistribution(99, 40, 15).reduce((a, b) => a + b, 0);
+            assertClose(total, 1.0, 'Distribution sums to 1');
+        });
+    });
+
+    describe('distributionPercentile', () => {
+        it('finds the median of a symmetric distribution', () => {
+            assert(distributionPercentile([0.25, 0.5, 0.25], 0.5) === 1, 'Median is 1');
+        });
+
+        it('includes exact boundaries', () => {
+            assert(distributionPercentile([0.1, 0.9], 0.1) === 0, '10th percentile sits on the boundary');
+        });
+    });
 });
+
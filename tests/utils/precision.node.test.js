@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import { assert } from '../node-test-helper.js';
+import {
+    getPrecision, setPrecision, onPrecisionChange, parseTolerance, parseMaxSimulations, precisionKey, describeRun
+} from '../../js/utils/precision.js';
+
+describe('Simulation Precision', () => {
+    it('parses tolerances and simulation caps within their limits', () => {
+        assert.strictEqual(parseTolerance('0.25'), 0.25);
+        assert.strictEqual(parseTolerance('0'), null);
+        assert.strictEqual(parseTolerance(''), null);
+        assert.strictEqual(parseTolerance('11'), null);
+        assert.strictEqual(parseMaxSimulations(' 50000 '), 50000);
+        assert.strictEqual(parseMaxSimulations('12000.4'), 12000);
+        assert.strictEqual(parseMaxSimulations('5'), null, 'the old seconds budget is not a cap');
+        assert.strictEqual(parseMaxSimulations('abc'), null);
+    });
+
+    it('keys cached results by mode, tolerance and cap', () => {
+        assert.strictEqual(precisionKey({ adaptive: false, tolerance: 0.5, maxSimulations: 200000 }), 'fixed');
+        assert.strictEqual(precisionKey({ adaptive: true, tolerance: 0.2, maxSimulations: 50000 }), 'adaptive:0.2:50000');
+    });
+
+    it('describes how a run ended', () => {
+        const settings = { adaptive: true, tolerance: 0.5, maxSimulations: 90000 };
+        assert.strictEqual(describeRun(5000, null, settings), `${(5000).toLocaleString()} simulations`);
+        assert.ok(describeRun(12000, true, settings).includes('within ±0.5%'));
+        assert.ok(describeRun(90000, false, settings).includes(`${(90000).toLocaleString()} cap`));
+    });
+
+    it('notifies listeners when the settings change', () => {
+        const seen = [];
+        onPrecisionChange(settings => seen.push(settings.adaptive));
+        setPrecision({ adaptive: true, tolerance: 1 });
+        assert.deepStrictEqual(getPrecision(), { adaptive: true, tolerance: 1, maxSimulations: 200000 });
+        setPrecision({ adaptive: false });
+        assert.deepStrictEqual(seen, [true, false]);
+        assert.strictEqual(getPrecision().tolerance, 1, 'switching back to fixed keeps the tolerance');
+        setPrecision({ tolerance: 0.5 });
+    });
+});
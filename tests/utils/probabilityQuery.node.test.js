@@ -0,0 +1,153 @@
+import { describe, it } from 'node:test';
+import { assert, assertClose } from '../node-test-helper.js';
+import { parseQuery, evaluateQuery, buildQueryDeck, QueryError } from '../../js/utils/probabilityQuery.js';
+import { drawType, drawTypeMin, drawTwoTypeMin } from '../../js/utils/hypergeometric.js';
+import { setDrawProfile } from '../../js/utils/drawProfile.js';
+
+/**
+ * Assert that a query fails at the given character offset
+ */
+function assertErrorAt(text, position, deck = null) {
+    assert.throws(
+        () => deck ? evaluateQuery(text, deck) : parseQuery(text),
+        err => err instanceof QueryError && err.position === position,
+        `${text} should fail at ${position}`
+    );
+}
+
+/**
+ * Brute force: enumerate every set of cardsSeen cards
+ */
+function bruteForce(cards, cardsSeen, predicate) {
+    let hits = 0;
+    let total = 0;
+    const visit = (start, picked) => {
+        if (picked.length === cardsSeen) {
+            total++;
+            if (predicate(picked)) hits++;
+            return;
+        }
+        for (let i = start; i < cards.length; i++) visit(i + 1, [...picked, cards[i]]);
+    };
+    visit(0, []);
+    return hits / total;
+}
+
+const deck = {
+    deckSize: 99,
+    groups: [
+        { count: 38, categories: ['land'] },
+        { count: 10, categories: ['ramp'] },
+        { count: 5, categories: ['tutor'] },
+        { count: 8, categories: ['removal'] }
+    ]
+};
+
+describe('Probability Query', () => {
+    describe('Parsing', () => {
+        it('reads conditions with AND binding tighter than OR', () => {
+            const { condition } = parseQuery('lands >= 3 OR ramp >= 1 AND NOT tutor = 0');
+            assert.strictEqual(condition.type, 'or');
+            assert.strictEqual(condition.right.type, 'and');
+            assert.strictEqual(condition.right.right.type, 'not');
+            assert.deepStrictEqual(parseQuery('exactly 2 removal').condition, {
+                type: 'count', category: { name: 'removal', position: 10 }, op: '=', value: 2
+            });
+            assert.strictEqual(parseQuery('at most 1 "Sol Ring"').condition.op, '<=');
+        });
+
+        it('counts the cards seen by each draw window', () => {
+            assert.strictEqual(parseQuery('P(lands >= 3)').window.cards, 7);
+            assert.strictEqual(parseQuery('P(lands >= 3 by turn 1)').window.cards, 7);
+            assert.strictEqual(parseQuery('P(lands >= 3 by turn 3 on the play)').window.cards, 9);
+            assert.strictEqual(parseQuery('P(lands >= 3 by turn 3 on the draw)').window.cards, 10);
+            assert.strictEqual(parseQuery('P(exactly 2 removal in top 10)').window.cards, 10);
+            assert.strictEqual(parseQuery('ramp >= 1 in 12 cards').window.cards, 12);
+            assert.strictEqual(parseQuery('ramp >= 1 in opening hand').window.cards, 7);
+        });
+
+        it('follows the draw profile unless the query names play or draw', () => {
+            setDrawProfile({ onPlay: false, extraSeen: [0, 1, 2] });
+            try {
+                const window = parseQuery('P(lands >= 3 by turn 3)').window;
+                assert.strictEqual(window.cards, 12, '7 + 3 draws + 2 extra looks');
+                assert.strictEqual(window.onDraw, true);
+                assert.strictEqual(parseQuery('P(lands >= 3 by turn 3 on the play)').window.cards, 11);
+                assert.strictEqual(parseQuery('P(lands >= 3 by turn 3 on the draw)').window.cards, 12);
+                assert.strictEqual(parseQuery('P(lands >= 3 in opening hand)').window.cards, 7);
+            } finally {
+                setDrawProfile({ onPlay: true, extraSeen: [] });
+            }
+        });
+
+        it('points errors at the offending position', () => {
+            assertErrorAt('P(lands >= AND ramp >= 1)', 11);
+            assertErrorAt('P(lands >= 3 AND (ramp >= 1 OR tutor >= 1)', 42);
+            assertErrorAt('P(lands 3)', 8);
+            assertErrorAt('P(lands >= 3 by turn 3 on the stack)', 30);
+            assertErrorAt('P(lands >= 3) extra', 14);
+            assertErrorAt('lands >= 3 & ramp >= 1', 11);
+            assertErrorAt('"Sol Ring >= 1', 0);
+            assertErrorAt('P(lands >= 3 AND rmap >= 1)', 17, deck);
+        });
+    });
+
+    describe('Evaluation', () => {
+        it('matches the hypergeometric for one and two categories', () => {
+            const single = evaluateQuery('P(lands >= 3 by turn 3 on the draw)', deck);
+            assert.strictEqual(single.method, 'exact');
+            assertClose(single.probability, drawTypeMin(99, 38, 10, 3));
+
+            assertClose(evaluateQuery('P(exactly 2 removal in top 10)', deck).probability, drawType(99, 8, 10, 2));
+            assertClose(evaluateQuery('lands >= 3 AND ramp >= 1', deck).probability, drawTwoTypeMin(99, 38, 10, 7, 3, 1));
+            assertClose(evaluateQuery('NOT lands >= 3', deck).probability, 1 - drawTypeMin(99, 38, 7, 3));
+        });
+
+        it('stays exact when categories overlap', () => {
+            const cards = [
+                ...Array(4).fill(['creature']),
+                ...Array(2).fill(['creature', 'ramp']),
+                ...Array(3).fill(['land']),
+                ...Array(3).fill([])
+            ];
+            const small = {
+                deckSize: 12,
+                groups: [
+                    { count: 4, categories: ['creature'] },
+                    { count: 2, categories: ['creature', 'ramp'] },
+                    { count: 3, categories: ['land'] }
+                ]
+            };
+            const count = (hand, category) => hand.filter(c => c.includes(category)).length;
+
+            const result = evaluateQuery('P(creatures >= 2 AND (ramp >= 1 OR lands >= 2) in top 5)', small);
+            const expected = bruteForce(cards, 5, hand => count(hand, 'creature') >= 2 && (count(hand, 'ramp') >= 1 || count(hand, 'land') >= 2));
+            assertClose(result.probability, expected);
+            assert.deepStrictEqual(result.categories.map(c => [c.name, c.count]), [['creatures', 6], ['ramp', 2], ['lands', 3]]);
+        });
+
+        it('simulates queries with too many hand combinations', () => {
+            const wide = {
+                deckSize: 99,
+                groups: Array.from({ length: 12 }, (_, i) => ({ count: 8, categories: [`t${i}`] }))
+            };
+            const text = `P(t0 >= 1 AND ${Array.from({ length: 11 }, (_, i) => `t${i + 1} >= 0`).join(' AND ')} in top 30)`;
+            const result = evaluateQuery(text, wide);
+            assert.strictEqual(result.method, 'simulation');
+            assertClose(result.probability, drawTypeMin(99, 8, 30, 1), 'close to exact', 0.02);
+        });
+
+        it('resolves card types, tags and card names from imported cards', () => {
+            const imported = buildQueryDeck({
+                'Forest': { name: 'Forest', type_line: 'Basic Land — Forest', count: 36 },
+                'Dryad Arbor': { name: 'Dryad Arbor', type_line: 'Land Creature — Forest Dryad', count: 1, tags: ['Ramp'] },
+                'Sol Ring': { name: 'Sol Ring', type_line: 'Artifact', count: 1, tags: ['ramp'] },
+                'Filler': { name: 'Filler', type_line: 'Sorcery', count: 61 }
+            });
+            assert.strictEqual(imported.deckSize, 99);
+
+            const result = evaluateQuery('P(Lands >= 3 AND ramp >= 1 AND "sol ring" = 0 AND sorceries > 0)', imported);
+            assert.deepStrictEqual(result.categories.map(c => c.count), [37, 2, 1, 61]);
+        });
+    });
+});
@@ -0,0 +1,123 @@
+import { describe, it } from 'node:test';
+import { assert } from '../node-test-helper.js';
+import {
+    createRng, parseSeed, getSeed, setSeed, rerollSeed, onSeedChange, deriveSeed, random
+} from '../../js/utils/random.js';
+import { shuffle } from '../../js/utils/simulation.js';
+import { runSimulation } from '../../js/utils/workerPool.js';
+import { simulatePortentDistribution } from '../../js/calculators/portent.js';
+import { calculateMaraStats } from '../../js/calculators/mara.js';
+
+function take(rng, n) {
+    return Array.from({ length: n }, () => rng());
+}
+
+describe('Seeded Random', () => {
+    describe('createRng', () => {
+        it('produces the same sequence for the same seed', () => {
+            assert.deepStrictEqual(take(createRng(42), 20), take(createRng(42), 20));
+        });
+
+        it('produces different sequences for different seeds', () => {
+            assert.notDeepStrictEqual(take(createRng(1), 20), take(createRng(2), 20));
+        });
+
+        it('returns floats in [0, 1)', () => {
+            take(createRng(0), 1000).forEach(value => {
+                assert.ok(value >= 0 && value < 1, `${value} out of range`);
+            });
+        });
+
+        it('is roughly uniform', () => {
+            const values = take(createRng(12345), 10000);
+            const mean = values.reduce((a, b) => a + b, 0) / values.length;
+            assert.ok(Math.abs(mean - 0.5) < 0.02, `Mean ${mean} should be near 0.5`);
+        });
+    });
+
+    describe('parseSeed', () => {
+        it('accepts unsigned 32-bit integers', () => {
+            assert.strictEqual(parseSeed('0'), 0);
+            assert.strictEqual(parseSeed(' 123456 '), 123456);
+            assert.strictEqual(parseSeed('4294967295'), 4294967295);
+            assert.strictEqual(parseSeed(99), 99);
+        });
+
+        it('rejects invalid values', () => {
+            ['', 'abc', '-1', '1.5', '1e5', '4294967296', '99999999999', null, undefined].forEach(value => {
+                assert.strictEqual(parseSeed(value), null, `${value} should be rejected`);
+            });
+        });
+    });
+
+    describe('global seed', () => {
+        it('replays the global stream after setSeed', () => {
+            setSeed(777);
+            const first = take(random, 5);
+            setSeed(777);
+            assert.deepStrictEqual(take(random, 5), first);
+        });
+
+        it('notifies listeners on change', () => {
+            const seen = [];
+            onSeedChange(seed => seen.push(seed));
+            setSeed(31337);
+            const rerolled = rerollSeed();
+            assert.deepStrictEqual(seen.slice(-2), [31337, rerolled]);
+            assert.strictEqual(getSeed(), rerolled);
+        });
+
+        it('derives independent, reproducible streams', () => {
+            setSeed(2024);
+            const a = deriveSeed('portent-samples');
+            const b = deriveSeed('wave-samples');
+            assert.notStrictEqual(a, b);
+            assert.strictEqual(deriveSeed('portent-samples'), a);
+
+            setSeed(2025);
+            assert.notStrictEqual(deriveSeed('portent-samples'), a);
+        });
+    });
+
+    describe('reproducible simulations', () => {
+        it('shuffles identically with the same rng', () => {
+            const deck = Array.from({ length: 30 }, (_, i) => i);
+            assert.deepStrictEqual(
+                shuffle([...deck], createRng(5)),
+                shuffle([...deck], createRng(5))
+            );
+        });
+
+        it('returns identical stable samples for the same seed', () => {
+            const deck = Array.from({ length: 20 }, (_, i) => ({ name: `Card ${i}` }));
+            const run = () => {
+                let samples = null;
+                runSimulation('shuffleSamples', { deck, count: 10, seed: 99 }, {
+                    onComplete: (s) => { samples = s; }
+                });
+                return samples.map(sample => sample.map(card => card.name));
+            };
+            assert.deepStrictEqual(run(), run());
+        });
+
+        it('returns identical Portent distributions for the same seed', () => {
+            const deck = new Uint32Array([1, 1, 2, 2, 4, 4, 8, 8, 1, 2]);
+            const run = () => simulatePortentDistribution(deck, 4, deck.length, 5, {
+                iterations: 500, rng: createRng(8)
+            });
+            assert.deepStrictEqual(run(), run());
+        });
+
+        it('returns identical Mara stats for the same seed', () => {
+            const deckData = {
+                cardsByName: {
+                    'Forest': { name: 'Forest', type_line: 'Basic Land - Forest', cmc: 0, count: 20 },
+                    'Lightning Bolt': { name: 'Lightning Bolt', type_line: 'Instant', cmc: 1, count: 4 },
+                    'Grizzly Bears': { name: 'Grizzly Bears', type_line: 'Creature - Bear', cmc: 2, count: 4 }
+                }
+            };
+            const run = () => calculateMaraStats(deckData, 200, { rng: createRng(3) });
+            assert.deepStrictEqual(run(), run());
+        });
+    });
+});
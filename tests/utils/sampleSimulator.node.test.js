@@ -0,0 +1,73 @@
+/**
+ * Tests for the shared sample helpers (sampleSimulator.js, createStableSamples)
+ */
+
+import { describe, it } from 'node:test';
+import { assert, card, deckOf } from '../node-test-helper.js';
+import { getLibraryCards, hashCardCounts, removeOneCopy } from '../../js/utils/sampleSimulator.js';
+import { createStableSamples } from '../../js/utils/calculatorBase.js';
+import * as DeckConfig from '../../js/utils/deckConfig.js';
+import { getSeed } from '../../js/utils/random.js';
+
+describe('Library Helpers', () => {
+    const cardsByName = {
+        'Ezuri, Renegade Leader': card('Ezuri, Renegade Leader', 3, 'Legendary Creature — Elf Warrior'),
+        'Forest': { ...card('Forest', 0, 'Basic Land — Forest'), count: 40, tags: ['ramp'] }
+    };
+
+    it('leaves the commander out of the library', () => {
+        const library = getLibraryCards(cardsByName, 'Ezuri, Renegade Leader');
+        assert.deepStrictEqual(Object.keys(library), ['Forest']);
+        assert.strictEqual(Object.keys(cardsByName).length, 2, 'the deck is not changed');
+        assert.deepStrictEqual(getLibraryCards(cardsByName, null), cardsByName);
+    });
+
+    it('hashes counts, and tags when asked', () => {
+        assert.strictEqual(hashCardCounts(cardsByName), '1xEzuri, Renegade Leader|40xForest');
+        assert.strictEqual(hashCardCounts(cardsByName, true), '1xEzuri, Renegade Leader:|40xForest:ramp');
+        assert.strictEqual(hashCardCounts(null), '');
+    });
+
+    it('takes out one copy of a card', () => {
+        const deck = deckOf({ ...card('Ad Nauseam', 5), count: 2 }, card('Bolt'));
+        assert.strictEqual(removeOneCopy(deck, 'Ad Nauseam'), true);
+        assert.deepStrictEqual(deck.map(c => c.name), ['Ad Nauseam', 'Bolt']);
+        assert.strictEqual(removeOneCopy(deck, 'Citadel'), false);
+        assert.strictEqual(deck.length, 2);
+    });
+});
+
+describe('Stable Samples', () => {
+    const deck = deckOf({ ...card('Bolt'), count: 10 }, { ...card('Forest', 0, 'Basic Land'), count: 10 });
+
+    it('shuffles once, then keeps the samples until the deck changes', () => {
+        const samples = createStableSamples('stable-test', { minCount: 5, keep: 3 });
+        let ready = 0;
+
+        assert.strictEqual(samples.get(deck, () => ready++), null, 'shuffles first');
+        assert.strictEqual(ready, 1);
+        const first = samples.get(deck, () => ready++);
+        assert.strictEqual(first.length, 5);
+        assert.strictEqual(first[0].length, 3, 'keeps the top cards');
+        assert.strictEqual(samples.get(deck, () => ready++), first, 'same samples');
+
+        DeckConfig.withDeckState(DeckConfig.getFullDeckConfig(), () => samples.trackDeck('other deck'));
+        assert.strictEqual(samples.get(deck, () => ready++), first, 'a stand-in deck leaves them be');
+
+        samples.trackDeck('other deck');
+        assert.strictEqual(samples.get(deck, () => ready++), null, 'reshuffles for a new primary deck');
+        assert.strictEqual(ready, 2);
+    });
+
+    it('reshuffles with a new seed on refresh', () => {
+        const samples = createStableSamples('stable-test-refresh', { minCount: 5 });
+        samples.get(deck, () => {});
+        const seed = getSeed();
+
+        let ready = false;
+        samples.refresh(deck, () => { ready = true; });
+        assert.strictEqual(ready, true);
+        assert.notStrictEqual(getSeed(), seed);
+        assert.strictEqual(samples.get(deck, () => {}).length, 5);
+    });
+});
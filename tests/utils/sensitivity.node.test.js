@@ -0,0 +1,101 @@
+/**
+ * Tests for sensitivity.js ("what moves the needle")
+ */
+
+import { describe, it } from 'node:test';
+import { assert, assertClose } from '../node-test-helper.js';
+import * as DeckConfig from '../../js/utils/deckConfig.js';
+import { buildDeckState } from '../../js/utils/decklistImport.js';
+import { buildPerturbations, analyzeSensitivity } from '../../js/utils/sensitivity.js';
+import { proportionError } from '../../js/utils/confidence.js';
+import * as Lands from '../../js/calculators/lands.js';
+
+const cardList = buildDeckState({
+    'Forest': { name: 'Forest', type_line: 'Basic Land — Forest', cmc: 0, count: 30 },
+    'Island': { name: 'Island', type_line: 'Basic Land — Island', cmc: 0, count: 6 },
+    'Sol Ring': { name: 'Sol Ring', type_line: 'Artifact', cmc: 1, count: 1 },
+    'Cultivate': { name: 'Cultivate', type_line: 'Sorcery', cmc: 3, count: 2 },
+    'Kodama': { name: 'Kodama', type_line: 'Creature — Spirit', cmc: 6, power: '6', count: 1 }
+});
+
+const manual = {
+    creatures: 30, instants: 10, sorceries: 0, artifacts: 8, enchantments: 5, planeswalkers: 0, lands: 36, battles: 0,
+    actualCardCount: 89, cmc0: 0, cmc1: 10, cmc2: 12, cmc3: 15, cmc4: 10, cmc5: 6, cmc6: 5, cardsByName: {}
+};
+
+const dropsMetric = {
+    label: 'Land drops',
+    percent: true,
+    value: ({ landDropByTurn }) => landDropByTurn?.[3].makeProbability
+};
+
+describe('Sensitivity Analysis', () => {
+    describe('Perturbations', () => {
+        it('nudges the most common card of each group in a card list', () => {
+            const perturbations = buildPerturbations(cardList);
+            const inputs = [...new Set(perturbations.map(p => p.input))];
+
+            assert.ok(inputs.includes('land (Forest)'), 'basic with the most copies stands in for lands');
+            assert.ok(inputs.includes('3-drop / sorcery (Cultivate)'), 'groups picking the same card share a run');
+            assert.ok(inputs.includes('1-drop / artifact (Sol Ring)'));
+            assert.ok(!inputs.some(input => input.startsWith('2-drop')), 'empty groups are skipped');
+
+            const addLand = perturbations.find(p => p.input === 'land (Forest)' && p.delta === 1).state;
+            assert.strictEqual(addLand.lands, 37);
+            assert.strictEqual(addLand.actualCardCount, 41);
+            assert.strictEqual(addLand.cardsByName.Forest.count, 31);
+
+            const cutSolRing = perturbations.find(p => p.input.includes('Sol Ring') && p.delta === -1).state;
+            assert.strictEqual(cutSolRing.artifacts, 0);
+            assert.strictEqual(cutSolRing.cmc1, 0);
+            assert.strictEqual(cutSolRing.cardsByName['Sol Ring'], undefined);
+            assert.strictEqual(cardList.cardsByName['Sol Ring'].count, 1, 'the original deck is untouched');
+        });
+
+        it('nudges type counts and CMC buckets of a hand-entered deck', () => {
+            const perturbations = buildPerturbations(manual);
+            const addCreature = perturbations.find(p => p.input === 'creature' && p.delta === 1).state;
+            assert.strictEqual(addCreature.creatures, 31);
+            assert.strictEqual(addCreature.actualCardCount, 90);
+
+            const cutThreeDrop = perturbations.find(p => p.input === '3-drop' && p.delta === -1).state;
+            assert.strictEqual(cutThreeDrop.cmc3, 14);
+            assert.strictEqual(cutThreeDrop.actualCardCount, 89, 'moving a card between CMC buckets keeps the deck size');
+
+            assert.ok(!perturbations.some(p => p.input === 'sorcery' && p.delta === -1), 'no negative counts');
+            assert.ok(perturbations.some(p => p.input === 'sorcery' && p.delta === 1));
+        });
+    });
+
+    describe('Analysis', () => {
+        it('ranks the changes that move an exact result, without touching the deck', () => {
+            const lands = DeckConfig.getDeckConfig().lands;
+            const [summary] = analyzeSensitivity(Lands.calculate, [dropsMetric], manual);
+
+            assertClose(summary.base.value, Lands.calculateLandDropByTurn(89, 36)[3].makeProbability);
+            assert.strictEqual(summary.rows[0].input, 'land', 'lands move land drops the most');
+            assert.ok(summary.rows[0].plus.change > 0 && summary.rows[0].minus.change < 0);
+            assert.ok(summary.rows[0].plus.significant, 'exact changes are always real');
+            assert.strictEqual(summary.rows[0].plus.interval, 0);
+            assert.ok(summary.unchanged.includes('3-drop'), 'CMC buckets do not change land drops');
+            assert.strictEqual(DeckConfig.getDeckConfig().lands, lands);
+        });
+
+        it('only calls a simulated change real when it leaves the 95% interval', () => {
+            // A fake simulated result: one land shifts it by 1 point, one creature by 0.1 points
+            const calculate = () => {
+                const { lands, creatures } = DeckConfig.getDeckConfig();
+                return { p: 0.5 + (lands - 36) * 0.01 + (creatures - 30) * 0.001 };
+            };
+            const metric = { label: 'P', percent: true, value: ({ p }) => p, error: ({ p }) => proportionError(p, 20000) };
+            const [summary] = analyzeSensitivity(calculate, [metric], manual);
+
+            const land = summary.rows.find(row => row.input === 'land');
+            const creature = summary.rows.find(row => row.input === 'creature');
+            assertClose(land.plus.interval, 1.96 * Math.sqrt(proportionError(0.5, 20000) ** 2 + proportionError(0.51, 20000) ** 2));
+            assert.ok(land.plus.significant);
+            assert.ok(!creature.plus.significant, 'a 0.1 point change is within noise at 20000 trials');
+            assert.ok(summary.simulated);
+        });
+    });
+});
@@ -446,3 +446,40 @@ describe('Share URL - Integration Tests', () => {
         });
     });
 });
+
+describe('Share URL - Tab Round Trip', () => {
+    it('accepts only the calculator tabs', async () => {
+        const { CALCULATOR_TABS, isCalculatorTab } = await import('../../js/utils/tabs.js');
+        ['manabase', 'goldfish', 'cascade', 'lookpick', 'adnauseam', 'pact', 'hermit'].forEach(tab => {
+            assert.ok(isCalculatorTab(tab), `Tab "${tab}" should be valid`);
+        });
+        ['admin', 'constructor', '__proto__', '"><script>alert(1)</script>'].forEach(tab => {
+            assert.ok(!isCalculatorTab(tab), `Tab "${tab}" should be invalid`);
+        });
+        assert.strictEqual(Object.keys(CALCULATOR_TABS).length, 18);
+    });
+
+    it('opens a shared link on the tab it was made from', async () => {
+        const { getShareUrl, parseShareUrl } = await import('../../js/utils/share.js');
+        const originalSearch = window.location.search;
+        const originalQuerySelector = document.querySelector;
+
+        for (const tab of ['manabase', 'goldfish', 'hermit']) {
+            document.querySelector = (selector) => selector === '.tab-content.active' ? { id: `${tab}-tab` } : null;
+            const url = new URL(getShareUrl());
+            assert.strictEqual(url.searchParams.get('tab'), tab);
+
+            let clicked = null;
+            window.location.search = url.search;
+            document.querySelector = (selector) => {
+                const match = selector.match(/\.selector-option\[data-tab="([^"]+)"\]/);
+                return match ? { click: () => { clicked = match[1]; } } : null;
+            };
+            await parseShareUrl();
+            assert.strictEqual(clicked, tab, `share link reopens ${tab}`);
+        }
+
+        window.location.search = originalSearch;
+        document.querySelector = originalQuerySelector;
+    });
+});
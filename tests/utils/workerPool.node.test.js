@@ -0,0 +1,193 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync, readdirSync } from 'node:fs';
+import { dirname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+    runSimulation, registerSimulationTask, cancelSimulation, isWorkerPoolAvailable, isSimulationCancelled
+} from '../../js/utils/workerPool.js';
+
+const JS_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '../../js');
+
+/**
+ * Every module statically imported from an entry point, the entry included
+ */
+function importGraph(entry, seen = new Set()) {
+    if (seen.has(entry)) return seen;
+    seen.add(entry);
+    const source = readFileSync(entry, 'utf8');
+    for (const match of source.matchAll(/^import\s+(?:[^'"]*?\s+from\s+)?['"](\.{1,2}\/[^'"]+)['"]/gm)) {
+        importGraph(resolve(dirname(entry), match[1]), seen);
+    }
+    return seen;
+}
+
+describe('Simulation worker entry', () => {
+    it('loads every module that registers a simulation task', () => {
+        const reachable = importGraph(join(JS_DIR, 'utils/simulationWorker.js'));
+        const registering = readdirSync(JS_DIR, { recursive: true })
+            .filter(file => file.endsWith('.js'))
+            .map(file => join(JS_DIR, file))
+            .filter(file => /registerSimulationTask\(\s*['"]/.test(readFileSync(file, 'utf8')));
+
+        assert.ok(registering.length > 0);
+        registering.forEach(file => {
+            assert.ok(reachable.has(file), `${file} registers a task the worker never loads`);
+        });
+    });
+});
+
+describe('Worker Pool (synchronous fallback)', () => {
+    registerSimulationTask('test-sum', ({ values }, reportProgress) => {
+        let total = 0;
+        values.forEach((v, i) => {
+            total += v;
+            reportProgress((i + 1) / values.length);
+        });
+        return total;
+    });
+
+    it('runs without workers in Node', () => {
+        assert.strictEqual(isWorkerPoolAvailable(), false);
+    });
+
+    it('completes jobs before runSimulation returns', () => {
+        let result = null;
+        runSimulation('test-sum', { values: [1, 2, 3] }, {
+            onComplete: (r) => { result = r; }
+        });
+        assert.strictEqual(result, 6);
+    });
+
+    it('reports progress', () => {
+        const progress = [];
+        runSimulation('test-sum', { values: [1, 2, 3, 4] }, {
+            onProgress: (f) => progress.push(f)
+        });
+        assert.deepStrictEqual(progress, [0.25, 0.5, 0.75, 1]);
+    });
+
+    it('resolves the job promise', async () => {
+        const job = runSimulation('test-sum', { values: [5, 5] });
+        assert.strictEqual(await job.promise, 10);
+    });
+
+    it('rejects unknown tasks', async () => {
+        let error = null;
+        const job = runSimulation('no-such-task', {}, { onError: (e) => { error = e; } });
+        await assert.rejects(job.promise, /Unknown simulation task/);
+        assert.ok(error);
+        assert.ok(!isSimulationCancelled(error));
+    });
+
+    it('shuffles stable samples and trims them with keep', () => {
+        const deck = Array.from({ length: 10 }, (_, i) => ({ name: `Card ${i}` }));
+        let samples = null;
+        runSimulation('shuffleSamples', { deck, count: 5, keep: 3 }, {
+            onComplete: (s) => { samples = s; }
+        });
+        assert.strictEqual(samples.length, 5);
+        samples.forEach(sample => assert.strictEqual(sample.length, 3));
+    });
+
+    it('puts known top cards back on top of every shuffle', () => {
+        const deck = Array.from({ length: 10 }, (_, i) => ({ name: `Card ${i}` }));
+        let samples = null;
+        runSimulation('shuffleSamples', { deck, count: 5, seed: 7, top: ['Card 4', 'Card 1'] }, {
+            onComplete: (s) => { samples = s; }
+        });
+        samples.forEach(sample => {
+            assert.deepStrictEqual(sample.slice(0, 2).map(card => card.name), ['Card 4', 'Card 1']);
+            assert.strictEqual(new Set(sample.map(card => card.name)).size, 10);
+        });
+    });
+});
+
+describe('Worker Pool (background workers)', () => {
+    const workers = [];
+
+    // Stand-in for a module worker: records posted jobs, replies on demand
+    class FakeWorker {
+        constructor() {
+            this.posted = [];
+            this.terminated = false;
+            workers.push(this);
+        }
+
+        postMessage(message) {
+            this.posted.push(message);
+        }
+
+        terminate() {
+            this.terminated = true;
+        }
+    }
+
+    /**
+     * Answer a job from whichever worker it was posted to
+     */
+    function reply(jobId, message) {
+        const worker = workers.find(w => !w.terminated && w.posted.some(m => m.id === jobId));
+        assert.ok(worker, `job ${jobId} is running`);
+        worker.onmessage({ data: { id: jobId, ...message } });
+    }
+
+    /**
+     * Callbacks that record which one fired
+     */
+    function track() {
+        const fired = [];
+        return {
+            fired,
+            callbacks: {
+                onComplete: (result) => fired.push(['complete', result]),
+                onError: (err) => fired.push(['error', err.message]),
+                onCancel: () => fired.push(['cancel'])
+            }
+        };
+    }
+
+    before(() => { globalThis.Worker = FakeWorker; });
+    after(() => { delete globalThis.Worker; });
+
+    it('cancels the previous job when one with the same key is submitted', async () => {
+        assert.strictEqual(isWorkerPoolAvailable(), true);
+        const first = track();
+        const second = track();
+
+        const firstJob = runSimulation('test-sum', { values: [1] }, { key: 'supersede', ...first.callbacks });
+        const secondJob = runSimulation('test-sum', { values: [2] }, { key: 'supersede', ...second.callbacks });
+
+        assert.deepStrictEqual(first.fired, [['cancel']]);
+        await assert.rejects(firstJob.promise, err => isSimulationCancelled(err));
+        assert.ok(workers.some(w => w.terminated), 'the running worker is stopped');
+
+        reply(secondJob.id, { type: 'result', result: 2 });
+        assert.deepStrictEqual(second.fired, [['complete', 2]]);
+        assert.strictEqual(await secondJob.promise, 2);
+    });
+
+    it('cancels running and keyed jobs, firing onCancel once', () => {
+        const running = track();
+        const keyed = track();
+
+        const job = runSimulation('test-sum', { values: [1] }, running.callbacks);
+        runSimulation('test-sum', { values: [2] }, { key: 'cancel-me', ...keyed.callbacks });
+
+        job.cancel();
+        job.cancel();
+        cancelSimulation('cancel-me');
+        cancelSimulation('cancel-me');
+
+        assert.deepStrictEqual(running.fired, [['cancel']]);
+        assert.deepStrictEqual(keyed.fired, [['cancel']]);
+    });
+
+    it('reports failed jobs through onError, not onCancel', () => {
+        const failing = track();
+        const job = runSimulation('test-sum', { values: [1] }, failing.callbacks);
+
+        reply(job.id, { type: 'error', message: 'boom' });
+        assert.deepStrictEqual(failing.fired, [['error', 'boom']]);
+    });
+});